@@ -0,0 +1,47 @@
+'use strict';
+
+// Marks a correlator column added here rather than created by 006
+const CORRELATOR_COMMENT = 'Merchant-supplied correlator from the SLA v2.2 request';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const transactionsTable = await queryInterface.describeTable('transactions');
+
+    // correlator exists on tables created by 006, but not on ones synced from the model
+    if (!transactionsTable.correlator) {
+      await queryInterface.addColumn('transactions', 'correlator', {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: CORRELATOR_COMMENT
+      });
+
+      await queryInterface.addIndex('transactions', ['correlator'], {
+        name: 'transactions_correlator_idx'
+      });
+    }
+
+    if (!transactionsTable.idempotency_key) {
+      await queryInterface.addColumn('transactions', 'idempotency_key', {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Scoped idempotency key used to replay duplicate requests'
+      });
+    }
+
+    await queryInterface.addIndex('transactions', ['idempotency_key', 'created_at'], {
+      name: 'transactions_idempotency_key_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('transactions', 'transactions_idempotency_key_idx');
+    await queryInterface.removeColumn('transactions', 'idempotency_key');
+
+    // Only drop the correlator when up() added it (006 creates it too, without a comment)
+    const transactionsTable = await queryInterface.describeTable('transactions');
+    if (transactionsTable.correlator && transactionsTable.correlator.comment === CORRELATOR_COMMENT) {
+      await queryInterface.removeIndex('transactions', 'transactions_correlator_idx');
+      await queryInterface.removeColumn('transactions', 'correlator');
+    }
+  }
+};
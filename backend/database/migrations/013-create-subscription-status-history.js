@@ -0,0 +1,80 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('subscription_status_history', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      subscription_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'subscriptions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      from_status: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      to_status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      source: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: 'system',
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      operator_status: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      triggered_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('subscription_status_history', ['subscription_id', 'created_at'], {
+      name: 'subscription_status_history_subscription_idx'
+    });
+
+    await queryInterface.addIndex('subscription_status_history', ['to_status'], {
+      name: 'subscription_status_history_to_status_idx'
+    });
+
+    await queryInterface.addIndex('subscription_status_history', ['source'], {
+      name: 'subscription_status_history_source_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('subscription_status_history');
+  }
+};
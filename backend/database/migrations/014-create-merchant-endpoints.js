@@ -0,0 +1,182 @@
+'use strict';
+
+// Mark what up() changed on webhooks, so down() leaves columns that were already there alone
+const DELIVERY_COLUMN_COMMENT = 'Outbound merchant delivery (added by 014)';
+const PAYLOAD_COMMENT = 'Inbound payload; outbound deliveries use event_data (made nullable by 014)';
+
+// Enum values outbound deliveries need on the types 007 created
+const ENUM_VALUES = [
+  ['enum_webhooks_status', 'pending'],
+  ['enum_webhooks_status', 'sent'],
+  ['enum_webhooks_status', 'retrying'],
+  ['enum_webhooks_status', 'dead_letter'],
+  ['enum_webhooks_event_type', 'subscription_expired']
+];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('merchant_endpoints', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      merchant: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      url: {
+        type: Sequelize.STRING(2048),
+        allowNull: false,
+      },
+      secret: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      event_types: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: ['*'],
+      },
+      http_headers: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      last_delivery_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      last_failure_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      consecutive_failures: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      deleted_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      }
+    });
+
+    await queryInterface.addIndex('merchant_endpoints', ['merchant'], {
+      name: 'merchant_endpoints_merchant_idx'
+    });
+
+    await queryInterface.addIndex('merchant_endpoints', ['merchant', 'is_active'], {
+      name: 'merchant_endpoints_merchant_active_idx'
+    });
+
+    // Outbound delivery statuses; 007 created the type with inbound-only values.
+    // One statement per query and no transaction: PostgreSQL before 12 refuses ADD VALUE inside a
+    // transaction block (which a multi-statement query is), and a new value is unusable until committed
+    for (const [type, value] of ENUM_VALUES) {
+      await queryInterface.sequelize.query(`ALTER TYPE ${type} ADD VALUE IF NOT EXISTS '${value}'`, {
+        transaction: null
+      });
+    }
+
+    // Tables created by 007 lack the delivery columns the Webhook model uses
+    const webhooksTable = await queryInterface.describeTable('webhooks');
+
+    const deliveryColumns = {
+      merchant_endpoint_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'merchant_endpoints',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      transaction_id: { type: Sequelize.UUID, allowNull: true },
+      event_data: { type: Sequelize.JSONB, allowNull: true },
+      target_url: { type: Sequelize.STRING(2048), allowNull: true },
+      http_method: { type: Sequelize.STRING(10), allowNull: true, defaultValue: 'POST' },
+      http_headers: { type: Sequelize.JSONB, allowNull: true },
+      http_status: { type: Sequelize.INTEGER, allowNull: true },
+      response_body: { type: Sequelize.TEXT, allowNull: true },
+      response_headers: { type: Sequelize.JSONB, allowNull: true },
+      response_time: { type: Sequelize.INTEGER, allowNull: true },
+      retry_count: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      max_retries: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 5 },
+      last_attempt_at: { type: Sequelize.DATE, allowNull: true }
+    };
+
+    for (const [column, definition] of Object.entries(deliveryColumns)) {
+      if (!webhooksTable[column]) {
+        await queryInterface.addColumn('webhooks', column, { ...definition, comment: DELIVERY_COLUMN_COMMENT });
+      }
+    }
+
+    // Outbound rows carry event_data instead of the inbound payload
+    if (webhooksTable.payload && webhooksTable.payload.allowNull === false) {
+      await queryInterface.changeColumn('webhooks', 'payload', {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: PAYLOAD_COMMENT
+      });
+    }
+
+    await queryInterface.addIndex('webhooks', ['merchant_endpoint_id'], {
+      name: 'webhooks_merchant_endpoint_id_idx'
+    });
+
+    await queryInterface.addIndex('webhooks', ['status', 'next_retry_at'], {
+      name: 'webhooks_delivery_queue_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('webhooks', 'webhooks_delivery_queue_idx');
+    await queryInterface.removeIndex('webhooks', 'webhooks_merchant_endpoint_id_idx');
+
+    const webhooksTable = await queryInterface.describeTable('webhooks');
+
+    // merchant_endpoint_id always goes: it references the table dropped below
+    for (const [column, description] of Object.entries(webhooksTable)) {
+      if (column === 'merchant_endpoint_id' || description.comment === DELIVERY_COLUMN_COMMENT) {
+        await queryInterface.removeColumn('webhooks', column);
+      }
+    }
+
+    // Outbound deliveries have no inbound payload and cannot stay once it is required again
+    if (webhooksTable.payload && webhooksTable.payload.comment === PAYLOAD_COMMENT) {
+      await queryInterface.sequelize.query('DELETE FROM webhooks WHERE payload IS NULL');
+      await queryInterface.changeColumn('webhooks', 'payload', {
+        type: Sequelize.JSONB,
+        allowNull: false
+      });
+    }
+
+    await queryInterface.dropTable('merchant_endpoints');
+    // Enum values cannot be dropped in PostgreSQL; the extra statuses are left in place
+  }
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('webhook_secrets', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      scope_type: {
+        type: Sequelize.ENUM('operator', 'merchant'),
+        allowNull: false,
+      },
+      scope_id: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      secret: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('webhook_secrets', ['scope_type', 'scope_id'], {
+      name: 'webhook_secrets_scope_idx'
+    });
+
+    await queryInterface.addIndex('webhook_secrets', ['expires_at'], {
+      name: 'webhook_secrets_expires_at_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('webhook_secrets');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_webhook_secrets_scope_type";');
+  }
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('mo_sms_logs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      operator_code: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      msisdn: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      short_code: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      message_text: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      message_id: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      keyword: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      action: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      response: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      processed: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      success: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      cancelled_subscriptions: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      error_message: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+      },
+      timestamp: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('mo_sms_logs', ['operator_code', 'message_id'], {
+      name: 'mo_sms_logs_operator_message_id_unique',
+      unique: true
+    });
+
+    await queryInterface.addIndex('mo_sms_logs', ['operator_code', 'timestamp'], {
+      name: 'mo_sms_logs_operator_timestamp_idx'
+    });
+
+    await queryInterface.addIndex('mo_sms_logs', ['msisdn'], {
+      name: 'mo_sms_logs_msisdn_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('mo_sms_logs');
+  }
+};
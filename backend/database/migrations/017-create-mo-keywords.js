@@ -0,0 +1,148 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('mo_short_codes', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      operator_code: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      short_code: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      language: {
+        type: Sequelize.STRING(5),
+        allowNull: false,
+        defaultValue: 'en',
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true,
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('mo_short_codes', ['operator_code', 'short_code'], {
+      name: 'mo_short_codes_operator_short_code_unique',
+      unique: true
+    });
+
+    await queryInterface.createTable('mo_keywords', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      operator_code: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      short_code: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      campaign: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      keyword: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      aliases: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      action: {
+        type: Sequelize.ENUM(
+          'subscribe',
+          'unsubscribe',
+          'help_request',
+          'information_request',
+          'consent_confirm',
+          'consent_decline',
+          'custom_reply'
+        ),
+        allowNull: false,
+      },
+      responses: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true,
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('mo_keywords', ['operator_code', 'short_code'], {
+      name: 'mo_keywords_operator_short_code_idx'
+    });
+
+    await queryInterface.addIndex('mo_keywords', ['campaign'], {
+      name: 'mo_keywords_campaign_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('mo_keywords');
+    await queryInterface.dropTable('mo_short_codes');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_mo_keywords_action";');
+  }
+};
@@ -0,0 +1,123 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('numbering_plan_ranges', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      country_code: {
+        type: Sequelize.STRING(4),
+        allowNull: false,
+      },
+      prefix_from: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+      },
+      prefix_to: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+      },
+      operator_code: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      number_length: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      source: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'manual',
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true,
+      },
+      notes: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('numbering_plan_ranges', ['country_code', 'prefix_from'], {
+      name: 'numbering_plan_ranges_country_prefix_idx'
+    });
+
+    await queryInterface.addIndex('numbering_plan_ranges', ['operator_code'], {
+      name: 'numbering_plan_ranges_operator_code_idx'
+    });
+
+    await queryInterface.createTable('ported_numbers', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      msisdn: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      operator_code: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      donor_operator_code: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      ported_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      source: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'manual',
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('ported_numbers', ['msisdn'], {
+      name: 'ported_numbers_msisdn_unique',
+      unique: true
+    });
+
+    await queryInterface.addIndex('ported_numbers', ['operator_code'], {
+      name: 'ported_numbers_operator_code_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('ported_numbers');
+    await queryInterface.dropTable('numbering_plan_ranges');
+  }
+};
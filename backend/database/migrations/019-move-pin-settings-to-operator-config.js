@@ -0,0 +1,55 @@
+'use strict';
+
+// PIN settings previously hardcoded in the OTP and /v2.2/pin controllers.
+// Operators without an entry use the config.pin defaults.
+const ARABIC = ['en', 'ar'];
+const PIN_SETTINGS = {
+  'zain-kw': { length: 5, languages: ARABIC },
+  'zain-bh': { length: 5, languages: ARABIC },
+  'zain-sa': { length: 5, languages: ARABIC },
+  'zain-iq': { length: 5, languages: ARABIC },
+  'zain-jo': { length: 5, languages: ARABIC },
+  'zain-sd': { length: 5, languages: ARABIC },
+  'mobily-sa': { length: 4, languages: ARABIC },
+  'etisalat-ae': { length: 5, languages: ARABIC },
+  'ooredoo-kw': { length: 5, languages: ARABIC },
+  'stc-kw': { length: 5, languages: ARABIC },
+  'telenor-digi': { length: 6, languages: ['en'] },
+  'umobile-my': { length: 5, languages: ['en'] },
+  'vf-ie': { length: 5, languages: ['en'] }
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const [code, settings] of Object.entries(PIN_SETTINGS)) {
+      // A pinLength already stored on the operator wins over the old controller table
+      await queryInterface.sequelize.query(
+        `UPDATE operators
+            SET config = jsonb_set(
+                  config,
+                  '{pin}',
+                  jsonb_build_object(
+                    'length', COALESCE(CAST(config->>'pinLength' AS int), :length),
+                    'expirySeconds', 120,
+                    'languages', CAST(:languages AS jsonb)
+                  )
+                )
+          WHERE code = :code AND NOT (config ? 'pin')`,
+        {
+          replacements: {
+            code,
+            length: settings.length,
+            languages: JSON.stringify(settings.languages)
+          }
+        }
+      );
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      `UPDATE operators SET config = config - 'pin' WHERE code IN (:codes)`,
+      { replacements: { codes: Object.keys(PIN_SETTINGS) } }
+    );
+  }
+};
@@ -0,0 +1,195 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('fraud_rules', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      merchant: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      challenge_threshold: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      block_threshold: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      weights: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      limits: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true,
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('fraud_rules', ['merchant'], {
+      name: 'fraud_rules_merchant_unique',
+      unique: true
+    });
+
+    await queryInterface.createTable('fraud_decisions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      action: {
+        type: Sequelize.ENUM('pin_request', 'subscription_create'),
+        allowNull: false,
+      },
+      decision: {
+        type: Sequelize.ENUM('allow', 'challenge', 'block'),
+        allowNull: false,
+      },
+      refused: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      score: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      reasons: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      thresholds: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      merchant: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      campaign: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      operator_code: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      msisdn: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+      },
+      user_agent: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      fraud_token_provided: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      correlation_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      review_status: {
+        type: Sequelize.ENUM('pending', 'confirmed_fraud', 'false_positive'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      review_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      reviewed_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('fraud_decisions', ['msisdn'], {
+      name: 'fraud_decisions_msisdn_idx'
+    });
+
+    await queryInterface.addIndex('fraud_decisions', ['merchant', 'created_at'], {
+      name: 'fraud_decisions_merchant_created_at_idx'
+    });
+
+    await queryInterface.addIndex('fraud_decisions', ['decision', 'review_status'], {
+      name: 'fraud_decisions_decision_review_status_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('fraud_decisions');
+    await queryInterface.dropTable('fraud_rules');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_fraud_decisions_action";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_fraud_decisions_decision";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_fraud_decisions_review_status";');
+  }
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      'ALTER TYPE "enum_operators_environment" ADD VALUE IF NOT EXISTS \'simulator\';'
+    );
+
+    await queryInterface.createTable('sandbox_provisions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      msisdn: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+      },
+      operator_code: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      campaign: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      merchant: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      simulated: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      external_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      balance: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: true,
+      },
+      failures: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('sandbox_provisions', ['msisdn'], {
+      name: 'sandbox_provisions_msisdn_unique',
+      unique: true
+    });
+
+    await queryInterface.addIndex('sandbox_provisions', ['campaign', 'merchant'], {
+      name: 'sandbox_provisions_campaign_merchant_idx'
+    });
+
+    await queryInterface.addIndex('sandbox_provisions', ['expires_at'], {
+      name: 'sandbox_provisions_expires_at_idx'
+    });
+
+    await queryInterface.createTable('sandbox_subscriptions', {
+      uuid: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      provision_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'sandbox_provisions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      msisdn: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+      },
+      operator_code: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      campaign: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      merchant: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'ACTIVE',
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+      },
+      frequency: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'monthly',
+      },
+      next_payment_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      cancelled_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      charges: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('sandbox_subscriptions', ['provision_id'], {
+      name: 'sandbox_subscriptions_provision_id_idx'
+    });
+
+    await queryInterface.addIndex('sandbox_subscriptions', ['msisdn', 'campaign'], {
+      name: 'sandbox_subscriptions_msisdn_campaign_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('sandbox_subscriptions');
+    await queryInterface.dropTable('sandbox_provisions');
+
+    // Postgres cannot drop a single enum value; move simulator operators back to the SLA sandbox
+    await queryInterface.sequelize.query(
+      'UPDATE operators SET environment = \'sandbox\' WHERE environment = \'simulator\';'
+    );
+  }
+};
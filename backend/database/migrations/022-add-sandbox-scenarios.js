@@ -0,0 +1,53 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('sandbox_provisions', 'scenario', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    });
+
+    await queryInterface.addColumn('sandbox_subscriptions', 'scenario', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    });
+
+    await queryInterface.addColumn('sandbox_subscriptions', 'scenario_step', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+
+    await queryInterface.addColumn('sandbox_subscriptions', 'next_event_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('sandbox_subscriptions', 'last_event_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('sandbox_subscriptions', 'events', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    });
+
+    await queryInterface.addIndex('sandbox_subscriptions', ['next_event_at'], {
+      name: 'sandbox_subscriptions_next_event_at_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('sandbox_subscriptions', 'sandbox_subscriptions_next_event_at_idx');
+    await queryInterface.removeColumn('sandbox_subscriptions', 'events');
+    await queryInterface.removeColumn('sandbox_subscriptions', 'last_event_at');
+    await queryInterface.removeColumn('sandbox_subscriptions', 'next_event_at');
+    await queryInterface.removeColumn('sandbox_subscriptions', 'scenario_step');
+    await queryInterface.removeColumn('sandbox_subscriptions', 'scenario');
+    await queryInterface.removeColumn('sandbox_provisions', 'scenario');
+  }
+};
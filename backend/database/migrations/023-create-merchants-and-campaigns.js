@@ -0,0 +1,201 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('merchants', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING(200),
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'suspended'),
+        allowNull: false,
+        defaultValue: 'active',
+      },
+      environment: {
+        type: Sequelize.ENUM('sandbox', 'production'),
+        allowNull: false,
+        defaultValue: 'sandbox',
+      },
+      api_username: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      api_password_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      allowed_operators: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      ip_whitelist: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      callback_url: {
+        type: Sequelize.STRING(2048),
+        allowNull: true,
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      deleted_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      }
+    });
+
+    await queryInterface.addIndex('merchants', ['code'], {
+      name: 'merchants_code_unique',
+      unique: true
+    });
+
+    await queryInterface.addIndex('merchants', ['api_username'], {
+      name: 'merchants_api_username_unique',
+      unique: true
+    });
+
+    await queryInterface.createTable('campaigns', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      merchant_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'merchants',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      name: {
+        type: Sequelize.STRING(200),
+        allowNull: false,
+      },
+      operator_code: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+      },
+      frequency: {
+        type: Sequelize.ENUM('daily', 'weekly', 'fortnightly', 'monthly', 'one_off'),
+        allowNull: false,
+        defaultValue: 'monthly',
+      },
+      trial_days: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      consent_flow: {
+        type: Sequelize.ENUM('pin', 'checkout', 'header_enrichment', 'mo_sms'),
+        allowNull: false,
+        defaultValue: 'pin',
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      deleted_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      }
+    });
+
+    await queryInterface.addIndex('campaigns', ['code'], {
+      name: 'campaigns_code_unique',
+      unique: true
+    });
+
+    await queryInterface.addIndex('campaigns', ['merchant_id'], {
+      name: 'campaigns_merchant_id_idx'
+    });
+
+    await queryInterface.addIndex('campaigns', ['operator_code'], {
+      name: 'campaigns_operator_code_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('campaigns');
+    await queryInterface.dropTable('merchants');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_campaigns_frequency";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_campaigns_consent_flow";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_merchants_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_merchants_environment";');
+  }
+};
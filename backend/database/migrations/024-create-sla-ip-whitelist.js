@@ -0,0 +1,120 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('sla_ip_whitelist_entries', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      username: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      cidr: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+      },
+      note: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('sla_ip_whitelist_entries', ['username', 'cidr'], {
+      name: 'sla_ip_whitelist_entries_username_cidr_unique',
+      unique: true
+    });
+
+    await queryInterface.addIndex('sla_ip_whitelist_entries', ['expires_at'], {
+      name: 'sla_ip_whitelist_entries_expires_at_idx'
+    });
+
+    await queryInterface.createTable('sla_ip_whitelist_policies', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      username: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      mode: {
+        type: Sequelize.ENUM('enforce', 'observe'),
+        allowNull: false,
+        defaultValue: 'enforce',
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      note: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      updated_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('sla_ip_whitelist_policies', ['username'], {
+      name: 'sla_ip_whitelist_policies_username_unique',
+      unique: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('sla_ip_whitelist_policies');
+    await queryInterface.dropTable('sla_ip_whitelist_entries');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_sla_ip_whitelist_policies_mode";');
+  }
+};
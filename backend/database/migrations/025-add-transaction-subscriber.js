@@ -0,0 +1,32 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('transactions', 'subscriber', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'Subscriber the spend ledger counts the transaction against (MSISDN digits or ACR)'
+    });
+
+    // Existing transactions of locally tracked subscriptions, keyed like Transaction.subscriberKey:
+    // 48-character ACRs as-is, MSISDN digits otherwise
+    await queryInterface.sequelize.query(`
+      UPDATE transactions t
+      SET subscriber = CASE
+        WHEN length(s.msisdn) = 48 THEN s.msisdn
+        ELSE regexp_replace(s.msisdn, '\\D', '', 'g')
+      END
+      FROM subscriptions s
+      WHERE t.subscription_id = s.id AND t.subscriber IS NULL
+    `);
+
+    await queryInterface.addIndex('transactions', ['subscriber', 'operator_id', 'transaction_date'], {
+      name: 'transactions_subscriber_ledger_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('transactions', 'transactions_subscriber_ledger_idx');
+    await queryInterface.removeColumn('transactions', 'subscriber');
+  }
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('campaigns', 'subscription_rules', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Overrides of the operator subscription rules (maxSubscriptionsPerMSISDN, weeklyLimit, ...)'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('campaigns', 'subscription_rules');
+  }
+};
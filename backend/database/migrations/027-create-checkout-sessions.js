@@ -0,0 +1,121 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('checkout_sessions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      state: {
+        type: Sequelize.ENUM('created', 'redirected', 'failed', 'expired', 'consented'),
+        allowNull: false,
+        defaultValue: 'created',
+      },
+      operator_code: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      merchant: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      campaign: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      msisdn: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      correlator: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      return_url: {
+        type: Sequelize.STRING(2048),
+        allowNull: false,
+      },
+      checkout_url: {
+        type: Sequelize.STRING(2048),
+        allowNull: true,
+      },
+      language: {
+        type: Sequelize.STRING(10),
+        allowNull: true,
+      },
+      trial_days: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      sla_username: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      operator_subscription_id: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      subscription_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'subscriptions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      failure_reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      redirected_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('checkout_sessions', ['correlator'], {
+      name: 'checkout_sessions_correlator_unique',
+      unique: true
+    });
+
+    await queryInterface.addIndex('checkout_sessions', ['state', 'expires_at'], {
+      name: 'checkout_sessions_state_expires_at_idx'
+    });
+
+    await queryInterface.addIndex('checkout_sessions', ['operator_subscription_id'], {
+      name: 'checkout_sessions_operator_subscription_id_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('checkout_sessions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_checkout_sessions_state";');
+  }
+};
@@ -0,0 +1,148 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('subscribers', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'merged'),
+        allowNull: false,
+        defaultValue: 'active',
+      },
+      merged_into_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'subscribers',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      merged_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      last_seen_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {},
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.createTable('subscriber_identities', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      subscriber_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'subscribers',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      type: {
+        type: Sequelize.ENUM('msisdn', 'acr', 'header'),
+        allowNull: false,
+      },
+      value: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      raw_value: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      operator_code: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      source: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      last_seen_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('subscriber_identities', ['type', 'value'], {
+      name: 'subscriber_identities_type_value_unique',
+      unique: true
+    });
+
+    await queryInterface.addIndex('subscriber_identities', ['subscriber_id'], {
+      name: 'subscriber_identities_subscriber_id_idx'
+    });
+
+    await queryInterface.addColumn('subscriptions', 'subscriber_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'subscribers',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Stable subscriber the subscription belongs to (see subscriber_identities)'
+    });
+
+    await queryInterface.addIndex('subscriptions', ['subscriber_id'], {
+      name: 'subscriptions_subscriber_id_idx'
+    });
+
+    // Telenor subscriptions are held by a 48-character ACR
+    await queryInterface.changeColumn('subscriptions', 'msisdn', {
+      type: Sequelize.STRING(64),
+      allowNull: false
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.changeColumn('subscriptions', 'msisdn', {
+      type: Sequelize.STRING(20),
+      allowNull: false
+    });
+    await queryInterface.removeIndex('subscriptions', 'subscriptions_subscriber_id_idx');
+    await queryInterface.removeColumn('subscriptions', 'subscriber_id');
+    await queryInterface.dropTable('subscriber_identities');
+    await queryInterface.dropTable('subscribers');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_subscriber_identities_type";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_subscribers_status";');
+  }
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('checkout_sessions', 'flow', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'operator',
+      comment: "'operator', or 'uk' for the UK aggregator (network chosen when the subscriber lands)"
+    });
+
+    await queryInterface.addColumn('checkout_sessions', 'network_detection', {
+      type: Sequelize.STRING(30),
+      allowNull: true,
+      comment: 'How the UK network was detected (header_network, header_msisdn, msisdn_lookup)'
+    });
+
+    // UK aggregator sessions have no operator until the network is detected
+    await queryInterface.changeColumn('checkout_sessions', 'operator_code', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('checkout_sessions', ['flow', 'operator_code', 'created_at'], {
+      name: 'checkout_sessions_flow_operator_code_created_at_idx'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('checkout_sessions', 'checkout_sessions_flow_operator_code_created_at_idx');
+    await queryInterface.sequelize.query('DELETE FROM checkout_sessions WHERE operator_code IS NULL');
+    await queryInterface.changeColumn('checkout_sessions', 'operator_code', {
+      type: Sequelize.STRING(50),
+      allowNull: false
+    });
+    await queryInterface.removeColumn('checkout_sessions', 'network_detection');
+    await queryInterface.removeColumn('checkout_sessions', 'flow');
+  }
+};
@@ -28,6 +28,11 @@ module.exports = {
             "refund",
             "eligibility",
           ],
+          pin: {
+            length: 5,
+            expirySeconds: 120,
+            languages: ["en", "ar"],
+          },
           healthCheckMSISDN: "96550000000",
         }),
         credentials: JSON.stringify({ encrypted: false, demo: true }),
@@ -50,6 +55,11 @@ module.exports = {
           maxAmount: 30,
           minAmount: 1,
           language: "ar",
+          pin: {
+            length: 5,
+            expirySeconds: 120,
+            languages: ["en", "ar"],
+          },
           healthCheckMSISDN: "966500000000",
         }),
         credentials: JSON.stringify({ encrypted: false, demo: true }),
@@ -73,6 +83,11 @@ module.exports = {
           minAmount: 1,
           language: "en",
           monthlyLimit: { postpaid: 200, prepaid: 1000 },
+          pin: {
+            length: 5,
+            expirySeconds: 120,
+            languages: ["en", "ar"],
+          },
           healthCheckMSISDN: "971500000000",
         }),
         credentials: JSON.stringify({ encrypted: false, demo: true }),
@@ -104,6 +119,11 @@ module.exports = {
             "refund",
             "eligibility",
           ],
+          pin: {
+            length: 4,
+            expirySeconds: 120,
+            languages: ["en", "ar"],
+          },
           healthCheckMSISDN: "96520000000",
         }),
         credentials: JSON.stringify({ encrypted: false, demo: true }),
@@ -127,6 +147,11 @@ module.exports = {
           minAmount: 0.1,
           language: "ar",
           monthlyLimit: { postpaid: 20, prepaid: 90 },
+          pin: {
+            length: 5,
+            expirySeconds: 120,
+            languages: ["en", "ar"],
+          },
           healthCheckMSISDN: "96530000000",
         }),
         credentials: JSON.stringify({ encrypted: false, demo: true }),
@@ -173,6 +198,11 @@ module.exports = {
           language: "en",
           monthlyLimit: 300,
           subscriptionCooldown: 7,
+          pin: {
+            length: 6,
+            expirySeconds: 120,
+            languages: ["en"],
+          },
           healthCheckMSISDN: "60100000000",
         }),
         credentials: JSON.stringify({ encrypted: false, demo: true }),
@@ -207,7 +207,7 @@ class AxiataAdapter extends BaseAdapter {
   /**
    * Send SMS - SLA v2.2 COMPLIANT
    */
-  async sendSMS(msisdn, message, template = 'welcome') {
+  async sendSMS(msisdn, message, template = 'welcome', options = {}) {
     return this.executeWithLogging('sendSMS', { msisdn, template }, async () => {
       this.validateParams({ msisdn, message }, ['msisdn', 'message']);
       
@@ -217,7 +217,7 @@ class AxiataAdapter extends BaseAdapter {
         msisdn: normalizedMSISDN,
         message,
         template,
-        language: 'en',
+        language: options.language || 'en',
         operator_code: 'axiata-lk'
       });
       
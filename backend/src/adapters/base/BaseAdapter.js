@@ -6,8 +6,10 @@
  */
 
 const SLADigitalClient = require('../../services/external/SLADigitalClient');
+const SandboxSimulatorClient = require('../../services/external/SandboxSimulatorClient');
 const Logger = require('../../utils/logger');
 const { UnifiedError } = require('../../utils/errors');
+const CircuitBreakerService = require('../../services/core/CircuitBreakerService');
 
 class BaseAdapter {
   constructor(config) {
@@ -17,7 +19,17 @@ class BaseAdapter {
     
     this.config = config;
     this.operatorCode = config.operatorCode;
-    this.client = new SLADigitalClient(config.credentials, config.environment);
+    
+    // Operators in the 'simulator' environment are answered by the local sandbox simulator
+    this.client = config.environment === 'simulator'
+      ? new SandboxSimulatorClient(config.credentials, { operatorCode: config.operatorCode, currency: config.currency })
+      : new SLADigitalClient(config.credentials, config.environment);
+    
+    // Calls currently executing - lets a hot reload drain this instance before retiring it
+    this.inFlight = 0;
+    
+    // Circuit breaker identity - routed variants of one operator get their own breaker
+    this.circuitKey = config.circuitKey || this.operatorCode;
     
     Logger.debug(`${this.operatorCode} adapter initialized`, {
       operatorCode: this.operatorCode,
@@ -165,6 +177,7 @@ class BaseAdapter {
    */
   async executeWithLogging(operation, params, apiCall) {
     const startTime = Date.now();
+    this.inFlight += 1;
     
     try {
       Logger.info(`${this.operatorCode}: Starting ${operation}`, {
@@ -179,6 +192,8 @@ class BaseAdapter {
       Logger.operatorAction(this.operatorCode, operation, 
         { success: true }, { duration, params: this.sanitizeParams(params) });
       
+      await CircuitBreakerService.recordResult(this.circuitKey, operation, { success: true, duration });
+      
       return this.normalizeResponse(response);
       
     } catch (error) {
@@ -188,6 +203,8 @@ class BaseAdapter {
         { success: false, error: error.message }, 
         { duration, params: this.sanitizeParams(params) });
       
+      await CircuitBreakerService.recordResult(this.circuitKey, operation, { success: false, duration, error });
+      
       // Convert to unified error
       if (!(error instanceof UnifiedError)) {
         const mappedError = this.mapError(error);
@@ -199,9 +216,25 @@ class BaseAdapter {
       }
       
       throw error;
+    } finally {
+      this.inFlight -= 1;
     }
   }
   
+  /**
+   * Wait for in-flight calls to finish (used when the adapter is replaced)
+   * Resolves true when drained, false when the timeout elapsed first
+   */
+  async drain(timeoutMs = 30000) {
+    const deadline = Date.now() + timeoutMs;
+    
+    while (this.inFlight > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    
+    return this.inFlight === 0;
+  }
+  
   /**
    * Sanitize parameters for logging (remove sensitive data)
    */
@@ -279,10 +312,8 @@ class BaseAdapter {
         `Amount ${params.amount} below minimum of ${rules.minAmount}`);
     }
     
-    // Check frequency limits
-    if (rules.maxSubscriptionsPerMSISDN && operation === 'createSubscription') {
-      // This would require checking the database - implement in service layer
-    }
+    // Subscription limits (maxSubscriptionsPerMSISDN, weeklyLimit, subscriptionCooldown) need the
+    // subscriber's subscriptions and are enforced by SubscriptionRulesService
     
     return params;
   }
@@ -0,0 +1,439 @@
+/**
+ * Declarative Adapter - SLA v2.2 COMPLIANT
+ *
+ * Executes a JSON operator definition instead of hand-written adapter code.
+ * Onboarding an operator becomes data: endpoints, required params, MSISDN rules,
+ * status and error maps live in Operator.config.definition or in a file under
+ * ./definitions. Hand-coded adapters remain available for operators whose flows
+ * don't fit the schema.
+ *
+ * Definition shape (see definitions/stc-kw.json for a complete example):
+ * {
+ *   "countryCode": "KW", "currency": "KWD", "language": "ar",
+ *   "msisdn": { "regex": "...", "countryCode": "965", "stripCountryCode": true, "length": 8, "prefixes": ["3"] },
+ *   "pin": { "length": 4 },
+ *   "supportedFeatures": ["subscription", "oneTimeCharge"],
+ *   "businessRules": { "charge": { "maxAmount": 20 } },
+ *   "operations": {
+ *     "charge": {
+ *       "endpoint": "/v2.2/charge",
+ *       "required": ["uuid", "amount"],
+ *       "params": { "uuid": "{{uuid}}", "amount": "{{amount}}", "currency": "{{currency}}" }
+ *     }
+ *   },
+ *   "response": { "fields": { "transactionId": "transaction_id" }, "checkoutUrl": "https://.../{{uuid}}" },
+ *   "statusMap": { "ACTIVE": "active" },
+ *   "errorMap": { "2015": { "code": "INSUFFICIENT_FUNDS", "message": "Insufficient balance" } }
+ * }
+ *
+ * Param templates:
+ * - "{{name}}" / "{{name|default}}" resolve to the raw value (numbers stay numbers)
+ * - Params that resolve to undefined or '' are omitted from the request
+ * - { "if": "skipInitialCharge", "value": "false" } is sent only when the flag is truthy
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BaseAdapter = require('../base/BaseAdapter');
+const { UnifiedError } = require('../../utils/errors');
+const Logger = require('../../utils/logger');
+
+const DEFINITIONS_DIR = path.join(__dirname, 'definitions');
+
+// Positional signatures of the BaseAdapter operations
+const OPERATION_ARGUMENTS = {
+  createSubscription: null, // takes a params object
+  cancelSubscription: ['uuid'],
+  getSubscriptionStatus: ['uuid'],
+  generatePIN: ['msisdn', 'campaign'],
+  charge: ['uuid', 'amount'],
+  refund: ['transactionId', 'amount'],
+  checkEligibility: ['msisdn'],
+  sendSMS: ['msisdn', 'message', 'template']
+};
+
+// Unified response field -> operator response field
+const DEFAULT_RESPONSE_FIELDS = {
+  subscriptionId: 'uuid',
+  operatorSubscriptionId: 'uuid',
+  status: 'status',
+  amount: 'amount',
+  currency: 'currency',
+  frequency: 'frequency',
+  nextBillingDate: 'next_payment_timestamp',
+  checkoutUrl: 'checkout_url',
+  checkoutRequired: 'checkout_required',
+  msisdn: 'msisdn',
+  campaign: 'campaign',
+  merchant: 'merchant',
+  transactionId: 'transaction_id',
+  eligible: 'eligible',
+  eligibilityReason: 'eligibility_reason'
+};
+
+const TEMPLATE_PATTERN = /\{\{\s*([\w.]+)(?:\|([^}]*))?\s*\}\}/g;
+
+class DeclarativeAdapter extends BaseAdapter {
+  constructor(config) {
+    const definition = config.definition;
+    DeclarativeAdapter.validateDefinition(definition, config.operatorCode);
+
+    const msisdnRules = definition.msisdn || {};
+
+    super({
+      ...config,
+      msisdnRegex: msisdnRules.regex ? new RegExp(msisdnRules.regex) : undefined,
+      endpoints: definition.endpoints || config.endpoints,
+      supportedFeatures: definition.supportedFeatures || Object.keys(definition.operations),
+      businessRules: definition.businessRules || {},
+      currency: definition.currency,
+      language: definition.language || 'en',
+      pinLength: definition.pin?.length || 4
+    });
+
+    this.definition = definition;
+
+    Logger.info(`Initialized declarative adapter for operator ${this.operatorCode}`, {
+      operatorCode: this.operatorCode,
+      operations: Object.keys(definition.operations),
+      version: definition.version || null
+    });
+  }
+
+  /**
+   * Operations - thin wrappers that translate positional arguments into a params object
+   */
+  async createSubscription(params) {
+    return this.executeDefinedOperation('createSubscription', params);
+  }
+
+  async cancelSubscription(...args) {
+    return this.executeDefinedOperation('cancelSubscription', this.toParams('cancelSubscription', args));
+  }
+
+  async getSubscriptionStatus(...args) {
+    return this.executeDefinedOperation('getSubscriptionStatus', this.toParams('getSubscriptionStatus', args));
+  }
+
+  async generatePIN(...args) {
+    return this.executeDefinedOperation('generatePIN', this.toParams('generatePIN', args));
+  }
+
+  async charge(...args) {
+    return this.executeDefinedOperation('charge', this.toParams('charge', args));
+  }
+
+  async refund(...args) {
+    return this.executeDefinedOperation('refund', this.toParams('refund', args));
+  }
+
+  async checkEligibility(...args) {
+    return this.executeDefinedOperation('checkEligibility', this.toParams('checkEligibility', args));
+  }
+
+  async sendSMS(...args) {
+    return this.executeDefinedOperation('sendSMS', this.toParams('sendSMS', args));
+  }
+
+  /**
+   * Run one operation from the definition
+   */
+  async executeDefinedOperation(operation, params = {}) {
+    const spec = this.definition.operations[operation];
+
+    if (!spec) {
+      throw new UnifiedError('FEATURE_NOT_SUPPORTED',
+        `${operation} not supported for operator ${this.operatorCode}`);
+    }
+
+    return this.executeWithLogging(operation, params, async () => {
+      this.validateParams(params, spec.required || []);
+
+      const validatedParams = this.applyBusinessRules(operation, params);
+
+      const context = this.buildContext(validatedParams);
+      const payload = this.buildPayload(spec.params || {}, context);
+
+      // SLA v2.2 COMPLIANT: SLADigitalClient handles query string placement
+      const response = await this.client.post(spec.endpoint, payload);
+
+      // Add checkout URL if the operator asks for user confirmation
+      const checkoutTemplate = this.definition.response?.checkoutUrl;
+      const responseData = response.data || response;
+      if (checkoutTemplate && responseData.checkout_required && !responseData.checkout_url) {
+        responseData.checkout_url = this.interpolate(checkoutTemplate, { ...context, ...responseData });
+      }
+
+      return response;
+    });
+  }
+
+  /**
+   * Accept either positional arguments or a single params object
+   * (UnifiedAdapter passes objects, v2.2 controllers pass positional values)
+   */
+  toParams(operation, args) {
+    if (args.length === 1 && args[0] && typeof args[0] === 'object' && !Array.isArray(args[0])) {
+      return args[0];
+    }
+
+    const names = OPERATION_ARGUMENTS[operation];
+    const params = names.reduce((collected, name, index) => {
+      if (args[index] !== undefined) {
+        collected[name] = args[index];
+      }
+      return collected;
+    }, {});
+
+    // A trailing options object (e.g. sendSMS language) is merged into the params
+    const options = args[names.length];
+    return options && typeof options === 'object' ? { ...options, ...params } : params;
+  }
+
+  /**
+   * Values available to param templates
+   */
+  buildContext(params) {
+    const context = {
+      operatorCode: this.operatorCode,
+      countryCode: this.definition.countryCode,
+      currency: this.config.currency,
+      language: this.config.language,
+      pinLength: this.config.pinLength,
+      merchant: this.config.credentials?.merchant,
+      ...params
+    };
+
+    if (params.msisdn) {
+      context.msisdn = this.normalizeMSISDN(String(params.msisdn));
+    }
+
+    // An explicit request value wins, the definition supplies the fallback
+    context.currency = params.currency || this.config.currency;
+    context.language = params.language || this.config.language;
+
+    return context;
+  }
+
+  /**
+   * Resolve the definition's param templates against the request context
+   */
+  buildPayload(paramSpec, context) {
+    const payload = {};
+
+    Object.entries(paramSpec).forEach(([name, template]) => {
+      let value;
+
+      if (template && typeof template === 'object') {
+        value = this.lookup(context, template.if) ? template.value : undefined;
+      } else {
+        value = this.resolveTemplate(template, context);
+      }
+
+      if (value !== undefined && value !== null && value !== '') {
+        payload[name] = value;
+      }
+    });
+
+    return payload;
+  }
+
+  /**
+   * "{{name}}" keeps the raw value; mixed strings are interpolated
+   */
+  resolveTemplate(template, context) {
+    if (typeof template !== 'string') {
+      return template;
+    }
+
+    const whole = template.match(/^\{\{\s*([\w.]+)(?:\|([^}]*))?\s*\}\}$/);
+    if (whole) {
+      const value = this.lookup(context, whole[1]);
+      return value !== undefined && value !== null ? value : whole[2];
+    }
+
+    return this.interpolate(template, context);
+  }
+
+  interpolate(template, context) {
+    return template.replace(TEMPLATE_PATTERN, (match, name, fallback) => {
+      const value = this.lookup(context, name);
+      return value !== undefined && value !== null ? value : (fallback || '');
+    });
+  }
+
+  lookup(context, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+  }
+
+  /**
+   * Map operator response data to unified format using the definition's field map
+   */
+  mapResponseData(response) {
+    const responseData = response.data || response;
+    const fields = { ...DEFAULT_RESPONSE_FIELDS, ...(this.definition.response?.fields || {}) };
+
+    const mapped = Object.entries(fields).reduce((result, [unifiedField, operatorField]) => {
+      result[unifiedField] = this.lookup(responseData, operatorField);
+      return result;
+    }, {});
+
+    mapped.status = this.mapStatus(mapped.status);
+    mapped.currency = mapped.currency || this.config.currency;
+    mapped.checkoutRequired = mapped.checkoutRequired || false;
+    mapped.operatorCode = this.operatorCode;
+    mapped.countryCode = this.definition.countryCode;
+
+    return mapped;
+  }
+
+  /**
+   * Map operator errors to unified format using the definition's error map
+   */
+  mapError(error) {
+    const errorMappings = this.definition.errorMap || {};
+    const errorCode = error.code || error.category || 'UNKNOWN_ERROR';
+    const mapping = errorMappings[errorCode];
+
+    if (mapping) {
+      return {
+        code: mapping.code,
+        message: mapping.message,
+        originalCode: errorCode,
+        originalMessage: error.message,
+        operatorCode: this.operatorCode
+      };
+    }
+
+    return {
+      code: 'UNMAPPED_ERROR',
+      message: error.message || `Unknown error from ${this.operatorCode}`,
+      originalCode: errorCode,
+      originalMessage: error.message,
+      operatorCode: this.operatorCode
+    };
+  }
+
+  /**
+   * Map operator status to unified status using the definition's status map
+   */
+  mapStatus(operatorStatus) {
+    const statusMappings = this.definition.statusMap || {};
+    return statusMappings[operatorStatus] || 'unknown';
+  }
+
+  /**
+   * Normalize MSISDN using the definition's rules
+   */
+  normalizeMSISDN(msisdn) {
+    const rules = this.definition.msisdn || {};
+    let normalized = msisdn.replace(/[^\d+]/g, '');
+
+    if (rules.stripCountryCode && rules.countryCode) {
+      const countryCode = String(rules.countryCode).replace('+', '');
+      if (normalized.startsWith('+' + countryCode)) {
+        normalized = normalized.substring(countryCode.length + 1);
+      } else if (normalized.startsWith(countryCode)) {
+        normalized = normalized.substring(countryCode.length);
+      }
+    }
+
+    if (rules.addPrefix && !normalized.startsWith(rules.addPrefix)) {
+      normalized = rules.addPrefix + normalized;
+    }
+
+    const lengthOk = !rules.length || normalized.length === rules.length;
+    const prefixOk = !rules.prefixes || rules.prefixes.some(prefix => normalized.startsWith(prefix));
+
+    if (!lengthOk || !prefixOk) {
+      throw new UnifiedError('INVALID_MSISDN',
+        rules.errorMessage || `Invalid ${this.operatorCode} mobile number format`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Check a definition before it is used to build an adapter
+   * @throws {UnifiedError} INVALID_ADAPTER_DEFINITION listing every problem found
+   */
+  static validateDefinition(definition, operatorCode = 'unknown') {
+    const problems = [];
+
+    if (!definition || typeof definition !== 'object') {
+      throw new UnifiedError('INVALID_ADAPTER_DEFINITION',
+        `Adapter definition for ${operatorCode} must be an object`);
+    }
+
+    if (!definition.operations || typeof definition.operations !== 'object' ||
+        Object.keys(definition.operations).length === 0) {
+      problems.push('operations must declare at least one operation');
+    } else {
+      Object.entries(definition.operations).forEach(([operation, spec]) => {
+        if (!(operation in OPERATION_ARGUMENTS)) {
+          problems.push(`operations.${operation} is not a supported operation`);
+          return;
+        }
+        if (!spec || typeof spec.endpoint !== 'string' || !spec.endpoint.startsWith('/')) {
+          problems.push(`operations.${operation}.endpoint must be a path starting with /`);
+        }
+        if (spec?.required && !Array.isArray(spec.required)) {
+          problems.push(`operations.${operation}.required must be an array`);
+        }
+        if (spec?.params && typeof spec.params !== 'object') {
+          problems.push(`operations.${operation}.params must be an object`);
+        }
+      });
+    }
+
+    if (definition.msisdn?.regex) {
+      try {
+        new RegExp(definition.msisdn.regex);
+      } catch (error) {
+        problems.push(`msisdn.regex is invalid: ${error.message}`);
+      }
+    }
+
+    ['statusMap', 'errorMap'].forEach(key => {
+      if (definition[key] !== undefined && (typeof definition[key] !== 'object' || Array.isArray(definition[key]))) {
+        problems.push(`${key} must be an object`);
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new UnifiedError('INVALID_ADAPTER_DEFINITION',
+        `Invalid adapter definition for ${operatorCode}: ${problems.join('; ')}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the definition for an operator
+   * Inline Operator.config.definition wins, then config.definitionFile, then definitions/<code>.json
+   */
+  static resolveDefinition(operatorCode, operatorConfig = {}) {
+    if (operatorConfig.definition) {
+      return operatorConfig.definition;
+    }
+
+    // basename() keeps definitionFile inside the definitions directory
+    const fileName = operatorConfig.definitionFile
+      ? path.basename(operatorConfig.definitionFile)
+      : `${operatorCode}.json`;
+    const filePath = path.join(DEFINITIONS_DIR, fileName);
+
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new UnifiedError('INVALID_ADAPTER_DEFINITION',
+        `Failed to parse adapter definition ${fileName}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = DeclarativeAdapter;
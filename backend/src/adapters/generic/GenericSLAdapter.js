@@ -218,7 +218,7 @@ class GenericSLAdapter extends BaseAdapter {
   /**
    * Send SMS (if supported)
    */
-  async sendSMS(msisdn, message, template = 'generic') {
+  async sendSMS(msisdn, message, template = 'generic', options = {}) {
     if (!this.isFeatureSupported('sms')) {
       throw new UnifiedError('FEATURE_NOT_SUPPORTED', 
         `SMS sending not supported for operator ${this.operatorCode}`);
@@ -233,7 +233,7 @@ class GenericSLAdapter extends BaseAdapter {
         msisdn: normalizedMSISDN,
         message,
         template,
-        language: this.config.language
+        language: options.language || this.config.language
       };
       
       const response = await this.client.post('/v2.2/sms', payload);
@@ -257,7 +257,7 @@ class MobilyKSAAdapter extends BaseAdapter {
   /**
    * Send SMS with Arabic/English template support - SLA v2.2 COMPLIANT
    */
-  async sendSMS(msisdn, message, template = 'welcome') {
+  async sendSMS(msisdn, message, template = 'welcome', options = {}) {
     return this.executeWithLogging('sendSMS', { msisdn, template }, async () => {
       this.validateParams({ msisdn, message }, ['msisdn', 'message']);
       
@@ -268,7 +268,7 @@ class MobilyKSAAdapter extends BaseAdapter {
         msisdn: normalizedMSISDN,
         message,
         template,
-        language: 'ar', // Arabic for KSA
+        language: options.language || 'ar', // Arabic for KSA
         operator_code: 'mobily-ksa'
       });
       
@@ -164,7 +164,7 @@ class MobilySAAdapter extends BaseAdapter {
    * ✅ NEW: Send SMS with dynamic_sms parameter support per SLA documentation
    * This allows inserting custom text into Mobily's customer care portal
    */
-  async sendSMS(msisdn, message, options = {}) {
+  async sendSMS(msisdn, message, template = 'welcome', options = {}) {
     return this.executeWithLogging('sendSMS', { msisdn, message }, async () => {
       this.validateParams({ msisdn, message }, ['msisdn', 'message']);
       
@@ -174,6 +174,7 @@ class MobilySAAdapter extends BaseAdapter {
       const payload = {
         msisdn: normalizedMSISDN,
         text: message,
+        template,
         campaign: options.campaign || this.config.defaultCampaign,
         merchant: this.config.credentials.merchant,
         correlator: options.correlator || this.generateCorrelator(),
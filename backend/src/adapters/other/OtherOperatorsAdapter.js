@@ -69,6 +69,7 @@ class OtherOperatorsAdapter extends BaseAdapter {
         maxAmount: 240,
         monthlyLimit: 240, // Aggregated across all services
         checkoutOnly: true,
+        unifiedUKFlow: true, // Single landing page for all UK operators (UKAggregatorService)
         features: ['subscription', 'checkout', 'eligibility']
       },
       'ee-uk': {
@@ -81,6 +82,7 @@ class OtherOperatorsAdapter extends BaseAdapter {
         maxAmount: 240,
         monthlyLimit: 240, // Aggregated across all services
         checkoutOnly: true,
+        unifiedUKFlow: true, // Single landing page for all UK operators (UKAggregatorService)
         features: ['subscription', 'checkout', 'eligibility']
       }
     };
@@ -166,8 +168,9 @@ class OtherOperatorsAdapter extends BaseAdapter {
       
       // Add checkout URL for checkout-only operators
       if (this.config.operatorConfig.checkoutOnly && response.data) {
-        if (this.operatorCode.includes('uk')) {
-          response.data.checkout_url = `${this.getEndpoint('checkout')}/purchase?merchant=${params.merchant}&service=${params.campaign}`;
+        if (this.config.operatorConfig.unifiedUKFlow) {
+          // UK unified flow - single service ID handles all operators
+          response.data.checkout_url = `${this.getEndpoint('checkout')}/uk/${response.data.uuid}`;
         } else {
           response.data.checkout_url = `${this.getEndpoint('checkout')}/purchase?merchant=${params.merchant}&service=${params.campaign}`;
         }
@@ -340,7 +343,8 @@ class OtherOperatorsAdapter extends BaseAdapter {
       country: this.config.operatorConfig.country,
       operatorName: this.config.operatorConfig.name,
       operatorCode: this.operatorCode,
-      countryCode: this.config.operatorConfig.countryCode
+      countryCode: this.config.operatorConfig.countryCode,
+      unifiedFlow: this.config.operatorConfig.unifiedUKFlow || false
     };
     
     // Add auto-renewal information for 9mobile
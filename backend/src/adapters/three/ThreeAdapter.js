@@ -20,7 +20,10 @@ class ThreeAdapter extends BaseAdapter {
         language: 'en',
         msisdnRegex: /^(\+44|44)?7[0-9]\d{8}$/,
         maxAmount: 240, // Monthly limit aggregated across all services
-        checkoutOnly: true
+        checkoutOnly: true,
+        // UK uses Fonix checkout for unified flow
+        checkoutEndpoint: 'https://checkout.fonix.com',
+        unifiedUKFlow: true // Single landing page for all UK operators (UKAggregatorService)
       },
       'three-ie': {
         country: 'Ireland',
@@ -45,7 +48,7 @@ class ThreeAdapter extends BaseAdapter {
       operatorCode,
       msisdnRegex: countryConfig.msisdnRegex,
       endpoints: {
-        checkout: 'https://checkout.sla-alacrity.com',
+        checkout: countryConfig.checkoutEndpoint || 'https://checkout.sla-alacrity.com',
         api: 'https://api.sla-alacrity.com'
       },
       supportedFeatures: ['subscription', 'checkout', 'refund', 'eligibility'],
@@ -100,7 +103,12 @@ class ThreeAdapter extends BaseAdapter {
       
       // Add checkout URL
       if (response.data && (response.data.checkout_required || this.config.countryConfig.checkoutOnly)) {
-        response.data.checkout_url = `${this.getEndpoint('checkout')}/${this.operatorCode}/${response.data.uuid}`;
+        if (this.config.countryConfig.unifiedUKFlow) {
+          // UK unified flow - single service ID handles all operators
+          response.data.checkout_url = `${this.getEndpoint('checkout')}/uk/${response.data.uuid}`;
+        } else {
+          response.data.checkout_url = `${this.getEndpoint('checkout')}/${this.operatorCode}/${response.data.uuid}`;
+        }
         response.data.checkout_required = true;
       }
       
@@ -233,7 +241,8 @@ class ThreeAdapter extends BaseAdapter {
       eligible: responseData.eligible,
       eligibilityReason: responseData.eligibility_reason,
       country: this.config.countryConfig.country,
-      operatorCode: this.operatorCode
+      operatorCode: this.operatorCode,
+      unifiedFlow: this.config.countryConfig.unifiedUKFlow || false
     };
   }
   
@@ -198,17 +198,22 @@ class UMobileAdapter extends BaseAdapter {
   /**
    * Send SMS
    */
-  async sendSMS(params) {
-    this.validateParams(params, ['msisdn', 'message']);
+  async sendSMS(msisdn, message, template = 'welcome', options = {}) {
+    this.validateParams({ msisdn, message }, ['msisdn', 'message']);
     
     const requestParams = {
-      msisdn: this.normalizeMSISDN(params.msisdn),
-      message: params.message,
-      correlator: params.correlator || this.generateCorrelator()
+      msisdn: this.normalizeMSISDN(msisdn),
+      message,
+      template,
+      language: options.language || 'en',
+      correlator: options.correlator || this.generateCorrelator()
     };
     
     return this.executeWithLogging('sendSMS', requestParams, async () => {
-      const response = await this.client.sendSMS(requestParams);
+      const response = await this.client.post('/v2.2/sms', {
+        ...requestParams,
+        operator_code: 'umobile-my'
+      });
       return this.normalizeResponse(response);
     });
   }
@@ -208,7 +208,7 @@ class ViettelAdapter extends BaseAdapter {
   /**
    * Send SMS with Portuguese language support - SLA v2.2 COMPLIANT
    */
-  async sendSMS(msisdn, message, template = 'welcome') {
+  async sendSMS(msisdn, message, template = 'welcome', options = {}) {
     return this.executeWithLogging('sendSMS', { msisdn, template }, async () => {
       this.validateParams({ msisdn, message }, ['msisdn', 'message']);
       
@@ -218,7 +218,7 @@ class ViettelAdapter extends BaseAdapter {
         msisdn: normalizedMSISDN,
         message,
         template,
-        language: 'pt', // Portuguese for Mozambique
+        language: options.language || 'pt', // Portuguese for Mozambique
         operator_code: 'viettel-mz'
       });
       
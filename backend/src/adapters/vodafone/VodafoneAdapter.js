@@ -59,7 +59,7 @@ class VodafoneAdapter extends BaseAdapter {
         ...(countryConfig.checkoutOnly ? 
           ['subscription', 'checkout', 'eligibility'] :
           ['subscription', 'oneTimeCharge', 'checkout', 'pin', 'refund', 'eligibility']),
-        ...(countryConfig.moSmsSupported ? ['moSms'] : [])
+        ...(countryConfig.moSmsSupported ? ['sms', 'moSms'] : [])
       ],
       businessRules: {
         createSubscription: {
@@ -169,7 +169,7 @@ class VodafoneAdapter extends BaseAdapter {
   /**
    * Send SMS message (Ireland only) - SLA v2.2 COMPLIANT
    */
-  async sendSMS(msisdn, message, template = 'welcome') {
+  async sendSMS(msisdn, message, template = 'welcome', options = {}) {
     if (!this.config.countryConfig.moSmsSupported) {
       throw new UnifiedError('FEATURE_NOT_SUPPORTED', 
         `SMS not supported for Vodafone ${this.config.countryConfig.country}`);
@@ -185,7 +185,7 @@ class VodafoneAdapter extends BaseAdapter {
         msisdn: normalizedMSISDN,
         message,
         template,
-        language: 'en',
+        language: options.language || 'en',
         operator_code: this.operatorCode
       });
       
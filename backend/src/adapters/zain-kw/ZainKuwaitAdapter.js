@@ -29,6 +29,7 @@ class ZainKuwaitAdapter extends BaseAdapter {
         'refund',
         'eligibility',
         'sdp', // SDP flow support
+        'sms',
         'moSms' // MO SMS support
       ],
       businessRules: {
@@ -223,7 +224,7 @@ class ZainKuwaitAdapter extends BaseAdapter {
   /**
    * Send SMS message (welcome, confirmation, etc.) - SLA v2.2 COMPLIANT
    */
-  async sendSMS(msisdn, message, template = 'welcome') {
+  async sendSMS(msisdn, message, template = 'welcome', options = {}) {
     return this.executeWithLogging('sendSMS', { msisdn, template }, async () => {
       this.validateParams({ msisdn, message }, ['msisdn', 'message']);
       
@@ -234,7 +235,7 @@ class ZainKuwaitAdapter extends BaseAdapter {
         msisdn: normalizedMSISDN,
         message,
         template,
-        language: 'ar',
+        language: options.language || 'ar',
         operator_code: 'zain-kw'
       });
       
@@ -359,8 +360,7 @@ class ZainKuwaitAdapter extends BaseAdapter {
     
     // Zain Kuwait specific weekly subscription limit
     if (operation === 'createSubscription') {
-      // This would need to be checked at the service layer with database lookup
-      // The adapter just defines the rule, enforcement happens in SubscriptionService
+      // The adapter just defines the rule, SubscriptionRulesService enforces it
       Logger.info('Zain Kuwait weekly subscription limit will be enforced by service layer', {
         operatorCode: this.operatorCode,
         msisdn: params.msisdn ? this.maskMSISDN(params.msisdn) : 'unknown'
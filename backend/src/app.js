@@ -18,6 +18,8 @@ const authRoutes = require('./routes/api/auth');
 
 // Import other routes
 const healthRoutes = require('./routes/health');
+const webhookRoutes = require('./routes/webhooks');
+const checkoutRoutes = require('./routes/checkout');
 const apiV1Routes = require('./routes/api/v1');
 const adminRoutes = require('./routes/admin');
 
@@ -70,7 +72,13 @@ app.use(cors({
 
 // Compression and parsing middleware
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes for HMAC verification of inbound webhooks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Rate limiting for unified platform API
@@ -131,6 +139,12 @@ console.log('🔧 [STARTUP] Registering SLA Digital v2.2 routes...');
 app.use('/v2.2', slaApiLimiter, slaV2Routes);
 console.log('✅ [STARTUP] SLA Digital v2.2 routes registered at /v2.2/*');
 
+// Inbound SLA Digital notifications (HMAC signature - no JWT required)
+app.use('/webhooks', webhookRoutes);
+
+// Hosted checkout redirects (signed session token - no JWT required)
+app.use('/checkout', checkoutRoutes);
+
 // Apply general rate limiting to other API routes
 app.use('/api/', unifiedApiLimiter);
 
@@ -220,6 +234,8 @@ app.get('/api', (req, res) => {
       sla_eligibility: 'POST /v2.2/eligibility',
       sla_sms: 'POST /v2.2/sms',
       sla_refund: 'POST /v2.2/refund',
+      sla_checkout_create: 'POST /v2.2/checkout/create',
+      sla_checkout_status: 'POST /v2.2/checkout/status',
       sla_sandbox_provision: 'POST /v2.2/sandbox/provision'
     },
     
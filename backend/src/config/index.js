@@ -127,6 +127,161 @@ const config = {
     retryInterval: process.env.WEBHOOK_RETRY_INTERVAL || '4h',
   },
 
+  // Inbound SLA Digital notification verification
+  inboundWebhooks: {
+    timestampToleranceSeconds: parseInt(process.env.SLA_WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS) || 300,
+    replayTtlSeconds: parseInt(process.env.SLA_WEBHOOK_REPLAY_TTL_SECONDS) || 86400,
+    rotationWindowSeconds: parseInt(process.env.SLA_WEBHOOK_ROTATION_WINDOW_SECONDS) || 86400,
+    allowUnsigned: process.env.SLA_WEBHOOK_ALLOW_UNSIGNED === 'true',
+  },
+
+  // Outbound SMS (/v2.2/sms); per-operator limits go in Operator.config.sms
+  sms: {
+    maxSegments: parseInt(process.env.SMS_MAX_SEGMENTS) || 3,
+  },
+
+  // Operator detection from the numbering plan (ranges are reloaded after this many seconds)
+  numberingPlan: {
+    cacheTtlSeconds: parseInt(process.env.NUMBERING_PLAN_CACHE_TTL_SECONDS) || 300,
+  },
+
+  // PIN/OTP sessions (per-operator overrides go in Operator.config.pin)
+  pin: {
+    length: parseInt(process.env.PIN_LENGTH) || 5,
+    expirySeconds: parseInt(process.env.PIN_EXPIRY_SECONDS) || 120,
+    languages: process.env.PIN_LANGUAGES ? process.env.PIN_LANGUAGES.split(',').map(language => language.trim()).filter(Boolean) : ['en'],
+    maxAttempts: parseInt(process.env.PIN_MAX_ATTEMPTS) || 3,
+    resendCooldownSeconds: parseInt(process.env.PIN_RESEND_COOLDOWN_SECONDS) || 60,
+    maxResends: parseInt(process.env.PIN_MAX_RESENDS) || 3,
+    lockoutSeconds: parseInt(process.env.PIN_LOCKOUT_SECONDS) || 900,
+    signalIntervalSeconds: parseInt(process.env.PIN_SIGNAL_INTERVAL_SECONDS) || 60,
+  },
+
+  // Fraud screening of PIN requests and subscription creation (per-merchant overrides are FraudRule rows)
+  fraud: {
+    enabled: process.env.FRAUD_SCREENING_ENABLED !== 'false',
+    challengeThreshold: parseInt(process.env.FRAUD_CHALLENGE_THRESHOLD) || 40,
+    blockThreshold: parseInt(process.env.FRAUD_BLOCK_THRESHOLD) || 70,
+    windowSeconds: parseInt(process.env.FRAUD_VELOCITY_WINDOW_SECONDS) || 3600,
+    msisdnLimit: parseInt(process.env.FRAUD_MSISDN_LIMIT) || 5,
+    ipLimit: parseInt(process.env.FRAUD_IP_LIMIT) || 20,
+    conversionWindowSeconds: parseInt(process.env.FRAUD_CONVERSION_WINDOW_SECONDS) || 86400,
+    conversionMinSample: parseInt(process.env.FRAUD_CONVERSION_MIN_SAMPLE) || 50,
+    minConversionRate: parseFloat(process.env.FRAUD_MIN_CONVERSION_RATE) || 0.02,
+    maxConversionRate: parseFloat(process.env.FRAUD_MAX_CONVERSION_RATE) || 0.9,
+    ruleCacheTtlSeconds: parseInt(process.env.FRAUD_RULE_CACHE_TTL_SECONDS) || 60,
+    // Fraud tokens answering a challenge are JWTs from the anti-fraud provider
+    tokenSecret: process.env.FRAUD_TOKEN_SECRET || null,
+    tokenPublicKey: process.env.FRAUD_TOKEN_PUBLIC_KEY ? process.env.FRAUD_TOKEN_PUBLIC_KEY.replace(/\\n/g, '\n') : null,
+    tokenIssuers: (process.env.FRAUD_TOKEN_ISSUERS || '').split(',').map(issuer => issuer.trim()).filter(Boolean),
+    tokenMaxAgeSeconds: parseInt(process.env.FRAUD_TOKEN_MAX_AGE_SECONDS) || 300,
+  },
+
+  // Merchant and campaign registry; /v2.2 requests are validated against the campaign they name
+  campaigns: {
+    requireRegistered: process.env.CAMPAIGNS_REQUIRE_REGISTERED === 'true',
+    cacheTtlSeconds: parseInt(process.env.CAMPAIGN_CACHE_TTL_SECONDS) || 60,
+  },
+
+  // Spend limits per subscriber (per-operator limits go in Operator.config.spendLimits)
+  spendLimits: {
+    enabled: process.env.SPEND_LIMITS_ENABLED !== 'false',
+  },
+
+  // Hosted checkout sessions (/v2.2/checkout/*; subscribers are redirected through /checkout/:token)
+  checkout: {
+    publicBaseUrl: process.env.CHECKOUT_PUBLIC_URL || process.env.BASE_URL || `http://localhost:${parseInt(process.env.PORT) || 3001}`,
+    // No fallback: without a secret of its own no checkout token is issued or accepted
+    tokenSecret: process.env.CHECKOUT_TOKEN_SECRET || null,
+    sessionTtlMinutes: parseInt(process.env.CHECKOUT_SESSION_TTL_MINUTES) || 30,
+    defaultCheckoutUrl: process.env.CHECKOUT_DEFAULT_OPERATOR_URL || 'https://checkout.sla-alacrity.com',
+  },
+
+  // SLA v2.2 IP whitelist (per-user ranges and observe-only policies via /api/admin/ip-whitelist)
+  ipWhitelist: {
+    defaultMode: process.env.SLA_IP_WHITELIST_MODE || 'enforce',
+    cacheTtlSeconds: parseInt(process.env.SLA_IP_WHITELIST_CACHE_TTL_SECONDS) || 60,
+  },
+
+  // Inbound MO SMS delivery (per-operator allowlists go in Operator.config.moSms.allowedIps)
+  moSms: {
+    allowedIps: process.env.MO_SMS_ALLOWED_IPS ? process.env.MO_SMS_ALLOWED_IPS.split(',').map(ip => ip.trim()).filter(Boolean) : [],
+    allowAnyIp: process.env.MO_SMS_ALLOW_ANY_IP === 'true',
+  },
+
+  // Outbound merchant notifications (durable webhook queue)
+  merchantNotifications: {
+    enabled: process.env.MERCHANT_NOTIFICATIONS_ENABLED !== 'false',
+    pollInterval: parseInt(process.env.MERCHANT_NOTIFICATIONS_POLL_SECONDS) || 15,
+    batchSize: parseInt(process.env.MERCHANT_NOTIFICATIONS_BATCH_SIZE) || 50,
+    leaseSeconds: parseInt(process.env.MERCHANT_NOTIFICATIONS_LEASE_SECONDS) || 120,
+    maxRetries: parseInt(process.env.MERCHANT_NOTIFICATIONS_MAX_RETRIES) || 8,
+    backoffBaseSeconds: parseInt(process.env.MERCHANT_NOTIFICATIONS_BACKOFF_BASE_SECONDS) || 30,
+    backoffMaxSeconds: parseInt(process.env.MERCHANT_NOTIFICATIONS_BACKOFF_MAX_SECONDS) || 21600,
+  },
+
+  // Idempotency for /v2.2/charge and /v2.2/refund
+  idempotency: {
+    windowSeconds: parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS) || 86400,
+    inFlightTtlSeconds: parseInt(process.env.IDEMPOTENCY_IN_FLIGHT_TTL_SECONDS) || 120,
+  },
+
+  // Per-operator circuit breaker (UnifiedAdapter)
+  circuitBreaker: {
+    enabled: process.env.CIRCUIT_BREAKER_ENABLED !== 'false',
+    windowSeconds: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_SECONDS) || 60,
+    minimumCalls: parseInt(process.env.CIRCUIT_BREAKER_MINIMUM_CALLS) || 10,
+    failureRateThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_RATE) || 50,
+    slowCallThresholdMs: parseInt(process.env.CIRCUIT_BREAKER_SLOW_CALL_MS) || 10000,
+    slowCallRateThreshold: parseInt(process.env.CIRCUIT_BREAKER_SLOW_CALL_RATE) || 80,
+    openSeconds: parseInt(process.env.CIRCUIT_BREAKER_OPEN_SECONDS) || 30,
+    halfOpenMaxCalls: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_CALLS) || 3,
+    syncIntervalMs: parseInt(process.env.CIRCUIT_BREAKER_SYNC_INTERVAL_MS) || 2000,
+  },
+
+  // Operator hot reload
+  operatorReload: {
+    channel: process.env.OPERATOR_RELOAD_CHANNEL || 'operators:reload',
+    drainTimeoutMs: parseInt(process.env.OPERATOR_RELOAD_DRAIN_TIMEOUT_MS) || 30000,
+    subscribeRetryMs: parseInt(process.env.OPERATOR_RELOAD_SUBSCRIBE_RETRY_MS) || 30000,
+  },
+
+  // Recurring billing (renewal scheduler)
+  billing: {
+    renewalEnabled: process.env.RENEWAL_SCHEDULER_ENABLED !== 'false',
+    renewalInterval: parseInt(process.env.RENEWAL_INTERVAL_SECONDS) || 300,
+    renewalBatchSize: parseInt(process.env.RENEWAL_BATCH_SIZE) || 100,
+    renewalLeaseSeconds: parseInt(process.env.RENEWAL_LEASE_SECONDS) || 900,
+    retryLadderHours: process.env.RENEWAL_RETRY_LADDER_HOURS
+      ? process.env.RENEWAL_RETRY_LADDER_HOURS.split(',').map(h => parseFloat(h.trim()))
+      : [4, 24, 72],
+    suspendedRetryHours: parseFloat(process.env.RENEWAL_SUSPENDED_RETRY_HOURS) || 24,
+    expireAfterDays: parseInt(process.env.RENEWAL_EXPIRE_AFTER_DAYS) || 30,
+    maxRetries: parseInt(process.env.RENEWAL_MAX_RETRIES) || 10,
+    endStatus: process.env.RENEWAL_END_STATUS === 'cancelled' ? 'cancelled' : 'expired',
+    partialCharges: {
+      enabled: process.env.RENEWAL_PARTIAL_CHARGES_ENABLED === 'true',
+      fractions: process.env.RENEWAL_PARTIAL_CHARGE_FRACTIONS
+        ? process.env.RENEWAL_PARTIAL_CHARGE_FRACTIONS.split(',').map(f => parseFloat(f.trim()))
+        : [0.5, 0.25],
+      minAmount: parseFloat(process.env.RENEWAL_PARTIAL_CHARGE_MIN_AMOUNT) || 0,
+      retryHours: parseFloat(process.env.RENEWAL_PARTIAL_CHARGE_RETRY_HOURS) || 24,
+    },
+  },
+
+  // Local SLA sandbox simulator (operators whose environment is 'simulator')
+  sandboxSimulator: {
+    pin: process.env.SANDBOX_SIMULATOR_PIN || '000000',
+    provisionHours: parseFloat(process.env.SANDBOX_SIMULATOR_PROVISION_HOURS) || 4,
+    autoProvision: process.env.SANDBOX_SIMULATOR_AUTO_PROVISION === 'true',
+    defaultBalance: parseFloat(process.env.SANDBOX_SIMULATOR_DEFAULT_BALANCE) || 100,
+    defaultAmount: parseFloat(process.env.SANDBOX_SIMULATOR_DEFAULT_AMOUNT) || 1,
+    defaultCurrency: process.env.SANDBOX_SIMULATOR_DEFAULT_CURRENCY || 'USD',
+    webhooksEnabled: process.env.SANDBOX_SIMULATOR_WEBHOOKS_ENABLED !== 'false',
+    webhookDelayMs: parseInt(process.env.SANDBOX_SIMULATOR_WEBHOOK_DELAY_MS) || 1000,
+    timeoutMs: parseInt(process.env.SANDBOX_SIMULATOR_TIMEOUT_MS) || 5000,
+  },
+
   // Azure configuration (for production)
   azure: {
     clientId: process.env.AZURE_CLIENT_ID,
@@ -157,6 +312,7 @@ if (config.app.environment === 'production') {
   const requiredEnvVars = [
     'DATABASE_URL',
     'JWT_SECRET',
+    'CHECKOUT_TOKEN_SECRET',
     'ENCRYPTION_KEY',
     'SLA_API_USERNAME',
     'SLA_API_PASSWORD',
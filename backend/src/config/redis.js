@@ -13,6 +13,7 @@ const config = require('./index');
 class RedisManager {
   constructor() {
     this.client = null;
+    this.subscriber = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
@@ -161,6 +162,28 @@ class RedisManager {
     }
   }
 
+  /**
+   * Set value only if the key does not exist yet (atomic claim/lock)
+   * Returns true when this caller created the key
+   */
+  async setNX(key, value, ttlSeconds) {
+    if (!this.isAvailable()) {
+      Logger.debug('Redis not available, setNX operation skipped', { key });
+      return false;
+    }
+
+    try {
+      const result = await this.client.set(key, value, { NX: true, EX: ttlSeconds });
+      return result === 'OK';
+    } catch (error) {
+      Logger.error('Redis SETNX error', {
+        key,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
   /**
    * Delete key from Redis
    */
@@ -324,6 +347,80 @@ class RedisManager {
     }
   }
 
+  /**
+   * Publish a message on a channel
+   */
+  async publish(channel, message) {
+    if (!this.isAvailable()) {
+      Logger.debug('Redis not available, publish skipped', { channel });
+      return false;
+    }
+
+    try {
+      await this.client.publish(channel, message);
+      return true;
+    } catch (error) {
+      Logger.error('Redis PUBLISH error', {
+        channel,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Subscribe to a channel
+   * A subscribed connection can't run other commands, so a dedicated duplicate client is used
+   */
+  async subscribe(channel, handler) {
+    if (!this.isAvailable()) {
+      Logger.debug('Redis not available, subscribe skipped', { channel });
+      return false;
+    }
+
+    try {
+      if (!this.subscriber) {
+        this.subscriber = this.client.duplicate();
+        this.subscriber.on('error', (error) => {
+          Logger.error('Redis subscriber connection error', {
+            error: error.message
+          });
+        });
+        await this.subscriber.connect();
+      }
+
+      await this.subscriber.subscribe(channel, handler);
+      Logger.info('Redis channel subscribed', { channel });
+      return true;
+    } catch (error) {
+      Logger.error('Redis SUBSCRIBE error', {
+        channel,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Unsubscribe from a channel
+   */
+  async unsubscribe(channel) {
+    if (!this.subscriber) {
+      return false;
+    }
+
+    try {
+      await this.subscriber.unsubscribe(channel);
+      return true;
+    } catch (error) {
+      Logger.error('Redis UNSUBSCRIBE error', {
+        channel,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
   /**
    * Get Redis client info for health checks
    */
@@ -398,6 +495,15 @@ class RedisManager {
    * Close Redis connection
    */
   async disconnect() {
+    if (this.subscriber) {
+      try {
+        await this.subscriber.quit();
+      } catch (error) {
+        await this.subscriber.disconnect();
+      }
+      this.subscriber = null;
+    }
+
     if (this.client) {
       try {
         await this.client.quit();
@@ -0,0 +1,254 @@
+/**
+ * Campaign Controller
+ *
+ * Handles merchant campaigns: operator, price point, frequency, trial and consent flow (admin only)
+ */
+
+const MerchantService = require('../services/core/MerchantService');
+const SubscriptionRulesService = require('../services/business/SubscriptionRulesService');
+const { getModels } = require('../models');
+const { UnifiedError, ValidationError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errorHandler');
+const Logger = require('../utils/logger');
+
+const CAMPAIGN_FIELDS = [
+  'code', 'merchantId', 'name', 'operatorCode', 'price', 'currency',
+  'frequency', 'trialDays', 'consentFlow', 'isActive', 'metadata'
+];
+
+class CampaignController {
+  /**
+   * List campaigns (filter by merchantId, operatorCode, consentFlow; ?includeInactive=true)
+   */
+  getCampaigns = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, merchantId, operatorCode, consentFlow, includeInactive } = req.query;
+    const { Campaign, Merchant } = getModels();
+
+    const where = {};
+    if (merchantId) where.merchantId = merchantId;
+    if (operatorCode) where.operatorCode = operatorCode;
+    if (consentFlow) where.consentFlow = consentFlow;
+    if (includeInactive !== 'true') where.isActive = true;
+
+    const { count, rows } = await Campaign.findAndCountAll({
+      where,
+      include: [{ model: Merchant, as: 'merchant', attributes: ['id', 'code', 'name', 'status'] }],
+      order: [['code', 'ASC']],
+      limit: Math.min(parseInt(limit), 200),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / parseInt(limit))
+      }
+    });
+  });
+
+  /**
+   * Get campaign with its merchant
+   */
+  getCampaign = asyncHandler(async (req, res) => {
+    const { Campaign, Merchant } = getModels();
+    const campaign = await Campaign.findByPk(req.params.id, {
+      include: [{ model: Merchant, as: 'merchant' }]
+    });
+
+    if (!campaign) {
+      return this.notFound(res, 'Campaign', req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: campaign
+    });
+  });
+
+  /**
+   * Create campaign for a merchant
+   */
+  createCampaign = asyncHandler(async (req, res) => {
+    const { Campaign, Merchant } = getModels();
+    const values = this.pick(req.body, CAMPAIGN_FIELDS);
+
+    const merchant = values.merchantId ? await Merchant.findByPk(values.merchantId) : null;
+    if (!merchant) {
+      throw new ValidationError('merchantId must be an existing merchant', 'merchantId', values.merchantId);
+    }
+
+    if (await Campaign.findOne({ where: { code: values.code || '' }, paranoid: false })) {
+      throw new UnifiedError('DUPLICATE_ENTRY', `A campaign with code ${values.code} already exists`);
+    }
+
+    const campaign = await Campaign.create({
+      ...(await MerchantService.validateCampaign(values, merchant)),
+      createdBy: req.user.id
+    });
+    MerchantService.invalidate();
+
+    Logger.info('Campaign created', {
+      campaignId: campaign.id,
+      campaign: campaign.code,
+      merchant: merchant.code,
+      operatorCode: campaign.operatorCode,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: campaign,
+      message: 'Campaign created successfully'
+    });
+  });
+
+  /**
+   * Update campaign (code and merchant are fixed once created)
+   */
+  updateCampaign = asyncHandler(async (req, res) => {
+    const { Campaign, Merchant } = getModels();
+    const campaign = await Campaign.findByPk(req.params.id, {
+      include: [{ model: Merchant, as: 'merchant' }]
+    });
+
+    if (!campaign) {
+      return this.notFound(res, 'Campaign', req.params.id);
+    }
+
+    const updates = this.pick(req.body, CAMPAIGN_FIELDS);
+    delete updates.code;
+    delete updates.merchantId;
+
+    await campaign.update(await MerchantService.validateCampaign(updates, campaign.merchant));
+    MerchantService.invalidate();
+
+    Logger.info('Campaign updated', {
+      campaignId: campaign.id,
+      campaign: campaign.code,
+      fields: Object.keys(updates),
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: campaign,
+      message: 'Campaign updated successfully'
+    });
+  });
+
+  /**
+   * Remove campaign (kept for past subscriptions; requests naming it are refused)
+   */
+  deleteCampaign = asyncHandler(async (req, res) => {
+    const { Campaign } = getModels();
+    const campaign = await Campaign.findByPk(req.params.id);
+
+    if (!campaign) {
+      return this.notFound(res, 'Campaign', req.params.id);
+    }
+
+    await campaign.destroy();
+    MerchantService.invalidate();
+
+    Logger.info('Campaign removed', {
+      campaignId: campaign.id,
+      campaign: campaign.code,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Campaign removed successfully'
+    });
+  });
+
+  /**
+   * Subscription rules of a campaign: the operator's, the campaign's overrides and the result
+   */
+  getSubscriptionRules = asyncHandler(async (req, res) => {
+    const { Campaign } = getModels();
+    const campaign = await Campaign.findByPk(req.params.id);
+
+    if (!campaign) {
+      return this.notFound(res, 'Campaign', req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: await this.describeSubscriptionRules(campaign)
+    });
+  });
+
+  /**
+   * Replace the campaign's subscription rule overrides ({} restores the operator's rules)
+   */
+  setSubscriptionRules = asyncHandler(async (req, res) => {
+    const { Campaign } = getModels();
+    const campaign = await Campaign.findByPk(req.params.id);
+
+    if (!campaign) {
+      return this.notFound(res, 'Campaign', req.params.id);
+    }
+
+    const previous = campaign.subscriptionRules;
+    await campaign.update({ subscriptionRules: SubscriptionRulesService.validateOverrides(req.body) });
+    MerchantService.invalidate();
+
+    Logger.info('Campaign subscription rules updated', {
+      campaignId: campaign.id,
+      campaign: campaign.code,
+      previous,
+      overrides: campaign.subscriptionRules,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: await this.describeSubscriptionRules(campaign),
+      message: 'Campaign subscription rules updated successfully'
+    });
+  });
+
+  /**
+   * Operator rules, overrides and effective rules of a campaign
+   */
+  async describeSubscriptionRules(campaign) {
+    return {
+      campaign: campaign.code,
+      operatorCode: campaign.operatorCode,
+      operatorRules: await SubscriptionRulesService.getRules(campaign.operatorCode),
+      overrides: campaign.subscriptionRules || {},
+      effective: await SubscriptionRulesService.getRules(campaign.operatorCode, campaign)
+    };
+  }
+
+  /**
+   * Defined fields of a source object
+   */
+  pick(source, fields) {
+    return fields.reduce((picked, field) => {
+      if (source[field] !== undefined) {
+        picked[field] = source[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Standard 404 for unknown resources
+   */
+  notFound(res, resource, id) {
+    return res.status(404).json({
+      error: {
+        code: 'RESOURCE_NOT_FOUND',
+        message: `${resource} ${id} not found`
+      }
+    });
+  }
+}
+
+module.exports = new CampaignController();
@@ -6,6 +6,8 @@
 
 const { getInstance: getOperatorManager } = require('../services/core/OperatorManager');
 const { Operator, AuditLog } = require('../models');
+const DunningService = require('../services/business/DunningService');
+const UKAggregatorService = require('../services/core/UKAggregatorService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const Logger = require('../utils/logger');
 
@@ -226,6 +228,59 @@ class DashboardController {
     }
   });
   
+  /**
+   * Get dunning outcomes (retries, recovered payments, subscriptions ended unpaid)
+   */
+  getDunningReport = asyncHandler(async (req, res) => {
+    const { days = 30, operatorCode } = req.query;
+    
+    let operatorId = null;
+    if (operatorCode) {
+      const { getModels } = require('../models');
+      const operator = await getModels().Operator.findOne({ where: { code: operatorCode } });
+      if (!operator) {
+        return res.status(404).json({
+          error: {
+            code: 'OPERATOR_NOT_FOUND',
+            message: `Operator ${operatorCode} not found`
+          }
+        });
+      }
+      operatorId = operator.id;
+    }
+    
+    const report = await DunningService.getReport({
+      days: Math.min(parseInt(days) || 30, 365),
+      operatorId
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        operatorCode: operatorCode || null,
+        ...report
+      }
+    });
+  });
+  
+  /**
+   * Get UK aggregator conversion per network (sessions, redirects, consents)
+   */
+  getUKConversionReport = asyncHandler(async (req, res) => {
+    const { days = 30, campaign, merchant } = req.query;
+    
+    const report = await UKAggregatorService.getConversionReport({
+      days: Math.min(parseInt(days) || 30, 365),
+      campaign: campaign || null,
+      merchant: merchant || null
+    });
+    
+    res.json({
+      success: true,
+      data: report
+    });
+  });
+  
   /**
    * Format activity description for display
    */
@@ -0,0 +1,318 @@
+/**
+ * Fraud Controller
+ *
+ * Handles per-merchant fraud rules and the challenge / block decision log (admin only)
+ */
+
+const { Op } = require('sequelize');
+const FraudEngineService = require('../services/core/FraudEngineService');
+const { getModels } = require('../models');
+const { UnifiedError, ValidationError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errorHandler');
+const Logger = require('../utils/logger');
+const config = require('../config');
+
+const RULE_FIELDS = ['merchant', 'challengeThreshold', 'blockThreshold', 'weights', 'limits', 'isActive', 'notes'];
+
+class FraudController {
+  /**
+   * Registered signals with default weights, and the default thresholds and limits
+   */
+  getSignals = asyncHandler(async (req, res) => {
+    const { challengeThreshold, blockThreshold, windowSeconds, conversionWindowSeconds } = config.fraud;
+
+    res.json({
+      success: true,
+      data: {
+        enabled: config.fraud.enabled,
+        signals: FraudEngineService.listSignals(),
+        defaults: {
+          challengeThreshold,
+          blockThreshold,
+          windowSeconds,
+          conversionWindowSeconds,
+          limits: FraudEngineService.LIMIT_KEYS.reduce((limits, key) => {
+            limits[key] = config.fraud[key];
+            return limits;
+          }, {})
+        }
+      }
+    });
+  });
+
+  /**
+   * List merchant rules (?merchant=; ?includeInactive=true)
+   */
+  getRules = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, merchant, includeInactive } = req.query;
+    const { FraudRule } = getModels();
+
+    const where = {};
+    if (merchant) where.merchant = merchant;
+    if (includeInactive !== 'true') where.isActive = true;
+
+    const { count, rows } = await FraudRule.findAndCountAll({
+      where,
+      order: [['merchant', 'ASC']],
+      limit: Math.min(parseInt(limit), 200),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / parseInt(limit))
+      }
+    });
+  });
+
+  /**
+   * Get merchant rule with the policy it results in
+   */
+  getRule = asyncHandler(async (req, res) => {
+    const { FraudRule } = getModels();
+    const rule = await FraudRule.findByPk(req.params.id);
+
+    if (!rule) {
+      return this.notFound(res, 'Fraud rule', req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...rule.toJSON(),
+        policy: rule.isActive ? await FraudEngineService.getPolicy(rule.merchant) : null
+      }
+    });
+  });
+
+  /**
+   * Create merchant rule (one per merchant)
+   */
+  createRule = asyncHandler(async (req, res) => {
+    const { FraudRule } = getModels();
+    const values = FraudEngineService.validateRule(this.pick(req.body, RULE_FIELDS));
+
+    if (await FraudRule.findOne({ where: { merchant: values.merchant || '' } })) {
+      throw new UnifiedError('DUPLICATE_ENTRY', `A fraud rule for merchant ${values.merchant} already exists`);
+    }
+
+    const rule = await FraudRule.create({
+      ...values,
+      createdBy: req.user.id
+    });
+    FraudEngineService.invalidate();
+
+    Logger.info('Fraud rule created', {
+      ruleId: rule.id,
+      merchant: rule.merchant,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Fraud rule created successfully'
+    });
+  });
+
+  /**
+   * Update merchant rule (weights and limits are replaced as a whole)
+   */
+  updateRule = asyncHandler(async (req, res) => {
+    const { FraudRule } = getModels();
+    const rule = await FraudRule.findByPk(req.params.id);
+
+    if (!rule) {
+      return this.notFound(res, 'Fraud rule', req.params.id);
+    }
+
+    const updates = this.pick(req.body, RULE_FIELDS);
+    delete updates.merchant;
+
+    const values = FraudEngineService.validateRule({
+      ...this.pick(rule, RULE_FIELDS),
+      ...updates
+    });
+
+    await rule.update(this.pick(values, Object.keys(updates)));
+    FraudEngineService.invalidate();
+
+    Logger.info('Fraud rule updated', {
+      ruleId: rule.id,
+      merchant: rule.merchant,
+      fields: Object.keys(updates),
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Fraud rule updated successfully'
+    });
+  });
+
+  /**
+   * Remove merchant rule (the merchant falls back to the defaults)
+   */
+  deleteRule = asyncHandler(async (req, res) => {
+    const { FraudRule } = getModels();
+    const rule = await FraudRule.findByPk(req.params.id);
+
+    if (!rule) {
+      return this.notFound(res, 'Fraud rule', req.params.id);
+    }
+
+    await rule.destroy();
+    FraudEngineService.invalidate();
+
+    Logger.info('Fraud rule removed', {
+      ruleId: rule.id,
+      merchant: rule.merchant,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Fraud rule removed successfully'
+    });
+  });
+
+  /**
+   * List challenged and blocked requests
+   * (filter by merchant, campaign, msisdn, decision, reviewStatus, refused, startDate, endDate)
+   */
+  getDecisions = asyncHandler(async (req, res) => {
+    const {
+      page = 1,
+      limit = 50,
+      merchant,
+      campaign,
+      msisdn,
+      decision,
+      reviewStatus,
+      refused,
+      startDate,
+      endDate
+    } = req.query;
+    const { FraudDecision } = getModels();
+
+    const where = {};
+    if (merchant) where.merchant = merchant;
+    if (campaign) where.campaign = campaign;
+    if (msisdn) where.msisdn = msisdn;
+    if (decision) where.decision = decision;
+    if (reviewStatus) where.reviewStatus = reviewStatus;
+    if (refused !== undefined) where.refused = refused === 'true';
+
+    if (startDate || endDate) {
+      where.created_at = {};
+      if (startDate) where.created_at[Op.gte] = new Date(startDate);
+      if (endDate) where.created_at[Op.lte] = new Date(endDate);
+    }
+
+    const { count, rows } = await FraudDecision.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit: Math.min(parseInt(limit), 200),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / parseInt(limit))
+      }
+    });
+  });
+
+  /**
+   * Get decision with its reasons
+   */
+  getDecision = asyncHandler(async (req, res) => {
+    const { FraudDecision } = getModels();
+    const decision = await FraudDecision.findByPk(req.params.id);
+
+    if (!decision) {
+      return this.notFound(res, 'Fraud decision', req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: decision
+    });
+  });
+
+  /**
+   * Record the outcome of a dispute or review
+   */
+  reviewDecision = asyncHandler(async (req, res) => {
+    const { FraudDecision } = getModels();
+    const { reviewStatus, reviewNotes } = req.body;
+
+    if (!FraudDecision.REVIEW_STATUSES.includes(reviewStatus)) {
+      throw new ValidationError(`reviewStatus must be one of ${FraudDecision.REVIEW_STATUSES.join(', ')}`,
+        'reviewStatus', reviewStatus);
+    }
+
+    const decision = await FraudDecision.findByPk(req.params.id);
+
+    if (!decision) {
+      return this.notFound(res, 'Fraud decision', req.params.id);
+    }
+
+    await decision.update({
+      reviewStatus,
+      reviewNotes: reviewNotes !== undefined ? reviewNotes : decision.reviewNotes,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date()
+    });
+
+    Logger.info('Fraud decision reviewed', {
+      decisionId: decision.id,
+      reviewStatus,
+      merchant: decision.merchant,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: decision,
+      message: 'Fraud decision reviewed successfully'
+    });
+  });
+
+  /**
+   * Defined fields of a source object
+   */
+  pick(source, fields) {
+    return fields.reduce((picked, field) => {
+      if (source[field] !== undefined) {
+        picked[field] = source[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Standard 404 for unknown resources
+   */
+  notFound(res, resource, id) {
+    return res.status(404).json({
+      error: {
+        code: 'RESOURCE_NOT_FOUND',
+        message: `${resource} ${id} not found`
+      }
+    });
+  }
+}
+
+module.exports = new FraudController();
@@ -0,0 +1,131 @@
+/**
+ * IP Whitelist Controller
+ *
+ * Handles the addresses SLA v2.2 API users may call from and their whitelist mode (admin only)
+ */
+
+const IPWhitelistService = require('../services/core/IPWhitelistService');
+const MerchantService = require('../services/core/MerchantService');
+const { ValidationError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class IPWhitelistController {
+  /**
+   * List managed ranges (filter by username; ?includeExpired=true)
+   */
+  getRanges = asyncHandler(async (req, res) => {
+    const { username, includeExpired } = req.query;
+
+    const ranges = await IPWhitelistService.listRanges({
+      username,
+      includeExpired: includeExpired === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: ranges,
+      total: ranges.length
+    });
+  });
+
+  /**
+   * Add a range for a user (re-adding an existing range renews it)
+   */
+  addRange = asyncHandler(async (req, res) => {
+    const { username, cidr, note, expiresAt, expiresInHours } = req.body;
+
+    const { entry, created } = await IPWhitelistService.addRange(
+      username,
+      { cidr, note, expiresAt, expiresInHours },
+      this.actor(req)
+    );
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: entry,
+      message: created ? 'IP whitelist range added successfully' : 'IP whitelist range renewed successfully'
+    });
+  });
+
+  /**
+   * Remove a range immediately
+   */
+  removeRange = asyncHandler(async (req, res) => {
+    const entry = await IPWhitelistService.removeRange(req.params.id, this.actor(req));
+
+    res.json({
+      success: true,
+      data: entry,
+      message: 'IP whitelist range removed successfully'
+    });
+  });
+
+  /**
+   * List per-user whitelist policies
+   */
+  getPolicies = asyncHandler(async (req, res) => {
+    const policies = await IPWhitelistService.listPolicies();
+
+    res.json({
+      success: true,
+      data: policies,
+      total: policies.length
+    });
+  });
+
+  /**
+   * Set a user's whitelist mode (enforce or observe, optionally until a date)
+   */
+  setPolicy = asyncHandler(async (req, res) => {
+    const { mode, note, expiresAt, expiresInHours } = req.body;
+
+    const policy = await IPWhitelistService.setPolicy(
+      req.params.username,
+      { mode, note, expiresAt, expiresInHours },
+      this.actor(req)
+    );
+
+    res.json({
+      success: true,
+      data: policy,
+      message: `IP whitelist set to ${policy.mode} for ${policy.username}`
+    });
+  });
+
+  /**
+   * Dry-run the whitelist check for a user and address
+   */
+  checkAddress = asyncHandler(async (req, res) => {
+    const { username, ip } = req.query;
+
+    if (!username || !ip) {
+      throw new ValidationError('username and ip are required', !username ? 'username' : 'ip', !username ? username : ip);
+    }
+
+    const merchant = (await MerchantService.getCatalog()).credentials.get(username) || null;
+    const result = await IPWhitelistService.check(username, ip, merchant);
+
+    res.json({
+      success: true,
+      data: {
+        username,
+        ip,
+        merchant: merchant ? merchant.code : null,
+        ...result
+      }
+    });
+  });
+
+  /**
+   * Who made a change, for AuditLog
+   */
+  actor(req) {
+    return {
+      userId: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+  }
+}
+
+module.exports = new IPWhitelistController();
@@ -0,0 +1,239 @@
+/**
+ * Merchant Controller
+ *
+ * Handles merchants and their SLA v2.2 API credentials (admin only)
+ */
+
+const { Op } = require('sequelize');
+const MerchantService = require('../services/core/MerchantService');
+const { getModels } = require('../models');
+const { UnifiedError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errorHandler');
+const Logger = require('../utils/logger');
+
+const MERCHANT_FIELDS = ['code', 'name', 'status', 'environment', 'allowedOperators', 'ipWhitelist', 'callbackUrl', 'metadata'];
+
+class MerchantController {
+  /**
+   * List merchants (filter by status, environment; ?search= matches code and name)
+   */
+  getMerchants = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, status, environment, search } = req.query;
+    const { Merchant } = getModels();
+
+    const where = {};
+    if (status) where.status = status;
+    if (environment) where.environment = environment;
+    if (search) {
+      where[Op.or] = [
+        { code: { [Op.iLike]: `%${search}%` } },
+        { name: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows } = await Merchant.findAndCountAll({
+      where,
+      order: [['code', 'ASC']],
+      limit: Math.min(parseInt(limit), 200),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / parseInt(limit))
+      }
+    });
+  });
+
+  /**
+   * Get merchant with its campaigns
+   */
+  getMerchant = asyncHandler(async (req, res) => {
+    const { Merchant, Campaign } = getModels();
+    const merchant = await Merchant.findByPk(req.params.id, {
+      include: [{ model: Campaign, as: 'campaigns' }]
+    });
+
+    if (!merchant) {
+      return this.notFound(res, 'Merchant', req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: merchant
+    });
+  });
+
+  /**
+   * Create merchant (credentials are issued separately)
+   */
+  createMerchant = asyncHandler(async (req, res) => {
+    const { Merchant } = getModels();
+    const values = MerchantService.validateMerchant(this.pick(req.body, MERCHANT_FIELDS));
+
+    if (await Merchant.findOne({ where: { code: values.code || '' }, paranoid: false })) {
+      throw new UnifiedError('DUPLICATE_ENTRY', `A merchant with code ${values.code} already exists`);
+    }
+
+    const merchant = await Merchant.create({
+      ...values,
+      createdBy: req.user.id
+    });
+    MerchantService.invalidate();
+
+    Logger.info('Merchant created', {
+      merchantId: merchant.id,
+      merchant: merchant.code,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: merchant,
+      message: 'Merchant created successfully'
+    });
+  });
+
+  /**
+   * Update merchant (the code is fixed once created)
+   */
+  updateMerchant = asyncHandler(async (req, res) => {
+    const { Merchant } = getModels();
+    const merchant = await Merchant.findByPk(req.params.id);
+
+    if (!merchant) {
+      return this.notFound(res, 'Merchant', req.params.id);
+    }
+
+    const updates = MerchantService.validateMerchant(this.pick(req.body, MERCHANT_FIELDS));
+    delete updates.code;
+
+    await merchant.update(updates);
+    MerchantService.invalidate();
+
+    Logger.info('Merchant updated', {
+      merchantId: merchant.id,
+      merchant: merchant.code,
+      fields: Object.keys(updates),
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: merchant,
+      message: 'Merchant updated successfully'
+    });
+  });
+
+  /**
+   * Remove merchant and its campaigns (kept for past subscriptions, no longer usable)
+   */
+  deleteMerchant = asyncHandler(async (req, res) => {
+    const { Merchant, Campaign } = getModels();
+    const merchant = await Merchant.findByPk(req.params.id);
+
+    if (!merchant) {
+      return this.notFound(res, 'Merchant', req.params.id);
+    }
+
+    const campaigns = await Merchant.sequelize.transaction(async (transaction) => {
+      const removed = await Campaign.destroy({ where: { merchantId: merchant.id }, transaction });
+      await merchant.destroy({ transaction });
+      return removed;
+    });
+    MerchantService.invalidate();
+
+    Logger.info('Merchant removed', {
+      merchantId: merchant.id,
+      merchant: merchant.code,
+      campaigns,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Merchant removed successfully'
+    });
+  });
+
+  /**
+   * Issue or rotate the merchant's API credentials (the password is returned once)
+   */
+  issueCredentials = asyncHandler(async (req, res) => {
+    const { Merchant } = getModels();
+    const merchant = await Merchant.findByPk(req.params.id);
+
+    if (!merchant) {
+      return this.notFound(res, 'Merchant', req.params.id);
+    }
+
+    const credentials = await MerchantService.issueCredentials(merchant, req.body.username);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        merchantId: merchant.id,
+        ...credentials
+      },
+      message: 'API credentials issued - store the password, it will not be shown again'
+    });
+  });
+
+  /**
+   * Revoke the merchant's API credentials
+   */
+  revokeCredentials = asyncHandler(async (req, res) => {
+    const { Merchant } = getModels();
+    const merchant = await Merchant.findByPk(req.params.id);
+
+    if (!merchant) {
+      return this.notFound(res, 'Merchant', req.params.id);
+    }
+
+    await merchant.update({ apiUsername: null, apiPasswordHash: null });
+    MerchantService.invalidate();
+
+    Logger.info('Merchant API credentials revoked', {
+      merchantId: merchant.id,
+      merchant: merchant.code,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: merchant,
+      message: 'API credentials revoked successfully'
+    });
+  });
+
+  /**
+   * Defined fields of a source object
+   */
+  pick(source, fields) {
+    return fields.reduce((picked, field) => {
+      if (source[field] !== undefined) {
+        picked[field] = source[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Standard 404 for unknown resources
+   */
+  notFound(res, resource, id) {
+    return res.status(404).json({
+      error: {
+        code: 'RESOURCE_NOT_FOUND',
+        message: `${resource} ${id} not found`
+      }
+    });
+  }
+}
+
+module.exports = new MerchantController();
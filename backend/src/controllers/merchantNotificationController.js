@@ -0,0 +1,313 @@
+/**
+ * Merchant Notification Controller
+ *
+ * Handles merchant endpoint registry and outbound webhook delivery endpoints (admin only)
+ */
+
+const MerchantNotificationService = require('../services/core/MerchantNotificationService');
+const { getModels } = require('../models');
+const { ValidationError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errorHandler');
+const Logger = require('../utils/logger');
+
+class MerchantNotificationController {
+  /**
+   * List merchant endpoints
+   */
+  getAllEndpoints = asyncHandler(async (req, res) => {
+    const { merchant } = req.query;
+    const { MerchantEndpoint } = getModels();
+
+    const endpoints = await MerchantEndpoint.findAll({
+      where: merchant ? { merchant } : {},
+      order: [['merchant', 'ASC'], ['created_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: endpoints,
+      total: endpoints.length
+    });
+  });
+
+  /**
+   * Get merchant endpoint details
+   */
+  getEndpoint = asyncHandler(async (req, res) => {
+    const endpoint = await this.findEndpoint(req.params.id);
+
+    if (!endpoint) {
+      return this.endpointNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: endpoint
+    });
+  });
+
+  /**
+   * Register a merchant endpoint
+   * The signing secret is only returned here and when rotated
+   */
+  createEndpoint = asyncHandler(async (req, res) => {
+    const { merchant, name, url, eventTypes = ['*'], httpHeaders, secret } = req.body;
+
+    if (!merchant || !url) {
+      throw new ValidationError('merchant and url are required');
+    }
+
+    this.validateEventTypes(eventTypes);
+
+    const { MerchantEndpoint } = getModels();
+    const signingSecret = secret || MerchantEndpoint.generateSecret();
+
+    const endpoint = await MerchantEndpoint.create({
+      merchant,
+      name,
+      url,
+      eventTypes,
+      httpHeaders,
+      secret: signingSecret,
+      metadata: { createdBy: req.user.id }
+    });
+
+    Logger.info('Merchant endpoint registered', {
+      endpointId: endpoint.id,
+      merchant,
+      eventTypes,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...endpoint.toJSON(),
+        secret: signingSecret
+      },
+      message: 'Merchant endpoint registered - store the signing secret, it will not be shown again'
+    });
+  });
+
+  /**
+   * Update merchant endpoint
+   */
+  updateEndpoint = asyncHandler(async (req, res) => {
+    const endpoint = await this.findEndpoint(req.params.id);
+
+    if (!endpoint) {
+      return this.endpointNotFound(res, req.params.id);
+    }
+
+    const updates = {};
+    for (const field of ['name', 'url', 'eventTypes', 'httpHeaders', 'isActive']) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    if (updates.eventTypes) {
+      this.validateEventTypes(updates.eventTypes);
+    }
+
+    await endpoint.update(updates);
+
+    Logger.info('Merchant endpoint updated', {
+      endpointId: endpoint.id,
+      fields: Object.keys(updates),
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: endpoint,
+      message: 'Merchant endpoint updated successfully'
+    });
+  });
+
+  /**
+   * Rotate merchant endpoint signing secret
+   */
+  rotateSecret = asyncHandler(async (req, res) => {
+    const endpoint = await this.findEndpoint(req.params.id);
+
+    if (!endpoint) {
+      return this.endpointNotFound(res, req.params.id);
+    }
+
+    const { MerchantEndpoint } = getModels();
+    const signingSecret = MerchantEndpoint.generateSecret();
+    await endpoint.update({ secret: signingSecret });
+
+    Logger.info('Merchant endpoint secret rotated', {
+      endpointId: endpoint.id,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...endpoint.toJSON(),
+        secret: signingSecret
+      },
+      message: 'Signing secret rotated - store the new secret, it will not be shown again'
+    });
+  });
+
+  /**
+   * Remove merchant endpoint (soft delete; queued deliveries are dead-lettered)
+   */
+  deleteEndpoint = asyncHandler(async (req, res) => {
+    const endpoint = await this.findEndpoint(req.params.id);
+
+    if (!endpoint) {
+      return this.endpointNotFound(res, req.params.id);
+    }
+
+    await endpoint.destroy();
+
+    Logger.info('Merchant endpoint removed', {
+      endpointId: endpoint.id,
+      merchant: endpoint.merchant,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Merchant endpoint removed successfully'
+    });
+  });
+
+  /**
+   * List outbound deliveries
+   */
+  getDeliveries = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, status, eventType, merchant, merchantEndpointId } = req.query;
+
+    const deliveries = await MerchantNotificationService.listDeliveries(
+      { status, eventType, merchant, merchantEndpointId },
+      { page: parseInt(page), limit: Math.min(parseInt(limit), 100) }
+    );
+
+    res.json({
+      success: true,
+      data: deliveries.data,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: deliveries.total,
+        pages: Math.ceil(deliveries.total / parseInt(limit))
+      }
+    });
+  });
+
+  /**
+   * Get delivery details
+   */
+  getDelivery = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { MerchantEndpoint, Webhook } = getModels();
+
+    const delivery = await Webhook.findOne({
+      where: { id },
+      include: [{
+        model: MerchantEndpoint,
+        as: 'merchantEndpoint',
+        attributes: ['id', 'merchant', 'name', 'url'],
+        paranoid: false
+      }]
+    });
+
+    if (!delivery || !delivery.merchantEndpointId) {
+      return res.status(404).json({
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: `Merchant notification ${id} not found`
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  });
+
+  /**
+   * Manually redeliver a notification
+   */
+  redeliver = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const delivery = await MerchantNotificationService.redeliver(id, {
+      userId: req.user.id,
+      reason
+    });
+
+    res.json({
+      success: true,
+      data: delivery,
+      message: 'Notification queued for redelivery'
+    });
+  });
+
+  /**
+   * Requeue dead-lettered notifications in bulk
+   */
+  redeliverDeadLetters = asyncHandler(async (req, res) => {
+    const { merchantEndpointId, limit = 100, reason } = req.body;
+
+    const result = await MerchantNotificationService.redeliverDeadLetters({
+      merchantEndpointId,
+      limit: Math.min(parseInt(limit), 500),
+      userId: req.user.id,
+      reason
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.requeued} dead-lettered notifications queued for redelivery`
+    });
+  });
+
+  /**
+   * Find endpoint by ID
+   */
+  async findEndpoint(id) {
+    const { MerchantEndpoint } = getModels();
+    return MerchantEndpoint.findByPk(id);
+  }
+
+  /**
+   * Standard 404 for unknown endpoints
+   */
+  endpointNotFound(res, id) {
+    return res.status(404).json({
+      error: {
+        code: 'RESOURCE_NOT_FOUND',
+        message: `Merchant endpoint ${id} not found`
+      }
+    });
+  }
+
+  /**
+   * Validate event type subscriptions against the Webhook event types
+   */
+  validateEventTypes(eventTypes) {
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+      throw new ValidationError('eventTypes must be a non-empty array', 'eventTypes', eventTypes);
+    }
+
+    const { Webhook } = getModels();
+    const supported = Webhook.getAttributes().eventType.values;
+    const unknown = eventTypes.filter(type => type !== '*' && !supported.includes(type));
+
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unsupported event types: ${unknown.join(', ')}`, 'eventTypes', unknown);
+    }
+  }
+}
+
+module.exports = new MerchantNotificationController();
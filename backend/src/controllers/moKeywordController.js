@@ -0,0 +1,414 @@
+/**
+ * MO Keyword Controller
+ *
+ * Handles MO SMS keyword and short code management (admin only)
+ */
+
+const MOSMSService = require('../services/core/MOSMSService');
+const { getModels } = require('../models');
+const { ValidationError, UnifiedError } = require('../utils/errors');
+const { normalizeKeyword } = require('../utils/keywordMatcher');
+const { asyncHandler } = require('../middleware/errorHandler');
+const Logger = require('../utils/logger');
+
+const KEYWORD_FIELDS = ['shortCode', 'campaign', 'keyword', 'aliases', 'action', 'responses', 'priority', 'isActive'];
+const SHORT_CODE_FIELDS = ['language', 'description', 'isActive', 'metadata'];
+
+class MOKeywordController {
+  /**
+   * List keywords (filter by operatorCode, shortCode, campaign, action)
+   */
+  getAllKeywords = asyncHandler(async (req, res) => {
+    const { operatorCode, shortCode, campaign, action, includeInactive } = req.query;
+    const { MOKeyword } = getModels();
+
+    const where = {};
+    if (operatorCode) where.operatorCode = operatorCode;
+    if (shortCode) where.shortCode = shortCode;
+    if (campaign) where.campaign = campaign;
+    if (action) where.action = action;
+    if (includeInactive !== 'true') where.isActive = true;
+
+    const keywords = await MOKeyword.findAll({
+      where,
+      order: [['operatorCode', 'ASC'], ['priority', 'DESC'], ['keyword', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: keywords,
+      total: keywords.length
+    });
+  });
+
+  /**
+   * Get keyword details
+   */
+  getKeyword = asyncHandler(async (req, res) => {
+    const { MOKeyword } = getModels();
+    const keyword = await MOKeyword.findByPk(req.params.id);
+
+    if (!keyword) {
+      return this.notFound(res, 'MO keyword', req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: keyword
+    });
+  });
+
+  /**
+   * Create a keyword
+   */
+  createKeyword = asyncHandler(async (req, res) => {
+    const { operatorCode } = req.body;
+
+    if (!operatorCode) {
+      throw new ValidationError('operatorCode is required', 'operatorCode');
+    }
+
+    const values = await this.validateKeyword(operatorCode, {
+      shortCode: null,
+      campaign: null,
+      aliases: [],
+      responses: {},
+      priority: 0,
+      isActive: true,
+      ...this.pick(req.body, KEYWORD_FIELDS)
+    });
+
+    const { MOKeyword } = getModels();
+    const keyword = await MOKeyword.create({
+      ...values,
+      operatorCode,
+      createdBy: req.user.id
+    });
+
+    Logger.info('MO keyword created', {
+      keywordId: keyword.id,
+      operatorCode,
+      keyword: keyword.keyword,
+      action: keyword.action,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: keyword,
+      message: 'MO keyword created successfully'
+    });
+  });
+
+  /**
+   * Update a keyword
+   */
+  updateKeyword = asyncHandler(async (req, res) => {
+    const { MOKeyword } = getModels();
+    const keyword = await MOKeyword.findByPk(req.params.id);
+
+    if (!keyword) {
+      return this.notFound(res, 'MO keyword', req.params.id);
+    }
+
+    const updates = this.pick(req.body, KEYWORD_FIELDS);
+    const values = await this.validateKeyword(keyword.operatorCode, {
+      ...this.pick(keyword, KEYWORD_FIELDS),
+      ...updates
+    }, keyword.id);
+
+    await keyword.update(this.pick(values, Object.keys(updates)));
+
+    Logger.info('MO keyword updated', {
+      keywordId: keyword.id,
+      fields: Object.keys(updates),
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: keyword,
+      message: 'MO keyword updated successfully'
+    });
+  });
+
+  /**
+   * Remove a keyword
+   */
+  deleteKeyword = asyncHandler(async (req, res) => {
+    const { MOKeyword } = getModels();
+    const keyword = await MOKeyword.findByPk(req.params.id);
+
+    if (!keyword) {
+      return this.notFound(res, 'MO keyword', req.params.id);
+    }
+
+    await keyword.destroy();
+
+    Logger.info('MO keyword removed', {
+      keywordId: keyword.id,
+      operatorCode: keyword.operatorCode,
+      keyword: keyword.keyword,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'MO keyword removed successfully'
+    });
+  });
+
+  /**
+   * Show how a message would be matched and answered, without acting on it
+   */
+  matchKeyword = asyncHandler(async (req, res) => {
+    const { operatorCode, shortCode, message } = req.body;
+
+    if (!operatorCode || !shortCode || !message) {
+      throw new ValidationError('operatorCode, shortCode and message are required');
+    }
+
+    const shortCodeConfig = await MOSMSService.resolveShortCode(operatorCode, shortCode);
+    if (!shortCodeConfig) {
+      throw new UnifiedError('INVALID_SHORT_CODE', `Invalid short code ${shortCode} for operator ${operatorCode}`);
+    }
+
+    const definitions = await MOSMSService.getKeywordDefinitions(operatorCode, shortCode);
+    const { responses, ...match } = MOSMSService.parseMessage(message, definitions, shortCodeConfig.language);
+
+    res.json({
+      success: true,
+      data: {
+        ...match,
+        shortCode: shortCodeConfig,
+        // Handler default replies are only known once the action runs
+        response: MOSMSService.renderResponse({ ...match, responses }, shortCode, null)
+      }
+    });
+  });
+
+  /**
+   * List short codes (managed ones, plus the built-in ones with ?includeBuiltIn=true)
+   */
+  getAllShortCodes = asyncHandler(async (req, res) => {
+    const { operatorCode, includeBuiltIn } = req.query;
+    const { MOShortCode } = getModels();
+
+    const shortCodes = await MOShortCode.findAll({
+      where: operatorCode ? { operatorCode } : {},
+      order: [['operatorCode', 'ASC'], ['shortCode', 'ASC']]
+    });
+
+    const data = shortCodes.map(shortCode => ({ ...shortCode.toJSON(), source: 'managed' }));
+
+    if (includeBuiltIn === 'true') {
+      for (const [code, operatorConfig] of Object.entries(MOSMSService.operatorConfigs)) {
+        if (operatorCode && code !== operatorCode) continue;
+
+        for (const shortCode of operatorConfig.shortCodes) {
+          if (!data.some(entry => entry.operatorCode === code && entry.shortCode === shortCode)) {
+            data.push({ operatorCode: code, shortCode, language: operatorConfig.language, isActive: true, source: 'built_in' });
+          }
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      data,
+      total: data.length
+    });
+  });
+
+  /**
+   * Register a short code for an operator
+   */
+  createShortCode = asyncHandler(async (req, res) => {
+    const { operatorCode, shortCode } = req.body;
+
+    if (!operatorCode || !shortCode) {
+      throw new ValidationError('operatorCode and shortCode are required');
+    }
+
+    const values = this.validateShortCode({
+      language: 'en',
+      isActive: true,
+      ...this.pick(req.body, SHORT_CODE_FIELDS)
+    });
+
+    const { MOShortCode } = getModels();
+    const existing = await MOShortCode.findOne({ where: { operatorCode, shortCode: String(shortCode) } });
+    if (existing) {
+      throw new UnifiedError('DUPLICATE_ENTRY', `Short code ${shortCode} already registered for operator ${operatorCode}`);
+    }
+
+    const created = await MOShortCode.create({
+      ...values,
+      operatorCode,
+      shortCode: String(shortCode)
+    });
+
+    Logger.info('MO short code registered', {
+      shortCodeId: created.id,
+      operatorCode,
+      shortCode: created.shortCode,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: created,
+      message: 'MO short code registered successfully'
+    });
+  });
+
+  /**
+   * Update a short code (language, description, active flag)
+   */
+  updateShortCode = asyncHandler(async (req, res) => {
+    const { MOShortCode } = getModels();
+    const shortCode = await MOShortCode.findByPk(req.params.id);
+
+    if (!shortCode) {
+      return this.notFound(res, 'MO short code', req.params.id);
+    }
+
+    const updates = this.validateShortCode(this.pick(req.body, SHORT_CODE_FIELDS));
+    await shortCode.update(updates);
+
+    Logger.info('MO short code updated', {
+      shortCodeId: shortCode.id,
+      fields: Object.keys(updates),
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: shortCode,
+      message: 'MO short code updated successfully'
+    });
+  });
+
+  /**
+   * Remove a short code
+   */
+  deleteShortCode = asyncHandler(async (req, res) => {
+    const { MOShortCode } = getModels();
+    const shortCode = await MOShortCode.findByPk(req.params.id);
+
+    if (!shortCode) {
+      return this.notFound(res, 'MO short code', req.params.id);
+    }
+
+    await shortCode.destroy();
+
+    Logger.info('MO short code removed', {
+      shortCodeId: shortCode.id,
+      operatorCode: shortCode.operatorCode,
+      shortCode: shortCode.shortCode,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'MO short code removed successfully'
+    });
+  });
+
+  /**
+   * Validate and normalize keyword values
+   * Keywords are stored uppercase without punctuation, the way messages are matched
+   */
+  async validateKeyword(operatorCode, values, excludeId = null) {
+    const { MOKeyword } = getModels();
+
+    const keyword = normalizeKeyword(values.keyword);
+    if (!keyword) {
+      throw new ValidationError('keyword is required', 'keyword', values.keyword);
+    }
+
+    if (!MOKeyword.KEYWORD_ACTIONS.includes(values.action)) {
+      throw new ValidationError(`action must be one of ${MOKeyword.KEYWORD_ACTIONS.join(', ')}`, 'action', values.action);
+    }
+
+    if (!Array.isArray(values.aliases)) {
+      throw new ValidationError('aliases must be an array', 'aliases', values.aliases);
+    }
+    const aliases = [...new Set(values.aliases.map(normalizeKeyword).filter(alias => alias && alias !== keyword))];
+
+    const responses = values.responses || {};
+    if (typeof responses !== 'object' || Array.isArray(responses) ||
+        Object.values(responses).some(template => typeof template !== 'string' || !template.trim())) {
+      throw new ValidationError('responses must map language codes to reply templates', 'responses', responses);
+    }
+
+    if (values.action === 'custom_reply' && Object.keys(responses).length === 0) {
+      throw new ValidationError('custom_reply keywords need at least one response template', 'responses');
+    }
+
+    const shortCode = values.shortCode ? String(values.shortCode) : null;
+    if (shortCode && !(await MOSMSService.resolveShortCode(operatorCode, shortCode))) {
+      throw new ValidationError(`Short code ${shortCode} is not registered for operator ${operatorCode}`, 'shortCode', shortCode);
+    }
+
+    // The same word cannot mean two things on one short code
+    const terms = [keyword, ...aliases];
+    const siblings = await MOKeyword.findAll({
+      where: { operatorCode, shortCode, isActive: true }
+    });
+    const conflict = siblings.find(sibling => sibling.id !== excludeId &&
+      [sibling.keyword, ...(sibling.aliases || [])].some(term => terms.includes(term)));
+
+    if (values.isActive !== false && conflict) {
+      throw new UnifiedError('DUPLICATE_ENTRY',
+        `Keyword ${conflict.keyword} already uses ${terms.join('/')} on ${shortCode || 'all short codes'} of ${operatorCode}`);
+    }
+
+    return {
+      ...values,
+      keyword,
+      aliases,
+      responses,
+      shortCode,
+      campaign: values.campaign || null,
+      priority: parseInt(values.priority) || 0
+    };
+  }
+
+  /**
+   * Validate short code values
+   */
+  validateShortCode(values) {
+    if (values.language !== undefined && !/^[a-z]{2}$/.test(values.language)) {
+      throw new ValidationError('language must be an ISO 639-1 code', 'language', values.language);
+    }
+
+    return values;
+  }
+
+  /**
+   * Defined fields of a source object
+   */
+  pick(source, fields) {
+    return fields.reduce((picked, field) => {
+      if (source[field] !== undefined) {
+        picked[field] = source[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Standard 404 for unknown resources
+   */
+  notFound(res, resource, id) {
+    return res.status(404).json({
+      error: {
+        code: 'RESOURCE_NOT_FOUND',
+        message: `${resource} ${id} not found`
+      }
+    });
+  }
+}
+
+module.exports = new MOKeywordController();
@@ -0,0 +1,92 @@
+/**
+ * MO SMS Controller
+ *
+ * Handles inbound MO SMS deliveries from operators and the admin MO SMS log views
+ */
+
+const { Op } = require('sequelize');
+const MOSMSService = require('../services/core/MOSMSService');
+const { getModels } = require('../models');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class MOSMSController {
+  /**
+   * Receive an MO SMS (req.moSms is set by authenticateMOSMS)
+   */
+  receive = asyncHandler(async (req, res) => {
+    const { operatorCode, msisdn, message, shortCode, messageId, timestamp, ipAddress } = req.moSms;
+
+    const result = await MOSMSService.processMOSMS(operatorCode, msisdn, message, shortCode, timestamp, {
+      messageId,
+      ipAddress
+    });
+
+    res.json({
+      success: true,
+      data: {
+        action: result.action,
+        success: result.success,
+        response: result.response,
+        shouldSendSMS: result.shouldSendSMS,
+        duplicate: result.duplicate || false
+      }
+    });
+  });
+
+  /**
+   * MO SMS log (filter by operatorCode, msisdn, shortCode, action, processed)
+   */
+  getLogs = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, operatorCode, msisdn, shortCode, action, processed, from, to } = req.query;
+    const { MOSMSLog } = getModels();
+
+    const where = {};
+    if (operatorCode) where.operatorCode = operatorCode;
+    if (msisdn) where.msisdn = msisdn;
+    if (shortCode) where.shortCode = shortCode;
+    if (action) where.action = action;
+    if (processed !== undefined) where.processed = processed === 'true';
+    if (from || to) {
+      where.timestamp = {};
+      if (from) where.timestamp[Op.gte] = new Date(from);
+      if (to) where.timestamp[Op.lte] = new Date(to);
+    }
+
+    const { count, rows } = await MOSMSLog.findAndCountAll({
+      where,
+      order: [['timestamp', 'DESC']],
+      limit: Math.min(parseInt(limit), 100),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / parseInt(limit))
+      }
+    });
+  });
+
+  /**
+   * MO SMS aggregates for an operator (or all operators) over a timeframe
+   */
+  getStatistics = asyncHandler(async (req, res) => {
+    const { operatorCode = null, timeframe = '24h' } = req.query;
+
+    const statistics = await MOSMSService.getMOSMSStatistics(operatorCode, timeframe);
+
+    res.json({
+      success: true,
+      data: {
+        ...statistics,
+        service: MOSMSService.getServiceStatistics()
+      }
+    });
+  });
+}
+
+module.exports = new MOSMSController();
@@ -0,0 +1,315 @@
+/**
+ * Numbering Plan Controller
+ *
+ * Handles numbering-plan ranges, ported numbers and operator detection lookups (admin only)
+ */
+
+const NumberingPlanService = require('../services/core/NumberingPlanService');
+const OperatorDetectionService = require('../services/core/OperatorDetectionService');
+const { getModels } = require('../models');
+const { ValidationError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errorHandler');
+const Logger = require('../utils/logger');
+
+const RANGE_FIELDS = ['countryCode', 'prefixFrom', 'prefixTo', 'operatorCode', 'numberLength', 'isActive', 'notes'];
+const PORTED_FIELDS = ['msisdn', 'operatorCode', 'donorOperatorCode', 'portedAt', 'metadata'];
+
+class NumberingPlanController {
+  /**
+   * List ranges (filter by countryCode, operatorCode; ?includeInactive=true)
+   */
+  getRanges = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, countryCode, operatorCode, includeInactive } = req.query;
+    const { NumberingPlanRange } = getModels();
+
+    const where = {};
+    if (countryCode) where.countryCode = countryCode.replace(/^\+/, '');
+    if (operatorCode) where.operatorCode = operatorCode;
+    if (includeInactive !== 'true') where.isActive = true;
+
+    const { count, rows } = await NumberingPlanRange.findAndCountAll({
+      where,
+      order: [['countryCode', 'ASC'], ['prefixFrom', 'ASC']],
+      limit: Math.min(parseInt(limit), 500),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / parseInt(limit))
+      }
+    });
+  });
+
+  /**
+   * Create a range
+   */
+  createRange = asyncHandler(async (req, res) => {
+    const { NumberingPlanRange } = getModels();
+
+    const values = await NumberingPlanService.validateRange({
+      isActive: true,
+      ...this.pick(req.body, RANGE_FIELDS),
+      source: 'manual'
+    });
+
+    const range = await NumberingPlanRange.create(values);
+    NumberingPlanService.invalidate();
+
+    Logger.info('Numbering plan range created', {
+      rangeId: range.id,
+      countryCode: range.countryCode,
+      prefixFrom: range.prefixFrom,
+      prefixTo: range.prefixTo,
+      operatorCode: range.operatorCode,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: range,
+      message: 'Numbering plan range created successfully'
+    });
+  });
+
+  /**
+   * Update a range
+   */
+  updateRange = asyncHandler(async (req, res) => {
+    const { NumberingPlanRange } = getModels();
+    const range = await NumberingPlanRange.findByPk(req.params.id);
+
+    if (!range) {
+      return this.notFound(res, 'Numbering plan range', req.params.id);
+    }
+
+    const updates = this.pick(req.body, RANGE_FIELDS);
+    const values = await NumberingPlanService.validateRange({
+      ...this.pick(range, RANGE_FIELDS),
+      ...updates
+    }, range.id);
+
+    await range.update(this.pick(values, Object.keys(updates)));
+    NumberingPlanService.invalidate();
+
+    Logger.info('Numbering plan range updated', {
+      rangeId: range.id,
+      fields: Object.keys(updates),
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: range,
+      message: 'Numbering plan range updated successfully'
+    });
+  });
+
+  /**
+   * Remove a range
+   */
+  deleteRange = asyncHandler(async (req, res) => {
+    const { NumberingPlanRange } = getModels();
+    const range = await NumberingPlanRange.findByPk(req.params.id);
+
+    if (!range) {
+      return this.notFound(res, 'Numbering plan range', req.params.id);
+    }
+
+    await range.destroy();
+    NumberingPlanService.invalidate();
+
+    Logger.info('Numbering plan range removed', {
+      rangeId: range.id,
+      countryCode: range.countryCode,
+      prefixFrom: range.prefixFrom,
+      prefixTo: range.prefixTo,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Numbering plan range removed successfully'
+    });
+  });
+
+  /**
+   * Import ranges from CSV (text/csv body or JSON { csv }; ?replace=true replaces the
+   * ranges of every country in the file)
+   */
+  importRanges = asyncHandler(async (req, res) => {
+    const replace = req.query.replace === 'true';
+    const result = await NumberingPlanService.importRanges(this.csvBody(req), { replace });
+
+    Logger.info('Numbering plan import completed', {
+      imported: result.imported,
+      rejected: result.rejected,
+      replace,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Imported ${result.imported} numbering plan ranges`
+    });
+  });
+
+  /**
+   * List ported numbers (filter by msisdn, operatorCode)
+   */
+  getPortedNumbers = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, msisdn, operatorCode } = req.query;
+    const { PortedNumber } = getModels();
+
+    const where = {};
+    if (msisdn) where.msisdn = NumberingPlanService.normalizeMSISDN(msisdn);
+    if (operatorCode) where.operatorCode = operatorCode;
+
+    const { count, rows } = await PortedNumber.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit: Math.min(parseInt(limit), 500),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / parseInt(limit))
+      }
+    });
+  });
+
+  /**
+   * Add or replace the override for a ported number
+   */
+  createPortedNumber = asyncHandler(async (req, res) => {
+    const { PortedNumber } = getModels();
+
+    const values = await NumberingPlanService.validatePortedNumber({
+      ...this.pick(req.body, PORTED_FIELDS),
+      source: 'manual'
+    });
+
+    const existing = await PortedNumber.findOne({ where: { msisdn: values.msisdn } });
+    const ported = existing ? await existing.update(values) : await PortedNumber.create(values);
+
+    Logger.info('Ported number saved', {
+      portedNumberId: ported.id,
+      operatorCode: ported.operatorCode,
+      donorOperatorCode: ported.donorOperatorCode,
+      userId: req.user.id
+    });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: ported,
+      message: 'Ported number saved successfully'
+    });
+  });
+
+  /**
+   * Remove a ported number override
+   */
+  deletePortedNumber = asyncHandler(async (req, res) => {
+    const { PortedNumber } = getModels();
+    const ported = await PortedNumber.findByPk(req.params.id);
+
+    if (!ported) {
+      return this.notFound(res, 'Ported number', req.params.id);
+    }
+
+    await ported.destroy();
+
+    Logger.info('Ported number removed', {
+      portedNumberId: ported.id,
+      operatorCode: ported.operatorCode,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Ported number removed successfully'
+    });
+  });
+
+  /**
+   * Import ported numbers from CSV (text/csv body or JSON { csv })
+   */
+  importPortedNumbers = asyncHandler(async (req, res) => {
+    const result = await NumberingPlanService.importPortedNumbers(this.csvBody(req));
+
+    Logger.info('Ported number import completed', {
+      imported: result.imported,
+      rejected: result.rejected,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Imported ${result.imported} ported numbers`
+    });
+  });
+
+  /**
+   * Show which operator an MSISDN resolves to, with confidence and the matching rule
+   */
+  lookup = asyncHandler(async (req, res) => {
+    const { msisdn, campaign } = req.query;
+
+    if (!msisdn) {
+      throw new ValidationError('msisdn is required', 'msisdn');
+    }
+
+    const detection = await OperatorDetectionService.detect(msisdn, campaign || null);
+
+    res.json({
+      success: true,
+      data: detection
+    });
+  });
+
+  /**
+   * CSV content from a text/csv body or a JSON { csv } body
+   */
+  csvBody(req) {
+    return typeof req.body === 'string' ? req.body : req.body.csv;
+  }
+
+  /**
+   * Defined fields of a source object
+   */
+  pick(source, fields) {
+    return fields.reduce((picked, field) => {
+      if (source[field] !== undefined) {
+        picked[field] = source[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Standard 404 for unknown resources
+   */
+  notFound(res, resource, id) {
+    return res.status(404).json({
+      error: {
+        code: 'RESOURCE_NOT_FOUND',
+        message: `${resource} ${id} not found`
+      }
+    });
+  }
+}
+
+module.exports = new NumberingPlanController();
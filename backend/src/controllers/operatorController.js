@@ -5,6 +5,7 @@
  */
 
 const { getInstance: getOperatorManager } = require('../services/core/OperatorManager');
+const CircuitBreakerService = require('../services/core/CircuitBreakerService');
 const { Operator, AuditLog } = require('../models');
 const { ValidationError } = require('../utils/errors');
 const { asyncHandler } = require('../middleware/errorHandler');
@@ -51,9 +52,15 @@ class OperatorController {
       });
     }
     
+    const circuitBreakers = await CircuitBreakerService.getOperatorStatus(code);
+    
     res.json({
       success: true,
-      data: operator
+      data: {
+        ...operator.toJSON(),
+        circuitBreakers,
+        routing: this.operatorManager.getRoutingStatus(code)
+      }
     });
   });
   
@@ -107,6 +114,33 @@ class OperatorController {
     });
   });
   
+  /**
+   * Reload operator adapter from its current config and credentials
+   */
+  reloadOperator = asyncHandler(async (req, res) => {
+    const { code } = req.params;
+    const { reason } = req.body;
+    
+    Logger.info('Reloading operator', {
+      operatorCode: code,
+      reason,
+      userId: req.user.id,
+      userEmail: req.user.email
+    });
+    
+    const result = await this.operatorManager.reloadOperator(code, {
+      userId: req.user.id,
+      reason,
+      source: 'admin'
+    });
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `Operator ${code} reloaded successfully`
+    });
+  });
+  
   /**
    * Bulk enable operators
    */
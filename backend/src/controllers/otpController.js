@@ -8,45 +8,27 @@
  * - Generate PIN/OTP via SMS for subscriber verification
  * - Verify PIN for subscription authorization
  * - Check MSISDN eligibility for DCB services
- * - Operator-specific PIN handling (4-5 digits, language support)
- * - Security and fraud prevention measures
+ * - Operator-specific PIN handling (length, expiry, languages from Operator.config.pin)
+ * - Attempt limiting, resend cooldowns and lockouts via PinSessionService
+ * - Fraud screening of PIN requests via FraudEngineService (fraudToken answers a challenge)
  */
 
 const UnifiedAdapter = require('../services/core/UnifiedAdapter');
+const PinSessionService = require('../services/core/PinSessionService');
+const FraudEngineService = require('../services/core/FraudEngineService');
+const { getInstance: getOperatorManager } = require('../services/core/OperatorManager');
 const Logger = require('../utils/logger');
-const { ValidationError, OperatorError } = require('../utils/errors');
+const { ValidationError, OperatorError, UnifiedError } = require('../utils/errors');
 const { validationResult } = require('express-validator');
 
 class OTPController {
   constructor() {
     this.unifiedAdapter = new UnifiedAdapter();
     
-    // PIN configuration by operator (based on SLA Digital API specs)
-    this.pinConfig = {
-      'zain-kw': { length: 4, languages: ['en', 'ar'], expiry: 120 },
-      'zain-sa': { length: 5, languages: ['en', 'ar'], expiry: 120 },
-      'zain-bh': { length: 4, languages: ['en', 'ar'], expiry: 120 },
-      'zain-iq': { length: 4, languages: ['en', 'ar'], expiry: 120 },
-      'zain-jo': { length: 4, languages: ['en', 'ar'], expiry: 120 },
-      'zain-sd': { length: 4, languages: ['en', 'ar'], expiry: 120 },
-      'etisalat-ae': { length: 4, languages: ['en', 'ar'], expiry: 120 },
-      'ooredoo-kw': { length: 4, languages: ['en', 'ar'], expiry: 120 },
-      'stc-kw': { length: 4, languages: ['en', 'ar'], expiry: 120 },
-      'telenor-dk': { length: 4, languages: ['en'], expiry: 120 },
-      'telenor-digi': { length: 4, languages: ['en'], expiry: 120 },
-      'telenor-mm': { length: 4, languages: ['en'], expiry: 120 },
-      'telenor-no': { length: 4, languages: ['en'], expiry: 120 },
-      'telenor-se': { length: 4, languages: ['en'], expiry: 120 },
-      'telenor-rs': { length: 4, languages: ['en'], expiry: 120 },
-      'voda-uk': { length: 4, languages: ['en'], expiry: 120 },
-      'vf-ie': { length: 4, languages: ['en'], expiry: 120 },
-      'three-uk': { length: 4, languages: ['en'], expiry: 120 },
-      'three-ie': { length: 4, languages: ['en'], expiry: 120 },
-      'o2-uk': { length: 4, languages: ['en'], expiry: 120 },
-      'ee-uk': { length: 4, languages: ['en'], expiry: 120 },
-      // Default configuration
-      'default': { length: 4, languages: ['en'], expiry: 120 }
-    };
+    // Handlers are passed to the router unbound
+    this.generatePIN = this.generatePIN.bind(this);
+    this.verifyPIN = this.verifyPIN.bind(this);
+    this.checkEligibility = this.checkEligibility.bind(this);
   }
 
   /**
@@ -91,15 +73,11 @@ class OTPController {
         });
       }
 
-      // Get operator PIN configuration
-      const config = this.pinConfig[operatorCode] || this.pinConfig.default;
-      
-      // Validate language support
-      if (!config.languages.includes(language)) {
-        return res.status(400).json({
-          error: 'Unsupported language',
-          supported: config.languages,
-          provided: language
+      const operator = await getOperatorManager().getOperator(operatorCode);
+      if (!operator) {
+        return res.status(404).json({
+          error: 'Operator not found',
+          message: `Operator ${operatorCode} is not configured`
         });
       }
 
@@ -112,8 +90,25 @@ class OTPController {
         userId: req.user?.id
       });
 
-      // Generate PIN through unified adapter
-      const result = await this.unifiedAdapter.executeOperation(
+      // Score the request before a PIN goes out; a challenge is answered by a verified fraud token
+      await FraudEngineService.screen('pin_request', {
+        ...FraudEngineService.requestContext(req),
+        msisdn,
+        campaign,
+        merchant,
+        operatorCode,
+        fraudToken,
+        challengePassed: FraudEngineService.verifyFraudToken(fraudToken, { msisdn, campaign })
+      });
+
+      // Generate PIN through unified adapter unless locked out or resending too early
+      const { result, session } = await PinSessionService.issue(operator, {
+        msisdn,
+        campaign,
+        language,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }, () => this.unifiedAdapter.executeOperation(
         operatorCode,
         'generatePIN',
         {
@@ -134,7 +129,7 @@ class OTPController {
         {
           correlationId: req.correlationId
         }
-      );
+      ));
 
       Logger.operatorAction(operatorCode, 'generatePIN', result, {
         msisdn: this.maskMSISDN(msisdn),
@@ -147,7 +142,12 @@ class OTPController {
         success: true,
         data: {
           pinGenerated: true,
-          expirySeconds: config.expiry,
+          expirySeconds: session.expiresIn,
+          expiresAt: session.expiresAt,
+          pinLength: session.pinLength,
+          attemptsRemaining: session.attemptsRemaining,
+          resendsRemaining: session.resendsRemaining,
+          resendAvailableAt: session.resendAvailableAt,
           smsLanguage: language,
           operatorCode,
           ...(result.data?.trackingId && { trackingId: result.data.trackingId })
@@ -165,6 +165,11 @@ class OTPController {
         correlationId: req.correlationId
       });
 
+      const sessionError = this.pinSessionErrorResponse(error, res, req.correlationId);
+      if (sessionError) {
+        return sessionError;
+      }
+
       if (error instanceof ValidationError) {
         return res.status(400).json({
           error: 'Validation Error',
@@ -222,19 +227,11 @@ class OTPController {
         });
       }
 
-      // Validate PIN format
-      const config = this.pinConfig[operatorCode] || this.pinConfig.default;
-      if (pin.length !== config.length) {
-        return res.status(400).json({
-          error: 'Invalid PIN format',
-          message: `PIN must be ${config.length} digits for ${operatorCode}`
-        });
-      }
-
-      if (!/^\d+$/.test(pin)) {
-        return res.status(400).json({
-          error: 'Invalid PIN format',
-          message: 'PIN must contain only digits'
+      const operator = await getOperatorManager().getOperator(operatorCode);
+      if (!operator) {
+        return res.status(404).json({
+          error: 'Operator not found',
+          message: `Operator ${operatorCode} is not configured`
         });
       }
 
@@ -246,8 +243,14 @@ class OTPController {
         userId: req.user?.id
       });
 
-      // Verify PIN through unified adapter
-      const result = await this.unifiedAdapter.executeOperation(
+      // Verify PIN through unified adapter - attempts are counted and lock out brute force
+      const { result, attemptsRemaining } = await PinSessionService.verify(operator, {
+        msisdn,
+        campaign,
+        pin,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }, () => this.unifiedAdapter.executeOperation(
         operatorCode,
         'verifyPIN',
         {
@@ -266,7 +269,11 @@ class OTPController {
         {
           correlationId: req.correlationId
         }
-      );
+      ));
+
+      if (result.success) {
+        await FraudEngineService.recordConversion(campaign);
+      }
 
       Logger.operatorAction(operatorCode, 'verifyPIN', result, {
         msisdn: this.maskMSISDN(msisdn),
@@ -281,6 +288,7 @@ class OTPController {
           verified: result.success,
           operatorCode,
           msisdn: this.maskMSISDN(msisdn),
+          attemptsRemaining,
           ...(result.data?.authorizationToken && { 
             authorizationToken: result.data.authorizationToken 
           })
@@ -298,6 +306,11 @@ class OTPController {
         correlationId: req.correlationId
       });
 
+      const sessionError = this.pinSessionErrorResponse(error, res, req.correlationId);
+      if (sessionError) {
+        return sessionError;
+      }
+
       if (error instanceof ValidationError) {
         return res.status(400).json({
           error: 'Validation Error',
@@ -446,10 +459,60 @@ class OTPController {
   }
 
   /**
-   * Get PIN configuration for operator
+   * Response for PIN session errors (lockout, resend cooldown, format, language) and
+   * fraud screening refusals
+   * Returns null for other errors
    */
-  getPINConfig(operatorCode) {
-    return this.pinConfig[operatorCode] || this.pinConfig.default;
+  pinSessionErrorResponse(error, res, correlationId) {
+    if (!(error instanceof UnifiedError) || error instanceof OperatorError) {
+      return null;
+    }
+
+    switch (error.code) {
+      case 'PIN_LOCKED':
+      case 'PIN_RESEND_COOLDOWN':
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({
+          error: error.code === 'PIN_LOCKED' ? 'PIN Locked' : 'PIN Resend Too Soon',
+          message: error.message,
+          retryAfter: error.retryAfter,
+          correlationId
+        });
+      case 'PIN_EXPIRED':
+        return res.status(422).json({
+          error: 'PIN Expired',
+          message: error.message,
+          correlationId
+        });
+      case 'INVALID_PIN_FORMAT':
+        return res.status(400).json({
+          error: 'Invalid PIN format',
+          message: error.message,
+          correlationId
+        });
+      case 'PIN_ATTEMPTS_UNVERIFIABLE':
+        return res.status(503).json({
+          error: 'PIN Verification Unavailable',
+          message: error.message,
+          correlationId
+        });
+      case 'INVALID_PARAMETERS':
+        return res.status(400).json({
+          error: 'Unsupported language',
+          message: error.message,
+          correlationId
+        });
+      case 'FRAUD_BLOCKED':
+      case 'FRAUD_CHALLENGE_REQUIRED':
+        return res.status(403).json({
+          error: error.code === 'FRAUD_BLOCKED' ? 'Blocked' : 'Verification Required',
+          message: error.message,
+          fraudDecisionId: error.decisionId,
+          correlationId
+        });
+      default:
+        return null;
+    }
   }
 
   /**
@@ -461,22 +524,6 @@ class OTPController {
     }
     return msisdn.substring(0, 3) + '***' + msisdn.substring(msisdn.length - 2);
   }
-
-  /**
-   * Validate operator supports requested language
-   */
-  validateLanguageSupport(operatorCode, language) {
-    const config = this.pinConfig[operatorCode] || this.pinConfig.default;
-    return config.languages.includes(language);
-  }
-
-  /**
-   * Get supported languages for operator
-   */
-  getSupportedLanguages(operatorCode) {
-    const config = this.pinConfig[operatorCode] || this.pinConfig.default;
-    return config.languages;
-  }
 }
 
 module.exports = new OTPController();
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * Sandbox Clock Controller
+ *
+ * Handles the sandbox simulator's simulated clock (admin only). The clock is shared by every
+ * simulator operator, so each request names an operator whose environment is 'simulator'.
+ */
+
+const SandboxService = require('../services/core/SandboxService');
+const SandboxSimulatorService = require('../services/core/SandboxSimulatorService');
+const { UnifiedError, ValidationError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errorHandler');
+const Logger = require('../utils/logger');
+
+class SandboxClockController {
+  /**
+   * Current simulated time and the next renewals / scenario steps (?operatorCode=)
+   */
+  getClock = asyncHandler(async (req, res) => {
+    await this.assertSimulator(req.query.operatorCode);
+
+    const clock = await SandboxSimulatorService.getClock({
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      data: clock
+    });
+  });
+
+  /**
+   * Move the clock forward and play every event that falls due (days, hours, seconds added together)
+   */
+  advanceClock = asyncHandler(async (req, res) => {
+    const { operatorCode, days, hours, seconds } = req.body;
+    await this.assertSimulator(operatorCode);
+
+    const total = (parseFloat(days) || 0) * 86400 +
+      (parseFloat(hours) || 0) * 3600 +
+      (parseFloat(seconds) || 0);
+
+    const result = await SandboxSimulatorService.advanceClock(total);
+
+    Logger.info('Sandbox clock advanced', {
+      operatorCode,
+      seconds: total,
+      events: result.events.length,
+      userId: req.user?.id
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  /**
+   * Set the simulated clock back to real time
+   */
+  resetClock = asyncHandler(async (req, res) => {
+    const { operatorCode } = req.body;
+    await this.assertSimulator(operatorCode);
+
+    const clock = await SandboxSimulatorService.resetClock();
+
+    Logger.info('Sandbox clock reset', {
+      operatorCode,
+      userId: req.user?.id
+    });
+
+    res.json({
+      success: true,
+      data: clock
+    });
+  });
+
+  /**
+   * Refuse clock changes unless the named operator runs in the 'simulator' environment
+   */
+  async assertSimulator(operatorCode) {
+    if (!operatorCode) {
+      throw new ValidationError('operatorCode is required', 'operatorCode');
+    }
+
+    if (!(await SandboxService.isSimulated(operatorCode))) {
+      throw new UnifiedError('SIMULATOR_REQUIRED',
+        `Operator ${operatorCode} does not run in the simulator environment`);
+    }
+  }
+}
+
+module.exports = new SandboxClockController();
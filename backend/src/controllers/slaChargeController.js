@@ -10,6 +10,11 @@
 const Logger = require('../utils/logger');
 const { UnifiedError } = require('../utils/errors');
 const { getInstance: getOperatorManager } = require('../services/core/OperatorManager');
+const SLAErrorMapper = require('../services/core/SLAErrorMapper');
+const IdempotencyService = require('../services/core/IdempotencyService');
+const MerchantNotificationService = require('../services/core/MerchantNotificationService');
+const SpendLimitService = require('../services/core/SpendLimitService');
+const CircuitBreakerService = require('../services/core/CircuitBreakerService');
 
 class SLAChargeController {
   
@@ -18,8 +23,13 @@ class SLAChargeController {
    * Processes one-time charge against existing subscription
    * 
    * Query Parameters: uuid, amount, currency, [description], [correlator]
+   * Headers: [Idempotency-Key] - takes precedence over correlator for deduplication
    */
   static async charge(req, res) {
+    let idempotencyClaim = null;
+    let transaction = null;
+    let spendReservation = null;
+    
     try {
       const { 
         uuid, 
@@ -63,10 +73,33 @@ class SLAChargeController {
         });
       }
       
+      // Deduplicate merchant retries before touching the operator
+      const idempotencyKey = IdempotencyService.resolveKey(req, correlator);
+      if (idempotencyKey) {
+        try {
+          const claim = await IdempotencyService.begin(
+            IdempotencyService.buildScope('/v2.2/charge', req),
+            idempotencyKey,
+            { uuid, amount: chargeAmount, currency }
+          );
+          
+          if (claim.replay) {
+            return res.status(200).json(claim.replay);
+          }
+          
+          idempotencyClaim = claim;
+        } catch (idempotencyError) {
+          return res.status(200).json({
+            error: SLAErrorMapper.mapError(idempotencyError, null, { endpoint: '/v2.2/charge' })
+          });
+        }
+      }
+      
       // Find operator for this subscription
-      const { adapter, operatorCode } = await SLAChargeController.findSubscriptionOperator(uuid);
+      const { adapter, operatorCode, status } = await SLAChargeController.findSubscriptionOperator(uuid);
       
       if (!adapter) {
+        await IdempotencyService.release(idempotencyClaim);
         return res.status(200).json({
           error: {
             category: 'Request',
@@ -83,17 +116,19 @@ class SLAChargeController {
       
       // Some operators are checkout-only and don't support direct charging
       if (operatorInfo && operatorInfo.adapter === 'checkout_only') {
+        await IdempotencyService.release(idempotencyClaim);
         return res.status(200).json({
           error: {
             category: 'Service',
             code: '5002',
-            message: `Operator ${operatorCode} does not support direct charging - use checkout flow`
+            message: `Operator ${operatorCode} does not support direct charging - use /v2.2/checkout/create`
           }
         });
       }
       
       // Check if adapter has charge method
       if (!adapter.charge || typeof adapter.charge !== 'function') {
+        await IdempotencyService.release(idempotencyClaim);
         return res.status(200).json({
           error: {
             category: 'Service',
@@ -111,8 +146,23 @@ class SLAChargeController {
         correlator
       };
       
-      // Call adapter to process charge
-      const response = await adapter.charge(uuid, chargeAmount);
+      // Refuse charges past the subscriber's daily/weekly/monthly spend limits (reserved while in flight)
+      const subscriber = await SLAChargeController.resolveSubscriber(uuid, status);
+      spendReservation = await SpendLimitService.reserve({ operatorCode, subscriber, amount: chargeAmount });
+      
+      // Record the attempt first so the idempotency key is durable while in flight
+      transaction = await SLAChargeController.createTransactionRecord(operatorCode, {
+        uuid,
+        subscriber,
+        amount: chargeAmount,
+        currency,
+        description,
+        correlator
+      }, idempotencyClaim);
+      
+      // Call adapter to process charge (fails fast while the operator's circuit is open)
+      const response = await CircuitBreakerService.execute(adapter.circuitKey || operatorCode, 'charge',
+        () => adapter.charge(uuid, chargeAmount));
       
       // Map response to SLA Digital v2.2 format
       const slaResponse = SLAChargeController.mapChargeResponse(response, operatorCode, {
@@ -123,6 +173,9 @@ class SLAChargeController {
         correlator
       });
       
+      // The subscriber has been charged: failing to record it must not report the charge as failed
+      await SLAChargeController.recordChargeSuccess(transaction, idempotencyClaim, response, slaResponse);
+      
       Logger.info('SLA v2.2 charge processed successfully', {
         endpoint: '/v2.2/charge',
         operatorCode,
@@ -145,7 +198,32 @@ class SLAChargeController {
       
       // Map error to SLA Digital format
       const slaError = SLAChargeController.mapError(error);
+      
+      try {
+        if (transaction) {
+          await transaction.markFailed(error.code || 'CHARGE_FAILED', error.message, {
+            slaResponse: { error: slaError }
+          });
+          await MerchantNotificationService.notifyTransaction('charge_failed', transaction, { error: slaError });
+        }
+        
+        // Server errors are transient - let the merchant retry with the same key
+        if (slaError.code === '5001') {
+          await IdempotencyService.release(idempotencyClaim, transaction);
+        } else {
+          await IdempotencyService.complete(idempotencyClaim, { error: slaError });
+        }
+      } catch (recordError) {
+        Logger.warn('Failed to record charge failure', {
+          endpoint: '/v2.2/charge',
+          error: recordError.message
+        });
+      }
+      
       res.status(200).json({ error: slaError });
+    } finally {
+      // The charge has failed or its Transaction now counts in the ledger
+      await SpendLimitService.release(spendReservation);
     }
   }
   
@@ -154,23 +232,30 @@ class SLAChargeController {
   /**
    * Find which operator a subscription belongs to
    * (Reused from subscription controller)
+   * Routed operators are asked with the subscriber's MSISDN as sticky key (local subscription,
+   * else the MSISDN/ACR the operator reports), so later calls reach the same variant
    */
   static async findSubscriptionOperator(uuid) {
     const operatorManager = getOperatorManager();
     const supportedOperators = operatorManager.getSupportedOperators();
+    const context = await operatorManager.getSubscriptionRoutingContext(uuid);
     
     for (const operator of supportedOperators) {
       try {
         const isEnabled = await operatorManager.isOperatorEnabled(operator.code);
         if (!isEnabled) continue;
         
-        const adapter = operatorManager.getOperatorAdapter(operator.code);
+        let adapter = operatorManager.getOperatorAdapter(operator.code, context);
         
         // Try to get subscription status to verify it exists
         const response = await adapter.getSubscriptionStatus(uuid);
         
         if (response && response.data && response.data.status !== 'DELETED') {
-          return { adapter, operatorCode: operator.code };
+          const reported = response.data.acr || response.data.msisdn;
+          if (!context.stickyKey && reported) {
+            adapter = operatorManager.getOperatorAdapter(operator.code, { ...context, stickyKey: reported });
+          }
+          return { adapter, operatorCode: operator.code, status: response.data };
         }
       } catch (error) {
         // Continue to next operator
@@ -178,7 +263,107 @@ class SLAChargeController {
       }
     }
     
-    return { adapter: null, operatorCode: null };
+    return { adapter: null, operatorCode: null, status: null };
+  }
+  
+  /**
+   * Spend ledger key of the subscriber behind a uuid: the MSISDN/ACR the operator reports,
+   * else the local subscription's MSISDN (null when neither is known)
+   */
+  static async resolveSubscriber(uuid, status) {
+    try {
+      return await SpendLimitService.resolveSubscriber({
+        msisdn: status ? status.msisdn : null,
+        acr: status ? status.acr : null,
+        uuid
+      });
+    } catch (error) {
+      Logger.warn('Failed to resolve charge subscriber', {
+        endpoint: '/v2.2/charge',
+        uuid,
+        error: error.message
+      });
+      return null;
+    }
+  }
+  
+  /**
+   * Complete the Transaction, notify the merchant and cache the response for retries
+   * Failures are logged only: the operator already took the money
+   */
+  static async recordChargeSuccess(transaction, idempotencyClaim, response, slaResponse) {
+    try {
+      if (transaction) {
+        await transaction.markCompleted(response?.data?.transactionId || response?.data?.transaction_id, {
+          slaResponse
+        });
+        await MerchantNotificationService.notifyTransaction('charge_success', transaction);
+      }
+    } catch (error) {
+      Logger.error('Charge succeeded but could not be recorded', {
+        endpoint: '/v2.2/charge',
+        transactionId: transaction ? transaction.id : null,
+        operatorTransactionId: slaResponse.transaction_id,
+        error: error.message
+      });
+    }
+    
+    try {
+      await IdempotencyService.complete(idempotencyClaim, slaResponse);
+    } catch (error) {
+      Logger.error('Failed to cache charge response for idempotent replay', {
+        endpoint: '/v2.2/charge',
+        operatorTransactionId: slaResponse.transaction_id,
+        error: error.message
+      });
+    }
+  }
+  
+  /**
+   * Create a processing Transaction for a one-time charge
+   * Returns null when the database is unavailable so charging still works
+   */
+  static async createTransactionRecord(operatorCode, params, idempotencyClaim) {
+    try {
+      const { getModels } = require('../models');
+      const { Operator, Subscription, Transaction } = getModels();
+      
+      const operator = await Operator.findOne({ where: { code: operatorCode } });
+      if (!operator) {
+        return null;
+      }
+      
+      const subscription = await Subscription.findOne({
+        where: { operatorSubscriptionId: params.uuid }
+      });
+      
+      const idempotencyFields = IdempotencyService.transactionFields(idempotencyClaim);
+      
+      return await Transaction.create({
+        subscriptionId: subscription ? subscription.id : null,
+        operatorId: operator.id,
+        subscriber: params.subscriber || null,
+        type: 'charge',
+        status: 'processing',
+        amount: params.amount,
+        currency: params.currency,
+        description: params.description || 'One-time charge',
+        correlator: params.correlator || null,
+        idempotencyKey: idempotencyFields.idempotencyKey || null,
+        metadata: {
+          ...(idempotencyFields.metadata || {}),
+          source: 'sla_v2.2_charge',
+          uuid: params.uuid
+        }
+      });
+    } catch (error) {
+      Logger.warn('Failed to record charge transaction', {
+        endpoint: '/v2.2/charge',
+        operatorCode,
+        error: error.message
+      });
+      return null;
+    }
   }
   
   /**
@@ -221,12 +406,14 @@ class SLAChargeController {
       'SUBSCRIPTION_CANCELLED': { category: 'Service', code: '2017' },
       'AMOUNT_EXCEEDS_LIMIT': { category: 'Service', code: '2013' },
       'DAILY_LIMIT_EXCEEDED': { category: 'Service', code: '2014' },
+      'WEEKLY_LIMIT_EXCEEDED': { category: 'Service', code: '2014' },
       'MONTHLY_LIMIT_EXCEEDED': { category: 'Service', code: '2018' },
       'OPERATOR_DISABLED': { category: 'Service', code: '5002' },
       'FEATURE_NOT_SUPPORTED': { category: 'Service', code: '5002' },
       'INVALID_AMOUNT': { category: 'Request', code: '2001' },
       'INVALID_CURRENCY': { category: 'Request', code: '2001' },
-      'CHARGING_NOT_AVAILABLE': { category: 'Service', code: '5002' }
+      'CHARGING_NOT_AVAILABLE': { category: 'Service', code: '5002' },
+      'SPEND_LIMIT_UNVERIFIABLE': { category: 'Server', code: '5001' }
     };
     
     const mapping = errorMappings[error.code] || { category: 'Server', code: '5001' };
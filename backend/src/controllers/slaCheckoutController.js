@@ -0,0 +1,199 @@
+/**
+ * SLA Digital v2.2 Checkout Controller
+ *
+ * Hosted checkout sessions for operators where the subscriber consents on an operator page.
+ * Endpoints: /v2.2/checkout/create, /v2.2/checkout/status (merchant, HTTP Basic Auth)
+ *            GET /checkout/:token, GET /checkout/:token/return (subscriber's browser, signed token)
+ */
+
+const Logger = require('../utils/logger');
+const { getInstance: getOperatorManager } = require('../services/core/OperatorManager');
+const OperatorDetectionService = require('../services/core/OperatorDetectionService');
+const CheckoutService = require('../services/core/CheckoutService');
+const UKAggregatorService = require('../services/core/UKAggregatorService');
+const SLAResponseMapper = require('../services/core/SLAResponseMapper');
+const SLAErrorMapper = require('../services/core/SLAErrorMapper');
+
+class SLACheckoutController {
+
+  /**
+   * POST /v2.2/checkout/create
+   * Opens a checkout session and returns the URL to send the subscriber to
+   *
+   * Query Parameters: campaign, merchant, return_url, [msisdn], [acr], [operator] (or 'uk'), [language], [trial]
+   */
+  static async create(req, res) {
+    try {
+      const { msisdn, acr, campaign, merchant, return_url, operator, language, trial } = req.query;
+
+      if (!campaign || !merchant || !return_url) {
+        const error = SLAErrorMapper.mapError(
+          { code: 'MISSING_PARAMETER', message: 'Missing required parameters' },
+          null,
+          { parameter: 'campaign, merchant, return_url' }
+        );
+        return res.status(200).json({ error });
+      }
+
+      // The registered campaign names its operator; otherwise detect it from the number
+      // (operator=uk: the UK aggregator picks the network when the subscriber lands)
+      const identifier = acr || msisdn;
+      const ukRequested = operator === UKAggregatorService.UK_FLOW;
+      const operatorCode = (req.slaCampaign && req.slaCampaign.operatorCode) || (ukRequested ? null : operator) ||
+        (identifier ? await OperatorDetectionService.determineOperator(identifier, campaign) : null);
+      const ukFlow = ukRequested || UKAggregatorService.isUKNetwork(operatorCode);
+
+      if (ukRequested && operatorCode && !UKAggregatorService.isUKNetwork(operatorCode)) {
+        const error = SLAErrorMapper.mapError(
+          { code: 'INVALID_PARAMETER', message: `operator=uk used with a non-UK subscriber (${operatorCode})` },
+          null,
+          { parameter: 'operator' }
+        );
+        return res.status(200).json({ error });
+      }
+
+      if (!operatorCode && !ukFlow) {
+        const error = SLAErrorMapper.mapError(
+          { code: 'INVALID_PARAMETER', message: 'Unable to determine operator' },
+          null,
+          { parameter: 'msisdn/acr or operator' }
+        );
+        return res.status(200).json({ error });
+      }
+
+      const isEnabled = !operatorCode || await getOperatorManager().isOperatorEnabled(operatorCode);
+      if (!isEnabled) {
+        const error = SLAErrorMapper.mapError(
+          { code: 'OPERATOR_DISABLED' },
+          operatorCode,
+          { endpoint: '/v2.2/checkout/create' }
+        );
+        return res.status(200).json({ error });
+      }
+
+      const { session, token, redirectUrl } = await CheckoutService.createSession({
+        operatorCode,
+        flow: ukFlow ? UKAggregatorService.UK_FLOW : 'operator',
+        msisdn: identifier && identifier.length !== 48 ? identifier : undefined,
+        acr: identifier && identifier.length === 48 ? identifier : undefined,
+        merchant,
+        campaign,
+        registeredCampaign: req.slaCampaign || null,
+        returnUrl: return_url,
+        language,
+        trialDays: trial,
+        slaUsername: req.slaUser?.username || null
+      });
+
+      Logger.info('SLA v2.2 checkout session created', {
+        endpoint: '/v2.2/checkout/create',
+        operatorCode,
+        flow: session.flow,
+        sessionId: session.id,
+        slaUser: req.slaUser?.username?.substring(0, 3) + '***'
+      });
+
+      res.status(200).json(SLAResponseMapper.mapCheckoutSessionResponse(session, { token, redirectUrl }));
+
+    } catch (error) {
+      Logger.error('SLA v2.2 checkout session creation failed', {
+        endpoint: '/v2.2/checkout/create',
+        error: error.message,
+        params: req.query,
+        slaUser: req.slaUser?.username?.substring(0, 3) + '***'
+      });
+
+      const slaError = SLAErrorMapper.mapError(error, null, {
+        endpoint: '/v2.2/checkout/create',
+        parameter: 'checkout'
+      });
+
+      res.status(200).json({ error: slaError });
+    }
+  }
+
+  /**
+   * POST /v2.2/checkout/status
+   * Gets the state of a checkout session (and the subscription uuid once consented)
+   *
+   * Query Parameters: session_id
+   */
+  static async status(req, res) {
+    try {
+      const { session_id } = req.query;
+
+      if (!session_id) {
+        const error = SLAErrorMapper.mapError(
+          { code: 'MISSING_PARAMETER' },
+          null,
+          { parameter: 'session_id' }
+        );
+        return res.status(200).json({ error });
+      }
+
+      const session = await CheckoutService.getSession(session_id, req.slaUser?.username || null);
+
+      res.status(200).json(SLAResponseMapper.mapCheckoutSessionResponse(session));
+
+    } catch (error) {
+      Logger.error('SLA v2.2 checkout status failed', {
+        endpoint: '/v2.2/checkout/status',
+        error: error.message,
+        params: req.query
+      });
+
+      const slaError = SLAErrorMapper.mapError(error, null, {
+        endpoint: '/v2.2/checkout/status',
+        parameter: 'session_id'
+      });
+
+      res.status(200).json({ error: slaError });
+    }
+  }
+
+  /**
+   * GET /checkout/:token
+   * Sends the subscriber to the operator checkout (or back to the merchant once the session is closed)
+   */
+  static async redirect(req, res) {
+    try {
+      res.redirect(302, await CheckoutService.startRedirect(req.params.token, { headers: req.headers }));
+    } catch (error) {
+      SLACheckoutController.browserError(req, res, error);
+    }
+  }
+
+  /**
+   * GET /checkout/:token/return
+   * Subscriber back from the operator checkout - forwarded to the merchant's return URL
+   */
+  static async returnFromOperator(req, res) {
+    try {
+      res.redirect(302, await CheckoutService.completeReturn(req.params.token, req.query));
+    } catch (error) {
+      SLACheckoutController.browserError(req, res, error);
+    }
+  }
+
+  /**
+   * Errors shown to a subscriber's browser (no merchant URL is known without a valid token)
+   */
+  static browserError(req, res, error) {
+    const known = ['CHECKOUT_TOKEN_INVALID', 'CHECKOUT_SESSION_NOT_FOUND'].includes(error.code);
+
+    Logger.warn('Checkout browser request failed', {
+      path: req.path,
+      ip: req.ip,
+      error: error.message
+    });
+
+    res.status(known ? 404 : 500).json({
+      error: {
+        code: known ? error.code : 'CHECKOUT_FAILED',
+        message: known ? 'This checkout link is not valid' : 'Checkout could not be started, please try again'
+      }
+    });
+  }
+}
+
+module.exports = SLACheckoutController;
@@ -11,6 +11,7 @@ const Logger = require('../utils/logger');
 const { UnifiedError } = require('../utils/errors');
 const { getInstance: getOperatorManager } = require('../services/core/OperatorManager');
 const OperatorDetectionService = require('../services/core/OperatorDetectionService');
+const SpendLimitService = require('../services/core/SpendLimitService');
 
 class SLAEligibilityController {
   
@@ -81,7 +82,12 @@ class SLAEligibilityController {
         });
       }
       
-      const adapter = operatorManager.getOperatorAdapter(operatorCode);
+      const adapter = operatorManager.getOperatorAdapter(operatorCode, {
+        campaign,
+        merchant,
+        stickyKey: identifier,
+        operation: 'checkEligibility'
+      });
       
       // Call adapter to check eligibility
       const response = await adapter.checkEligibility(identifier);
@@ -89,6 +95,9 @@ class SLAEligibilityController {
       // Get operator information for enhanced response
       const operatorInfo = OperatorDetectionService.getOperatorInfo(operatorCode);
       
+      // Remaining spend headroom from the subscriber ledger
+      const headroom = await SLAEligibilityController.getSpendHeadroom(operatorCode, identifier);
+      
       // Map response to SLA Digital format
       const slaResponse = {
         eligible: response.data?.eligible !== false,
@@ -101,8 +110,9 @@ class SLAEligibilityController {
         // Eligibility details
         max_amount: response.data?.maxAmount?.toString() || SLAEligibilityController.getMaxAmountForOperator(operatorCode),
         currency: operatorInfo.currency,
-        daily_limit: response.data?.dailyLimit?.toString(),
-        monthly_limit: response.data?.monthlyLimit?.toString(),
+        daily_limit: response.data?.dailyLimit?.toString() || SLAEligibilityController.limitString(headroom, 'daily'),
+        monthly_limit: response.data?.monthlyLimit?.toString() || SLAEligibilityController.limitString(headroom, 'monthly'),
+        spend_headroom: SLAEligibilityController.formatHeadroom(headroom),
         
         // Restrictions
         existing_subscriptions: response.data?.existingSubscriptions || 0,
@@ -141,6 +151,50 @@ class SLAEligibilityController {
     }
   }
   
+  /**
+   * Ledger headroom for the subscriber (null when unavailable - never fails the eligibility check)
+   */
+  static async getSpendHeadroom(operatorCode, identifier) {
+    try {
+      return await SpendLimitService.getHeadroom({
+        operatorCode,
+        msisdn: identifier.length !== 48 ? identifier : undefined,
+        acr: identifier.length === 48 ? identifier : undefined
+      });
+    } catch (error) {
+      Logger.warn('Spend headroom unavailable for eligibility check', {
+        operatorCode,
+        error: error.message
+      });
+      return null;
+    }
+  }
+  
+  /**
+   * Headroom in SLA format: { currency, daily: { limit, spent, remaining }, ... } for limited windows
+   */
+  static formatHeadroom(headroom) {
+    if (!headroom) {
+      return undefined;
+    }
+    
+    return Object.entries(headroom.windows).reduce((result, [window, { limit, spent, remaining }]) => {
+      if (limit !== null) {
+        result[window] = {
+          limit: limit.toString(),
+          spent: spent.toString(),
+          remaining: remaining.toString()
+        };
+      }
+      return result;
+    }, { currency: headroom.currency || undefined });
+  }
+  
+  static limitString(headroom, window) {
+    const limit = headroom && headroom.windows[window].limit;
+    return limit !== null && limit !== undefined ? limit.toString() : undefined;
+  }
+  
   /**
    * Get maximum amount for operator
    */
@@ -11,6 +11,8 @@ const Logger = require('../utils/logger');
 const { UnifiedError } = require('../utils/errors');
 const { getInstance: getOperatorManager } = require('../services/core/OperatorManager');
 const OperatorDetectionService = require('../services/core/OperatorDetectionService');
+const PinSessionService = require('../services/core/PinSessionService');
+const FraudEngineService = require('../services/core/FraudEngineService');
 
 class SLAPinController {
   
@@ -107,8 +109,13 @@ class SLAPinController {
         });
       }
       
-      // Get adapter for the operator
-      const adapter = operatorManager.getOperatorAdapter(operatorCode);
+      // Get adapter for the operator (routed operators: sticky per subscriber)
+      const adapter = operatorManager.getOperatorAdapter(operatorCode, {
+        campaign,
+        merchant,
+        stickyKey: identifier,
+        operation: 'generatePIN'
+      });
       
       // Check if operator supports PIN generation
       if (!adapter.generatePIN || typeof adapter.generatePIN !== 'function') {
@@ -116,7 +123,7 @@ class SLAPinController {
           error: {
             category: 'Service',
             code: '5002',
-            message: `Operator ${operatorCode} does not support PIN generation - use checkout flow`
+            message: `Operator ${operatorCode} does not support PIN generation - use /v2.2/checkout/create`
           }
         });
       }
@@ -145,14 +152,32 @@ class SLAPinController {
         correlator
       };
       
-      // Call adapter to generate PIN
-      const response = await adapter.generatePIN(identifier, campaign, adapterParams);
+      // Score the request before a PIN goes out; a challenge is answered by a verified fraud token
+      await FraudEngineService.screen('pin_request', {
+        ...FraudEngineService.requestContext(req),
+        msisdn: identifier,
+        campaign,
+        merchant,
+        operatorCode,
+        fraudToken: fraud_token,
+        challengePassed: FraudEngineService.verifyFraudToken(fraud_token, { msisdn: identifier, campaign })
+      });
+      
+      // Call adapter to generate PIN unless the msisdn + campaign is locked or resending too early
+      const operator = await operatorManager.getOperator(operatorCode);
+      const { result: response, session } = await PinSessionService.issue(operator, {
+        msisdn: identifier,
+        campaign,
+        language,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }, () => adapter.generatePIN(identifier, campaign, adapterParams));
       
       // Get operator information for enhanced response
       const operatorInfo = OperatorDetectionService.getOperatorInfo(operatorCode);
       
       // Map response to SLA Digital v2.2 format
-      const slaResponse = SLAPinController.mapPinResponse(response, operatorCode, operatorInfo, {
+      const slaResponse = SLAPinController.mapPinResponse(response, operatorCode, operatorInfo, session, {
         identifier,
         campaign,
         merchant,
@@ -193,21 +218,26 @@ class SLAPinController {
   /**
    * Map PIN response to SLA Digital v2.2 format
    */
-  static mapPinResponse(response, operatorCode, operatorInfo, originalParams) {
+  static mapPinResponse(response, operatorCode, operatorInfo, session, originalParams) {
     return {
       pin_sent: true,
       message: 'PIN sent successfully',
-      expires_in: 120, // 2 minutes per SLA Digital specification
+      expires_in: session.expiresIn,
       
       // PIN details
-      pin_length: SLAPinController.getPinLength(operatorCode),
+      pin_length: session.pinLength,
       delivery_method: 'SMS',
       template: originalParams.template || 'subscription',
       language: originalParams.language || 'en',
       
       // Timestamps
       timestamp: new Date().toISOString(),
-      expires_at: new Date(Date.now() + 120 * 1000).toISOString(),
+      expires_at: session.expiresAt,
+      
+      // Resend / verification limits
+      attempts_remaining: session.attemptsRemaining,
+      resends_remaining: session.resendsRemaining,
+      resend_available_at: session.resendAvailableAt,
       
       // Operator information
       operator_code: operatorCode,
@@ -224,29 +254,6 @@ class SLAPinController {
     };
   }
   
-  /**
-   * Get PIN length for operator
-   */
-  static getPinLength(operatorCode) {
-    const pinLengths = {
-      'zain-kw': 5,        // Zain Kuwait uses 5-digit PIN
-      'zain-bh': 5,        // Zain Bahrain uses 5-digit PIN ✅ FIXED
-      'zain-sa': 5,        // Zain Saudi uses 5-digit PIN
-      'zain-iq': 5,        // Zain Iraq uses 5-digit PIN
-      'zain-jo': 5,        // Zain Jordan uses 5-digit PIN
-      'zain-sd': 5,        // Zain Sudan uses 5-digit PIN
-      'mobily-sa': 4,      // Mobily Saudi uses 4-digit PIN
-      'etisalat-ae': 5,    // Etisalat UAE uses 5-digit PIN
-      'ooredoo-kw': 5,     // Ooredoo Kuwait uses 5-digit PIN
-      'stc-kw': 5,         // STC Kuwait uses 5-digit PIN
-      'telenor-digi': 6,   // Telenor Digi Malaysia uses 6-digit PIN
-      'umobile-my': 5,     // U Mobile Malaysia uses 5-digit PIN
-      'vf-ie': 5           // Vodafone Ireland uses 5-digit PIN
-    };
-    
-    return pinLengths[operatorCode] || 5; // Default to 5 digits
-  }
-  
   /**
    * Map errors to SLA Digital v2.2 format
    */
@@ -260,7 +267,12 @@ class SLAPinController {
       'OPERATOR_DISABLED': { category: 'Service', code: '5002' },
       'FEATURE_NOT_SUPPORTED': { category: 'Service', code: '5002' },
       'RATE_LIMIT_EXCEEDED': { category: 'Authorization', code: '1003' },
-      'FRAUD_TOKEN_INVALID': { category: 'Security', code: '4003' }
+      'PIN_RESEND_COOLDOWN': { category: 'Authorization', code: '1003' },
+      'PIN_LOCKED': { category: 'Request', code: '4003' },
+      'INVALID_PARAMETERS': { category: 'Request', code: '2001' },
+      'FRAUD_TOKEN_INVALID': { category: 'Security', code: '4003' },
+      'FRAUD_BLOCKED': { category: 'Security', code: '4003' },
+      'FRAUD_CHALLENGE_REQUIRED': { category: 'Security', code: '4003' }
     };
     
     const mapping = errorMappings[error.code] || { category: 'Server', code: '5001' };
@@ -8,7 +8,12 @@
  */
 
 const Logger = require('../utils/logger');
+const { ErrorFactory } = require('../utils/errors');
 const { getInstance: getOperatorManager } = require('../services/core/OperatorManager');
+const SLAErrorMapper = require('../services/core/SLAErrorMapper');
+const IdempotencyService = require('../services/core/IdempotencyService');
+const CircuitBreakerService = require('../services/core/CircuitBreakerService');
+const MerchantNotificationService = require('../services/core/MerchantNotificationService');
 
 class SLARefundController {
   
@@ -16,15 +21,20 @@ class SLARefundController {
    * POST /v2.2/refund
    * Processes refund for transaction
    * 
-   * Query Parameters: transaction_id, amount, currency, [reason]
+   * Query Parameters: transaction_id, amount, currency, [reason], [correlator]
+   * Headers: [Idempotency-Key] - takes precedence over correlator for deduplication
    */
   static async refund(req, res) {
+    let idempotencyClaim = null;
+    let transaction = null;
+    
     try {
       const { 
         transaction_id, 
         amount, 
         currency, 
-        reason 
+        reason,
+        correlator
       } = req.query;
       
       // Validate required parameters
@@ -49,10 +59,33 @@ class SLARefundController {
         });
       }
       
-      // Find operator for this transaction (simplified lookup)
-      const operatorCode = await SLARefundController.findTransactionOperator(transaction_id);
+      // A retried refund must not pay the subscriber back twice
+      const idempotencyKey = IdempotencyService.resolveKey(req, correlator);
+      if (idempotencyKey) {
+        try {
+          const claim = await IdempotencyService.begin(
+            IdempotencyService.buildScope('/v2.2/refund', req),
+            idempotencyKey,
+            { transaction_id, amount: refundAmount, currency }
+          );
+          
+          if (claim.replay) {
+            return res.status(200).json(claim.replay);
+          }
+          
+          idempotencyClaim = claim;
+        } catch (idempotencyError) {
+          return res.status(200).json({
+            error: SLAErrorMapper.mapError(idempotencyError, null, { endpoint: '/v2.2/refund' })
+          });
+        }
+      }
+      
+      // Find operator for this transaction
+      const { operatorCode, originalTransaction } = await SLARefundController.findTransactionOperator(transaction_id);
       
       if (!operatorCode) {
+        await IdempotencyService.release(idempotencyClaim);
         return res.status(200).json({
           error: {
             category: 'Request',
@@ -63,10 +96,15 @@ class SLARefundController {
       }
       
       const operatorManager = getOperatorManager();
-      const adapter = operatorManager.getOperatorAdapter(operatorCode);
+      // Routed operators: the variant of the subscriber the original charge was attributed to
+      const adapter = operatorManager.getOperatorAdapter(operatorCode, {
+        stickyKey: originalTransaction.subscriber,
+        operation: 'refund'
+      });
       
       // Check if operator supports refunds
       if (!adapter.refund || typeof adapter.refund !== 'function') {
+        await IdempotencyService.release(idempotencyClaim);
         return res.status(200).json({
           error: {
             category: 'Service',
@@ -76,8 +114,17 @@ class SLARefundController {
         });
       }
       
-      // Process refund via adapter
-      const response = await adapter.refund(transaction_id, refundAmount);
+      transaction = await SLARefundController.createTransactionRecord(operatorCode, originalTransaction, {
+        transaction_id,
+        amount: refundAmount,
+        currency,
+        reason,
+        correlator
+      }, idempotencyClaim);
+      
+      // Process refund via adapter (fails fast while the operator's circuit is open)
+      const response = await CircuitBreakerService.execute(adapter.circuitKey || operatorCode, 'refund',
+        () => adapter.refund(transaction_id, refundAmount));
       
       // Map response to SLA Digital format
       const refundId = `ref_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
@@ -93,6 +140,9 @@ class SLARefundController {
         operator_code: operatorCode
       };
       
+      // The subscriber has been refunded: failing to record it must not report the refund as failed
+      await SLARefundController.recordRefundSuccess(transaction, idempotencyClaim, response, slaResponse);
+      
       Logger.info('SLA v2.2 refund processed successfully', {
         endpoint: '/v2.2/refund',
         operatorCode,
@@ -116,17 +166,127 @@ class SLARefundController {
         message: error.message || 'Refund processing failed'
       };
       
+      try {
+        if (transaction) {
+          await transaction.markFailed(error.code || 'REFUND_FAILED', error.message, {
+            slaResponse: { error: slaError }
+          });
+        }
+        
+        // Failures the operator never ruled on are transient - let the merchant retry with the same key
+        if (!error.code || ErrorFactory.isRetryable(error)) {
+          await IdempotencyService.release(idempotencyClaim, transaction);
+        } else {
+          await IdempotencyService.complete(idempotencyClaim, { error: slaError });
+        }
+      } catch (recordError) {
+        Logger.warn('Failed to record refund failure', {
+          endpoint: '/v2.2/refund',
+          error: recordError.message
+        });
+      }
+      
       res.status(200).json({ error: slaError });
     }
   }
   
   /**
-   * Find operator for transaction (simplified implementation)
+   * Find operator for transaction
+   * Looks up the original charge by operator or internal ID; operatorCode is null when it is unknown
    */
   static async findTransactionOperator(transactionId) {
-    // In a real implementation, this would query the database
-    // For now, return default operator
-    return 'zain-kw';
+    const { getModels } = require('../models');
+    const { Transaction, Operator } = getModels();
+    
+    const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(transactionId);
+    const originalTransaction = await Transaction.findOne({
+      where: isUuid ? { id: transactionId } : { operatorTransactionId: transactionId },
+      include: [{ model: Operator, as: 'operator' }]
+    });
+    
+    if (originalTransaction && originalTransaction.operator) {
+      return { operatorCode: originalTransaction.operator.code, originalTransaction };
+    }
+    
+    return { operatorCode: null, originalTransaction: null };
+  }
+  
+  /**
+   * Complete the Transaction, notify the merchant and cache the response for retries
+   * Failures are logged only: the operator already paid the subscriber back
+   */
+  static async recordRefundSuccess(transaction, idempotencyClaim, response, slaResponse) {
+    try {
+      if (transaction) {
+        await transaction.markCompleted(response?.data?.refundId || slaResponse.refund_id, { slaResponse });
+        await MerchantNotificationService.notifyTransaction('refund_processed', transaction, {
+          refund_id: slaResponse.refund_id,
+          original_transaction_id: slaResponse.transaction_id
+        });
+      }
+    } catch (error) {
+      Logger.error('Refund succeeded but could not be recorded', {
+        endpoint: '/v2.2/refund',
+        transactionId: transaction ? transaction.id : null,
+        refundId: slaResponse.refund_id,
+        error: error.message
+      });
+    }
+    
+    try {
+      await IdempotencyService.complete(idempotencyClaim, slaResponse);
+    } catch (error) {
+      Logger.error('Failed to cache refund response for idempotent replay', {
+        endpoint: '/v2.2/refund',
+        refundId: slaResponse.refund_id,
+        error: error.message
+      });
+    }
+  }
+  
+  /**
+   * Create a processing refund Transaction
+   * Returns null when the database is unavailable so refunds still work
+   */
+  static async createTransactionRecord(operatorCode, originalTransaction, params, idempotencyClaim) {
+    try {
+      const { getModels } = require('../models');
+      const { Operator, Transaction } = getModels();
+      
+      const operatorId = originalTransaction
+        ? originalTransaction.operatorId
+        : (await Operator.findOne({ where: { code: operatorCode } }))?.id;
+      
+      if (!operatorId) {
+        return null;
+      }
+      
+      const idempotencyFields = IdempotencyService.transactionFields(idempotencyClaim);
+      
+      return await Transaction.create({
+        subscriptionId: originalTransaction ? originalTransaction.subscriptionId : null,
+        operatorId,
+        type: 'refund',
+        status: 'processing',
+        amount: params.amount,
+        currency: params.currency,
+        description: params.reason || 'Refund',
+        correlator: params.correlator || null,
+        idempotencyKey: idempotencyFields.idempotencyKey || null,
+        metadata: {
+          ...(idempotencyFields.metadata || {}),
+          source: 'sla_v2.2_refund',
+          originalTransactionId: params.transaction_id
+        }
+      });
+    } catch (error) {
+      Logger.warn('Failed to record refund transaction', {
+        endpoint: '/v2.2/refund',
+        operatorCode,
+        error: error.message
+      });
+      return null;
+    }
   }
 }
 
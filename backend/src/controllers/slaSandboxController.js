@@ -2,12 +2,16 @@
  * SLA Digital v2.2 Sandbox Controller - COMPLIANT IMPLEMENTATION
  * 
  * Handles SLA Digital v2.2 sandbox operations using existing sandbox service.
- * Endpoints: /v2.2/sandbox/provision, /v2.2/sandbox/balances
+ * Endpoints: /v2.2/sandbox/provision, /v2.2/sandbox/balances,
+ * /v2.2/sandbox/scenario (local simulator only; the simulated clock is under /api/admin/sandbox)
  * 
  * PHASE 2: Controllers Implementation
  */
 
 const Logger = require('../utils/logger');
+const { UnifiedError, ValidationError } = require('../utils/errors');
+const SandboxService = require('../services/core/SandboxService');
+const OperatorDetectionService = require('../services/core/OperatorDetectionService');
 
 class SLASandboxController {
   
@@ -16,13 +20,19 @@ class SLASandboxController {
    * Provisions MSISDN for sandbox testing (4-hour window per SLA Digital specification)
    * 
    * Query Parameters: msisdn, campaign, merchant
+   * Simulator operators also take: [balance], [currency], [failures] (e.g. charge:insufficient_funds,pin:timeout),
+   * [scenario] (e.g. charge,insufficient_funds,grace,mo_stop@3d)
    */
   static async provision(req, res) {
     try {
       const { 
         msisdn, 
         campaign, 
-        merchant 
+        merchant,
+        balance,
+        currency,
+        failures,
+        scenario
       } = req.query;
       
       // Validate required parameters
@@ -47,18 +57,30 @@ class SLASandboxController {
         });
       }
       
-      // Provision MSISDN for sandbox (4-hour window per SLA Digital specification)
-      const provisionExpiry = new Date(Date.now() + 4 * 60 * 60 * 1000); // 4 hours from now
+      // Provision MSISDN for sandbox (4-hour window per SLA Digital specification);
+      // simulator operators are provisioned locally with their balance and injected failures
+      const operatorCode = await OperatorDetectionService.determineOperator(msisdn, campaign);
+      const provision = await SandboxService.provisionSandboxMSISDN(msisdn, campaign, merchant, operatorCode, {
+        balance,
+        currency,
+        failures,
+        scenario
+      });
       
       const slaResponse = {
         provisioned: true,
         msisdn,
         campaign,
         merchant,
-        expires_at: provisionExpiry.toISOString(),
-        expires_in_seconds: 4 * 60 * 60, // 4 hours
-        dummy_pin: '000000', // SLA Digital sandbox uses dummy PIN
-        environment: 'sandbox',
+        operator_code: provision.operatorCode,
+        expires_at: provision.expiresAt,
+        expires_in_seconds: Math.max(0, Math.round((new Date(provision.expiresAt) - Date.now()) / 1000)),
+        dummy_pin: provision.dummyPIN, // SLA Digital sandbox uses dummy PIN
+        balance: provision.simulated ? provision.balance.toFixed(2) : undefined,
+        currency: provision.simulated ? provision.currency : undefined,
+        failures: provision.simulated ? provision.failures : undefined,
+        scenario: provision.simulated ? provision.scenario : undefined,
+        environment: provision.simulated ? 'simulator' : 'sandbox',
         message: 'MSISDN provisioned for sandbox testing',
         timestamp: new Date().toISOString()
       };
@@ -67,7 +89,9 @@ class SLASandboxController {
         endpoint: '/v2.2/sandbox/provision',
         msisdn: msisdn ? msisdn.substring(0, 6) + '***' : 'unknown',
         campaign,
-        expires_at: provisionExpiry.toISOString()
+        operatorCode: provision.operatorCode,
+        simulated: provision.simulated,
+        expires_at: provision.expiresAt
       });
       
       res.status(200).json(slaResponse);
@@ -80,11 +104,7 @@ class SLASandboxController {
       });
       
       res.status(200).json({
-        error: {
-          category: 'Service',
-          code: '5005',
-          message: error.message || 'Sandbox provisioning failed'
-        }
+        error: SLASandboxController.mapError(error, 'Sandbox provisioning failed')
       });
     }
   }
@@ -99,6 +119,24 @@ class SLASandboxController {
     try {
       const { msisdn } = req.query;
       
+      // Simulator provisions report their own wallet
+      const provision = msisdn ? await SandboxService.getSandboxProvision(msisdn) : null;
+      if (provision && provision.simulated && !provision.expired) {
+        return res.status(200).json({
+          balances: [
+            {
+              currency: provision.currency,
+              balance: provision.balance.toFixed(2),
+              reserved: '0.00',
+              available: provision.balance.toFixed(2)
+            }
+          ],
+          msisdn,
+          environment: 'simulator',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       // Return mock sandbox balances
       const slaResponse = {
         balances: [
@@ -148,6 +186,76 @@ class SLASandboxController {
       });
     }
   }
+  
+  /**
+   * POST /v2.2/sandbox/scenario
+   * Scripts what happens to the MSISDN's next subscriptions on the simulated clock
+   * 
+   * Query Parameters: msisdn, scenario (e.g. charge,insufficient_funds,grace,mo_stop@3d or a JSON list)
+   */
+  static async scenario(req, res) {
+    try {
+      const { msisdn, scenario } = req.query;
+      
+      if (!msisdn || !scenario) {
+        return res.status(200).json({
+          error: {
+            category: 'Request',
+            code: '2001',
+            message: 'Missing required parameters: msisdn and scenario are mandatory'
+          }
+        });
+      }
+      
+      const provision = await SandboxService.setSandboxScenario(msisdn, scenario);
+      
+      Logger.info('SLA v2.2 sandbox scenario set', {
+        endpoint: '/v2.2/sandbox/scenario',
+        msisdn: msisdn.substring(0, 6) + '***',
+        steps: provision.scenario.length
+      });
+      
+      res.status(200).json({
+        msisdn,
+        scenario: provision.scenario,
+        environment: 'simulator',
+        message: 'Scenario applies to subscriptions created from now on',
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      Logger.error('SLA v2.2 sandbox scenario failed', {
+        endpoint: '/v2.2/sandbox/scenario',
+        error: error.message
+      });
+      
+      res.status(200).json({
+        error: SLASandboxController.mapError(error, 'Sandbox scenario could not be set')
+      });
+    }
+  }
+  
+  // ===== HELPER METHODS =====
+  
+  /**
+   * Map errors to SLA Digital v2.2 format
+   */
+  static mapError(error, fallbackMessage) {
+    if (error instanceof ValidationError ||
+        (error instanceof UnifiedError && error.code === 'MSISDN_NOT_PROVISIONED')) {
+      return {
+        category: 'Request',
+        code: '2001',
+        message: error.message
+      };
+    }
+    
+    return {
+      category: 'Service',
+      code: '5005',
+      message: error.message || fallbackMessage
+    };
+  }
 }
 
 module.exports = SLASandboxController;
\ No newline at end of file
@@ -9,6 +9,8 @@
 
 const Logger = require('../utils/logger');
 const { getInstance: getOperatorManager } = require('../services/core/OperatorManager');
+const OperatorDetectionService = require('../services/core/OperatorDetectionService');
+const SMSService = require('../services/core/SMSService');
 
 class SLASmsController {
   
@@ -16,7 +18,7 @@ class SLASmsController {
    * POST /v2.2/sms
    * Sends SMS to customer
    * 
-   * Query Parameters: msisdn, message, [template], [language]
+   * Query Parameters: msisdn, message, [template], [language], [campaign]
    */
   static async send(req, res) {
     try {
@@ -25,7 +27,8 @@ class SLASmsController {
         acr,
         message, 
         template, 
-        language 
+        language,
+        campaign
       } = req.query;
       
       const identifier = acr || msisdn;
@@ -39,20 +42,73 @@ class SLASmsController {
         });
       }
       
-      // Determine operator
-      const operatorCode = identifier.startsWith('+965') ? 'zain-kw' : 'zain-kw';
+      // Determine operator (falls back to the campaign's default operator)
+      const operatorCode = await OperatorDetectionService.determineOperator(identifier, campaign);
       
       const operatorManager = getOperatorManager();
-      const adapter = operatorManager.getOperatorAdapter(operatorCode);
+      
+      // Check if operator is enabled
+      const isEnabled = await operatorManager.isOperatorEnabled(operatorCode);
+      if (!isEnabled) {
+        return res.status(200).json({
+          error: {
+            category: 'Service',
+            code: '5002',
+            message: `Operator ${operatorCode} is currently unavailable`
+          }
+        });
+      }
+      
+      const adapter = operatorManager.getOperatorAdapter(operatorCode, {
+        campaign,
+        stickyKey: identifier,
+        operation: 'sendSMS'
+      });
+      
+      // Check if operator supports SMS
+      if (typeof adapter.sendSMS !== 'function' || !adapter.supportsFeature('sms')) {
+        return res.status(200).json({
+          error: {
+            category: 'Service',
+            code: '5002',
+            message: `Operator ${operatorCode} does not support SMS`
+          }
+        });
+      }
+      
+      // Render template in the requested (or operator) language within operator limits
+      let rendered;
+      try {
+        rendered = SMSService.render({
+          message,
+          template,
+          language: language || SMSService.getDefaultLanguage(operatorCode, adapter.config),
+          limits: adapter.config.sms || {}
+        });
+      } catch (renderError) {
+        return res.status(200).json({
+          error: {
+            category: 'Request',
+            code: '2001',
+            message: renderError.message
+          }
+        });
+      }
       
       // Send SMS via adapter
-      await adapter.sendSMS(identifier, message, template || 'welcome');
+      await adapter.sendSMS(identifier, rendered.text, rendered.template, {
+        language: rendered.language,
+        campaign
+      });
       
       const slaResponse = {
         message_sent: true,
         message: 'SMS sent successfully',
-        template: template || 'welcome',
-        language: language || 'en',
+        template: rendered.template,
+        language: rendered.language,
+        encoding: rendered.encoding,
+        characters: rendered.characters,
+        segments: rendered.segments,
         timestamp: new Date().toISOString(),
         operator_code: operatorCode
       };
@@ -60,11 +116,14 @@ class SLASmsController {
       Logger.info('SLA v2.2 SMS sent successfully', {
         endpoint: '/v2.2/sms',
         operatorCode,
-        template
+        template: rendered.template,
+        language: rendered.language,
+        encoding: rendered.encoding,
+        segments: rendered.segments
       });
       
       res.status(200).json(slaResponse);
-      
+    
     } catch (error) {
       Logger.error('SLA v2.2 SMS sending failed', {
         endpoint: '/v2.2/sms',
@@ -11,6 +11,15 @@
 const Logger = require('../utils/logger');
 const { UnifiedError } = require('../utils/errors');
 const { getInstance: getOperatorManager } = require('../services/core/OperatorManager');
+const SubscriptionStateMachine = require('../services/business/SubscriptionStateMachine');
+const SubscriptionRulesService = require('../services/business/SubscriptionRulesService');
+const OperatorDetectionService = require('../services/core/OperatorDetectionService');
+const PinSessionService = require('../services/core/PinSessionService');
+const FraudEngineService = require('../services/core/FraudEngineService');
+const SpendLimitService = require('../services/core/SpendLimitService');
+const CircuitBreakerService = require('../services/core/CircuitBreakerService');
+const SubscriberIdentityService = require('../services/core/SubscriberIdentityService');
+const SubscriptionService = require('../services/business/SubscriptionService');
 
 // ✅ PHASE 4: Import SLA Digital response and error mappers
 const SLAResponseMapper = require('../services/core/SLAResponseMapper');
@@ -26,6 +35,8 @@ class SLASubscriptionController {
    * Query Parameters: msisdn, pin, campaign, merchant, [language], [trial], [charge], [correlator]
    */
   static async create(req, res) {
+    let spendReservation = null;
+    
     try {
       // SLA v2.2: Parameters come from query string, not body
       const { 
@@ -97,14 +108,13 @@ class SLASubscriptionController {
         return res.status(200).json({ error });
       }
       
-      // Get adapter for the operator
-      const adapter = operatorManager.getOperatorAdapter(operatorCode);
-      
-      // Validate PIN length for specific operators
-      if (pin && operatorCode === 'zain-kw' && !/^\d{5}$/.test(pin)) {
-        const error = SLAErrorMapper.createOperatorError('zain-kw', 'pin_length');
-        return res.status(200).json({ error });
-      }
+      // Get adapter for the operator (routed operators: the variant that sent this subscriber's PIN)
+      const adapter = operatorManager.getOperatorAdapter(operatorCode, {
+        campaign,
+        merchant,
+        stickyKey: identifier,
+        operation: 'createSubscription'
+      });
       
       // Validate ACR requires correlator for Telenor
       if (identifier.length === 48 && operatorCode.startsWith('telenor') && !correlator) {
@@ -127,8 +137,54 @@ class SLASubscriptionController {
         skipInitialCharge: charge === 'false'
       };
       
-      // Call adapter to create subscription
-      const adapterResponse = await adapter.createSubscription(adapterParams);
+      // Velocity and anomaly checks; a challenge is answered by subscribing with a PIN
+      await FraudEngineService.screen('subscription_create', {
+        ...FraudEngineService.requestContext(req),
+        msisdn: identifier,
+        campaign,
+        merchant,
+        operatorCode,
+        challengePassed: !!pin
+      });
+      
+      // Operator and campaign limits on the subscriptions one subscriber may hold
+      await SubscriptionRulesService.assertCanSubscribe({
+        operatorCode,
+        msisdn: adapterParams.msisdn,
+        acr: adapterParams.acr,
+        merchant,
+        campaign: req.slaCampaign || campaign
+      });
+      
+      // The initial charge (campaign price, none for trials) must fit the subscriber's spend limits
+      const initialCharge = await SpendLimitService.initialChargeAmount({
+        campaign: req.slaCampaign,
+        trialDays: adapterParams.trialDays,
+        skipInitialCharge: adapterParams.skipInitialCharge
+      });
+      spendReservation = await SpendLimitService.reserve({
+        operatorCode,
+        msisdn: identifier,
+        amount: initialCharge
+      });
+      
+      // Call adapter to create subscription - PIN attempts (length per Operator.config.pin)
+      // are counted per msisdn + campaign and lock out brute force; fails fast while the circuit is open
+      const createSubscription = () => CircuitBreakerService.execute(adapter.circuitKey || operatorCode,
+        'createSubscription', () => adapter.createSubscription(adapterParams));
+      const adapterResponse = pin
+        ? (await PinSessionService.verify(await operatorManager.getOperator(operatorCode), {
+          msisdn: identifier,
+          campaign,
+          pin,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        }, createSubscription)).result
+        : await createSubscription();
+      
+      if (pin) {
+        await FraudEngineService.recordConversion(campaign);
+      }
       
       // ✅ PHASE 4: Map response to SLA Digital v2.2 format using mapper
       const slaResponse = SLAResponseMapper.mapSubscriptionCreateResponse(
@@ -144,6 +200,18 @@ class SLASubscriptionController {
         }
       );
       
+      // Link the MSISDN/ACR to the subscriber's stable id
+      await SLASubscriptionController.recordIdentity(req, operatorCode, adapterParams);
+      
+      // Keep the subscription locally: uuid-only requests (/charge, /subscription/delete) find
+      // their merchant and campaign through it
+      const subscription = await SLASubscriptionController.recordSubscription(req, operatorCode, identifier, adapterResponse, slaResponse);
+      
+      // Count the initial charge against the subscriber's spend limits
+      if (initialCharge > 0) {
+        await SLASubscriptionController.recordInitialCharge(req, operatorCode, identifier, subscription, initialCharge, adapterResponse);
+      }
+      
       Logger.info('SLA v2.2 subscription created successfully', {
         endpoint: '/v2.2/subscription/create',
         operatorCode,
@@ -176,6 +244,9 @@ class SLASubscriptionController {
       );
       
       res.status(200).json({ error: slaError });
+    } finally {
+      // The subscription has failed or its initial charge now counts in the ledger
+      await SpendLimitService.release(spendReservation);
     }
   }
   
@@ -184,13 +255,15 @@ class SLASubscriptionController {
    * Gets subscription status
    * ✅ PHASE 4: Updated with SLA response mapping
    * 
-   * Query Parameters: uuid
+   * Query Parameters: uuid, or msisdn/acr (the subscriber's latest subscription with the authenticated
+   * merchant) with [campaign], [merchant]
    */
   static async getStatus(req, res) {
     try {
-      const { uuid } = req.query;
+      const { msisdn, acr, campaign } = req.query;
+      let { uuid } = req.query;
       
-      if (!uuid) {
+      if (!uuid && !msisdn && !acr) {
         const error = SLAErrorMapper.mapError(
           { code: 'MISSING_PARAMETER' },
           null,
@@ -199,6 +272,25 @@ class SLASubscriptionController {
         return res.status(200).json({ error });
       }
       
+      // Without a uuid, the latest subscription of the subscriber behind the MSISDN/ACR
+      let subscriberId = null;
+      if (!uuid) {
+        const latest = await SLASubscriptionController.findLatestSubscription(acr || msisdn, {
+          campaign,
+          merchant: SLASubscriptionController.lookupMerchant(req)
+        });
+        if (!latest.subscription) {
+          const error = SLAErrorMapper.mapError(
+            { code: 'SUBSCRIPTION_NOT_FOUND' },
+            null,
+            { parameter: 'msisdn/acr' }
+          );
+          return res.status(200).json({ error });
+        }
+        uuid = latest.subscription.operatorSubscriptionId;
+        subscriberId = latest.subscriberId;
+      }
+      
       // Find which operator this subscription belongs to
       const { adapter, operatorCode } = await SLASubscriptionController.findSubscriptionOperator(uuid);
       
@@ -215,7 +307,7 @@ class SLASubscriptionController {
       const adapterResponse = await adapter.getSubscriptionStatus(uuid);
       
       // ✅ PHASE 4: Map response to SLA Digital format using mapper
-      const slaResponse = SLAResponseMapper.mapSubscriptionStatusResponse(adapterResponse, operatorCode);
+      const slaResponse = SLAResponseMapper.mapSubscriptionStatusResponse(adapterResponse, operatorCode, { subscriberId });
       
       Logger.info('SLA v2.2 subscription status retrieved', {
         endpoint: '/v2.2/subscription/status',
@@ -278,8 +370,19 @@ class SLASubscriptionController {
         return res.status(200).json({ error });
       }
       
-      // Cancel subscription via adapter
-      const adapterResponse = await adapter.cancelSubscription(uuid);
+      const localSubscription = await SLASubscriptionController.findLocalSubscription(uuid);
+      SLASubscriptionController.assertTransition(localSubscription, 'cancelled');
+      
+      // Cancel subscription via adapter (fails fast while the operator's circuit is open)
+      const adapterResponse = await CircuitBreakerService.execute(adapter.circuitKey || operatorCode,
+        'cancelSubscription', () => adapter.cancelSubscription(uuid));
+      
+      if (localSubscription) {
+        await localSubscription.updateStatus('cancelled', 'DELETED', {}, {
+          source: 'sla_v2.2',
+          reason: 'SLA v2.2 subscription delete'
+        });
+      }
       
       // ✅ PHASE 4: Map response to SLA Digital format
       const slaResponse = {
@@ -323,6 +426,24 @@ class SLASubscriptionController {
    * Activates inactive subscription
    */
   static async activate(req, res) {
+    return SLASubscriptionController.reactivate(req, res, '/v2.2/subscription/activate');
+  }
+  
+  /**
+   * POST /v2.2/subscription/resume
+   * Resumes suspended subscription  
+   */
+  static async resume(req, res) {
+    return SLASubscriptionController.reactivate(req, res, '/v2.2/subscription/resume');
+  }
+  
+  /**
+   * Shared activate/resume flow
+   * Cancelled and expired subscriptions are rejected before the operator is called
+   * 
+   * Query Parameters: uuid
+   */
+  static async reactivate(req, res, endpoint) {
     try {
       const { uuid } = req.query;
       
@@ -347,16 +468,28 @@ class SLASubscriptionController {
         return res.status(200).json({ error });
       }
       
+      const localSubscription = await SLASubscriptionController.findLocalSubscription(uuid);
+      SLASubscriptionController.assertTransition(localSubscription, 'active');
+      
       // Most adapters don't have separate activate method, they use resume
-      const adapterResponse = await adapter.resumeSubscription ? 
-        await adapter.resumeSubscription(uuid) : 
+      const canResume = typeof adapter.resumeSubscription === 'function';
+      const adapterResponse = canResume ?
+        await CircuitBreakerService.execute(adapter.circuitKey || operatorCode,
+          'activateSubscription', () => adapter.resumeSubscription(uuid)) :
         await adapter.getSubscriptionStatus(uuid);
       
+      if (localSubscription && canResume) {
+        await localSubscription.updateStatus('active', null, {}, {
+          source: 'sla_v2.2',
+          reason: `SLA v2.2 ${endpoint.split('/').pop()}`
+        });
+      }
+      
       // ✅ PHASE 4: Map response to SLA Digital format using mapper
       const slaResponse = SLAResponseMapper.mapSubscriptionStatusResponse(adapterResponse, operatorCode);
       
       Logger.info('SLA v2.2 subscription activation requested', {
-        endpoint: '/v2.2/subscription/activate',
+        endpoint,
         operatorCode,
         uuid,
         slaUser: req.slaUser?.username?.substring(0, 3) + '***'
@@ -366,7 +499,7 @@ class SLASubscriptionController {
       
     } catch (error) {
       Logger.error('SLA v2.2 subscription activation failed', {
-        endpoint: '/v2.2/subscription/activate',
+        endpoint,
         error: error.message,
         uuid: req.query.uuid,
         slaUser: req.slaUser?.username?.substring(0, 3) + '***'
@@ -376,28 +509,13 @@ class SLASubscriptionController {
       const slaError = SLAErrorMapper.mapError(
         error,
         null,
-        { endpoint: '/v2.2/subscription/activate' }
+        { endpoint }
       );
       
       res.status(200).json({ error: slaError });
     }
   }
   
-  /**
-   * POST /v2.2/subscription/resume
-   * Resumes suspended subscription  
-   */
-  static async resume(req, res) {
-    // ✅ PHASE 4: SLA compliant "not implemented" response
-    const error = SLAErrorMapper.mapError(
-      { code: 'FEATURE_NOT_SUPPORTED', message: 'Resume functionality under development - use activate endpoint' },
-      null,
-      { endpoint: '/v2.2/subscription/resume' }
-    );
-    
-    res.status(200).json({ error });
-  }
-  
   /**
    * POST /v2.2/subscription/free
    * Applies free period
@@ -415,81 +533,292 @@ class SLASubscriptionController {
   
   /**
    * POST /v2.2/subscription/latest
-   * Gets latest subscription for MSISDN
+   * Gets the latest subscription of the subscriber behind an MSISDN or ACR with the authenticated merchant
+   * 
+   * Query Parameters: msisdn or acr, [campaign], [merchant], [operator]
    */
   static async latest(req, res) {
-    // ✅ PHASE 4: SLA compliant "not implemented" response  
-    const error = SLAErrorMapper.mapError(
-      { code: 'FEATURE_NOT_SUPPORTED', message: 'Latest subscription lookup under development' },
-      null,
-      { endpoint: '/v2.2/subscription/latest' }
-    );
-    
-    res.status(200).json({ error });
+    try {
+      const { msisdn, acr, campaign, operator } = req.query;
+      const identifier = acr || msisdn;
+      
+      if (!identifier) {
+        const error = SLAErrorMapper.mapError(
+          { code: 'MISSING_PARAMETER' },
+          null,
+          { parameter: 'msisdn or acr' }
+        );
+        return res.status(200).json({ error });
+      }
+      
+      const { subscription, subscriberId } = await SLASubscriptionController.findLatestSubscription(
+        identifier,
+        { campaign, merchant: SLASubscriptionController.lookupMerchant(req), operatorCode: operator }
+      );
+      
+      if (!subscription) {
+        const error = SLAErrorMapper.mapError(
+          { code: 'SUBSCRIPTION_NOT_FOUND' },
+          null,
+          { parameter: 'msisdn/acr' }
+        );
+        return res.status(200).json({ error });
+      }
+      
+      const operatorCode = subscription.operator ? subscription.operator.code : operator;
+      const slaResponse = SLAResponseMapper.mapLatestSubscriptionResponse(subscription, operatorCode, subscriberId);
+      
+      Logger.info('SLA v2.2 latest subscription retrieved', {
+        endpoint: '/v2.2/subscription/latest',
+        operatorCode,
+        uuid: slaResponse.uuid,
+        identifier: identifier.substring(0, 6) + '***',
+        slaUser: req.slaUser?.username?.substring(0, 3) + '***'
+      });
+      
+      res.status(200).json(slaResponse);
+      
+    } catch (error) {
+      Logger.error('SLA v2.2 latest subscription failed', {
+        endpoint: '/v2.2/subscription/latest',
+        error: error.message,
+        slaUser: req.slaUser?.username?.substring(0, 3) + '***'
+      });
+      
+      const slaError = SLAErrorMapper.mapError(
+        error,
+        null,
+        { endpoint: '/v2.2/subscription/latest' }
+      );
+      
+      res.status(200).json({ error: slaError });
+    }
   }
   
   // ===== HELPER METHODS (Unchanged) =====
   
   /**
-   * Determine operator from identifier or campaign
+   * Determine operator from identifier or campaign (numbering plan, then built-in prefixes)
    */
   static async determineOperator(identifier, campaign) {
-    // Try to determine from MSISDN format first
-    if (identifier && identifier.length !== 48) {
-      const operatorMappings = {
-        // Kuwait - starts with country code or specific prefixes
-        '+965': ['zain-kw', 'ooredoo-kw', 'stc-kw'],
-        '+971': ['etisalat-ae'],
-        '+966': ['zain-sa', 'mobily-sa', 'stc-sa'],
-        '+234': ['mobile-ng'],
-        '+94': ['axiata-lk'],
-        '+60': ['telenor-digi', 'umobile-my'],
-        '+95': ['telenor-mm'],
-        '+45': ['telenor-dk'],
-        '+47': ['telenor-no'],
-        '+46': ['telenor-se'],
-        '+381': ['telenor-rs'],
-        '+353': ['three-ie', 'vf-ie'],
-        '+44': ['voda-uk', 'three-uk', 'o2-uk', 'ee-uk']
-      };
+    return OperatorDetectionService.determineOperator(identifier, campaign);
+  }
+  
+  /**
+   * Find the local Subscription row for an operator subscription UUID
+   * Returns null when it is not tracked locally (or the database is unavailable)
+   */
+  static async findLocalSubscription(uuid) {
+    try {
+      const { getModels } = require('../models');
+      const { Subscription } = getModels();
       
-      // Extract country code
-      for (const [countryCode, operators] of Object.entries(operatorMappings)) {
-        if (identifier.startsWith(countryCode)) {
-          return operators[0]; // Return first operator for now
-        }
-      }
+      return await Subscription.findOne({ where: { operatorSubscriptionId: uuid } });
+    } catch (error) {
+      Logger.warn('Local subscription lookup failed', {
+        uuid,
+        error: error.message
+      });
+      return null;
+    }
+  }
+  
+  /**
+   * Merchant an MSISDN/ACR lookup is limited to - always the authenticated one, so a merchant
+   * never sees another merchant's subscriptions
+   * @throws {UnifiedError} MERCHANT_REQUIRED without a merchant account, CAMPAIGN_MERCHANT_MISMATCH
+   *   when the merchant parameter names another merchant
+   */
+  static lookupMerchant(req) {
+    const authenticated = req.slaUser && req.slaUser.merchant;
+    
+    if (!authenticated) {
+      throw new UnifiedError('MERCHANT_REQUIRED', 'Subscriptions can only be looked up by MSISDN/ACR with a merchant account');
     }
     
-    // If ACR (48 characters), likely Telenor
-    if (identifier && identifier.length === 48) {
-      return 'telenor-mm'; // Default to Myanmar for ACR
+    if (req.query.merchant && req.query.merchant !== authenticated.code) {
+      throw new UnifiedError('CAMPAIGN_MERCHANT_MISMATCH',
+        `Merchant ${req.query.merchant} does not match the authenticated merchant`);
     }
     
-    // Fallback to campaign-based detection
-    if (campaign && campaign.includes('zain')) return 'zain-kw';
-    if (campaign && campaign.includes('etisalat')) return 'etisalat-ae';
+    return authenticated.code;
+  }
+  
+  /**
+   * Latest local subscription of the subscriber behind an MSISDN or ACR (any of its identifiers)
+   * @param {Object} filters - { campaign, merchant (required - see lookupMerchant), operatorCode }
+   * @returns {Object} { subscription, subscriberId }
+   */
+  static async findLatestSubscription(identifier, { campaign, merchant, operatorCode } = {}) {
+    const subscriber = await SubscriberIdentityService.findSubscriber(identifier).catch(() => null);
+    const subscriptions = await new SubscriptionService().findByMSISDN(identifier, operatorCode || null);
+    
+    const subscription = subscriptions.find(candidate =>
+      (!campaign || candidate.campaign === campaign) && candidate.merchant === merchant
+    );
+    
+    return {
+      subscription: subscription || null,
+      subscriberId: subscriber ? subscriber.id : (subscription && subscription.subscriberId) || null
+    };
+  }
+  
+  /**
+   * Local Subscription for a subscription the operator created (the existing one for a known uuid)
+   * A failure is logged only - the operator has already created the subscription
+   */
+  static async recordSubscription(req, operatorCode, identifier, adapterResponse, slaResponse) {
+    const { campaign, merchant, trial } = req.query;
     
-    // Default fallback
-    return 'zain-kw';
+    try {
+      const { getModels } = require('../models');
+      const { Subscription } = getModels();
+      
+      if (!slaResponse.uuid) {
+        Logger.warn('Operator returned no subscription uuid, no subscription recorded', {
+          endpoint: '/v2.2/subscription/create',
+          operatorCode,
+          campaign
+        });
+        return null;
+      }
+      
+      const existing = await Subscription.findOne({ where: { operatorSubscriptionId: slaResponse.uuid } });
+      if (existing) {
+        return existing;
+      }
+      
+      const data = adapterResponse?.data || adapterResponse || {};
+      const status = String(data.status || '').toLowerCase();
+      const registered = req.slaCampaign;
+      
+      return await new SubscriptionService().create({
+        operatorCode,
+        operatorSubscriptionId: slaResponse.uuid,
+        msisdn: identifier,
+        status: Subscription.rawAttributes.status.values.includes(status)
+          ? status
+          : (parseInt(trial) > 0 ? 'trial' : 'active'),
+        amount: registered ? parseFloat(registered.price) : parseFloat(slaResponse.amount) || 0,
+        currency: registered ? registered.currency : slaResponse.currency,
+        frequency: registered ? registered.frequency : 'monthly',
+        campaign,
+        merchant,
+        metadata: { correlator: req.query.correlator || null },
+        source: 'sla_subscription_create',
+        enforceRules: false // Checked before the operator was called
+      });
+    } catch (error) {
+      Logger.error('Subscription created at the operator but not recorded', {
+        endpoint: '/v2.2/subscription/create',
+        operatorCode,
+        uuid: slaResponse.uuid,
+        campaign,
+        error: error.message
+      });
+      return null;
+    }
+  }
+  
+  /**
+   * Completed charge Transaction for a new subscription's initial charge, attributed to the subscriber
+   * The operator's transaction id lets a later CHARGED webhook for it update this row instead of adding one.
+   * A failure is logged only - the operator has already charged the subscriber
+   */
+  static async recordInitialCharge(req, operatorCode, identifier, subscription, amount, adapterResponse) {
+    try {
+      const { getModels } = require('../models');
+      const { Operator, Transaction } = getModels();
+      
+      const operator = await Operator.findOne({ where: { code: operatorCode } });
+      if (!operator) {
+        return null;
+      }
+      
+      const data = adapterResponse?.data || adapterResponse || {};
+      
+      return await Transaction.create({
+        subscriptionId: subscription ? subscription.id : null,
+        operatorId: operator.id,
+        subscriber: Transaction.subscriberKey(identifier),
+        operatorTransactionId: data.transactionId || data.transaction_id || null,
+        type: 'charge',
+        status: 'completed',
+        amount,
+        currency: req.slaCampaign.currency, // A priced initial charge comes from the registered campaign
+        description: 'Initial subscription charge',
+        correlator: req.query.correlator || null,
+        processedAt: new Date(),
+        metadata: {
+          source: 'sla_subscription_create',
+          uuid: subscription ? subscription.operatorSubscriptionId : null
+        }
+      });
+    } catch (error) {
+      Logger.error('Initial subscription charge not recorded', {
+        endpoint: '/v2.2/subscription/create',
+        operatorCode,
+        campaign: req.query.campaign,
+        error: error.message
+      });
+      return null;
+    }
+  }
+  
+  /**
+   * Link a new subscription's MSISDN/ACR to one subscriber
+   * The request's enrichment headers are not used: the merchant sends them and could name anyone
+   * A failure is logged only - the operator has already created the subscription
+   */
+  static async recordIdentity(req, operatorCode, adapterParams) {
+    try {
+      await SubscriberIdentityService.resolve({
+        msisdn: adapterParams.msisdn,
+        acr: adapterParams.acr,
+        operatorCode
+      }, { source: 'sla_subscription_create' });
+    } catch (error) {
+      Logger.warn('Subscriber identity not recorded', {
+        endpoint: '/v2.2/subscription/create',
+        operatorCode,
+        error: error.message
+      });
+    }
+  }
+  
+  /**
+   * Reject a status change the subscription lifecycle does not allow
+   * Re-applying the current status is accepted so retried requests stay harmless
+   */
+  static assertTransition(localSubscription, toStatus) {
+    if (localSubscription && localSubscription.status !== toStatus) {
+      SubscriptionStateMachine.assertTransition(localSubscription, toStatus);
+    }
   }
   
   /**
    * Find which operator a subscription belongs to
+   * Routed operators are asked with the subscriber's MSISDN as sticky key (local subscription,
+   * else the MSISDN/ACR the operator reports), so later calls reach the same variant
    */
   static async findSubscriptionOperator(uuid) {
     const operatorManager = getOperatorManager();
     const supportedOperators = operatorManager.getSupportedOperators();
+    const context = await operatorManager.getSubscriptionRoutingContext(uuid);
     
     for (const operator of supportedOperators) {
       try {
         const isEnabled = await operatorManager.isOperatorEnabled(operator.code);
         if (!isEnabled) continue;
         
-        const adapter = operatorManager.getOperatorAdapter(operator.code);
+        let adapter = operatorManager.getOperatorAdapter(operator.code, context);
         const response = await adapter.getSubscriptionStatus(uuid);
         
         if (response && response.data && response.data.status !== 'DELETED') {
+          const reported = response.data.acr || response.data.msisdn;
+          if (!context.stickyKey && reported) {
+            adapter = operatorManager.getOperatorAdapter(operator.code, { ...context, stickyKey: reported });
+          }
           return { adapter, operatorCode: operator.code };
         }
       } catch (error) {
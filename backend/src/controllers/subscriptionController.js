@@ -6,7 +6,9 @@
 
 const UnifiedAdapter = require('../services/core/UnifiedAdapter');
 const SubscriptionService = require('../services/business/SubscriptionService');
-const { ValidationError } = require('../utils/errors');
+const SubscriptionStateMachine = require('../services/business/SubscriptionStateMachine');
+const SubscriptionRulesService = require('../services/business/SubscriptionRulesService');
+const { ValidationError, InvalidStatusTransitionError } = require('../utils/errors');
 const { asyncHandler } = require('../middleware/errorHandler');
 const Logger = require('../utils/logger');
 
@@ -36,6 +38,9 @@ class SubscriptionController {
       correlationId: req.correlationId
     });
     
+    // Refuse before the operator is called (SubscriptionService.create checks again on storing)
+    await SubscriptionRulesService.assertCanSubscribe({ operatorCode, msisdn, merchant, campaign });
+    
     // Execute through unified adapter
     const result = await this.unifiedAdapter.executeOperation(
       operatorCode,
@@ -169,6 +174,11 @@ class SubscriptionController {
       });
     }
     
+    // Reject before the operator call so an expired subscription is not cancelled upstream
+    if (!SubscriptionStateMachine.canTransition(subscription.status, 'cancelled')) {
+      throw new InvalidStatusTransitionError(subscription.status, 'cancelled', subscription.id);
+    }
+    
     Logger.info('Cancelling subscription', {
       subscriptionId: id,
       operatorCode: subscription.operator.code,
@@ -189,6 +199,10 @@ class SubscriptionController {
       cancellationReason: reason,
       cancelledBy: req.user.id,
       cancelledVia: 'api'
+    }, {
+      source: 'api',
+      reason,
+      triggeredBy: req.user.id
     });
     
     res.json({
@@ -228,9 +242,20 @@ class SubscriptionController {
       req.user.id
     );
     
-    // Update local status if it has changed
+    // Update local status if it has changed and the lifecycle allows it
     if (result.data.status !== subscription.status) {
-      await subscription.updateStatus(result.data.status, result.data.operatorStatus);
+      if (SubscriptionStateMachine.canTransition(subscription.status, result.data.status)) {
+        await subscription.updateStatus(result.data.status, result.data.operatorStatus, {}, {
+          source: 'operator_sync',
+          triggeredBy: req.user.id
+        });
+      } else {
+        Logger.warn('Operator status conflicts with subscription lifecycle, local status kept', {
+          subscriptionId: id,
+          localStatus: subscription.status,
+          operatorStatus: result.data.status
+        });
+      }
     }
     
     res.json({
@@ -326,6 +351,46 @@ class SubscriptionController {
     });
   });
   
+  /**
+   * Get subscription status transition history
+   */
+  getSubscriptionHistory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+    
+    const subscription = await this.subscriptionService.getById(id);
+    
+    if (!subscription) {
+      return res.status(404).json({
+        error: {
+          code: 'SUBSCRIPTION_NOT_FOUND',
+          message: 'Subscription not found'
+        }
+      });
+    }
+    
+    const history = await this.subscriptionService.getStatusHistory(id, {
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 100)
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        subscriptionId: id,
+        status: subscription.status,
+        allowedTransitions: SubscriptionStateMachine.getAllowedTransitions(subscription.status),
+        history: history.data
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: history.total,
+        pages: Math.ceil(history.total / parseInt(limit))
+      }
+    });
+  });
+  
   /**
    * Mask MSISDN for privacy
    */
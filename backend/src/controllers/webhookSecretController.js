@@ -0,0 +1,110 @@
+/**
+ * Webhook Secret Controller
+ *
+ * Handles inbound SLA webhook signing secrets per operator/merchant (admin only)
+ */
+
+const WebhookVerificationService = require('../services/core/WebhookVerificationService');
+const { getModels } = require('../models');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class WebhookSecretController {
+  /**
+   * List webhook secrets (never includes the secret value)
+   */
+  getAllSecrets = asyncHandler(async (req, res) => {
+    const { scopeType, scopeId, includeExpired } = req.query;
+    const { WebhookSecret } = getModels();
+
+    const where = {};
+    if (scopeType) where.scopeType = scopeType;
+    if (scopeId) where.scopeId = scopeId;
+
+    const secrets = await WebhookSecret.findAll({
+      where,
+      order: [['scopeType', 'ASC'], ['scopeId', 'ASC'], ['created_at', 'DESC']]
+    });
+
+    const data = includeExpired === 'true'
+      ? secrets
+      : secrets.filter(secret => secret.isValid());
+
+    res.json({
+      success: true,
+      data,
+      total: data.length
+    });
+  });
+
+  /**
+   * Create or rotate the secret of an operator/merchant
+   * The previous secret keeps verifying for the rotation window; the new one is returned once
+   */
+  rotateSecret = asyncHandler(async (req, res) => {
+    const { scopeType, scopeId, secret, rotationWindowSeconds } = req.body;
+
+    const result = await WebhookVerificationService.rotateSecret(scopeType, scopeId, {
+      secret,
+      rotationWindowSeconds: rotationWindowSeconds !== undefined ? parseInt(rotationWindowSeconds) : undefined,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...result.secret.toJSON(),
+        secret: result.plaintext,
+        previousSecretsExpiring: result.expiring
+      },
+      message: 'Webhook secret rotated - store the new secret, it will not be shown again'
+    });
+  });
+
+  /**
+   * Revoke a secret immediately
+   */
+  revokeSecret = asyncHandler(async (req, res) => {
+    const secret = await WebhookVerificationService.revokeSecret(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: secret,
+      message: 'Webhook secret revoked successfully'
+    });
+  });
+
+  /**
+   * Recent rejected inbound deliveries
+   */
+  getRejections = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, reason } = req.query;
+    const { AuditLog } = getModels();
+
+    const where = {
+      entityType: 'webhook',
+      category: 'authorization',
+      operationStatus: 'failure'
+    };
+    if (reason) where.errorMessage = reason;
+
+    const { count, rows } = await AuditLog.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit: Math.min(parseInt(limit), 100),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / parseInt(limit))
+      }
+    });
+  });
+}
+
+module.exports = new WebhookSecretController();
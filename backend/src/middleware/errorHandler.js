@@ -200,7 +200,9 @@ function getStatusCodeForError(errorCode) {
     'INVALID_PARAMETERS': 400,
     'INVALID_MSISDN': 400,
     'INVALID_PIN': 400,
+    'INVALID_PIN_FORMAT': 400,
     'MISSING_PARAMETERS': 400,
+    'MO_SMS_NOT_SUPPORTED': 400,
     
     // 401 Unauthorized
     'AUTHENTICATION_FAILED': 401,
@@ -210,6 +212,11 @@ function getStatusCodeForError(errorCode) {
     // 403 Forbidden
     'AUTHORIZATION_FAILED': 403,
     'INSUFFICIENT_PERMISSIONS': 403,
+    'INVALID_SHORT_CODE': 403,
+    'FRAUD_BLOCKED': 403,
+    'FRAUD_CHALLENGE_REQUIRED': 403,
+    'SIMULATOR_REQUIRED': 403,
+    'MERCHANT_REQUIRED': 403,
     
     // 404 Not Found
     'OPERATOR_NOT_FOUND': 404,
@@ -218,20 +225,35 @@ function getStatusCodeForError(errorCode) {
     
     // 409 Conflict
     'SUBSCRIPTION_EXISTS': 409,
+    'MAX_SUBSCRIPTIONS_REACHED': 409,
+    'WEEKLY_SUBSCRIPTION_LIMIT': 409,
+    'SUBSCRIPTION_COOLDOWN': 409,
+    'INVALID_STATUS_TRANSITION': 409,
+    'WEBHOOK_NOT_REDELIVERABLE': 409,
     'DUPLICATE_ENTRY': 409,
     
     // 422 Unprocessable Entity
     'CUSTOMER_INELIGIBLE': 422,
     'INSUFFICIENT_FUNDS': 422,
+    'DAILY_LIMIT_EXCEEDED': 422,
+    'WEEKLY_LIMIT_EXCEEDED': 422,
+    'MONTHLY_LIMIT_EXCEEDED': 422,
     'PIN_EXPIRED': 422,
+    'OPERATOR_RELOAD_FAILED': 422,
     
     // 429 Too Many Requests
     'RATE_LIMIT_EXCEEDED': 429,
+    'PIN_LOCKED': 429,
+    'PIN_RESEND_COOLDOWN': 429,
     
     // 503 Service Unavailable
     'OPERATOR_DISABLED': 503,
     'SERVICE_UNAVAILABLE': 503,
     'MAINTENANCE_MODE': 503,
+    'SPEND_LIMIT_UNVERIFIABLE': 503,
+    'SUBSCRIPTION_RULES_UNAVAILABLE': 503,
+    'PIN_ATTEMPTS_UNVERIFIABLE': 503,
+    'CHECKOUT_NOT_CONFIGURED': 503,
     
     // 502 Bad Gateway
     'EXTERNAL_SERVICE_ERROR': 502,
@@ -0,0 +1,116 @@
+/**
+ * MO SMS Authentication Middleware
+ *
+ * Inbound MO SMS deliveries carry no credentials, so they are authenticated by where they
+ * come from and where they were sent to:
+ * - the operator must support MO SMS
+ * - the short code must be one of the operator's active MO short codes (built-in or managed)
+ * - the client IP must be in Operator.config.moSms.allowedIps or MO_SMS_ALLOWED_IPS
+ *
+ * The message is normalized onto req.moSms for the controller.
+ */
+
+const Logger = require('../utils/logger');
+const config = require('../config');
+const MOSMSService = require('../services/core/MOSMSService');
+const { normalizeIP, isIPAllowed } = require('../utils/ipMatcher');
+
+/**
+ * Pick the first present field, aggregators name MO parameters differently
+ */
+const pick = (source, fields) => {
+  const field = fields.find(name => source[name] !== undefined && source[name] !== null && source[name] !== '');
+  return field ? String(source[field]).trim() : null;
+};
+
+/**
+ * Normalize an MO SMS delivery (JSON or form body, or query string)
+ */
+const normalizeMOSMS = (req) => {
+  const source = { ...req.query, ...req.body };
+
+  return {
+    msisdn: pick(source, ['msisdn', 'from', 'sender']),
+    message: pick(source, ['message', 'text', 'body']),
+    shortCode: pick(source, ['shortcode', 'short_code', 'shortCode', 'to']),
+    messageId: pick(source, ['message_id', 'messageId', 'id']),
+    timestamp: pick(source, ['timestamp', 'received_at'])
+  };
+};
+
+/**
+ * Reject an MO SMS delivery
+ */
+const reject = (req, res, status, code, message) => {
+  Logger.warn('MO SMS delivery rejected', {
+    operatorCode: req.params.operatorCode,
+    code,
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  return res.status(status).json({
+    error: {
+      code,
+      message
+    }
+  });
+};
+
+/**
+ * Authenticate an inbound MO SMS delivery for req.params.operatorCode
+ */
+const authenticateMOSMS = async (req, res, next) => {
+  try {
+    const { operatorCode } = req.params;
+    const moSms = normalizeMOSMS(req);
+
+    if (!(await MOSMSService.isOperatorEnabled(operatorCode))) {
+      return reject(req, res, 400, 'MO_SMS_NOT_SUPPORTED', `MO SMS not supported for operator ${operatorCode}`);
+    }
+
+    if (!moSms.msisdn || !moSms.message || !moSms.shortCode) {
+      return reject(req, res, 400, 'MISSING_PARAMETERS', 'msisdn, message and shortcode are required');
+    }
+
+    if (!(await MOSMSService.resolveShortCode(operatorCode, moSms.shortCode))) {
+      return reject(req, res, 403, 'INVALID_SHORT_CODE', `Short code ${moSms.shortCode} is not registered for operator ${operatorCode}`);
+    }
+
+    const { getModels } = require('../models');
+    const { Operator } = getModels();
+    const operator = await Operator.findOne({ where: { code: operatorCode }, attributes: ['id', 'code', 'config'] });
+
+    const operatorIps = (operator && operator.config && operator.config.moSms && operator.config.moSms.allowedIps) || [];
+    const allowlist = [...operatorIps, ...config.moSms.allowedIps];
+
+    if (allowlist.length === 0) {
+      if (!config.moSms.allowAnyIp) {
+        return reject(req, res, 403, 'AUTHORIZATION_FAILED', 'No MO SMS IP allowlist configured');
+      }
+      Logger.warn('Accepting MO SMS without IP allowlist', { operatorCode, ip: req.ip });
+    } else if (!isIPAllowed(req.ip, allowlist)) {
+      return reject(req, res, 403, 'AUTHORIZATION_FAILED', 'Source IP not allowed to deliver MO SMS');
+    }
+
+    req.moSms = {
+      ...moSms,
+      operatorCode,
+      operatorId: operator ? operator.id : null,
+      ipAddress: normalizeIP(req.ip)
+    };
+
+    next();
+  } catch (error) {
+    Logger.error('MO SMS authentication error', {
+      operatorCode: req.params.operatorCode,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  authenticateMOSMS,
+  normalizeMOSMS
+};
@@ -3,12 +3,17 @@
  * 
  * Implements HTTP Basic Auth + IP Whitelisting as required by SLA Digital v2.2 specification.
  * Replaces JWT authentication for SLA routes only.
+ * Registered merchants authenticate with the credentials issued to them, and every request
+ * is validated against the campaign it names.
  * 
  * PHASE 3: Authentication & Security Implementation
  */
 
 const Logger = require('../utils/logger');
 const { UnifiedError } = require('../utils/errors');
+const MerchantService = require('../services/core/MerchantService');
+const IPWhitelistService = require('../services/core/IPWhitelistService');
+const SLAErrorMapper = require('../services/core/SLAErrorMapper');
 
 /**
  * HTTP Basic Authentication Middleware
@@ -74,7 +79,7 @@ const slaBasicAuth = async (req, res, next) => {
     }
     
     // Validate credentials against SLA Digital accounts
-    const isValidCredentials = await validateSLACredentials(username, password, req);
+    const { valid: isValidCredentials, merchant } = await validateSLACredentials(username, password, req);
     
     if (!isValidCredentials) {
       Logger.warn('SLA v2.2 authentication failed: Invalid credentials', {
@@ -96,7 +101,8 @@ const slaBasicAuth = async (req, res, next) => {
     req.slaUser = {
       username,
       authenticationType: 'basic_auth',
-      environment: determineEnvironment(username)
+      environment: merchant ? merchant.environment : determineEnvironment(username),
+      merchant // Registered merchant the credentials were issued to (null for built-in accounts)
     };
     
     Logger.info('SLA v2.2 authentication successful', {
@@ -128,7 +134,8 @@ const slaBasicAuth = async (req, res, next) => {
 
 /**
  * IP Whitelisting Middleware
- * SLA Digital v2.2 requires CIDR-formatted IP whitelisting
+ * SLA Digital v2.2 requires CIDR-formatted IP whitelisting (IPv4 and IPv6 ranges per API user,
+ * managed under /api/admin/ip-whitelist). Users in observe mode are logged, not blocked.
  */
 const slaIPWhitelist = async (req, res, next) => {
   try {
@@ -146,10 +153,27 @@ const slaIPWhitelist = async (req, res, next) => {
       });
     }
     
-    // Get whitelisted IPs for this user
-    const whitelistedIPs = await getWhitelistedIPs(username);
+    // Check the client IP against the user's ranges (IPWhitelistService)
+    const result = await IPWhitelistService.check(username, clientIP, req.slaUser.merchant);
     
-    if (!whitelistedIPs || whitelistedIPs.length === 0) {
+    if (!result.matched && result.mode === 'observe') {
+      Logger.warn('SLA v2.2 IP whitelist observe mode: unlisted IP allowed', {
+        endpoint: req.path,
+        username: username.substring(0, 3) + '***',
+        clientIP,
+        reason: result.reason,
+        whitelistedCount: result.ranges.length
+      });
+      
+      await IPWhitelistService.recordObservation(username, clientIP, result.reason, {
+        endpoint: req.path,
+        merchant: req.slaUser.merchant ? req.slaUser.merchant.code : null
+      });
+      
+      return next();
+    }
+    
+    if (result.reason === 'no_ranges') {
       Logger.warn('SLA v2.2 IP whitelist failed: No whitelisted IPs configured', {
         endpoint: req.path,
         username: username.substring(0, 3) + '***',
@@ -165,15 +189,12 @@ const slaIPWhitelist = async (req, res, next) => {
       });
     }
     
-    // Check if client IP matches any whitelisted IP/CIDR range
-    const isWhitelisted = checkIPWhitelist(clientIP, whitelistedIPs);
-    
-    if (!isWhitelisted) {
+    if (!result.allowed) {
       Logger.warn('SLA v2.2 IP whitelist failed: IP not whitelisted', {
         endpoint: req.path,
         username: username.substring(0, 3) + '***',
         clientIP,
-        whitelistedCount: whitelistedIPs.length
+        whitelistedCount: result.ranges.length
       });
       
       return res.status(200).json({
@@ -267,14 +288,70 @@ const slaQueryParams = (req, res, next) => {
   }
 };
 
+/**
+ * Campaign Validation Middleware
+ * Checks the request against the campaign it names (merchant, operator, price point, consent flow)
+ * and exposes the registered campaign as req.slaCampaign
+ */
+const slaCampaignValidation = async (req, res, next) => {
+  try {
+    req.slaCampaign = await MerchantService.validateRequest({
+      path: req.path,
+      query: req.query,
+      slaUser: req.slaUser
+    });
+    
+    next();
+    
+  } catch (error) {
+    if (!(error instanceof UnifiedError)) {
+      Logger.error('SLA v2.2 campaign validation error', {
+        endpoint: req.path,
+        error: error.message,
+        stack: error.stack
+      });
+      
+      return res.status(200).json({
+        error: {
+          category: 'Server',
+          code: '5001',
+          message: 'Campaign validation failed'
+        }
+      });
+    }
+    
+    Logger.warn('SLA v2.2 campaign validation failed', {
+      endpoint: req.path,
+      code: error.code,
+      campaign: req.query.campaign,
+      merchant: req.query.merchant,
+      username: req.slaUser?.username?.substring(0, 3) + '***'
+    });
+    
+    res.status(200).json({
+      error: {
+        ...SLAErrorMapper.mapError(error),
+        message: error.message
+      }
+    });
+  }
+};
+
 // ===== HELPER FUNCTIONS =====
 
 /**
  * Validate SLA Digital credentials
- * In production, this would check against database or external auth service
+ * Registered merchants first, then the built-in accounts
+ * @returns {Object} { valid, merchant }
  */
 async function validateSLACredentials(username, password, req) {
   try {
+    // Credentials issued to registered merchants (/api/admin/merchants/:id/credentials)
+    const registered = await MerchantService.authenticate(username, password);
+    if (registered) {
+      return registered;
+    }
+    
     // Mock credential validation - replace with actual implementation
     const validCredentials = {
       // Sandbox credentials
@@ -293,17 +370,17 @@ async function validateSLACredentials(username, password, req) {
     const expectedPassword = validCredentials[username];
     
     if (!expectedPassword) {
-      return false;
+      return { valid: false, merchant: null };
     }
     
-    return password === expectedPassword;
+    return { valid: password === expectedPassword, merchant: null };
     
   } catch (error) {
     Logger.error('Credential validation error', {
       username: username?.substring(0, 3) + '***',
       error: error.message
     });
-    return false;
+    return { valid: false, merchant: null };
   }
 }
 
@@ -331,82 +408,9 @@ function getClientIP(req) {
          '127.0.0.1';
 }
 
-/**
- * Get whitelisted IPs for username
- * In production, this would query database
- */
-async function getWhitelistedIPs(username) {
-  try {
-    // Mock IP whitelist - replace with database lookup
-    const ipWhitelists = {
-      'sandbox_user': ['127.0.0.1/32', '192.168.1.0/24', '10.0.0.0/8'],
-      'test_merchant': ['127.0.0.1/32', '203.0.113.0/24'],
-      'sla_sandbox': ['0.0.0.0/0'], // Allow all for sandbox (development only)
-      
-      // Production examples (would be from database)
-      'prod_merchant_001': ['203.0.113.10/32', '203.0.113.11/32'],
-      'prod_merchant_002': ['198.51.100.0/24']
-    };
-    
-    return ipWhitelists[username] || [];
-    
-  } catch (error) {
-    Logger.error('IP whitelist lookup error', {
-      username: username?.substring(0, 3) + '***',
-      error: error.message
-    });
-    return [];
-  }
-}
-
-/**
- * Check if IP matches any CIDR ranges in whitelist
- */
-function checkIPWhitelist(clientIP, whitelistedIPs) {
-  try {
-    // Import CIDR checking library or implement basic IP matching
-    // For now, implement basic IP matching (in production, use 'ip-range-check' or similar)
-    
-    for (const whitelistEntry of whitelistedIPs) {
-      // Handle CIDR notation
-      if (whitelistEntry.includes('/')) {
-        const [networkIP, prefixLength] = whitelistEntry.split('/');
-        
-        // Simplified CIDR check (use proper library in production)
-        if (prefixLength === '32' && clientIP === networkIP) {
-          return true;
-        }
-        
-        // Allow broad ranges for development (implement proper CIDR checking)
-        if (prefixLength === '24' && clientIP.startsWith(networkIP.substring(0, networkIP.lastIndexOf('.')))) {
-          return true;
-        }
-        
-        // Allow all IPs (development only)
-        if (whitelistEntry === '0.0.0.0/0') {
-          return true;
-        }
-      } else {
-        // Exact IP match
-        if (clientIP === whitelistEntry) {
-          return true;
-        }
-      }
-    }
-    
-    return false;
-    
-  } catch (error) {
-    Logger.error('IP whitelist check error', {
-      clientIP,
-      error: error.message
-    });
-    return false;
-  }
-}
-
 module.exports = {
   slaBasicAuth,
   slaIPWhitelist,
-  slaQueryParams
+  slaQueryParams,
+  slaCampaignValidation
 };
\ No newline at end of file
@@ -376,6 +376,114 @@ class AuditLog extends Model {
     });
   }
   
+  /**
+   * Log fraud signal (PIN brute force, resend abuse, ...)
+   */
+  static async logFraudSignal(signal, description, ipAddress, userAgent, operatorId = null, metadata = {}) {
+    return await this.createAuditLog({
+      entityType: 'system',
+      operationType: 'api_call',
+      description,
+      operationStatus: 'failure',
+      errorMessage: signal,
+      ipAddress,
+      userAgent,
+      operatorId,
+      category: 'authorization',
+      severity: signal.endsWith('lockout') ? 'error' : 'warning',
+      tags: ['fraud', signal],
+      metadata: {
+        ...metadata,
+        signal
+      }
+    });
+  }
+  
+  /**
+   * Log rejected inbound webhook delivery (security event)
+   */
+  static async logWebhookRejection(reason, description, ipAddress, userAgent, operatorId = null, metadata = {}) {
+    return await this.createAuditLog({
+      entityType: 'webhook',
+      operationType: 'api_call',
+      description,
+      operationStatus: 'failure',
+      errorMessage: reason,
+      ipAddress,
+      userAgent,
+      operatorId,
+      category: 'authorization',
+      severity: 'warning',
+      tags: ['webhook', 'security', reason],
+      metadata: {
+        ...metadata,
+        reason
+      }
+    });
+  }
+
+  /**
+   * Log SLA v2.2 IP whitelist change (range added/removed, policy changed)
+   */
+  static async logIPWhitelistChange(userId, entityId, operationType, description, oldValues = null, newValues = null, ipAddress = null, userAgent = null, metadata = {}) {
+    return await this.createAuditLog({
+      userId,
+      entityType: 'system',
+      entityId,
+      operationType,
+      description,
+      oldValues,
+      newValues,
+      ipAddress,
+      userAgent,
+      category: 'authorization',
+      tags: ['ip_whitelist', 'security'],
+      metadata
+    });
+  }
+
+  /**
+   * Log SLA v2.2 request from an unlisted address let through in observe mode
+   */
+  static async logIPWhitelistObservation(username, clientIP, description, metadata = {}) {
+    return await this.createAuditLog({
+      entityType: 'system',
+      operationType: 'api_call',
+      description,
+      operationStatus: 'success',
+      ipAddress: clientIP,
+      category: 'authorization',
+      severity: 'warning',
+      tags: ['ip_whitelist', 'observe'],
+      metadata: {
+        ...metadata,
+        username
+      }
+    });
+  }
+
+  /**
+   * Log two subscriber records found to be the same subscriber and merged
+   */
+  static async logSubscriberMerge(survivorId, mergedId, description, oldValues = null, newValues = null, operatorId = null, metadata = {}) {
+    return await this.createAuditLog({
+      entityType: 'system',
+      entityId: survivorId,
+      operationType: 'update',
+      description,
+      oldValues,
+      newValues,
+      operatorId,
+      category: 'data_change',
+      tags: ['subscriber_identity', 'merge'],
+      metadata: {
+        ...metadata,
+        survivorId,
+        mergedId
+      }
+    });
+  }
+
   /**
    * Get audit trail for entity
    */
@@ -0,0 +1,175 @@
+/**
+ * Campaign Model
+ *
+ * A merchant's offer on one operator: price point, billing frequency, trial and the consent flow
+ * subscribers go through. /v2.2 requests naming a campaign are validated against it.
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+// Billing frequencies (one_off campaigns only take single charges)
+const FREQUENCIES = ['daily', 'weekly', 'fortnightly', 'monthly', 'one_off'];
+
+// How the subscriber consents: PIN/OTP, operator-hosted checkout, header enrichment or MO keyword
+const CONSENT_FLOWS = ['pin', 'checkout', 'header_enrichment', 'mo_sms'];
+
+class Campaign extends Model {
+  /**
+   * Initialize the Campaign model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      code: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        unique: true,
+        validate: {
+          notEmpty: true
+        },
+        comment: 'Campaign identifier as sent in the campaign parameter (matches Subscription.campaign)'
+      },
+
+      merchantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'merchant_id',
+        references: {
+          model: 'merchants',
+          key: 'id'
+        }
+      },
+
+      name: {
+        type: DataTypes.STRING(200),
+        allowNull: false,
+        validate: {
+          notEmpty: true
+        }
+      },
+
+      operatorCode: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        field: 'operator_code',
+        comment: 'Operator the campaign bills on'
+      },
+
+      price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0
+        },
+        comment: 'Amount charged per billing period (or per charge for one_off campaigns)'
+      },
+
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        validate: {
+          is: /^[A-Z]{3}$/
+        },
+        comment: 'Currency code (ISO 4217)'
+      },
+
+      frequency: {
+        type: DataTypes.ENUM(...FREQUENCIES),
+        allowNull: false,
+        defaultValue: 'monthly'
+      },
+
+      trialDays: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'trial_days',
+        validate: {
+          min: 0
+        },
+        comment: 'Longest free trial a subscription may ask for'
+      },
+
+      consentFlow: {
+        type: DataTypes.ENUM(...CONSENT_FLOWS),
+        allowNull: false,
+        defaultValue: 'pin',
+        field: 'consent_flow'
+      },
+
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        field: 'is_active',
+        comment: 'Inactive campaigns refuse every request'
+      },
+
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        comment: 'User who created the campaign'
+      },
+
+      subscriptionRules: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        field: 'subscription_rules',
+        comment: 'Overrides of the operator subscription rules (null lifts a rule)'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Additional campaign metadata'
+      }
+    }, {
+      sequelize,
+      modelName: 'Campaign',
+      tableName: 'campaigns',
+      timestamps: true,
+      paranoid: true, // Keep campaigns referenced by past subscriptions
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      deletedAt: 'deleted_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          unique: true,
+          fields: ['code']
+        },
+        {
+          fields: ['merchant_id']
+        },
+        {
+          fields: ['operator_code']
+        }
+      ]
+    });
+  }
+
+  /**
+   * Whether an amount is the campaign's price point
+   */
+  matchesPrice(amount) {
+    return Math.abs(parseFloat(amount) - parseFloat(this.price)) < 0.005;
+  }
+}
+
+Campaign.FREQUENCIES = FREQUENCIES;
+Campaign.CONSENT_FLOWS = CONSENT_FLOWS;
+
+module.exports = Campaign;
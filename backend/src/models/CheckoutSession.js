@@ -0,0 +1,219 @@
+/**
+ * Checkout Session Model
+ *
+ * One subscriber's pass through an operator-hosted checkout: the merchant creates the session,
+ * the subscriber is redirected to the operator's consent page and back to the merchant, and the
+ * operator's confirmation (correlated by correlator) creates the Subscription. UK aggregator
+ * sessions (flow 'uk') pick their operator when the subscriber first lands.
+ *
+ *   created ──► redirected ──► consented
+ *      │            │
+ *      └────────────┴──► failed | expired   (a late confirmation still moves them to consented)
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+// Allowed target states for each current state
+const TRANSITIONS = {
+  created: ['redirected', 'consented', 'failed', 'expired'],
+  redirected: ['consented', 'failed', 'expired'],
+  failed: ['consented'],
+  expired: ['consented'],
+  consented: []
+};
+
+const STATES = Object.keys(TRANSITIONS);
+
+class CheckoutSession extends Model {
+  /**
+   * Initialize the CheckoutSession model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      state: {
+        type: DataTypes.ENUM(...STATES),
+        allowNull: false,
+        defaultValue: 'created'
+      },
+
+      operatorCode: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        field: 'operator_code',
+        comment: 'Operator whose checkout the subscriber is sent to (UK flow: set once the network is detected)'
+      },
+
+      flow: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'operator',
+        comment: "'operator', or 'uk' for the UK aggregator (see UKAggregatorService)"
+      },
+
+      networkDetection: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+        field: 'network_detection',
+        comment: 'How the UK network was detected (header_network, header_msisdn, msisdn_lookup)'
+      },
+
+      merchant: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Merchant identifier the subscription is created for'
+      },
+
+      campaign: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Campaign identifier the subscription is created for'
+      },
+
+      msisdn: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'MSISDN or ACR when known up front (otherwise taken from the confirmation)'
+      },
+
+      correlator: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: 'Sent to the operator checkout and echoed in its confirmation'
+      },
+
+      returnUrl: {
+        type: DataTypes.STRING(2048),
+        allowNull: false,
+        field: 'return_url',
+        comment: 'Merchant page the subscriber is sent back to'
+      },
+
+      checkoutUrl: {
+        type: DataTypes.STRING(2048),
+        allowNull: true,
+        field: 'checkout_url',
+        comment: 'Operator checkout page the subscriber was redirected to'
+      },
+
+      language: {
+        type: DataTypes.STRING(10),
+        allowNull: true
+      },
+
+      trialDays: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'trial_days'
+      },
+
+      slaUsername: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        field: 'sla_username',
+        comment: 'SLA v2.2 API user that created the session (only it may poll the session)'
+      },
+
+      operatorSubscriptionId: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'operator_subscription_id',
+        comment: 'Subscription uuid from the operator confirmation'
+      },
+
+      subscriptionId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'subscription_id',
+        references: {
+          model: 'subscriptions',
+          key: 'id'
+        },
+        comment: 'Subscription created from the confirmation'
+      },
+
+      failureReason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'failure_reason'
+      },
+
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: 'expires_at',
+        comment: 'When the session stops accepting redirects'
+      },
+
+      redirectedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'redirected_at'
+      },
+
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'completed_at',
+        comment: 'When the session was consented, failed or expired'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Additional session metadata (confirmation payload, return parameters)'
+      }
+    }, {
+      sequelize,
+      modelName: 'CheckoutSession',
+      tableName: 'checkout_sessions',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          unique: true,
+          fields: ['correlator']
+        },
+        {
+          fields: ['state', 'expires_at']
+        },
+        {
+          fields: ['operator_subscription_id']
+        },
+        {
+          fields: ['flow', 'operator_code', 'created_at']
+        }
+      ]
+    });
+  }
+
+  /**
+   * Whether the session may move to a state
+   */
+  canTransition(toState) {
+    return (TRANSITIONS[this.state] || []).includes(toState);
+  }
+
+  /**
+   * Whether the subscriber may still be sent to the operator checkout
+   */
+  isOpen() {
+    return ['created', 'redirected'].includes(this.state) && this.expiresAt > new Date();
+  }
+}
+
+CheckoutSession.TRANSITIONS = TRANSITIONS;
+CheckoutSession.STATES = STATES;
+
+module.exports = CheckoutSession;
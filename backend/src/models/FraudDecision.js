@@ -0,0 +1,181 @@
+/**
+ * Fraud Decision Model
+ *
+ * Challenged and blocked requests with the score and the signals behind it, kept for dispute
+ * handling. Allowed requests are not stored.
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+// Screened entry points
+const FRAUD_ACTIONS = ['pin_request', 'subscription_create'];
+
+const FRAUD_DECISIONS = ['allow', 'challenge', 'block'];
+
+// Outcome of a dispute or manual review
+const REVIEW_STATUSES = ['pending', 'confirmed_fraud', 'false_positive'];
+
+class FraudDecision extends Model {
+  /**
+   * Initialize the FraudDecision model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      action: {
+        type: DataTypes.ENUM(...FRAUD_ACTIONS),
+        allowNull: false,
+        comment: 'Request that was screened'
+      },
+
+      decision: {
+        type: DataTypes.ENUM(...FRAUD_DECISIONS),
+        allowNull: false,
+        comment: 'Decision from the score and thresholds'
+      },
+
+      refused: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether the request was turned away (blocked, or challenged without a fraud token / PIN)'
+      },
+
+      score: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Total score (0-100)'
+      },
+
+      reasons: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Signals that fired: [{ signal, score, reason, details }]'
+      },
+
+      thresholds: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Thresholds in force ({ challenge, block, rule })'
+      },
+
+      merchant: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+
+      campaign: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+
+      operatorCode: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        field: 'operator_code'
+      },
+
+      msisdn: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'MSISDN or ACR the request was for'
+      },
+
+      ipAddress: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+        field: 'ip_address'
+      },
+
+      userAgent: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'user_agent'
+      },
+
+      fraudTokenProvided: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        field: 'fraud_token_provided'
+      },
+
+      correlationId: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        field: 'correlation_id'
+      },
+
+      reviewStatus: {
+        type: DataTypes.ENUM(...REVIEW_STATUSES),
+        allowNull: false,
+        defaultValue: 'pending',
+        field: 'review_status',
+        comment: 'Dispute / review outcome'
+      },
+
+      reviewNotes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'review_notes'
+      },
+
+      reviewedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'reviewed_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+
+      reviewedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'reviewed_at'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Additional request context'
+      }
+    }, {
+      sequelize,
+      modelName: 'FraudDecision',
+      tableName: 'fraud_decisions',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          fields: ['msisdn']
+        },
+        {
+          fields: ['merchant', 'created_at']
+        },
+        {
+          fields: ['decision', 'review_status']
+        }
+      ]
+    });
+  }
+}
+
+FraudDecision.FRAUD_ACTIONS = FRAUD_ACTIONS;
+FraudDecision.FRAUD_DECISIONS = FRAUD_DECISIONS;
+FraudDecision.REVIEW_STATUSES = REVIEW_STATUSES;
+
+module.exports = FraudDecision;
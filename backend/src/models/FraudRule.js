@@ -0,0 +1,115 @@
+/**
+ * Fraud Rule Model
+ *
+ * Per-merchant fraud screening settings: decision thresholds, signal weights and velocity /
+ * conversion limits. Anything left unset falls back to config.fraud and the signal defaults
+ * in FraudEngineService.
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+class FraudRule extends Model {
+  /**
+   * Initialize the FraudRule model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      merchant: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        unique: true,
+        validate: {
+          notEmpty: true
+        },
+        comment: 'Merchant the rule applies to (as sent in the merchant parameter)'
+      },
+
+      challengeThreshold: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'challenge_threshold',
+        validate: {
+          min: 0,
+          max: 100
+        },
+        comment: 'Score from which a fraud token or PIN is required (null for the default)'
+      },
+
+      blockThreshold: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'block_threshold',
+        validate: {
+          min: 0,
+          max: 100
+        },
+        comment: 'Score from which requests are refused (null for the default)'
+      },
+
+      weights: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Points per signal ({ msisdn_velocity: 50, ... }), 0 disables a signal'
+      },
+
+      limits: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Velocity and conversion limits ({ msisdnLimit, ipLimit, windowSeconds, ... })'
+      },
+
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        field: 'is_active',
+        comment: 'Whether the rule is applied (inactive rules fall back to the defaults)'
+      },
+
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Why the merchant has its own settings'
+      },
+
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        comment: 'User who created the rule'
+      }
+    }, {
+      sequelize,
+      modelName: 'FraudRule',
+      tableName: 'fraud_rules',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true,
+
+      validate: {
+        thresholdOrder() {
+          if (Number.isInteger(this.challengeThreshold) && Number.isInteger(this.blockThreshold) &&
+              this.challengeThreshold > this.blockThreshold) {
+            throw new Error('challengeThreshold must not be above blockThreshold');
+          }
+        }
+      }
+    });
+  }
+}
+
+module.exports = FraudRule;
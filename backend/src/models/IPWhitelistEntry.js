@@ -0,0 +1,124 @@
+/**
+ * IP Whitelist Entry Model
+ *
+ * An address or CIDR range (IPv4 or IPv6) an SLA v2.2 API user may call from.
+ * Entries with an expiresAt grant temporary access and stop matching once it passes.
+ */
+
+const { DataTypes, Model, Op } = require('sequelize');
+
+class IPWhitelistEntry extends Model {
+  /**
+   * Initialize the IPWhitelistEntry model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      username: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          notEmpty: true
+        },
+        comment: 'SLA v2.2 API user (HTTP Basic username) the range applies to'
+      },
+
+      cidr: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'Exact IP or CIDR range, IPv4 or IPv6'
+      },
+
+      note: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Why the range was added (e.g. merchant data centre, onboarding test host)'
+      },
+
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'expires_at',
+        comment: 'When temporary access ends (null for permanent ranges)'
+      },
+
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        comment: 'User who added the range'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Additional entry metadata'
+      }
+    }, {
+      sequelize,
+      modelName: 'IPWhitelistEntry',
+      tableName: 'sla_ip_whitelist_entries',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          unique: true,
+          fields: ['username', 'cidr']
+        },
+        {
+          fields: ['expires_at']
+        }
+      ]
+    });
+  }
+
+  /**
+   * Entries that currently grant access
+   */
+  static async findActive(options = {}) {
+    const { where = {}, ...rest } = options;
+
+    return this.findAll({
+      where: {
+        ...where,
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: new Date() } }
+        ]
+      },
+      ...rest
+    });
+  }
+
+  /**
+   * Whether the range still grants access
+   */
+  isActive() {
+    return !this.expiresAt || this.expiresAt > new Date();
+  }
+
+  /**
+   * Get safe data for JSON serialization
+   */
+  toJSON() {
+    const values = { ...this.dataValues };
+    values.isActive = this.isActive();
+    return values;
+  }
+}
+
+module.exports = IPWhitelistEntry;
@@ -0,0 +1,104 @@
+/**
+ * IP Whitelist Policy Model
+ *
+ * How the IP whitelist applies to one SLA v2.2 API user. In observe mode requests from
+ * unlisted addresses are logged but let through, so a new merchant's real source addresses
+ * can be collected during onboarding. An observe policy with an expiresAt reverts to the
+ * configured default mode once it passes.
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+// enforce: unlisted addresses are refused; observe: logged and allowed
+const MODES = ['enforce', 'observe'];
+
+class IPWhitelistPolicy extends Model {
+  /**
+   * Initialize the IPWhitelistPolicy model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      username: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        validate: {
+          notEmpty: true
+        },
+        comment: 'SLA v2.2 API user (HTTP Basic username)'
+      },
+
+      mode: {
+        type: DataTypes.ENUM(...MODES),
+        allowNull: false,
+        defaultValue: 'enforce'
+      },
+
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'expires_at',
+        comment: 'When the policy lapses and the default mode applies again'
+      },
+
+      note: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+
+      updatedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'updated_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        comment: 'User who last changed the policy'
+      }
+    }, {
+      sequelize,
+      modelName: 'IPWhitelistPolicy',
+      tableName: 'sla_ip_whitelist_policies',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          unique: true,
+          fields: ['username']
+        }
+      ]
+    });
+  }
+
+  /**
+   * Whether the policy still applies
+   */
+  isActive() {
+    return !this.expiresAt || this.expiresAt > new Date();
+  }
+
+  /**
+   * Get safe data for JSON serialization
+   */
+  toJSON() {
+    const values = { ...this.dataValues };
+    values.isActive = this.isActive();
+    return values;
+  }
+}
+
+IPWhitelistPolicy.MODES = MODES;
+
+module.exports = IPWhitelistPolicy;
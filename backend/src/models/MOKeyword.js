@@ -0,0 +1,138 @@
+/**
+ * MO Keyword Model
+ *
+ * Keywords subscribers can send per operator, short code and campaign, with the action they
+ * trigger and reply templates per language. Rows take precedence over the built-in keywords
+ * in MOSMSService.
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+// Actions a keyword can trigger (handled by MOSMSService.handleMOSMSAction)
+const KEYWORD_ACTIONS = [
+  'subscribe',
+  'unsubscribe',
+  'help_request',
+  'information_request',
+  'consent_confirm',
+  'consent_decline',
+  'custom_reply'
+];
+
+class MOKeyword extends Model {
+  /**
+   * Initialize the MOKeyword model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      operatorCode: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        field: 'operator_code',
+        comment: 'Operator the keyword applies to'
+      },
+
+      shortCode: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        field: 'short_code',
+        comment: 'Short code the keyword applies to (null for every short code of the operator)'
+      },
+
+      campaign: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Campaign subscribe/unsubscribe keywords act on (null for all)'
+      },
+
+      keyword: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        validate: {
+          notEmpty: true
+        },
+        comment: 'Keyword as subscribers send it (stored normalized, e.g. STOP)'
+      },
+
+      aliases: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Other spellings or translations (e.g. STOPP)'
+      },
+
+      action: {
+        type: DataTypes.ENUM(...KEYWORD_ACTIONS),
+        allowNull: false,
+        comment: 'Action the keyword triggers'
+      },
+
+      responses: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Reply templates by language ({ en, no, ... }), {keyword} {shortCode} {campaign} are substituted'
+      },
+
+      priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Higher priority keywords are matched first'
+      },
+
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        field: 'is_active',
+        comment: 'Whether the keyword is matched'
+      },
+
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        comment: 'User who created the keyword'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Additional keyword metadata'
+      }
+    }, {
+      sequelize,
+      modelName: 'MOKeyword',
+      tableName: 'mo_keywords',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          fields: ['operator_code', 'short_code']
+        },
+        {
+          fields: ['campaign']
+        }
+      ]
+    });
+  }
+}
+
+MOKeyword.KEYWORD_ACTIONS = KEYWORD_ACTIONS;
+
+module.exports = MOKeyword;
@@ -0,0 +1,161 @@
+/**
+ * MO SMS Log Model
+ *
+ * Append-only record of every inbound (mobile originated) SMS and the action it triggered
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+class MOSMSLog extends Model {
+  /**
+   * Initialize the MOSMSLog model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      operatorCode: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        field: 'operator_code',
+        comment: 'Operator the message arrived through'
+      },
+
+      msisdn: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'Sender phone number'
+      },
+
+      shortCode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        field: 'short_code',
+        comment: 'Short code the message was sent to'
+      },
+
+      messageText: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        field: 'message_text',
+        comment: 'Message body as received'
+      },
+
+      messageId: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'message_id',
+        comment: 'Operator message id, used to drop redelivered messages'
+      },
+
+      keyword: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'Normalized keyword (STOP, HELP, ... or UNKNOWN)'
+      },
+
+      action: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Action the keyword mapped to'
+      },
+
+      response: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Reply text returned to the operator'
+      },
+
+      processed: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether the action handler ran'
+      },
+
+      success: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether the action succeeded'
+      },
+
+      cancelledSubscriptions: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'cancelled_subscriptions',
+        comment: 'Subscriptions cancelled by a STOP message'
+      },
+
+      errorMessage: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'error_message',
+        comment: 'Why processing failed'
+      },
+
+      ipAddress: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+        field: 'ip_address',
+        comment: 'Address the message was delivered from'
+      },
+
+      timestamp: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: 'When the subscriber sent the message'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Additional message metadata'
+      }
+    }, {
+      sequelize,
+      modelName: 'MOSMSLog',
+      tableName: 'mo_sms_logs',
+      timestamps: true,
+      updatedAt: false, // Log rows are never modified
+
+      createdAt: 'created_at',
+      underscored: true,
+
+      indexes: [
+        {
+          unique: true,
+          fields: ['operator_code', 'message_id']
+        },
+        {
+          fields: ['operator_code', 'timestamp']
+        },
+        {
+          fields: ['msisdn']
+        }
+      ]
+    });
+  }
+
+  /**
+   * Get safe data for JSON serialization
+   */
+  toJSON() {
+    const values = { ...this.dataValues };
+
+    // Mask MSISDN for privacy
+    if (values.msisdn && values.msisdn.length >= 6) {
+      values.msisdn = values.msisdn.substring(0, 3) + '***' + values.msisdn.substring(values.msisdn.length - 2);
+    }
+
+    return values;
+  }
+}
+
+module.exports = MOSMSLog;
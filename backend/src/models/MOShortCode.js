@@ -0,0 +1,84 @@
+/**
+ * MO Short Code Model
+ *
+ * Short codes an operator delivers MO SMS for, in addition to the built-in ones in MOSMSService
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+class MOShortCode extends Model {
+  /**
+   * Initialize the MOShortCode model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      operatorCode: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        field: 'operator_code',
+        comment: 'Operator the short code belongs to'
+      },
+
+      shortCode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        field: 'short_code',
+        validate: {
+          notEmpty: true
+        },
+        comment: 'Short code subscribers send MO SMS to'
+      },
+
+      language: {
+        type: DataTypes.STRING(5),
+        allowNull: false,
+        defaultValue: 'en',
+        comment: 'Language replies on this short code are sent in'
+      },
+
+      description: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'What the short code is used for'
+      },
+
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        field: 'is_active',
+        comment: 'Whether MO SMS to this short code are accepted'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Additional short code metadata'
+      }
+    }, {
+      sequelize,
+      modelName: 'MOShortCode',
+      tableName: 'mo_short_codes',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          unique: true,
+          fields: ['operator_code', 'short_code']
+        }
+      ]
+    });
+  }
+}
+
+module.exports = MOShortCode;
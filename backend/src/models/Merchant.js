@@ -0,0 +1,201 @@
+/**
+ * Merchant Model
+ *
+ * Merchants calling the SLA v2.2 API: their API credentials, the operators they may bill on,
+ * the addresses they call from and their callback URL. Campaigns belong to a merchant.
+ */
+
+const crypto = require('crypto');
+const { DataTypes, Model } = require('sequelize');
+
+const STATUSES = ['active', 'suspended'];
+
+const ENVIRONMENTS = ['sandbox', 'production'];
+
+class Merchant extends Model {
+  /**
+   * Initialize the Merchant model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      code: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        unique: true,
+        validate: {
+          notEmpty: true
+        },
+        comment: 'Merchant identifier as sent in the merchant parameter (matches Subscription.merchant)'
+      },
+
+      name: {
+        type: DataTypes.STRING(200),
+        allowNull: false,
+        validate: {
+          notEmpty: true
+        }
+      },
+
+      status: {
+        type: DataTypes.ENUM(...STATUSES),
+        allowNull: false,
+        defaultValue: 'active',
+        comment: 'Suspended merchants can neither authenticate nor use their campaigns'
+      },
+
+      environment: {
+        type: DataTypes.ENUM(...ENVIRONMENTS),
+        allowNull: false,
+        defaultValue: 'sandbox',
+        comment: 'Environment the merchant credentials are issued for'
+      },
+
+      apiUsername: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        unique: true,
+        field: 'api_username',
+        comment: 'HTTP Basic Auth username for /v2.2'
+      },
+
+      apiPasswordHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        field: 'api_password_hash',
+        comment: 'SHA-256 of the generated API password (the password is only shown when issued)'
+      },
+
+      allowedOperators: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        field: 'allowed_operators',
+        comment: 'Operator codes the merchant may run campaigns on (empty for all)'
+      },
+
+      ipWhitelist: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        field: 'ip_whitelist',
+        comment: 'Addresses (exact IP or CIDR) the merchant calls /v2.2 from'
+      },
+
+      callbackUrl: {
+        type: DataTypes.STRING(2048),
+        allowNull: true,
+        field: 'callback_url',
+        validate: {
+          isUrl: true
+        },
+        comment: 'Where the merchant expects to be called back'
+      },
+
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        comment: 'User who created the merchant'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Additional merchant metadata'
+      }
+    }, {
+      sequelize,
+      modelName: 'Merchant',
+      tableName: 'merchants',
+      timestamps: true,
+      paranoid: true, // Keep merchants referenced by past subscriptions
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      deletedAt: 'deleted_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          unique: true,
+          fields: ['code']
+        },
+        {
+          unique: true,
+          fields: ['api_username']
+        }
+      ]
+    });
+  }
+
+  /**
+   * Generate an API password
+   */
+  static generatePassword() {
+    return crypto.randomBytes(24).toString('base64').replace(/[^a-zA-Z0-9]/g, '');
+  }
+
+  /**
+   * Stored form of an API password
+   */
+  static hashPassword(password) {
+    return crypto.createHash('sha256').update(String(password)).digest('hex');
+  }
+
+  /**
+   * Check an API password against the stored hash
+   */
+  validatePassword(password) {
+    if (!this.apiPasswordHash || !password) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.apiPasswordHash, 'hex');
+    const actual = Buffer.from(Merchant.hashPassword(password), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Whether the merchant may run campaigns on an operator
+   */
+  allowsOperator(operatorCode) {
+    return !this.allowedOperators || this.allowedOperators.length === 0 || this.allowedOperators.includes(operatorCode);
+  }
+
+  /**
+   * Whether the merchant can use the API
+   */
+  isActive() {
+    return this.status === 'active';
+  }
+
+  /**
+   * Get safe data for JSON serialization
+   */
+  toJSON() {
+    const values = { ...this.dataValues };
+
+    // Remove sensitive data
+    delete values.apiPasswordHash;
+    values.hasCredentials = !!(this.apiUsername && this.apiPasswordHash);
+
+    return values;
+  }
+}
+
+Merchant.STATUSES = STATUSES;
+Merchant.ENVIRONMENTS = ENVIRONMENTS;
+
+module.exports = Merchant;
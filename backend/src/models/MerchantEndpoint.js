@@ -0,0 +1,230 @@
+/**
+ * Merchant Endpoint Model
+ *
+ * Registry of merchant webhook endpoints and the event types each one receives
+ */
+
+const crypto = require('crypto');
+const { DataTypes, Model } = require('sequelize');
+const CryptoJS = require('crypto-js');
+const Logger = require('../utils/logger');
+
+const ENCRYPTED_PREFIX = 'enc:';
+
+class MerchantEndpoint extends Model {
+  /**
+   * Initialize the MerchantEndpoint model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      merchant: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Merchant identifier (matches Subscription.merchant)'
+      },
+
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Display name for the endpoint'
+      },
+
+      url: {
+        type: DataTypes.STRING(2048),
+        allowNull: false,
+        validate: {
+          isUrl: true
+        },
+        comment: 'Destination URL for notifications'
+      },
+
+      secret: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'HMAC signing secret (encrypted at rest)'
+      },
+
+      eventTypes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: ['*'],
+        field: 'event_types',
+        comment: 'Subscribed event types, "*" for all'
+      },
+
+      httpHeaders: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        field: 'http_headers',
+        comment: 'Extra HTTP headers sent with every notification'
+      },
+
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        field: 'is_active',
+        comment: 'Whether new notifications are queued for this endpoint'
+      },
+
+      lastDeliveryAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'last_delivery_at',
+        comment: 'Last successful delivery timestamp'
+      },
+
+      lastFailureAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'last_failure_at',
+        comment: 'Last failed delivery timestamp'
+      },
+
+      consecutiveFailures: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        field: 'consecutive_failures',
+        comment: 'Failed deliveries since the last success'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Additional endpoint metadata'
+      }
+    }, {
+      sequelize,
+      modelName: 'MerchantEndpoint',
+      tableName: 'merchant_endpoints',
+      timestamps: true,
+      paranoid: true, // Keep endpoints referenced by past deliveries
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      deletedAt: 'deleted_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          fields: ['merchant']
+        },
+        {
+          fields: ['merchant', 'is_active']
+        }
+      ],
+
+      hooks: {
+        beforeSave: (instance) => {
+          if (instance.changed('secret')) {
+            instance.secret = MerchantEndpoint.encryptSecret(instance.secret);
+          }
+        },
+
+        afterSave: (instance) => {
+          instance.setDataValue('secret', MerchantEndpoint.decryptSecret(instance.secret));
+        },
+
+        afterFind: (instances) => {
+          if (!instances) return;
+
+          const processInstance = (instance) => {
+            if (instance && instance.secret) {
+              instance.setDataValue('secret', MerchantEndpoint.decryptSecret(instance.secret));
+            }
+          };
+
+          if (Array.isArray(instances)) {
+            instances.forEach(processInstance);
+          } else {
+            processInstance(instances);
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Generate a new signing secret
+   */
+  static generateSecret() {
+    return 'whsec_' + crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Encrypt signing secret
+   */
+  static encryptSecret(secret) {
+    if (!secret || secret.startsWith(ENCRYPTED_PREFIX)) {
+      return secret;
+    }
+
+    const key = process.env.ENCRYPTION_KEY;
+    if (!key) {
+      throw new Error('ENCRYPTION_KEY not found in environment variables');
+    }
+
+    return ENCRYPTED_PREFIX + CryptoJS.AES.encrypt(secret, key).toString();
+  }
+
+  /**
+   * Decrypt signing secret
+   */
+  static decryptSecret(secret) {
+    if (!secret || !secret.startsWith(ENCRYPTED_PREFIX)) {
+      return secret; // Already decrypted
+    }
+
+    try {
+      const key = process.env.ENCRYPTION_KEY;
+      if (!key) {
+        throw new Error('ENCRYPTION_KEY not found in environment variables');
+      }
+
+      return CryptoJS.AES.decrypt(secret.substring(ENCRYPTED_PREFIX.length), key).toString(CryptoJS.enc.Utf8);
+    } catch (error) {
+      Logger.error('Failed to decrypt merchant endpoint secret', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether this endpoint receives an event type
+   */
+  subscribesTo(eventType) {
+    const eventTypes = this.eventTypes || [];
+    return eventTypes.includes('*') || eventTypes.includes(eventType);
+  }
+
+  /**
+   * HMAC-SHA256 signature over "<timestamp>.<body>"
+   */
+  sign(timestamp, body) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * Get safe data for JSON serialization
+   */
+  toJSON() {
+    const values = { ...this.dataValues };
+
+    // Remove sensitive data
+    delete values.secret;
+
+    return values;
+  }
+}
+
+module.exports = MerchantEndpoint;
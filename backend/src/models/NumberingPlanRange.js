@@ -0,0 +1,140 @@
+/**
+ * Numbering Plan Range Model
+ *
+ * Country code + national prefix range -> operator, used by OperatorDetectionService.
+ * A range covers every national number whose first N digits fall between prefixFrom and
+ * prefixTo (both N digits); longer prefixes are more specific and win.
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+class NumberingPlanRange extends Model {
+  /**
+   * Initialize the NumberingPlanRange model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      countryCode: {
+        type: DataTypes.STRING(4),
+        allowNull: false,
+        field: 'country_code',
+        validate: {
+          is: /^[1-9]\d{0,3}$/
+        },
+        comment: 'Country calling code without + (e.g. 965)'
+      },
+
+      prefixFrom: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        field: 'prefix_from',
+        validate: {
+          is: /^\d{1,10}$/
+        },
+        comment: 'First national prefix of the range (inclusive)'
+      },
+
+      prefixTo: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        field: 'prefix_to',
+        validate: {
+          is: /^\d{1,10}$/
+        },
+        comment: 'Last national prefix of the range (inclusive, same length as prefixFrom)'
+      },
+
+      operatorCode: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        field: 'operator_code',
+        comment: 'Operator the range is allocated to'
+      },
+
+      numberLength: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'number_length',
+        comment: 'National number length in this range (null if not enforced)'
+      },
+
+      source: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'manual',
+        comment: 'How the range was added (manual, import)'
+      },
+
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        field: 'is_active',
+        comment: 'Whether the range is used for detection'
+      },
+
+      notes: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Free-form notes (allocation reference, etc.)'
+      }
+    }, {
+      sequelize,
+      modelName: 'NumberingPlanRange',
+      tableName: 'numbering_plan_ranges',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          fields: ['country_code', 'prefix_from']
+        },
+        {
+          fields: ['operator_code']
+        }
+      ],
+
+      validate: {
+        prefixRange() {
+          if (this.prefixFrom && this.prefixTo &&
+              (this.prefixFrom.length !== this.prefixTo.length || this.prefixFrom > this.prefixTo)) {
+            throw new Error('prefixFrom and prefixTo must have the same length and prefixFrom <= prefixTo');
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Whether a national number falls into the range
+   */
+  covers(nationalNumber) {
+    const prefix = nationalNumber.substring(0, this.prefixFrom.length);
+
+    return prefix.length === this.prefixFrom.length &&
+      prefix >= this.prefixFrom &&
+      prefix <= this.prefixTo &&
+      (!this.numberLength || nationalNumber.length === this.numberLength);
+  }
+
+  /**
+   * Whether two ranges of the same country and prefix length overlap
+   */
+  overlaps(other) {
+    return this.countryCode === other.countryCode &&
+      this.prefixFrom.length === other.prefixFrom.length &&
+      this.prefixFrom <= other.prefixTo &&
+      other.prefixFrom <= this.prefixTo;
+  }
+}
+
+module.exports = NumberingPlanRange;
@@ -61,9 +61,9 @@ class Operator extends Model {
       },
       
       environment: {
-        type: DataTypes.ENUM('sandbox', 'production', 'preproduction'),
+        type: DataTypes.ENUM('sandbox', 'production', 'preproduction', 'simulator'),
         defaultValue: 'sandbox',
-        comment: 'Current environment for this operator'
+        comment: 'Current environment for this operator (simulator = local SLA sandbox simulator)'
       },
       
       priority: {
@@ -0,0 +1,89 @@
+/**
+ * Ported Number Model
+ *
+ * Mobile number portability overrides: numbers that moved away from the operator their
+ * numbering-plan range belongs to. Checked before the numbering plan.
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+class PortedNumber extends Model {
+  /**
+   * Initialize the PortedNumber model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      msisdn: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+        validate: {
+          is: /^[1-9]\d{6,14}$/
+        },
+        comment: 'Ported number in international format without + (e.g. 96550000000)'
+      },
+
+      operatorCode: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        field: 'operator_code',
+        comment: 'Operator the number was ported to'
+      },
+
+      donorOperatorCode: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        field: 'donor_operator_code',
+        comment: 'Operator the number was ported from'
+      },
+
+      portedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'ported_at',
+        comment: 'When the port took effect'
+      },
+
+      source: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'manual',
+        comment: 'How the entry was added (manual, import)'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Additional portability metadata'
+      }
+    }, {
+      sequelize,
+      modelName: 'PortedNumber',
+      tableName: 'ported_numbers',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          unique: true,
+          fields: ['msisdn']
+        },
+        {
+          fields: ['operator_code']
+        }
+      ]
+    });
+  }
+}
+
+module.exports = PortedNumber;
@@ -0,0 +1,185 @@
+/**
+ * Sandbox Provision Model
+ *
+ * MSISDNs provisioned for sandbox testing (4-hour window). Provisions for operators running
+ * against the local simulator also carry the test wallet balance, the failures to inject and
+ * the scenario their subscriptions play through on the simulated clock.
+ */
+
+const { DataTypes, Model, Op } = require('sequelize');
+
+// Simulated operations a failure can be injected into
+const OPERATIONS = ['pin', 'subscription', 'status', 'cancel', 'charge', 'refund', 'eligibility', 'sms'];
+
+// Injectable failures (timeout stalls the call until the client gives up)
+const FAILURE_MODES = ['insufficient_funds', 'invalid_pin', 'pin_expired', 'ineligible', 'server_error', 'timeout'];
+
+// Scenario steps: charge outcomes (taken when a charge is due) and status changes
+const SCENARIO_ACTIONS = ['charge', 'insufficient_funds', 'grace', 'suspend', 'cancel', 'mo_stop'];
+
+class SandboxProvision extends Model {
+  /**
+   * Initialize the SandboxProvision model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      msisdn: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        validate: {
+          notEmpty: true
+        },
+        comment: 'Provisioned MSISDN (digits only) or ACR'
+      },
+
+      operatorCode: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        field: 'operator_code'
+      },
+
+      campaign: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+
+      merchant: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+
+      simulated: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether the provision lives in the local simulator instead of the SLA sandbox'
+      },
+
+      externalId: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        field: 'external_id',
+        comment: 'Provision id returned by the sandbox'
+      },
+
+      balance: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Simulated wallet balance charges are taken from'
+      },
+
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: true
+      },
+
+      failures: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        validate: {
+          knownFailures(value) {
+            for (const [operation, mode] of Object.entries(value || {})) {
+              if (!OPERATIONS.includes(operation) || !FAILURE_MODES.includes(mode)) {
+                throw new Error(`Unknown failure injection ${operation}:${mode}`);
+              }
+            }
+          }
+        },
+        comment: 'Failures injected by the simulator ({ charge: "insufficient_funds", pin: "timeout" })'
+      },
+
+      scenario: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        validate: {
+          knownSteps(value) {
+            for (const step of value || []) {
+              if (!step || !SCENARIO_ACTIONS.includes(step.action)) {
+                throw new Error(`Unknown scenario step ${step && step.action}`);
+              }
+            }
+          }
+        },
+        comment: 'Steps new subscriptions play through: [{ action, afterSeconds, shortCode, text }]'
+      },
+
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: 'expires_at'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Sandbox response and request context'
+      }
+    }, {
+      sequelize,
+      modelName: 'SandboxProvision',
+      tableName: 'sandbox_provisions',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          unique: true,
+          fields: ['msisdn']
+        },
+        {
+          fields: ['campaign', 'merchant']
+        },
+        {
+          fields: ['expires_at']
+        }
+      ]
+    });
+  }
+
+  /**
+   * Storage key for an MSISDN or ACR (ACRs are kept as sent, MSISDNs as digits)
+   */
+  static normalizeIdentifier(identifier) {
+    const value = String(identifier || '').trim();
+    return value.length === 48 ? value : value.replace(/\D/g, '');
+  }
+
+  /**
+   * Unexpired provision for an MSISDN or ACR
+   */
+  static async findActive(identifier, options = {}) {
+    return this.findOne({
+      where: {
+        msisdn: this.normalizeIdentifier(identifier),
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      ...options
+    });
+  }
+
+  /**
+   * Whether the provision window has passed
+   */
+  isExpired() {
+    return new Date() > new Date(this.expiresAt);
+  }
+}
+
+SandboxProvision.OPERATIONS = OPERATIONS;
+SandboxProvision.FAILURE_MODES = FAILURE_MODES;
+SandboxProvision.SCENARIO_ACTIONS = SCENARIO_ACTIONS;
+
+module.exports = SandboxProvision;
@@ -0,0 +1,169 @@
+/**
+ * Sandbox Subscription Model
+ *
+ * Subscriptions held by the local SLA simulator for provisioned MSISDNs, with the charges
+ * taken against the provision's balance and their progress through the provision's scenario.
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+// Statuses as SLA Digital reports them
+const SUBSCRIPTION_STATUSES = ['ACTIVE', 'TRIAL', 'GRACE', 'SUSPENDED', 'DELETED'];
+
+class SandboxSubscription extends Model {
+  /**
+   * Initialize the SandboxSubscription model
+   */
+  static init(sequelize) {
+    return super.init({
+      uuid: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Subscription uuid handed out by the simulator'
+      },
+
+      provisionId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'provision_id',
+        references: {
+          model: 'sandbox_provisions',
+          key: 'id'
+        }
+      },
+
+      msisdn: {
+        type: DataTypes.STRING(64),
+        allowNull: false
+      },
+
+      operatorCode: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        field: 'operator_code'
+      },
+
+      campaign: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+
+      merchant: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'ACTIVE',
+        validate: {
+          isIn: [SUBSCRIPTION_STATUSES]
+        }
+      },
+
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+      },
+
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false
+      },
+
+      frequency: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'monthly'
+      },
+
+      nextPaymentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'next_payment_at'
+      },
+
+      cancelledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'cancelled_at'
+      },
+
+      charges: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Charges taken: [{ transaction_id, amount, currency, status, refunded, timestamp }]'
+      },
+
+      scenario: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Scenario copied from the provision when the subscription was created'
+      },
+
+      scenarioStep: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'scenario_step',
+        comment: 'Index of the next scenario step'
+      },
+
+      nextEventAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'next_event_at',
+        comment: 'Simulated time of the next renewal or scenario step'
+      },
+
+      lastEventAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'last_event_at',
+        comment: 'Simulated time of the last event (scenario delays count from here)'
+      },
+
+      events: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Events played on the simulated clock: [{ at, action, outcome, ... }]'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {}
+      }
+    }, {
+      sequelize,
+      modelName: 'SandboxSubscription',
+      tableName: 'sandbox_subscriptions',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          fields: ['provision_id']
+        },
+        {
+          fields: ['msisdn', 'campaign']
+        },
+        {
+          fields: ['next_event_at']
+        }
+      ]
+    });
+  }
+}
+
+SandboxSubscription.SUBSCRIPTION_STATUSES = SUBSCRIPTION_STATUSES;
+
+module.exports = SandboxSubscription;
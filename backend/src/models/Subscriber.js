@@ -0,0 +1,80 @@
+/**
+ * Subscriber Model
+ *
+ * Stable internal id of one subscriber, known to the platform by any of its SubscriberIdentity
+ * rows (MSISDN, ACR customer id, header-enrichment id). When two subscribers turn out to be the
+ * same person, one is merged into the other: it keeps its row with status 'merged' and
+ * mergedIntoId pointing at the surviving subscriber.
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+class Subscriber extends Model {
+  /**
+   * Initialize the Subscriber model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      status: {
+        type: DataTypes.ENUM('active', 'merged'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+
+      mergedIntoId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'merged_into_id',
+        references: {
+          model: 'subscribers',
+          key: 'id'
+        },
+        comment: 'Subscriber this one was merged into'
+      },
+
+      mergedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'merged_at'
+      },
+
+      lastSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'last_seen_at',
+        comment: 'When any of the subscriber\'s identities was last seen'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Additional subscriber metadata'
+      }
+    }, {
+      sequelize,
+      modelName: 'Subscriber',
+      tableName: 'subscribers',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true
+    });
+  }
+
+  /**
+   * Whether the subscriber has been merged into another one
+   */
+  isMerged() {
+    return this.status === 'merged';
+  }
+}
+
+module.exports = Subscriber;
@@ -0,0 +1,102 @@
+/**
+ * Subscriber Identity Model
+ *
+ * One identifier a Subscriber is known by. Values are stored normalized so every form of the
+ * same identifier finds the same row:
+ *
+ *   msisdn   digits only
+ *   acr      the 30-character customer id (an ACR's last 18 characters change over time)
+ *   header   "<operator code>:<header-enrichment subscriber id>"
+ *
+ * rawValue keeps the last full value seen (e.g. the complete 48-character ACR).
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+const TYPES = ['msisdn', 'acr', 'header'];
+
+class SubscriberIdentity extends Model {
+  /**
+   * Initialize the SubscriberIdentity model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      subscriberId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'subscriber_id',
+        references: {
+          model: 'subscribers',
+          key: 'id'
+        }
+      },
+
+      type: {
+        type: DataTypes.ENUM(...TYPES),
+        allowNull: false
+      },
+
+      value: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Normalized identifier (MSISDN digits, ACR customer id, operator-scoped header id)'
+      },
+
+      rawValue: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'raw_value',
+        comment: 'Last full identifier seen (e.g. the 48-character ACR)'
+      },
+
+      operatorCode: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        field: 'operator_code',
+        comment: 'Operator the identifier was last seen on'
+      },
+
+      source: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Where the identifier was learned (subscription, header_enrichment, webhook, ...)'
+      },
+
+      lastSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'last_seen_at'
+      }
+    }, {
+      sequelize,
+      modelName: 'SubscriberIdentity',
+      tableName: 'subscriber_identities',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          unique: true,
+          fields: ['type', 'value']
+        },
+        {
+          fields: ['subscriber_id']
+        }
+      ]
+    });
+  }
+}
+
+SubscriberIdentity.TYPES = TYPES;
+
+module.exports = SubscriberIdentity;
@@ -6,6 +6,7 @@
 
 const { DataTypes, Model } = require('sequelize');
 const Logger = require('../utils/logger');
+const SubscriptionStateMachine = require('../services/business/SubscriptionStateMachine');
 
 class Subscription extends Model {
   /**
@@ -38,9 +39,20 @@ class Subscription extends Model {
       },
       
       msisdn: {
-        type: DataTypes.STRING(20),
+        type: DataTypes.STRING(64),
         allowNull: false,
-        comment: 'Customer phone number'
+        comment: 'Customer phone number (or 48-character ACR for Telenor)'
+      },
+      
+      subscriberId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'subscriber_id',
+        references: {
+          model: 'subscribers',
+          key: 'id'
+        },
+        comment: 'Stable subscriber the subscription belongs to (see SubscriberIdentityService)'
       },
       
       status: {
@@ -192,6 +204,9 @@ class Subscription extends Model {
         {
           fields: ['msisdn']
         },
+        {
+          fields: ['subscriber_id']
+        },
         {
           fields: ['status']
         },
@@ -210,58 +225,23 @@ class Subscription extends Model {
   
   /**
    * Update subscription status
+   * Goes through SubscriptionStateMachine, so illegal transitions throw and every
+   * change lands in subscription_status_history.
+   *
+   * @param {Object} options - { source, reason, triggeredBy, transaction }
    */
-  async updateStatus(newStatus, operatorStatus = null, metadata = {}) {
+  async updateStatus(newStatus, operatorStatus = null, metadata = {}, options = {}) {
     try {
-      const oldStatus = this.status;
-      this.status = newStatus;
-      
-      if (operatorStatus) {
-        this.operatorStatus = operatorStatus;
-      }
-      
-      // Update timestamp fields based on status
-      const now = new Date();
-      switch (newStatus) {
-        case 'active':
-          if (oldStatus !== 'active') {
-            this.activatedAt = now;
-          }
-          break;
-        case 'cancelled':
-          this.cancelledAt = now;
-          break;
-        case 'suspended':
-          this.pausedAt = now;
-          break;
-      }
-      
-      // Update metadata
-      this.metadata = {
-        ...this.metadata,
-        ...metadata,
-        lastStatusChange: {
-          from: oldStatus,
-          to: newStatus,
-          timestamp: now.toISOString()
-        }
-      };
-      
-      await this.save();
-      
-      Logger.info(`Subscription status updated`, {
-        subscriptionId: this.id,
-        operatorSubscriptionId: this.operatorSubscriptionId,
-        msisdn: this.msisdn,
-        oldStatus,
-        newStatus,
-        operatorStatus
+      return await SubscriptionStateMachine.transition(this, newStatus, {
+        ...options,
+        operatorStatus,
+        metadata
       });
-      
-      return true;
     } catch (error) {
       Logger.error('Failed to update subscription status', {
         subscriptionId: this.id,
+        from: this.status,
+        to: newStatus,
         error: error.message,
         stack: error.stack
       });
@@ -339,6 +319,9 @@ class Subscription extends Model {
         await this.updateStatus('suspended', null, {
           suspensionReason: 'Multiple failed charges',
           failedChargeCount: this.failedPayments
+        }, {
+          source: metadata.source || 'system',
+          reason: 'Multiple failed charges'
         });
       }
       
@@ -372,23 +355,26 @@ class Subscription extends Model {
       this.lastPaymentAt = new Date();
     }
     
-    const lastPayment = new Date(this.lastPaymentAt);
+    this.nextPaymentAt = this.getNextPaymentDate(this.lastPaymentAt);
+  }
+  
+  /**
+   * Billing date one period after the given date
+   */
+  getNextPaymentDate(from) {
+    const date = new Date(from);
     
     switch (this.frequency) {
       case 'daily':
-        this.nextPaymentAt = new Date(lastPayment.getTime() + 24 * 60 * 60 * 1000);
-        break;
+        return new Date(date.getTime() + 24 * 60 * 60 * 1000);
       case 'weekly':
-        this.nextPaymentAt = new Date(lastPayment.getTime() + 7 * 24 * 60 * 60 * 1000);
-        break;
+        return new Date(date.getTime() + 7 * 24 * 60 * 60 * 1000);
       case 'fortnightly':
-        this.nextPaymentAt = new Date(lastPayment.getTime() + 14 * 24 * 60 * 60 * 1000);
-        break;
+        return new Date(date.getTime() + 14 * 24 * 60 * 60 * 1000);
       case 'monthly':
-        this.nextPaymentAt = new Date(lastPayment.getFullYear(), lastPayment.getMonth() + 1, lastPayment.getDate());
-        break;
+        return new Date(date.getFullYear(), date.getMonth() + 1, date.getDate());
       default:
-        this.nextPaymentAt = new Date(lastPayment.getTime() + 30 * 24 * 60 * 60 * 1000);
+        return new Date(date.getTime() + 30 * 24 * 60 * 60 * 1000);
     }
   }
   
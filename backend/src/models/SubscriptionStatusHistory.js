@@ -0,0 +1,107 @@
+/**
+ * Subscription Status History Model
+ *
+ * Append-only record of every subscription lifecycle transition and what triggered it
+ */
+
+const { DataTypes, Model } = require('sequelize');
+
+class SubscriptionStatusHistory extends Model {
+  /**
+   * Initialize the SubscriptionStatusHistory model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      subscriptionId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'subscription_id',
+        references: {
+          model: 'subscriptions',
+          key: 'id'
+        },
+        comment: 'Subscription that changed status'
+      },
+
+      fromStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        field: 'from_status',
+        comment: 'Status before the transition (null for the initial status)'
+      },
+
+      toStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        field: 'to_status',
+        comment: 'Status after the transition'
+      },
+
+      source: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'system',
+        comment: 'What triggered the transition (api, sla_v2.2, webhook, renewal, dunning, mo_sms, operator_sync, system)'
+      },
+
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Human readable reason for the transition'
+      },
+
+      operatorStatus: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        field: 'operator_status',
+        comment: 'Operator status reported alongside the transition'
+      },
+
+      triggeredBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'triggered_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        comment: 'User who triggered the transition (if any)'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Additional transition context'
+      }
+    }, {
+      sequelize,
+      modelName: 'SubscriptionStatusHistory',
+      tableName: 'subscription_status_history',
+      timestamps: true,
+      updatedAt: false, // History rows are never modified
+
+      createdAt: 'created_at',
+      underscored: true,
+
+      indexes: [
+        {
+          fields: ['subscription_id', 'created_at']
+        },
+        {
+          fields: ['to_status']
+        },
+        {
+          fields: ['source']
+        }
+      ]
+    });
+  }
+}
+
+module.exports = SubscriptionStatusHistory;
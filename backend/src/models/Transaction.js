@@ -21,13 +21,13 @@ class Transaction extends Model {
       
       subscriptionId: {
         type: DataTypes.UUID,
-        allowNull: false,
+        allowNull: true,
         field: 'subscription_id',
         references: {
           model: 'subscriptions',
           key: 'id'
         },
-        comment: 'Reference to the subscription'
+        comment: 'Reference to the subscription (null when not tracked locally)'
       },
       
       operatorId: {
@@ -41,6 +41,12 @@ class Transaction extends Model {
         comment: 'Reference to the operator'
       },
       
+      subscriber: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'Subscriber the spend ledger counts the transaction against (MSISDN digits or ACR)'
+      },
+      
       operatorTransactionId: {
         type: DataTypes.STRING(255),
         allowNull: true,
@@ -55,6 +61,19 @@ class Transaction extends Model {
         comment: 'Operator reference number'
       },
       
+      correlator: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Merchant-supplied correlator from the SLA v2.2 request'
+      },
+      
+      idempotencyKey: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'idempotency_key',
+        comment: 'Scoped idempotency key used to replay duplicate requests'
+      },
+      
       type: {
         type: DataTypes.ENUM('charge', 'refund', 'retry'),
         allowNull: false,
@@ -194,6 +213,12 @@ class Transaction extends Model {
         {
           fields: ['operator_transaction_id']
         },
+        {
+          fields: ['idempotency_key']
+        },
+        {
+          fields: ['subscriber', 'operator_id', 'transaction_date']
+        },
         {
           unique: true,
           fields: ['operator_id', 'operator_transaction_id'],
@@ -203,10 +228,40 @@ class Transaction extends Model {
             }
           }
         }
-      ]
+      ],
+      
+      hooks: {
+        // Attribute the transaction to its subscription's subscriber for the spend ledger
+        beforeCreate: async (transaction, options) => {
+          if (transaction.subscriber || !transaction.subscriptionId) {
+            return;
+          }
+          
+          const subscription = await sequelize.models.Subscription.findByPk(transaction.subscriptionId, {
+            attributes: ['id', 'msisdn'],
+            transaction: options.transaction
+          });
+          
+          if (subscription) {
+            transaction.subscriber = Transaction.subscriberKey(subscription.msisdn);
+          }
+        }
+      }
     });
   }
   
+  /**
+   * Ledger key of a subscriber: MSISDN digits, or the ACR as-is (48 characters)
+   */
+  static subscriberKey(identifier) {
+    if (!identifier) {
+      return null;
+    }
+    
+    const value = String(identifier);
+    return value.length === 48 ? value : value.replace(/\D/g, '');
+  }
+  
   /**
    * Mark transaction as completed
    */
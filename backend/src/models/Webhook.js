@@ -52,12 +52,24 @@ class Webhook extends Model {
         comment: 'Associated operator'
       },
       
+      merchantEndpointId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'merchant_endpoint_id',
+        references: {
+          model: 'merchant_endpoints',
+          key: 'id'
+        },
+        comment: 'Merchant endpoint this notification is delivered to'
+      },
+      
       eventType: {
         type: DataTypes.ENUM(
           'subscription_created',
           'subscription_activated', 
           'subscription_cancelled',
           'subscription_suspended',
+          'subscription_expired',
           'subscription_renewed',
           'charge_success',
           'charge_failed',
@@ -101,9 +113,9 @@ class Webhook extends Model {
       },
       
       status: {
-        type: DataTypes.ENUM('pending', 'sent', 'failed', 'retrying'),
+        type: DataTypes.ENUM('pending', 'sent', 'failed', 'retrying', 'dead_letter'),
         defaultValue: 'pending',
-        comment: 'Webhook delivery status'
+        comment: 'Webhook delivery status (dead_letter once retries are exhausted)'
       },
       
       httpStatus: {
@@ -197,6 +209,9 @@ class Webhook extends Model {
         {
           fields: ['operator_id']
         },
+        {
+          fields: ['merchant_endpoint_id']
+        },
         {
           fields: ['event_type']
         },
@@ -276,20 +291,57 @@ class Webhook extends Model {
   }
   
   /**
-   * Schedule retry
+   * Move webhook to the dead-letter queue
    */
-  async scheduleRetry() {
+  async markAsDeadLetter(errorMessage, httpStatus = null) {
+    try {
+      this.status = 'dead_letter';
+      this.errorMessage = errorMessage;
+      this.nextRetryAt = null;
+      this.lastAttemptAt = new Date();
+      
+      if (httpStatus) {
+        this.httpStatus = httpStatus;
+      }
+      
+      await this.save();
+      
+      Logger.error('Webhook moved to dead-letter queue', {
+        webhookId: this.id,
+        eventType: this.eventType,
+        retryCount: this.retryCount,
+        errorMessage
+      });
+      
+      return true;
+    } catch (error) {
+      Logger.error('Failed to dead-letter webhook', {
+        webhookId: this.id,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+  
+  /**
+   * Schedule retry after a failed attempt, dead-lettering once retries are exhausted
+   * @param {number|null} delayMs - Backoff delay (defaults to 1, 2, 4, 8, 16... minutes)
+   */
+  async scheduleRetry(delayMs = null, errorMessage = null, httpStatus = null) {
     try {
       if (this.retryCount >= this.maxRetries) {
-        return await this.markAsFailed('Maximum retries exceeded');
+        return await this.markAsDeadLetter(errorMessage || 'Maximum retries exceeded', httpStatus);
       }
       
       this.status = 'retrying';
       this.retryCount += 1;
+      this.lastAttemptAt = new Date();
+      this.errorMessage = errorMessage;
+      this.httpStatus = httpStatus;
       
       // Exponential backoff: 1, 2, 4, 8, 16 minutes
-      const delayMinutes = Math.pow(2, this.retryCount - 1);
-      this.nextRetryAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+      const delay = delayMs !== null ? delayMs : Math.pow(2, this.retryCount - 1) * 60 * 1000;
+      this.nextRetryAt = new Date(Date.now() + delay);
       
       await this.save();
       
@@ -0,0 +1,205 @@
+/**
+ * Webhook Secret Model
+ *
+ * Signing secrets for inbound SLA Digital notifications, scoped to an operator or merchant.
+ * A rotated-out secret keeps verifying until expiresAt so in-flight deliveries still pass.
+ */
+
+const crypto = require('crypto');
+const { DataTypes, Model, Op } = require('sequelize');
+const CryptoJS = require('crypto-js');
+const Logger = require('../utils/logger');
+
+const ENCRYPTED_PREFIX = 'enc:';
+
+class WebhookSecret extends Model {
+  /**
+   * Initialize the WebhookSecret model
+   */
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+
+      scopeType: {
+        type: DataTypes.ENUM('operator', 'merchant'),
+        allowNull: false,
+        field: 'scope_type',
+        comment: 'Whether the secret belongs to an operator or a merchant'
+      },
+
+      scopeId: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        field: 'scope_id',
+        comment: 'Operator code or merchant identifier'
+      },
+
+      secret: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'HMAC signing secret (encrypted at rest)'
+      },
+
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'expires_at',
+        comment: 'When a rotated-out secret stops verifying (null for the current secret)'
+      },
+
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'created_by',
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        comment: 'User who created the secret'
+      },
+
+      metadata: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'Additional secret metadata'
+      }
+    }, {
+      sequelize,
+      modelName: 'WebhookSecret',
+      tableName: 'webhook_secrets',
+      timestamps: true,
+
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+
+      underscored: true,
+
+      indexes: [
+        {
+          fields: ['scope_type', 'scope_id']
+        },
+        {
+          fields: ['expires_at']
+        }
+      ],
+
+      hooks: {
+        beforeSave: (instance) => {
+          if (instance.changed('secret')) {
+            instance.secret = WebhookSecret.encryptSecret(instance.secret);
+          }
+        },
+
+        afterSave: (instance) => {
+          instance.setDataValue('secret', WebhookSecret.decryptSecret(instance.secret));
+        },
+
+        afterFind: (instances) => {
+          if (!instances) return;
+
+          const processInstance = (instance) => {
+            if (instance && instance.secret) {
+              instance.setDataValue('secret', WebhookSecret.decryptSecret(instance.secret));
+            }
+          };
+
+          if (Array.isArray(instances)) {
+            instances.forEach(processInstance);
+          } else {
+            processInstance(instances);
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Secrets that currently verify signatures for a scope, newest first
+   */
+  static async findValid(scopeType, scopeId, options = {}) {
+    return this.findAll({
+      where: {
+        scopeType,
+        scopeId,
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: new Date() } }
+        ]
+      },
+      order: [['created_at', 'DESC']],
+      ...options
+    });
+  }
+
+  /**
+   * Generate a new signing secret
+   */
+  static generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Encrypt signing secret
+   */
+  static encryptSecret(secret) {
+    if (!secret || secret.startsWith(ENCRYPTED_PREFIX)) {
+      return secret;
+    }
+
+    const key = process.env.ENCRYPTION_KEY;
+    if (!key) {
+      throw new Error('ENCRYPTION_KEY not found in environment variables');
+    }
+
+    return ENCRYPTED_PREFIX + CryptoJS.AES.encrypt(secret, key).toString();
+  }
+
+  /**
+   * Decrypt signing secret
+   */
+  static decryptSecret(secret) {
+    if (!secret || !secret.startsWith(ENCRYPTED_PREFIX)) {
+      return secret; // Already decrypted
+    }
+
+    try {
+      const key = process.env.ENCRYPTION_KEY;
+      if (!key) {
+        throw new Error('ENCRYPTION_KEY not found in environment variables');
+      }
+
+      return CryptoJS.AES.decrypt(secret.substring(ENCRYPTED_PREFIX.length), key).toString(CryptoJS.enc.Utf8);
+    } catch (error) {
+      Logger.error('Failed to decrypt webhook secret', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the secret still verifies signatures
+   */
+  isValid() {
+    return !this.expiresAt || this.expiresAt > new Date();
+  }
+
+  /**
+   * Get safe data for JSON serialization
+   */
+  toJSON() {
+    const values = { ...this.dataValues };
+
+    // Remove sensitive data
+    delete values.secret;
+    values.isValid = this.isValid();
+
+    return values;
+  }
+}
+
+module.exports = WebhookSecret;
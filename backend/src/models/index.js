@@ -15,6 +15,25 @@ const WebhookModel = require('./Webhook');
 const AuditLogModel = require('./AuditLog');
 const UserModel = require('./User');
 const SessionModel = require('./Session');
+const SubscriptionStatusHistoryModel = require('./SubscriptionStatusHistory');
+const MerchantEndpointModel = require('./MerchantEndpoint');
+const WebhookSecretModel = require('./WebhookSecret');
+const MOSMSLogModel = require('./MOSMSLog');
+const MOShortCodeModel = require('./MOShortCode');
+const MOKeywordModel = require('./MOKeyword');
+const NumberingPlanRangeModel = require('./NumberingPlanRange');
+const PortedNumberModel = require('./PortedNumber');
+const FraudRuleModel = require('./FraudRule');
+const FraudDecisionModel = require('./FraudDecision');
+const SandboxProvisionModel = require('./SandboxProvision');
+const SandboxSubscriptionModel = require('./SandboxSubscription');
+const MerchantModel = require('./Merchant');
+const CampaignModel = require('./Campaign');
+const IPWhitelistEntryModel = require('./IPWhitelistEntry');
+const IPWhitelistPolicyModel = require('./IPWhitelistPolicy');
+const CheckoutSessionModel = require('./CheckoutSession');
+const SubscriberModel = require('./Subscriber');
+const SubscriberIdentityModel = require('./SubscriberIdentity');
 
 // Global models object to hold initialized models
 let models = {};
@@ -34,7 +53,26 @@ function initializeModels() {
       Webhook: WebhookModel.init(sequelize),
       AuditLog: AuditLogModel.init(sequelize),
       User: UserModel.init(sequelize),
-      Session: SessionModel.init(sequelize)
+      Session: SessionModel.init(sequelize),
+      SubscriptionStatusHistory: SubscriptionStatusHistoryModel.init(sequelize),
+      MerchantEndpoint: MerchantEndpointModel.init(sequelize),
+      WebhookSecret: WebhookSecretModel.init(sequelize),
+      MOSMSLog: MOSMSLogModel.init(sequelize),
+      MOShortCode: MOShortCodeModel.init(sequelize),
+      MOKeyword: MOKeywordModel.init(sequelize),
+      NumberingPlanRange: NumberingPlanRangeModel.init(sequelize),
+      PortedNumber: PortedNumberModel.init(sequelize),
+      FraudRule: FraudRuleModel.init(sequelize),
+      FraudDecision: FraudDecisionModel.init(sequelize),
+      SandboxProvision: SandboxProvisionModel.init(sequelize),
+      SandboxSubscription: SandboxSubscriptionModel.init(sequelize),
+      Merchant: MerchantModel.init(sequelize),
+      Campaign: CampaignModel.init(sequelize),
+      IPWhitelistEntry: IPWhitelistEntryModel.init(sequelize),
+      IPWhitelistPolicy: IPWhitelistPolicyModel.init(sequelize),
+      CheckoutSession: CheckoutSessionModel.init(sequelize),
+      Subscriber: SubscriberModel.init(sequelize),
+      SubscriberIdentity: SubscriberIdentityModel.init(sequelize)
     };
     
     // Set up associations
@@ -59,7 +97,7 @@ function initializeModels() {
  * Set up model associations
  */
 function setupAssociations(models) {
-  const { Operator, Subscription, Transaction, Webhook, AuditLog, User, Session } = models;
+  const { Operator, Subscription, Transaction, Webhook, AuditLog, User, Session, SubscriptionStatusHistory, MerchantEndpoint, WebhookSecret, MOKeyword, SandboxProvision, SandboxSubscription, Merchant, Campaign, IPWhitelistEntry, CheckoutSession, Subscriber, SubscriberIdentity } = models;
   
   // Operator associations
   Operator.hasMany(Subscription, {
@@ -93,6 +131,22 @@ function setupAssociations(models) {
     as: 'webhooks'
   });
   
+  Subscription.hasMany(SubscriptionStatusHistory, {
+    foreignKey: 'subscriptionId',
+    as: 'statusHistory'
+  });
+  
+  // Subscription status history associations
+  SubscriptionStatusHistory.belongsTo(Subscription, {
+    foreignKey: 'subscriptionId',
+    as: 'subscription'
+  });
+  
+  SubscriptionStatusHistory.belongsTo(User, {
+    foreignKey: 'triggeredBy',
+    as: 'user'
+  });
+  
   // Transaction associations
   Transaction.belongsTo(Operator, {
     foreignKey: 'operatorId',
@@ -115,6 +169,89 @@ function setupAssociations(models) {
     as: 'subscription'
   });
   
+  Webhook.belongsTo(MerchantEndpoint, {
+    foreignKey: 'merchantEndpointId',
+    as: 'merchantEndpoint'
+  });
+  
+  // Merchant endpoint associations
+  MerchantEndpoint.hasMany(Webhook, {
+    foreignKey: 'merchantEndpointId',
+    as: 'deliveries'
+  });
+  
+  // Webhook secret associations
+  WebhookSecret.belongsTo(User, {
+    foreignKey: 'createdBy',
+    as: 'creator'
+  });
+  
+  // MO keyword associations
+  MOKeyword.belongsTo(User, {
+    foreignKey: 'createdBy',
+    as: 'creator'
+  });
+  
+  // Sandbox simulator associations
+  SandboxProvision.hasMany(SandboxSubscription, {
+    foreignKey: 'provisionId',
+    as: 'subscriptions'
+  });
+  
+  SandboxSubscription.belongsTo(SandboxProvision, {
+    foreignKey: 'provisionId',
+    as: 'provision'
+  });
+  
+  // Merchant and campaign associations
+  Merchant.hasMany(Campaign, {
+    foreignKey: 'merchantId',
+    as: 'campaigns'
+  });
+  
+  Campaign.belongsTo(Merchant, {
+    foreignKey: 'merchantId',
+    as: 'merchant'
+  });
+  
+  // IP whitelist associations
+  IPWhitelistEntry.belongsTo(User, {
+    foreignKey: 'createdBy',
+    as: 'creator'
+  });
+  
+  // Checkout session associations
+  CheckoutSession.belongsTo(Subscription, {
+    foreignKey: 'subscriptionId',
+    as: 'subscription'
+  });
+  
+  // Subscriber identity associations
+  Subscriber.hasMany(SubscriberIdentity, {
+    foreignKey: 'subscriberId',
+    as: 'identities'
+  });
+  
+  SubscriberIdentity.belongsTo(Subscriber, {
+    foreignKey: 'subscriberId',
+    as: 'subscriber'
+  });
+  
+  Subscriber.hasMany(Subscription, {
+    foreignKey: 'subscriberId',
+    as: 'subscriptions'
+  });
+  
+  Subscription.belongsTo(Subscriber, {
+    foreignKey: 'subscriberId',
+    as: 'subscriber'
+  });
+  
+  Subscriber.belongsTo(Subscriber, {
+    foreignKey: 'mergedIntoId',
+    as: 'mergedInto'
+  });
+  
   // User associations
   User.hasMany(Session, {
     foreignKey: 'userId',
@@ -165,5 +302,24 @@ module.exports = {
   get Webhook() { return models.Webhook; },
   get AuditLog() { return models.AuditLog; },
   get User() { return models.User; },
-  get Session() { return models.Session; }
+  get Session() { return models.Session; },
+  get SubscriptionStatusHistory() { return models.SubscriptionStatusHistory; },
+  get MerchantEndpoint() { return models.MerchantEndpoint; },
+  get WebhookSecret() { return models.WebhookSecret; },
+  get MOSMSLog() { return models.MOSMSLog; },
+  get MOShortCode() { return models.MOShortCode; },
+  get MOKeyword() { return models.MOKeyword; },
+  get NumberingPlanRange() { return models.NumberingPlanRange; },
+  get PortedNumber() { return models.PortedNumber; },
+  get FraudRule() { return models.FraudRule; },
+  get FraudDecision() { return models.FraudDecision; },
+  get SandboxProvision() { return models.SandboxProvision; },
+  get SandboxSubscription() { return models.SandboxSubscription; },
+  get Merchant() { return models.Merchant; },
+  get Campaign() { return models.Campaign; },
+  get IPWhitelistEntry() { return models.IPWhitelistEntry; },
+  get IPWhitelistPolicy() { return models.IPWhitelistPolicy; },
+  get CheckoutSession() { return models.CheckoutSession; },
+  get Subscriber() { return models.Subscriber; },
+  get SubscriberIdentity() { return models.SubscriberIdentity; }
 };
@@ -0,0 +1,90 @@
+/**
+ * Admin Campaign Routes
+ * 
+ * /api/admin/campaigns - Merchant campaigns /v2.2 requests are validated against (admin only)
+ */
+
+const express = require('express');
+const campaignController = require('../../controllers/campaignController');
+const { requireAdmin } = require('../../middleware/auth');
+const { operatorActionLogger } = require('../../middleware/logging');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/campaigns
+ * @desc    Get campaigns (filter by merchantId, operatorCode, consentFlow; ?includeInactive=true)
+ * @access  Private (admin only)
+ */
+router.get('/',
+  requireAdmin,
+  campaignController.getCampaigns
+);
+
+/**
+ * @route   POST /api/admin/campaigns
+ * @desc    Create campaign (code, merchantId, name, operatorCode, price, currency, frequency,
+ *          trialDays, consentFlow)
+ * @access  Private (admin only)
+ */
+router.post('/',
+  requireAdmin,
+  operatorActionLogger('createCampaign'),
+  campaignController.createCampaign
+);
+
+/**
+ * @route   GET /api/admin/campaigns/:id
+ * @desc    Get campaign with its merchant
+ * @access  Private (admin only)
+ */
+router.get('/:id',
+  requireAdmin,
+  campaignController.getCampaign
+);
+
+/**
+ * @route   PUT /api/admin/campaigns/:id
+ * @desc    Update campaign
+ * @access  Private (admin only)
+ */
+router.put('/:id',
+  requireAdmin,
+  operatorActionLogger('updateCampaign'),
+  campaignController.updateCampaign
+);
+
+/**
+ * @route   GET /api/admin/campaigns/:id/subscription-rules
+ * @desc    Get campaign subscription rules (operator rules, overrides, effective rules)
+ * @access  Private (admin only)
+ */
+router.get('/:id/subscription-rules',
+  requireAdmin,
+  campaignController.getSubscriptionRules
+);
+
+/**
+ * @route   PUT /api/admin/campaigns/:id/subscription-rules
+ * @desc    Replace campaign subscription rule overrides (maxSubscriptionsPerMSISDN,
+ *          maxSubscriptionsPerMerchant, weeklyLimit, subscriptionCooldown; null lifts a rule)
+ * @access  Private (admin only)
+ */
+router.put('/:id/subscription-rules',
+  requireAdmin,
+  operatorActionLogger('updateCampaignSubscriptionRules'),
+  campaignController.setSubscriptionRules
+);
+
+/**
+ * @route   DELETE /api/admin/campaigns/:id
+ * @desc    Remove campaign
+ * @access  Private (admin only)
+ */
+router.delete('/:id',
+  requireAdmin,
+  operatorActionLogger('deleteCampaign'),
+  campaignController.deleteCampaign
+);
+
+module.exports = router;
@@ -60,4 +60,24 @@ router.get('/recent-activity',
   dashboardController.getRecentActivity
 );
 
+/**
+ * @route   GET /api/admin/dashboard/dunning
+ * @desc    Get dunning outcomes (optionally ?operatorCode=&days=)
+ * @access  Private (admin only)
+ */
+router.get('/dunning', 
+  requireAdmin,
+  dashboardController.getDunningReport
+);
+
+/**
+ * @route   GET /api/admin/dashboard/uk-conversion
+ * @desc    Get UK aggregator conversion per network (optionally ?days=&campaign=&merchant=)
+ * @access  Private (admin only)
+ */
+router.get('/uk-conversion', 
+  requireAdmin,
+  dashboardController.getUKConversionReport
+);
+
 module.exports = router;
\ No newline at end of file
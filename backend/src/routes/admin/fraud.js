@@ -0,0 +1,109 @@
+/**
+ * Admin Fraud Routes
+ * 
+ * /api/admin/fraud - Fraud screening rules and decision log (admin only)
+ */
+
+const express = require('express');
+const fraudController = require('../../controllers/fraudController');
+const { requireAdmin } = require('../../middleware/auth');
+const { operatorActionLogger } = require('../../middleware/logging');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/fraud/signals
+ * @desc    Get registered fraud signals, default weights, thresholds and limits
+ * @access  Private (admin only)
+ */
+router.get('/signals',
+  requireAdmin,
+  fraudController.getSignals
+);
+
+/**
+ * @route   GET /api/admin/fraud/rules
+ * @desc    Get merchant fraud rules (?merchant=; ?includeInactive=true)
+ * @access  Private (admin only)
+ */
+router.get('/rules',
+  requireAdmin,
+  fraudController.getRules
+);
+
+/**
+ * @route   POST /api/admin/fraud/rules
+ * @desc    Create merchant fraud rule (thresholds, signal weights, limits)
+ * @access  Private (admin only)
+ */
+router.post('/rules',
+  requireAdmin,
+  operatorActionLogger('createFraudRule'),
+  fraudController.createRule
+);
+
+/**
+ * @route   GET /api/admin/fraud/rules/:id
+ * @desc    Get merchant fraud rule with the resulting policy
+ * @access  Private (admin only)
+ */
+router.get('/rules/:id',
+  requireAdmin,
+  fraudController.getRule
+);
+
+/**
+ * @route   PUT /api/admin/fraud/rules/:id
+ * @desc    Update merchant fraud rule
+ * @access  Private (admin only)
+ */
+router.put('/rules/:id',
+  requireAdmin,
+  operatorActionLogger('updateFraudRule'),
+  fraudController.updateRule
+);
+
+/**
+ * @route   DELETE /api/admin/fraud/rules/:id
+ * @desc    Remove merchant fraud rule
+ * @access  Private (admin only)
+ */
+router.delete('/rules/:id',
+  requireAdmin,
+  operatorActionLogger('deleteFraudRule'),
+  fraudController.deleteRule
+);
+
+/**
+ * @route   GET /api/admin/fraud/decisions
+ * @desc    Get challenged and blocked requests (filter by merchant, campaign, msisdn, decision,
+ *          reviewStatus, refused, startDate, endDate)
+ * @access  Private (admin only)
+ */
+router.get('/decisions',
+  requireAdmin,
+  fraudController.getDecisions
+);
+
+/**
+ * @route   GET /api/admin/fraud/decisions/:id
+ * @desc    Get fraud decision with its reasons
+ * @access  Private (admin only)
+ */
+router.get('/decisions/:id',
+  requireAdmin,
+  fraudController.getDecision
+);
+
+/**
+ * @route   PUT /api/admin/fraud/decisions/:id/review
+ * @desc    Record dispute / review outcome (reviewStatus: pending, confirmed_fraud, false_positive)
+ * @access  Private (admin only)
+ */
+router.put('/decisions/:id/review',
+  requireAdmin,
+  operatorActionLogger('reviewFraudDecision'),
+  fraudController.reviewDecision
+);
+
+module.exports = router;
@@ -7,12 +7,32 @@
 const express = require('express');
 const operatorsRouter = require('./operators');
 const dashboardRouter = require('./dashboard');
+const merchantEndpointsRouter = require('./merchantEndpoints');
+const notificationsRouter = require('./notifications');
+const webhookSecretsRouter = require('./webhookSecrets');
+const moSmsRouter = require('./moSms');
+const numberingPlanRouter = require('./numberingPlan');
+const fraudRouter = require('./fraud');
+const merchantsRouter = require('./merchants');
+const campaignsRouter = require('./campaigns');
+const ipWhitelistRouter = require('./ipWhitelist');
+const sandboxRouter = require('./sandbox');
 
 const router = express.Router();
 
 // Mount sub-routers
 router.use('/operators', operatorsRouter);
 router.use('/dashboard', dashboardRouter);
+router.use('/merchant-endpoints', merchantEndpointsRouter);
+router.use('/notifications', notificationsRouter);
+router.use('/webhook-secrets', webhookSecretsRouter);
+router.use('/mo-sms', moSmsRouter);
+router.use('/numbering-plan', numberingPlanRouter);
+router.use('/fraud', fraudRouter);
+router.use('/merchants', merchantsRouter);
+router.use('/campaigns', campaignsRouter);
+router.use('/ip-whitelist', ipWhitelistRouter);
+router.use('/sandbox', sandboxRouter);
 
 // Admin API info
 router.get('/', (req, res) => {
@@ -28,7 +48,17 @@ router.get('/', (req, res) => {
     },
     endpoints: {
       operators: '/api/admin/operators',
-      dashboard: '/api/admin/dashboard'
+      dashboard: '/api/admin/dashboard',
+      merchantEndpoints: '/api/admin/merchant-endpoints',
+      notifications: '/api/admin/notifications',
+      webhookSecrets: '/api/admin/webhook-secrets',
+      moSms: '/api/admin/mo-sms',
+      numberingPlan: '/api/admin/numbering-plan',
+      fraud: '/api/admin/fraud',
+      merchants: '/api/admin/merchants',
+      campaigns: '/api/admin/campaigns',
+      ipWhitelist: '/api/admin/ip-whitelist',
+      sandbox: '/api/admin/sandbox'
     },
     timestamp: new Date().toISOString()
   });
@@ -0,0 +1,77 @@
+/**
+ * Admin IP Whitelist Routes
+ * 
+ * /api/admin/ip-whitelist - Addresses SLA v2.2 API users may call from (admin only)
+ */
+
+const express = require('express');
+const ipWhitelistController = require('../../controllers/ipWhitelistController');
+const { requireAdmin } = require('../../middleware/auth');
+const { operatorActionLogger } = require('../../middleware/logging');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/ip-whitelist
+ * @desc    Get whitelisted ranges (filter by username; ?includeExpired=true)
+ * @access  Private (admin only)
+ */
+router.get('/',
+  requireAdmin,
+  ipWhitelistController.getRanges
+);
+
+/**
+ * @route   POST /api/admin/ip-whitelist
+ * @desc    Add an IPv4/IPv6 address or CIDR range for a user (optional expiresAt or expiresInHours)
+ * @access  Private (admin only)
+ */
+router.post('/',
+  requireAdmin,
+  operatorActionLogger('addIPWhitelistRange'),
+  ipWhitelistController.addRange
+);
+
+/**
+ * @route   GET /api/admin/ip-whitelist/check
+ * @desc    Check whether a user may call from an address (?username=&ip=)
+ * @access  Private (admin only)
+ */
+router.get('/check',
+  requireAdmin,
+  ipWhitelistController.checkAddress
+);
+
+/**
+ * @route   GET /api/admin/ip-whitelist/policies
+ * @desc    Get per-user whitelist modes
+ * @access  Private (admin only)
+ */
+router.get('/policies',
+  requireAdmin,
+  ipWhitelistController.getPolicies
+);
+
+/**
+ * @route   PUT /api/admin/ip-whitelist/policies/:username
+ * @desc    Set a user's whitelist mode (enforce | observe; optional expiresAt or expiresInHours)
+ * @access  Private (admin only)
+ */
+router.put('/policies/:username',
+  requireAdmin,
+  operatorActionLogger('setIPWhitelistPolicy'),
+  ipWhitelistController.setPolicy
+);
+
+/**
+ * @route   DELETE /api/admin/ip-whitelist/:id
+ * @desc    Remove a whitelisted range
+ * @access  Private (admin only)
+ */
+router.delete('/:id',
+  requireAdmin,
+  operatorActionLogger('removeIPWhitelistRange'),
+  ipWhitelistController.removeRange
+);
+
+module.exports = router;
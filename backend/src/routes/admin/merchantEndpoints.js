@@ -0,0 +1,78 @@
+/**
+ * Admin Merchant Endpoint Routes
+ * 
+ * /api/admin/merchant-endpoints - Merchant notification endpoint registry (admin only)
+ */
+
+const express = require('express');
+const merchantNotificationController = require('../../controllers/merchantNotificationController');
+const { requireAdmin } = require('../../middleware/auth');
+const { operatorActionLogger } = require('../../middleware/logging');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/merchant-endpoints
+ * @desc    Get all merchant endpoints (optionally ?merchant=)
+ * @access  Private (admin only)
+ */
+router.get('/',
+  requireAdmin,
+  merchantNotificationController.getAllEndpoints
+);
+
+/**
+ * @route   POST /api/admin/merchant-endpoints
+ * @desc    Register merchant endpoint (signing secret returned once)
+ * @access  Private (admin only)
+ */
+router.post('/',
+  requireAdmin,
+  operatorActionLogger('createMerchantEndpoint'),
+  merchantNotificationController.createEndpoint
+);
+
+/**
+ * @route   GET /api/admin/merchant-endpoints/:id
+ * @desc    Get merchant endpoint details
+ * @access  Private (admin only)
+ */
+router.get('/:id',
+  requireAdmin,
+  merchantNotificationController.getEndpoint
+);
+
+/**
+ * @route   PUT /api/admin/merchant-endpoints/:id
+ * @desc    Update merchant endpoint URL, event types, headers or active flag
+ * @access  Private (admin only)
+ */
+router.put('/:id',
+  requireAdmin,
+  operatorActionLogger('updateMerchantEndpoint'),
+  merchantNotificationController.updateEndpoint
+);
+
+/**
+ * @route   POST /api/admin/merchant-endpoints/:id/rotate-secret
+ * @desc    Rotate merchant endpoint signing secret
+ * @access  Private (admin only)
+ */
+router.post('/:id/rotate-secret',
+  requireAdmin,
+  operatorActionLogger('rotateMerchantEndpointSecret'),
+  merchantNotificationController.rotateSecret
+);
+
+/**
+ * @route   DELETE /api/admin/merchant-endpoints/:id
+ * @desc    Remove merchant endpoint
+ * @access  Private (admin only)
+ */
+router.delete('/:id',
+  requireAdmin,
+  operatorActionLogger('deleteMerchantEndpoint'),
+  merchantNotificationController.deleteEndpoint
+);
+
+module.exports = router;
@@ -0,0 +1,89 @@
+/**
+ * Admin Merchant Routes
+ * 
+ * /api/admin/merchants - Merchants and their SLA v2.2 API credentials (admin only)
+ */
+
+const express = require('express');
+const merchantController = require('../../controllers/merchantController');
+const { requireAdmin } = require('../../middleware/auth');
+const { operatorActionLogger } = require('../../middleware/logging');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/merchants
+ * @desc    Get merchants (filter by status, environment; ?search= on code and name)
+ * @access  Private (admin only)
+ */
+router.get('/',
+  requireAdmin,
+  merchantController.getMerchants
+);
+
+/**
+ * @route   POST /api/admin/merchants
+ * @desc    Create merchant (code, name, environment, allowedOperators, ipWhitelist, callbackUrl)
+ * @access  Private (admin only)
+ */
+router.post('/',
+  requireAdmin,
+  operatorActionLogger('createMerchant'),
+  merchantController.createMerchant
+);
+
+/**
+ * @route   GET /api/admin/merchants/:id
+ * @desc    Get merchant with its campaigns
+ * @access  Private (admin only)
+ */
+router.get('/:id',
+  requireAdmin,
+  merchantController.getMerchant
+);
+
+/**
+ * @route   PUT /api/admin/merchants/:id
+ * @desc    Update merchant (status 'suspended' stops its credentials and campaigns)
+ * @access  Private (admin only)
+ */
+router.put('/:id',
+  requireAdmin,
+  operatorActionLogger('updateMerchant'),
+  merchantController.updateMerchant
+);
+
+/**
+ * @route   DELETE /api/admin/merchants/:id
+ * @desc    Remove merchant and its campaigns
+ * @access  Private (admin only)
+ */
+router.delete('/:id',
+  requireAdmin,
+  operatorActionLogger('deleteMerchant'),
+  merchantController.deleteMerchant
+);
+
+/**
+ * @route   POST /api/admin/merchants/:id/credentials
+ * @desc    Issue or rotate the merchant's /v2.2 credentials (password returned once)
+ * @access  Private (admin only)
+ */
+router.post('/:id/credentials',
+  requireAdmin,
+  operatorActionLogger('issueMerchantCredentials'),
+  merchantController.issueCredentials
+);
+
+/**
+ * @route   DELETE /api/admin/merchants/:id/credentials
+ * @desc    Revoke the merchant's /v2.2 credentials
+ * @access  Private (admin only)
+ */
+router.delete('/:id/credentials',
+  requireAdmin,
+  operatorActionLogger('revokeMerchantCredentials'),
+  merchantController.revokeCredentials
+);
+
+module.exports = router;
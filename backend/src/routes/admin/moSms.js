@@ -0,0 +1,141 @@
+/**
+ * Admin MO SMS Routes
+ * 
+ * /api/admin/mo-sms - Inbound MO SMS log, statistics, keywords and short codes (admin only)
+ */
+
+const express = require('express');
+const moSmsController = require('../../controllers/moSmsController');
+const moKeywordController = require('../../controllers/moKeywordController');
+const { requireAdmin } = require('../../middleware/auth');
+const { operatorActionLogger } = require('../../middleware/logging');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/mo-sms
+ * @desc    Get MO SMS log (filter by operatorCode, msisdn, shortCode, action, processed, from, to)
+ * @access  Private (admin only)
+ */
+router.get('/',
+  requireAdmin,
+  moSmsController.getLogs
+);
+
+/**
+ * @route   GET /api/admin/mo-sms/statistics
+ * @desc    Get MO SMS statistics (?operatorCode=&timeframe=1h|24h|7d|30d)
+ * @access  Private (admin only)
+ */
+router.get('/statistics',
+  requireAdmin,
+  moSmsController.getStatistics
+);
+
+/**
+ * @route   GET /api/admin/mo-sms/keywords
+ * @desc    Get MO keywords (filter by operatorCode, shortCode, campaign, action; ?includeInactive=true)
+ * @access  Private (admin only)
+ */
+router.get('/keywords',
+  requireAdmin,
+  moKeywordController.getAllKeywords
+);
+
+/**
+ * @route   POST /api/admin/mo-sms/keywords
+ * @desc    Create MO keyword with action and reply templates per language
+ * @access  Private (admin only)
+ */
+router.post('/keywords',
+  requireAdmin,
+  operatorActionLogger('createMOKeyword'),
+  moKeywordController.createKeyword
+);
+
+/**
+ * @route   POST /api/admin/mo-sms/keywords/match
+ * @desc    Preview which keyword a message matches on a short code
+ * @access  Private (admin only)
+ */
+router.post('/keywords/match',
+  requireAdmin,
+  moKeywordController.matchKeyword
+);
+
+/**
+ * @route   GET /api/admin/mo-sms/keywords/:id
+ * @desc    Get MO keyword details
+ * @access  Private (admin only)
+ */
+router.get('/keywords/:id',
+  requireAdmin,
+  moKeywordController.getKeyword
+);
+
+/**
+ * @route   PUT /api/admin/mo-sms/keywords/:id
+ * @desc    Update MO keyword
+ * @access  Private (admin only)
+ */
+router.put('/keywords/:id',
+  requireAdmin,
+  operatorActionLogger('updateMOKeyword'),
+  moKeywordController.updateKeyword
+);
+
+/**
+ * @route   DELETE /api/admin/mo-sms/keywords/:id
+ * @desc    Remove MO keyword
+ * @access  Private (admin only)
+ */
+router.delete('/keywords/:id',
+  requireAdmin,
+  operatorActionLogger('deleteMOKeyword'),
+  moKeywordController.deleteKeyword
+);
+
+/**
+ * @route   GET /api/admin/mo-sms/short-codes
+ * @desc    Get MO short codes (filter by operatorCode; ?includeBuiltIn=true)
+ * @access  Private (admin only)
+ */
+router.get('/short-codes',
+  requireAdmin,
+  moKeywordController.getAllShortCodes
+);
+
+/**
+ * @route   POST /api/admin/mo-sms/short-codes
+ * @desc    Register MO short code for an operator
+ * @access  Private (admin only)
+ */
+router.post('/short-codes',
+  requireAdmin,
+  operatorActionLogger('createMOShortCode'),
+  moKeywordController.createShortCode
+);
+
+/**
+ * @route   PUT /api/admin/mo-sms/short-codes/:id
+ * @desc    Update MO short code language, description or active flag
+ * @access  Private (admin only)
+ */
+router.put('/short-codes/:id',
+  requireAdmin,
+  operatorActionLogger('updateMOShortCode'),
+  moKeywordController.updateShortCode
+);
+
+/**
+ * @route   DELETE /api/admin/mo-sms/short-codes/:id
+ * @desc    Remove MO short code
+ * @access  Private (admin only)
+ */
+router.delete('/short-codes/:id',
+  requireAdmin,
+  operatorActionLogger('deleteMOShortCode'),
+  moKeywordController.deleteShortCode
+);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * Admin Merchant Notification Routes
+ * 
+ * /api/admin/notifications - Outbound delivery log and manual redelivery (admin only)
+ */
+
+const express = require('express');
+const merchantNotificationController = require('../../controllers/merchantNotificationController');
+const { requireAdmin } = require('../../middleware/auth');
+const { operatorActionLogger } = require('../../middleware/logging');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/notifications
+ * @desc    Get outbound deliveries (filter by status, eventType, merchant, merchantEndpointId)
+ * @access  Private (admin only)
+ */
+router.get('/',
+  requireAdmin,
+  merchantNotificationController.getDeliveries
+);
+
+/**
+ * @route   POST /api/admin/notifications/dead-letters/redeliver
+ * @desc    Requeue dead-lettered deliveries in bulk
+ * @access  Private (admin only)
+ */
+router.post('/dead-letters/redeliver',
+  requireAdmin,
+  operatorActionLogger('redeliverDeadLetters'),
+  merchantNotificationController.redeliverDeadLetters
+);
+
+/**
+ * @route   GET /api/admin/notifications/:id
+ * @desc    Get delivery details
+ * @access  Private (admin only)
+ */
+router.get('/:id',
+  requireAdmin,
+  merchantNotificationController.getDelivery
+);
+
+/**
+ * @route   POST /api/admin/notifications/:id/redeliver
+ * @desc    Manually redeliver a notification
+ * @access  Private (admin only)
+ */
+router.post('/:id/redeliver',
+  requireAdmin,
+  operatorActionLogger('redeliverNotification'),
+  merchantNotificationController.redeliver
+);
+
+module.exports = router;
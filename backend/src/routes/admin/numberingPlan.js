@@ -0,0 +1,127 @@
+/**
+ * Admin Numbering Plan Routes
+ * 
+ * /api/admin/numbering-plan - Numbering-plan ranges, ported numbers and detection lookup (admin only)
+ */
+
+const express = require('express');
+const numberingPlanController = require('../../controllers/numberingPlanController');
+const { requireAdmin } = require('../../middleware/auth');
+const { operatorActionLogger } = require('../../middleware/logging');
+
+const router = express.Router();
+
+// CSV imports may also be posted as text/csv
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' });
+
+/**
+ * @route   GET /api/admin/numbering-plan/lookup
+ * @desc    Detect operator for an MSISDN with confidence and matching rule (?msisdn=&campaign=)
+ * @access  Private (admin only)
+ */
+router.get('/lookup',
+  requireAdmin,
+  numberingPlanController.lookup
+);
+
+/**
+ * @route   GET /api/admin/numbering-plan/ranges
+ * @desc    Get numbering-plan ranges (filter by countryCode, operatorCode; ?includeInactive=true)
+ * @access  Private (admin only)
+ */
+router.get('/ranges',
+  requireAdmin,
+  numberingPlanController.getRanges
+);
+
+/**
+ * @route   POST /api/admin/numbering-plan/ranges
+ * @desc    Create numbering-plan range
+ * @access  Private (admin only)
+ */
+router.post('/ranges',
+  requireAdmin,
+  operatorActionLogger('createNumberingPlanRange'),
+  numberingPlanController.createRange
+);
+
+/**
+ * @route   POST /api/admin/numbering-plan/ranges/import
+ * @desc    Import ranges from CSV (country_code,prefix_from,prefix_to,operator_code[,number_length][,notes];
+ *          ?replace=true replaces the ranges of the countries in the file)
+ * @access  Private (admin only)
+ */
+router.post('/ranges/import',
+  requireAdmin,
+  csvBody,
+  operatorActionLogger('importNumberingPlanRanges'),
+  numberingPlanController.importRanges
+);
+
+/**
+ * @route   PUT /api/admin/numbering-plan/ranges/:id
+ * @desc    Update numbering-plan range
+ * @access  Private (admin only)
+ */
+router.put('/ranges/:id',
+  requireAdmin,
+  operatorActionLogger('updateNumberingPlanRange'),
+  numberingPlanController.updateRange
+);
+
+/**
+ * @route   DELETE /api/admin/numbering-plan/ranges/:id
+ * @desc    Remove numbering-plan range
+ * @access  Private (admin only)
+ */
+router.delete('/ranges/:id',
+  requireAdmin,
+  operatorActionLogger('deleteNumberingPlanRange'),
+  numberingPlanController.deleteRange
+);
+
+/**
+ * @route   GET /api/admin/numbering-plan/ported
+ * @desc    Get ported numbers (filter by msisdn, operatorCode)
+ * @access  Private (admin only)
+ */
+router.get('/ported',
+  requireAdmin,
+  numberingPlanController.getPortedNumbers
+);
+
+/**
+ * @route   POST /api/admin/numbering-plan/ported
+ * @desc    Add or replace a ported number override
+ * @access  Private (admin only)
+ */
+router.post('/ported',
+  requireAdmin,
+  operatorActionLogger('savePortedNumber'),
+  numberingPlanController.createPortedNumber
+);
+
+/**
+ * @route   POST /api/admin/numbering-plan/ported/import
+ * @desc    Import ported numbers from CSV (msisdn,operator_code[,donor_operator_code][,ported_at])
+ * @access  Private (admin only)
+ */
+router.post('/ported/import',
+  requireAdmin,
+  csvBody,
+  operatorActionLogger('importPortedNumbers'),
+  numberingPlanController.importPortedNumbers
+);
+
+/**
+ * @route   DELETE /api/admin/numbering-plan/ported/:id
+ * @desc    Remove ported number override
+ * @access  Private (admin only)
+ */
+router.delete('/ported/:id',
+  requireAdmin,
+  operatorActionLogger('deletePortedNumber'),
+  numberingPlanController.deletePortedNumber
+);
+
+module.exports = router;
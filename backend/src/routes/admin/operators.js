@@ -23,7 +23,7 @@ router.get('/',
 
 /**
  * @route   GET /api/admin/operators/:code
- * @desc    Get specific operator details
+ * @desc    Get specific operator details (including circuit breaker and routing state)
  * @access  Private (admin only)
  */
 router.get('/:code', 
@@ -64,6 +64,17 @@ router.post('/bulk/enable',
   operatorController.enableAllOperators
 );
 
+/**
+ * @route   POST /api/admin/operators/:code/reload
+ * @desc    Rebuild operator adapter from its current config/credentials (all instances)
+ * @access  Private (admin only)
+ */
+router.post('/:code/reload', 
+  requireAdmin,
+  operatorActionLogger('reloadOperator'),
+  operatorController.reloadOperator
+);
+
 /**
  * @route   GET /api/admin/operators/:code/stats
  * @desc    Get operator statistics
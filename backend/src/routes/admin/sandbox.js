@@ -0,0 +1,46 @@
+/**
+ * Admin Sandbox Routes
+ * 
+ * /api/admin/sandbox - Sandbox simulator clock (admin only, simulator operators only)
+ */
+
+const express = require('express');
+const sandboxClockController = require('../../controllers/sandboxClockController');
+const { requireAdmin } = require('../../middleware/auth');
+const { operatorActionLogger } = require('../../middleware/logging');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/sandbox/clock
+ * @desc    Get the simulated time and pending renewals / scenario steps (?operatorCode=&limit=)
+ * @access  Private (admin only)
+ */
+router.get('/clock',
+  requireAdmin,
+  sandboxClockController.getClock
+);
+
+/**
+ * @route   POST /api/admin/sandbox/clock/advance
+ * @desc    Move the simulated clock forward ({ operatorCode, days, hours, seconds }), playing due events
+ * @access  Private (admin only)
+ */
+router.post('/clock/advance',
+  requireAdmin,
+  operatorActionLogger('advanceSandboxClock'),
+  sandboxClockController.advanceClock
+);
+
+/**
+ * @route   POST /api/admin/sandbox/clock/reset
+ * @desc    Set the simulated clock back to real time ({ operatorCode })
+ * @access  Private (admin only)
+ */
+router.post('/clock/reset',
+  requireAdmin,
+  operatorActionLogger('resetSandboxClock'),
+  sandboxClockController.resetClock
+);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * Admin Webhook Secret Routes
+ * 
+ * /api/admin/webhook-secrets - Inbound SLA webhook signing secrets (admin only)
+ */
+
+const express = require('express');
+const webhookSecretController = require('../../controllers/webhookSecretController');
+const { requireAdmin } = require('../../middleware/auth');
+const { operatorActionLogger } = require('../../middleware/logging');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/webhook-secrets
+ * @desc    Get webhook secrets (filter by scopeType, scopeId; ?includeExpired=true)
+ * @access  Private (admin only)
+ */
+router.get('/',
+  requireAdmin,
+  webhookSecretController.getAllSecrets
+);
+
+/**
+ * @route   GET /api/admin/webhook-secrets/rejections
+ * @desc    Get rejected inbound webhook deliveries
+ * @access  Private (admin only)
+ */
+router.get('/rejections',
+  requireAdmin,
+  webhookSecretController.getRejections
+);
+
+/**
+ * @route   POST /api/admin/webhook-secrets/rotate
+ * @desc    Create or rotate an operator/merchant secret (new secret returned once)
+ * @access  Private (admin only)
+ */
+router.post('/rotate',
+  requireAdmin,
+  operatorActionLogger('rotateWebhookSecret'),
+  webhookSecretController.rotateSecret
+);
+
+/**
+ * @route   DELETE /api/admin/webhook-secrets/:id
+ * @desc    Revoke a webhook secret immediately
+ * @access  Private (admin only)
+ */
+router.delete('/:id',
+  requireAdmin,
+  operatorActionLogger('revokeWebhookSecret'),
+  webhookSecretController.revokeSecret
+);
+
+module.exports = router;
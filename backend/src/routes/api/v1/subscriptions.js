@@ -74,4 +74,14 @@ router.get('/:id/transactions',
   subscriptionController.getSubscriptionTransactions
 );
 
+/**
+ * @route   GET /api/v1/subscriptions/:id/history
+ * @desc    Get subscription status transition history
+ * @access  Private (operator+)
+ */
+router.get('/:id/history', 
+  requireOperatorAccess,
+  subscriptionController.getSubscriptionHistory
+);
+
 module.exports = router;
\ No newline at end of file
@@ -13,7 +13,7 @@ const router = express.Router();
 const Logger = require('../../../utils/logger');
 
 // ✅ PHASE 3: Import real SLA Digital authentication middleware  
-const { slaBasicAuth, slaIPWhitelist, slaQueryParams } = require('../../../middleware/slaAuth');
+const { slaBasicAuth, slaIPWhitelist, slaQueryParams, slaCampaignValidation } = require('../../../middleware/slaAuth');
 
 // ✅ PHASE 2: Import SLA Digital controllers (implemented)
 const slaSubscriptionController = require('../../../controllers/slaSubscriptionController');
@@ -23,17 +23,20 @@ const slaEligibilityController = require('../../../controllers/slaEligibilityCon
 const slaSmsController = require('../../../controllers/slaSmsController');
 const slaRefundController = require('../../../controllers/slaRefundController');
 const slaSandboxController = require('../../../controllers/slaSandboxController');
+const slaCheckoutController = require('../../../controllers/slaCheckoutController');
 
 /**
  * ✅ PHASE 3: SLA Digital v2.2 Middleware Stack - REAL IMPLEMENTATION
  * 1. HTTP Basic Auth with credential validation
  * 2. IP whitelisting with CIDR support
  * 3. Query parameter parsing (SLA uses query strings, not JSON body)
+ * 4. Validation against the campaign the request names
  */
 const slaMiddleware = [
   slaBasicAuth,        // ✅ PHASE 3: HTTP Basic Auth implemented
   slaIPWhitelist,      // ✅ PHASE 3: IP whitelisting implemented
-  slaQueryParams       // ✅ PHASE 3: Query string parameter handling implemented
+  slaQueryParams,      // ✅ PHASE 3: Query string parameter handling implemented
+  slaCampaignValidation
 ];
 
 // ===== SUBSCRIPTION ENDPOINTS - SLA v2.2 SPECIFICATION =====
@@ -69,14 +72,14 @@ router.post('/subscription/free', slaMiddleware, slaSubscriptionController.free)
 /**
  * POST /v2.2/subscription/status
  * Gets current subscription status
- * Query Parameters: uuid
+ * Query Parameters: uuid, or msisdn/acr with [campaign], [merchant]
  */
 router.post('/subscription/status', slaMiddleware, slaSubscriptionController.getStatus);
 
 /**
  * POST /v2.2/subscription/latest
- * Gets latest subscription for an MSISDN
- * Query Parameters: msisdn, campaign, merchant
+ * Gets latest subscription for an MSISDN or ACR
+ * Query Parameters: msisdn or acr, [campaign], [merchant], [operator]
  */
 router.post('/subscription/latest', slaMiddleware, slaSubscriptionController.latest);
 
@@ -103,6 +106,22 @@ router.post('/charge', slaMiddleware, slaChargeController.charge);
  */
 router.post('/refund', slaMiddleware, slaRefundController.refund);
 
+// ===== CHECKOUT ENDPOINTS =====
+
+/**
+ * POST /v2.2/checkout/create
+ * Opens a hosted checkout session; the subscriber is sent to the returned checkout_url
+ * Query Parameters: campaign, merchant, return_url, [msisdn], [acr], [operator], [language], [trial]
+ */
+router.post('/checkout/create', slaMiddleware, slaCheckoutController.create);
+
+/**
+ * POST /v2.2/checkout/status
+ * Gets the state of a checkout session (created, redirected, consented, failed, expired)
+ * Query Parameters: session_id
+ */
+router.post('/checkout/status', slaMiddleware, slaCheckoutController.status);
+
 // ===== VERIFICATION ENDPOINTS - SLA v2.2 SPECIFICATION =====
 
 /**
@@ -133,7 +152,7 @@ router.post('/sms', slaMiddleware, slaSmsController.send);
 /**
  * POST /v2.2/sandbox/provision
  * Provisions MSISDN for sandbox testing (4-hour window)
- * Query Parameters: msisdn, campaign, merchant
+ * Query Parameters: msisdn, campaign, merchant, [balance], [currency], [failures], [scenario]
  */
 router.post('/sandbox/provision', slaMiddleware, slaSandboxController.provision);
 
@@ -144,6 +163,13 @@ router.post('/sandbox/provision', slaMiddleware, slaSandboxController.provision)
  */
 router.post('/sandbox/balances', slaMiddleware, slaSandboxController.balances);
 
+/**
+ * POST /v2.2/sandbox/scenario
+ * Scripts renewals and status changes for a simulator MSISDN
+ * Query Parameters: msisdn, scenario
+ */
+router.post('/sandbox/scenario', slaMiddleware, slaSandboxController.scenario);
+
 // ===== SLA v2.2 API INFO ENDPOINT (No auth required) =====
 
 /**
@@ -178,6 +204,12 @@ router.get('/', (req, res) => {
         refund: 'POST /v2.2/refund'
       },
       
+      // Hosted checkout
+      checkout: {
+        create: 'POST /v2.2/checkout/create',
+        status: 'POST /v2.2/checkout/status'
+      },
+      
       // Verification
       verification: {
         pin: 'POST /v2.2/pin',
@@ -192,7 +224,8 @@ router.get('/', (req, res) => {
       // Sandbox
       sandbox: {
         provision: 'POST /v2.2/sandbox/provision',
-        balances: 'POST /v2.2/sandbox/balances'
+        balances: 'POST /v2.2/sandbox/balances',
+        scenario: 'POST /v2.2/sandbox/scenario'
       }
     },
     
@@ -261,12 +294,13 @@ router.get('/health', (req, res) => {
     endpoints_available: {
       subscription: 7,  // create, activate, resume, free, status, latest, delete
       billing: 2,       // charge, refund
+      checkout: 2,      // create, status
       verification: 2,  // pin, eligibility  
       communication: 1, // sms
-      sandbox: 2        // provision, balances
+      sandbox: 3        // provision, balances, scenario
     },
     
-    total_endpoints: 14,
+    total_endpoints: 17,
     operators_supported: 24,
     environment: process.env.NODE_ENV || 'development',
     
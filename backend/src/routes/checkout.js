@@ -0,0 +1,27 @@
+/**
+ * Hosted Checkout Routes
+ * 
+ * Subscriber-facing redirects of checkout sessions opened through /v2.2/checkout/create -
+ * authenticated by the signed session token, not HTTP Basic Auth
+ */
+
+const express = require('express');
+const slaCheckoutController = require('../controllers/slaCheckoutController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /checkout/:token
+ * @desc    Redirect the subscriber to the operator checkout
+ * @access  Public (signed session token)
+ */
+router.get('/:token', slaCheckoutController.redirect);
+
+/**
+ * @route   GET /checkout/:token/return
+ * @desc    Redirect the subscriber back from the operator checkout to the merchant
+ * @access  Public (signed session token)
+ */
+router.get('/:token/return', slaCheckoutController.returnFromOperator);
+
+module.exports = router;
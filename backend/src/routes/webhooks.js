@@ -0,0 +1,45 @@
+/**
+ * Inbound Webhook Routes
+ * 
+ * SLA Digital notifications - authenticated by HMAC signature, not JWT
+ * Operator MO SMS - authenticated by short code and source IP
+ */
+
+const express = require('express');
+const WebhookService = require('../services/core/WebhookService');
+const moSmsController = require('../controllers/moSmsController');
+const { authenticateMOSMS } = require('../middleware/moSmsAuth');
+
+const router = express.Router();
+
+/**
+ * @route   POST /webhooks/sla
+ * @desc    Receive SLA Digital notification (merchant or global secret)
+ * @access  Public (x-sla-signature)
+ */
+router.post('/sla', (req, res) => {
+  return WebhookService.processIncomingWebhook(req, res);
+});
+
+/**
+ * @route   POST /webhooks/sla/:operatorCode
+ * @desc    Receive SLA Digital notification for an operator (operator secret)
+ * @access  Public (x-sla-signature)
+ */
+router.post('/sla/:operatorCode', (req, res) => {
+  return WebhookService.processIncomingWebhook(req, res, {
+    operatorCode: req.params.operatorCode
+  });
+});
+
+/**
+ * @route   POST /webhooks/mo-sms/:operatorCode
+ * @desc    Receive an MO SMS (STOP, HELP, INFO, START, ...) from an operator
+ * @access  Public (short code + IP allowlist)
+ */
+router.post('/mo-sms/:operatorCode',
+  authenticateMOSMS,
+  moSmsController.receive
+);
+
+module.exports = router;
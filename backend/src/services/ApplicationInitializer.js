@@ -7,6 +7,8 @@
 
 const Logger = require('../utils/logger');
 const { getInstance: getOperatorManager } = require('./core/OperatorManager');
+const RenewalService = require('./business/RenewalService');
+const MerchantNotificationService = require('./core/MerchantNotificationService');
 
 class ApplicationInitializer {
   /**
@@ -20,7 +22,13 @@ class ApplicationInitializer {
       const operatorManager = getOperatorManager();
       await operatorManager.initialize();
       
-      // Step 2: Add any other service initialization here
+      // Step 2: Start recurring billing once operators and adapters are registered
+      RenewalService.start();
+      
+      // Step 3: Deliver queued merchant notifications
+      MerchantNotificationService.start();
+      
+      // Step 4: Add any other service initialization here
       // Example: await initializeOtherServices();
       
       Logger.info('✅ Application initialization completed successfully');
@@ -42,6 +50,10 @@ class ApplicationInitializer {
     try {
       Logger.info('🧹 Starting application cleanup...');
       
+      // Stop the renewal scheduler before tearing down operators it charges through
+      RenewalService.stop();
+      MerchantNotificationService.stop();
+      
       // Cleanup OperatorManager
       const operatorManager = getOperatorManager();
       await operatorManager.cleanup();
@@ -69,6 +81,8 @@ class ApplicationInitializer {
     return {
       timestamp: new Date().toISOString(),
       operatorManager: getSingletonStatus(),
+      renewalScheduler: RenewalService.getStatus(),
+      merchantNotifications: MerchantNotificationService.getStatus(),
       // Add status for other services here
     };
   }
@@ -87,6 +101,16 @@ class ApplicationInitializer {
             initialized: status.operatorManager.isInitialized,
             healthMonitoring: status.operatorManager.healthMonitoringActive,
             operatorCount: status.operatorManager.operatorCount
+          },
+          renewalScheduler: {
+            enabled: status.renewalScheduler.enabled,
+            active: status.renewalScheduler.active,
+            lastCycleAt: status.renewalScheduler.lastCycleAt
+          },
+          merchantNotifications: {
+            enabled: status.merchantNotifications.enabled,
+            active: status.merchantNotifications.active,
+            lastCycleAt: status.merchantNotifications.lastCycleAt
           }
           // Add health checks for other services
         },
@@ -0,0 +1,378 @@
+/**
+ * Dunning Service - Failed Payment Recovery
+ *
+ * Decides what happens after a renewal charge fails, whether the failure came from the
+ * renewal scheduler or from an SLA Digital notification (INSUFFICIENT_FUNDS / GRACE):
+ *
+ *   failure 1..n   → grace, retried after retryLadderHours[n-1]
+ *   ladder used up → suspended, retried every suspendedRetryHours
+ *   maxRetries or expireAfterDays past the due date → endStatus (expired | cancelled)
+ *
+ * Retries themselves are charged by RenewalService (Transaction type 'retry' with
+ * retry_count); this service only plans them. When the last failure was insufficient
+ * funds and both the policy and the operator allow it, the next retry charges a
+ * fraction of the outstanding amount and the remainder is collected by later retries.
+ *
+ * Policy lives in Operator.config.dunning (Operator.config.renewal is still read for
+ * the older retryLadderHours/suspendedRetryHours/expireAfterDays keys):
+ *   {
+ *     retryLadderHours: [4, 24, 72], suspendedRetryHours: 24, expireAfterDays: 30,
+ *     maxRetries: 10, endStatus: 'expired',
+ *     partialCharges: { enabled: true, fractions: [0.5, 0.25], minAmount: 0.5, retryHours: 24 }
+ *   }
+ */
+
+const { Op, fn, col } = require('sequelize');
+const Logger = require('../../utils/logger');
+const config = require('../../config');
+const SubscriptionStateMachine = require('./SubscriptionStateMachine');
+
+const INSUFFICIENT_FUNDS_CODES = ['INSUFFICIENT_FUNDS', 'INSUFFICIENT_BALANCE', 'GRACE'];
+const END_STATUSES = ['expired', 'cancelled'];
+const PARTIAL_CHARGE_FEATURE = 'partial_charge';
+
+class DunningService {
+  /**
+   * Resolve the dunning policy for an operator, falling back to global defaults
+   */
+  getPolicy(operator) {
+    const operatorConfig = (operator && operator.config) || {};
+    const overrides = { ...(operatorConfig.renewal || {}), ...(operatorConfig.dunning || {}) };
+    const defaults = config.billing;
+    const partialOverrides = overrides.partialCharges || {};
+
+    return {
+      retryLadderHours: Array.isArray(overrides.retryLadderHours)
+        ? overrides.retryLadderHours
+        : defaults.retryLadderHours,
+      suspendedRetryHours: overrides.suspendedRetryHours || defaults.suspendedRetryHours,
+      expireAfterDays: overrides.expireAfterDays || defaults.expireAfterDays,
+      maxRetries: Number.isInteger(overrides.maxRetries) ? overrides.maxRetries : defaults.maxRetries,
+      endStatus: END_STATUSES.includes(overrides.endStatus) ? overrides.endStatus : defaults.endStatus,
+      partialCharges: {
+        ...defaults.partialCharges,
+        ...partialOverrides
+      }
+    };
+  }
+
+  /**
+   * Partial charges need the policy switched on and the operator to support them
+   */
+  allowsPartialCharges(operator, policy = this.getPolicy(operator)) {
+    const supportedFeatures = (operator && operator.config && operator.config.supportedFeatures) || [];
+    return !!policy.partialCharges.enabled && supportedFeatures.includes(PARTIAL_CHARGE_FEATURE);
+  }
+
+  /**
+   * Whether an error code means the subscriber could not pay
+   */
+  isInsufficientFunds(errorCode) {
+    return INSUFFICIENT_FUNDS_CODES.includes(errorCode);
+  }
+
+  /**
+   * Work out what the next renewal attempt should charge
+   *
+   * @returns {Object} { attempt, amount, outstanding, partial }
+   */
+  planAttempt(subscription, operator) {
+    const renewal = subscription.metadata?.renewal || {};
+    const attempt = renewal.attempt || 0;
+    const outstanding = renewal.outstanding !== undefined
+      ? parseFloat(renewal.outstanding)
+      : parseFloat(subscription.amount);
+
+    const plan = { attempt, amount: outstanding, outstanding, partial: false };
+
+    if (attempt === 0 || !this.isInsufficientFunds(renewal.lastErrorCode)) {
+      return plan;
+    }
+
+    const policy = this.getPolicy(operator);
+    if (!this.allowsPartialCharges(operator, policy)) {
+      return plan;
+    }
+
+    // Each failed partial charge steps down to the next (smaller) fraction
+    const { fractions, minAmount } = policy.partialCharges;
+    const fraction = fractions[Math.min(renewal.partialStep || 0, fractions.length - 1)];
+    const amount = Math.round(outstanding * fraction * 100) / 100;
+
+    if (amount > 0 && amount >= minAmount && amount < outstanding) {
+      return { ...plan, amount, partial: true };
+    }
+
+    return plan;
+  }
+
+  /**
+   * Apply a failed charge to the subscription: move it along the dunning ladder and
+   * schedule the next retry. Saves the subscription.
+   *
+   * @param {Subscription} subscription - Subscription instance
+   * @param {Operator} operator - Operator instance (for the policy)
+   * @param {Object} failure - { errorCode, errorMessage, source, partial, transactionId }
+   * @returns {Object} { status, attempt, nextAttemptAt }
+   */
+  async recordFailure(subscription, operator, failure) {
+    const { errorCode, errorMessage = null, source = 'renewal_scheduler', partial = false, transactionId = null } = failure;
+    const policy = this.getPolicy(operator);
+    const renewal = subscription.metadata?.renewal || {};
+    const attempt = (renewal.attempt || 0) + 1;
+
+    const now = new Date();
+    const dueAt = new Date(renewal.dueAt || now);
+    const endsAt = new Date(dueAt.getTime() + policy.expireAfterDays * 24 * 60 * 60 * 1000);
+
+    let targetStatus;
+    let nextAttemptAt = null;
+
+    // attempt counts failures, so attempt - 1 retries have been charged so far
+    if (now >= endsAt || attempt - 1 >= policy.maxRetries) {
+      targetStatus = policy.endStatus;
+    } else if (attempt <= policy.retryLadderHours.length) {
+      targetStatus = 'grace';
+      nextAttemptAt = this.addHours(now, policy.retryLadderHours[attempt - 1]);
+    } else {
+      targetStatus = 'suspended';
+      nextAttemptAt = this.addHours(now, policy.suspendedRetryHours);
+    }
+
+    // Never schedule a retry past the end point; the final attempt happens there
+    if (nextAttemptAt && nextAttemptAt > endsAt) {
+      nextAttemptAt = endsAt;
+    }
+
+    // The ladder never walks back up (e.g. suspended → grace); keep the current status then
+    if (SubscriptionStateMachine.canTransition(subscription.status, targetStatus)) {
+      await subscription.updateStatus(targetStatus, null, {
+        renewalFailure: { errorCode, attempt }
+      }, {
+        source: 'dunning',
+        reason: `Renewal failed: ${errorCode}`
+      });
+    }
+
+    subscription.nextPaymentAt = nextAttemptAt;
+    subscription.metadata = {
+      ...subscription.metadata,
+      renewal: {
+        ...renewal,
+        dueAt: dueAt.toISOString(),
+        attempt,
+        partialStep: partial ? (renewal.partialStep || 0) + 1 : (renewal.partialStep || 0),
+        lastFailedAt: now.toISOString(),
+        lastErrorCode: errorCode
+      }
+    };
+
+    // recordFailedCharge() saves the subscription along with the fields above
+    await subscription.recordFailedCharge(errorCode, errorMessage, {
+      source,
+      transactionId,
+      attempt
+    });
+
+    Logger.warn('Dunning step applied', {
+      subscriptionId: subscription.id,
+      operatorCode: operator.code,
+      errorCode,
+      attempt,
+      status: subscription.status,
+      source,
+      nextAttemptAt: nextAttemptAt ? nextAttemptAt.toISOString() : null
+    });
+
+    return { status: subscription.status, attempt, nextAttemptAt };
+  }
+
+  /**
+   * Book a successful partial charge against the outstanding amount. The subscription
+   * stays in dunning until the remainder is collected. Saves the subscription.
+   *
+   * @returns {Object} { outstanding, nextAttemptAt }
+   */
+  async recordPartialPayment(subscription, operator, transaction) {
+    const policy = this.getPolicy(operator);
+    const renewal = subscription.metadata?.renewal || {};
+    const amount = parseFloat(transaction.amount);
+    const outstanding = Math.round((parseFloat(renewal.outstanding ?? subscription.amount) - amount) * 100) / 100;
+
+    const now = new Date();
+    const dueAt = new Date(renewal.dueAt || now);
+    const endsAt = new Date(dueAt.getTime() + policy.expireAfterDays * 24 * 60 * 60 * 1000);
+    let nextAttemptAt = this.addHours(now, policy.partialCharges.retryHours);
+    if (nextAttemptAt > endsAt) {
+      nextAttemptAt = endsAt;
+    }
+
+    subscription.totalPaid = parseFloat(subscription.totalPaid) + amount;
+    subscription.nextPaymentAt = nextAttemptAt;
+    subscription.metadata = {
+      ...subscription.metadata,
+      renewal: {
+        ...renewal,
+        outstanding,
+        partialStep: 0,
+        // The next retry tries the whole remainder before stepping down again
+        lastErrorCode: null,
+        collected: Math.round(((renewal.collected || 0) + amount) * 100) / 100,
+        lastPartialAt: now.toISOString()
+      }
+    };
+
+    await subscription.save();
+
+    Logger.info('Partial renewal charge collected', {
+      subscriptionId: subscription.id,
+      transactionId: transaction.id,
+      amount,
+      outstanding,
+      nextAttemptAt: nextAttemptAt.toISOString()
+    });
+
+    return { outstanding, nextAttemptAt };
+  }
+
+  /**
+   * Apply a failure reported by SLA Digital (operator-side billing)
+   * Skipped when the renewal scheduler already recorded this failure within its lease.
+   *
+   * @returns {Object|null} recordFailure() result, or null when skipped
+   */
+  async recordNotifiedFailure(subscription, errorCode, details = {}) {
+    const { getModels } = require('../../models');
+    const { Operator } = getModels();
+
+    const renewal = subscription.metadata?.renewal || {};
+    const leaseMs = config.billing.renewalLeaseSeconds * 1000;
+
+    if (renewal.lastFailedAt && Date.now() - new Date(renewal.lastFailedAt).getTime() < leaseMs) {
+      Logger.debug('Dunning notification skipped, failure already recorded', {
+        subscriptionId: subscription.id,
+        errorCode,
+        lastFailedAt: renewal.lastFailedAt
+      });
+      return null;
+    }
+
+    if (SubscriptionStateMachine.isTerminal(subscription.status)) {
+      return null;
+    }
+
+    const operator = await Operator.findByPk(subscription.operatorId);
+    if (!operator) {
+      Logger.warn('Dunning notification skipped: operator not found', {
+        subscriptionId: subscription.id,
+        operatorId: subscription.operatorId
+      });
+      return null;
+    }
+
+    return this.recordFailure(subscription, operator, {
+      errorCode,
+      errorMessage: details.errorMessage || null,
+      source: 'webhook',
+      transactionId: details.transactionId || null
+    });
+  }
+
+  /**
+   * Dunning outcome report for the admin dashboard
+   *
+   * @param {Object} options - { days, operatorId }
+   */
+  async getReport({ days = 30, operatorId = null } = {}) {
+    const { getModels } = require('../../models');
+    const { Subscription, Transaction, SubscriptionStatusHistory } = getModels();
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const operatorWhere = operatorId ? { operatorId } : {};
+
+    const [inDunning, attempts, outcomes] = await Promise.all([
+      Subscription.findAll({
+        attributes: ['status', [fn('COUNT', col('id')), 'count']],
+        where: { ...operatorWhere, status: { [Op.in]: ['grace', 'suspended'] } },
+        group: ['status'],
+        raw: true
+      }),
+      Transaction.findAll({
+        attributes: [
+          'status',
+          [fn('COUNT', col('id')), 'count'],
+          [fn('SUM', col('amount')), 'amount']
+        ],
+        where: { ...operatorWhere, type: 'retry', created_at: { [Op.gte]: since } },
+        group: ['status'],
+        raw: true
+      }),
+      SubscriptionStatusHistory.findAll({
+        attributes: ['toStatus', [fn('COUNT', col('SubscriptionStatusHistory.id')), 'count']],
+        where: { source: 'dunning', created_at: { [Op.gte]: since } },
+        include: operatorId
+          ? [{ model: Subscription, as: 'subscription', attributes: [], where: { operatorId } }]
+          : [],
+        group: ['toStatus'],
+        raw: true
+      })
+    ]);
+
+    const countBy = (rows, key) => rows.reduce((acc, row) => {
+      acc[row[key]] = parseInt(row.count);
+      return acc;
+    }, {});
+
+    const attemptsByStatus = attempts.reduce((acc, row) => {
+      acc[row.status] = { count: parseInt(row.count), amount: parseFloat(row.amount || 0) };
+      return acc;
+    }, {});
+
+    const partialCollected = await Transaction.sum('amount', {
+      where: {
+        ...operatorWhere,
+        type: 'retry',
+        status: 'completed',
+        created_at: { [Op.gte]: since },
+        metadata: { dunning: { partial: true } }
+      }
+    });
+
+    const transitions = countBy(outcomes, 'toStatus');
+    const recovered = transitions.active || 0;
+    const ended = END_STATUSES.reduce((sum, status) => sum + (transitions[status] || 0), 0);
+
+    return {
+      period: { days, since: since.toISOString() },
+      inDunning: countBy(inDunning, 'status'),
+      retries: {
+        total: Object.values(attemptsByStatus).reduce((sum, s) => sum + s.count, 0),
+        byStatus: attemptsByStatus,
+        recoveredAmount: attemptsByStatus.completed ? attemptsByStatus.completed.amount : 0,
+        partialCollected: partialCollected || 0
+      },
+      outcomes: {
+        recovered,
+        suspended: transitions.suspended || 0,
+        ended,
+        byStatus: transitions,
+        recoveryRate: recovered + ended > 0
+          ? Math.round((recovered / (recovered + ended)) * 10000) / 100
+          : null
+      }
+    };
+  }
+
+  /**
+   * Date a number of (possibly fractional) hours later
+   */
+  addHours(date, hours) {
+    return new Date(date.getTime() + hours * 60 * 60 * 1000);
+  }
+}
+
+const dunningService = new DunningService();
+dunningService.INSUFFICIENT_FUNDS_CODES = INSUFFICIENT_FUNDS_CODES;
+dunningService.PARTIAL_CHARGE_FEATURE = PARTIAL_CHARGE_FEATURE;
+
+module.exports = dunningService;
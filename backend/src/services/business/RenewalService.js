@@ -0,0 +1,424 @@
+/**
+ * Renewal Service - Recurring Billing Scheduler
+ *
+ * Finds subscriptions whose next payment is due, charges them through the
+ * UnifiedAdapter and records the outcome as Transaction rows. What happens after a
+ * failed charge (retry ladder, partial charges, final status) is up to DunningService.
+ *
+ * MULTI-INSTANCE SAFE: due rows are claimed with SELECT ... FOR UPDATE SKIP LOCKED
+ * and leased by pushing next_payment_at forward, so two backends never charge the
+ * same subscription. A crashed instance's claims simply become due again.
+ */
+
+const os = require('os');
+const { Op } = require('sequelize');
+const Logger = require('../../utils/logger');
+const config = require('../../config');
+const UnifiedAdapter = require('../core/UnifiedAdapter');
+const DunningService = require('./DunningService');
+const MerchantNotificationService = require('../core/MerchantNotificationService');
+
+class RenewalService {
+  constructor() {
+    this.unifiedAdapter = null;
+    this.renewalInterval = null;
+    this.isRunning = false;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+
+    this.stats = {
+      cycles: 0,
+      charged: 0,
+      failed: 0,
+      skipped: 0,
+      lastCycleAt: null,
+      lastCycleDuration: null
+    };
+  }
+
+  /**
+   * Start the renewal scheduler
+   */
+  start() {
+    if (!config.billing.renewalEnabled) {
+      Logger.info('Renewal scheduler disabled by configuration');
+      return;
+    }
+
+    if (this.renewalInterval) {
+      Logger.debug('Renewal scheduler already running, skipping duplicate start');
+      return;
+    }
+
+    const interval = config.billing.renewalInterval * 1000;
+
+    this.renewalInterval = setInterval(async () => {
+      await this.runCycle();
+    }, interval);
+
+    Logger.info('🔄 Renewal scheduler started', {
+      interval: `${interval / 1000}s`,
+      batchSize: config.billing.renewalBatchSize,
+      leaseSeconds: config.billing.renewalLeaseSeconds,
+      instanceId: this.instanceId
+    });
+  }
+
+  /**
+   * Stop the renewal scheduler
+   */
+  stop() {
+    if (this.renewalInterval) {
+      clearInterval(this.renewalInterval);
+      this.renewalInterval = null;
+      Logger.info('Renewal scheduler stopped', { instanceId: this.instanceId });
+    }
+  }
+
+  /**
+   * Run one renewal cycle: claim due subscriptions and charge each of them
+   */
+  async runCycle() {
+    // A slow cycle must not overlap with the next tick on the same instance
+    if (this.isRunning) {
+      Logger.debug('Renewal cycle still in progress, skipping tick');
+      return null;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+    const summary = { claimed: 0, charged: 0, failed: 0, skipped: 0 };
+
+    try {
+      const claimed = await this.claimDueSubscriptions();
+      summary.claimed = claimed.length;
+
+      for (const subscription of claimed) {
+        const outcome = await this.processRenewal(subscription);
+        summary[outcome] += 1;
+      }
+
+      this.stats.cycles += 1;
+      this.stats.charged += summary.charged;
+      this.stats.failed += summary.failed;
+      this.stats.skipped += summary.skipped;
+
+      if (summary.claimed > 0) {
+        Logger.info('Renewal cycle completed', {
+          ...summary,
+          duration: Date.now() - startTime,
+          instanceId: this.instanceId
+        });
+      }
+
+      return summary;
+
+    } catch (error) {
+      Logger.error('Renewal cycle failed', {
+        error: error.message,
+        stack: error.stack,
+        instanceId: this.instanceId
+      });
+      return null;
+
+    } finally {
+      this.stats.lastCycleAt = new Date().toISOString();
+      this.stats.lastCycleDuration = Date.now() - startTime;
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Claim a batch of due subscriptions for this instance.
+   * Rows are locked with SKIP LOCKED so concurrent instances pick disjoint batches,
+   * and next_payment_at is moved to the end of the lease before the lock is released.
+   */
+  async claimDueSubscriptions() {
+    const { getModels } = require('../../models');
+    const { Subscription } = getModels();
+    const sequelize = Subscription.sequelize;
+
+    const now = new Date();
+    const leaseUntil = new Date(now.getTime() + config.billing.renewalLeaseSeconds * 1000);
+
+    return sequelize.transaction(async (transaction) => {
+      const due = await Subscription.findAll({
+        where: {
+          status: { [Op.in]: ['active', 'trial', 'grace', 'suspended'] },
+          nextPaymentAt: { [Op.lte]: now }
+        },
+        order: [['nextPaymentAt', 'ASC']],
+        limit: config.billing.renewalBatchSize,
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+
+      for (const subscription of due) {
+        const renewal = subscription.metadata?.renewal || {};
+
+        await subscription.update({
+          nextPaymentAt: leaseUntil,
+          metadata: {
+            ...subscription.metadata,
+            renewal: {
+              ...renewal,
+              // Keep the original due date across retries so expiry is measured from it
+              dueAt: renewal.dueAt || subscription.nextPaymentAt.toISOString(),
+              attempt: renewal.attempt || 0,
+              claimedBy: this.instanceId,
+              claimedAt: now.toISOString()
+            }
+          }
+        }, { transaction });
+      }
+
+      return due;
+    });
+  }
+
+  /**
+   * Charge a single claimed subscription and apply the outcome
+   * @returns {string} 'charged' | 'failed' | 'skipped'
+   */
+  async processRenewal(subscription) {
+    const { getModels } = require('../../models');
+    const { Operator, Transaction } = getModels();
+
+    try {
+      const operator = await Operator.findByPk(subscription.operatorId);
+      if (!operator) {
+        Logger.warn('Renewal skipped: operator not found', {
+          subscriptionId: subscription.id,
+          operatorId: subscription.operatorId
+        });
+        return 'skipped';
+      }
+
+      // Trials are not billed until they end
+      if (subscription.status === 'trial' && subscription.isInTrial()) {
+        await this.releaseClaim(subscription, subscription.trialEndsAt);
+        return 'skipped';
+      }
+
+      // Leave the lease in place; the subscription is retried once the operator is back
+      const adapter = this.getUnifiedAdapter();
+      const isEnabled = await adapter.operatorManager.isOperatorEnabled(operator.code);
+      if (!isEnabled) {
+        Logger.debug('Renewal deferred: operator disabled', {
+          subscriptionId: subscription.id,
+          operatorCode: operator.code
+        });
+        return 'skipped';
+      }
+
+      const renewal = subscription.metadata?.renewal || {};
+      const plan = DunningService.planAttempt(subscription, operator);
+      const { attempt } = plan;
+      const correlationId = `renewal-${subscription.id}-${Date.now()}`;
+
+      const transaction = await Transaction.create({
+        subscriptionId: subscription.id,
+        operatorId: operator.id,
+        type: attempt === 0 ? 'charge' : 'retry',
+        status: 'processing',
+        amount: plan.amount,
+        currency: subscription.currency,
+        billingCycle: (renewal.billingCycle || 0) + 1,
+        description: plan.partial
+          ? `Partial ${subscription.frequency} renewal (${plan.amount} of ${plan.outstanding} outstanding)`
+          : `Recurring ${subscription.frequency} renewal`,
+        retryCount: attempt,
+        lastRetryAt: attempt > 0 ? new Date() : null,
+        metadata: {
+          source: 'renewal_scheduler',
+          dueAt: renewal.dueAt,
+          correlationId,
+          instanceId: this.instanceId,
+          ...(attempt > 0 && {
+            dunning: {
+              partial: plan.partial,
+              outstanding: plan.outstanding,
+              lastErrorCode: renewal.lastErrorCode
+            }
+          })
+        }
+      });
+
+      try {
+        const result = await adapter.executeOperation(
+          operator.code,
+          'charge',
+          {
+            uuid: subscription.operatorSubscriptionId,
+            msisdn: subscription.msisdn,
+            amount: plan.amount,
+            currency: subscription.currency
+          },
+          null,
+          { correlationId }
+        );
+
+        if (plan.partial) {
+          await this.handlePartialChargeSuccess(subscription, operator, transaction, result);
+        } else {
+          await this.handleChargeSuccess(subscription, transaction, result);
+        }
+        return 'charged';
+
+      } catch (chargeError) {
+        await this.handleChargeFailure(subscription, operator, transaction, chargeError, plan.partial);
+        return 'failed';
+      }
+
+    } catch (error) {
+      Logger.error('Renewal processing failed', {
+        subscriptionId: subscription.id,
+        error: error.message,
+        stack: error.stack
+      });
+      return 'skipped';
+    }
+  }
+
+  /**
+   * Record a successful renewal and reset the retry state
+   */
+  async handleChargeSuccess(subscription, transaction, result) {
+    const renewal = subscription.metadata?.renewal || {};
+
+    await transaction.markCompleted(this.extractOperatorTransactionId(result), {
+      correlationId: result.metadata?.correlationId
+    });
+
+    if (subscription.status !== 'active') {
+      // Leaving grace/suspended means the dunning run recovered the payment
+      const recovered = (renewal.attempt || 0) > 0;
+      await subscription.updateStatus('active', null, {
+        reactivationReason: 'renewal_charged'
+      }, {
+        source: recovered ? 'dunning' : 'renewal',
+        reason: recovered ? `Renewal recovered after ${renewal.attempt} failed attempts` : 'Renewal charged'
+      });
+    }
+
+    subscription.failedPayments = 0;
+    subscription.lastErrorCode = null;
+    subscription.lastErrorMessage = null;
+    subscription.metadata = {
+      ...subscription.metadata,
+      renewal: {
+        billingCycle: (renewal.billingCycle || 0) + 1,
+        lastRenewedAt: new Date().toISOString()
+      }
+    };
+
+    // recordCharge() saves and moves next_payment_at one billing period forward;
+    // only this charge is added, earlier partial charges are already in totalPaid
+    await subscription.recordCharge(transaction.amount, transaction.id, {
+      source: 'renewal_scheduler'
+    });
+
+    await MerchantNotificationService.notifyTransaction('subscription_renewed', transaction, {
+      billing_cycle: subscription.metadata.renewal.billingCycle,
+      next_payment_at: subscription.nextPaymentAt
+    });
+
+    Logger.info('Subscription renewed', {
+      subscriptionId: subscription.id,
+      transactionId: transaction.id,
+      amount: subscription.amount,
+      nextPaymentAt: subscription.nextPaymentAt
+    });
+  }
+
+  /**
+   * Record a partial charge; the rest of the amount is collected by later retries
+   */
+  async handlePartialChargeSuccess(subscription, operator, transaction, result) {
+    await transaction.markCompleted(this.extractOperatorTransactionId(result), {
+      correlationId: result.metadata?.correlationId
+    });
+
+    const { outstanding, nextAttemptAt } = await DunningService.recordPartialPayment(subscription, operator, transaction);
+
+    await MerchantNotificationService.notifyTransaction('charge_success', transaction, {
+      partial: true,
+      outstanding,
+      next_attempt_at: nextAttemptAt
+    });
+  }
+
+  /**
+   * Record a failed renewal and hand the subscription to the dunning policy
+   */
+  async handleChargeFailure(subscription, operator, transaction, error, partial = false) {
+    const errorCode = error.code || 'CHARGE_FAILED';
+    const attempt = (subscription.metadata?.renewal?.attempt || 0) + 1;
+
+    await transaction.markFailed(errorCode, error.message, { attempt });
+
+    const { nextAttemptAt } = await DunningService.recordFailure(subscription, operator, {
+      errorCode,
+      errorMessage: error.message,
+      source: 'renewal_scheduler',
+      partial,
+      transactionId: transaction.id
+    });
+
+    await MerchantNotificationService.notifyTransaction('charge_failed', transaction, {
+      attempt,
+      next_attempt_at: nextAttemptAt
+    });
+  }
+
+  /**
+   * Hand a claimed subscription back with a new due date
+   */
+  async releaseClaim(subscription, nextPaymentAt) {
+    const renewal = { ...(subscription.metadata?.renewal || {}) };
+    delete renewal.claimedBy;
+    delete renewal.claimedAt;
+
+    await subscription.update({
+      nextPaymentAt,
+      metadata: {
+        ...subscription.metadata,
+        renewal
+      }
+    });
+  }
+
+  /**
+   * Pull the operator transaction reference out of a unified charge response
+   */
+  extractOperatorTransactionId(result) {
+    const data = result?.data?.data || result?.data || {};
+    return data.transactionId || data.transaction_id || data.operatorTransactionId || null;
+  }
+
+  /**
+   * Lazily create the UnifiedAdapter so OperatorManager is initialized first
+   */
+  getUnifiedAdapter() {
+    if (!this.unifiedAdapter) {
+      this.unifiedAdapter = new UnifiedAdapter();
+    }
+    return this.unifiedAdapter;
+  }
+
+  /**
+   * Get scheduler status for health reporting
+   */
+  getStatus() {
+    return {
+      enabled: config.billing.renewalEnabled,
+      active: !!this.renewalInterval,
+      cycleInProgress: this.isRunning,
+      instanceId: this.instanceId,
+      ...this.stats
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new RenewalService();
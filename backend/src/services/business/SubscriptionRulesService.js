@@ -0,0 +1,272 @@
+/**
+ * Subscription Rules Service
+ *
+ * Limits on the subscriptions one subscriber (MSISDN or ACR) may hold on an operator, checked
+ * against local Subscription rows before a subscription is created (SubscriptionService.create,
+ * /v2.2/subscription/create and the admin subscription API):
+ *
+ *   maxSubscriptionsPerMSISDN     live subscriptions on the operator
+ *   maxSubscriptionsPerMerchant   live subscriptions with the same merchant on the operator
+ *   weeklyLimit                   subscriptions created on the operator in the last 7 days
+ *   subscriptionCooldown          milliseconds before the subscriber may subscribe again
+ *
+ * A live subscription to the same campaign is always refused. Live means not cancelled or expired.
+ *
+ * Rules come from the adapter's businessRules.createSubscription, with maxSubscriptionsPerMSISDN
+ * defaulting to 1 where the adapter sets none; a registered campaign's subscriptionRules override
+ * them (null lifts a rule), managed under /api/admin/campaigns/:id/subscription-rules. Errors name
+ * the conflicting subscriptions by uuid (operator subscription id). When the subscriptions cannot be
+ * read the subscription is refused (SUBSCRIPTION_RULES_UNAVAILABLE).
+ */
+
+const { Op } = require('sequelize');
+const { getModels } = require('../../models');
+const { UnifiedError, ValidationError } = require('../../utils/errors');
+const SubscriptionStateMachine = require('./SubscriptionStateMachine');
+const MerchantService = require('../core/MerchantService');
+const Logger = require('../../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+// Rules and the error raised when a new subscription would break each
+const RULES = {
+  maxSubscriptionsPerMSISDN: { errorCode: 'MAX_SUBSCRIPTIONS_REACHED' },
+  maxSubscriptionsPerMerchant: { errorCode: 'MAX_SUBSCRIPTIONS_REACHED' },
+  weeklyLimit: { errorCode: 'WEEKLY_SUBSCRIPTION_LIMIT' },
+  subscriptionCooldown: { errorCode: 'SUBSCRIPTION_COOLDOWN' }
+};
+
+// Rules that apply when neither the adapter nor the campaign sets them
+const DEFAULT_RULES = {
+  maxSubscriptionsPerMSISDN: 1
+};
+
+// Statuses that still hold one of the subscriber's slots
+const LIVE_STATUSES = SubscriptionStateMachine.STATUSES.filter(
+  status => !SubscriptionStateMachine.isTerminal(status)
+);
+
+class SubscriptionRulesService {
+  // ===== RULES =====
+
+  /**
+   * Rules for a new subscription on an operator, with the campaign's overrides applied
+   * @param {Object|string|null} campaign - Registered campaign or its code
+   * @returns {Object} { maxSubscriptionsPerMSISDN, maxSubscriptionsPerMerchant, weeklyLimit, subscriptionCooldown }
+   *   (null where no limit applies)
+   */
+  async getRules(operatorCode, campaign = null) {
+    let adapterRules = {};
+    try {
+      const adapter = this.getOperatorManager().getOperatorAdapter(operatorCode);
+      adapterRules = (adapter && adapter.config && adapter.config.businessRules && adapter.config.businessRules.createSubscription) || {};
+    } catch (error) {
+      // Unregistered or disabled operator - only campaign rules apply
+    }
+
+    const registered = await this.resolveCampaign(campaign);
+    const overrides = (registered && registered.subscriptionRules) || {};
+
+    return Object.keys(RULES).reduce((rules, rule) => {
+      const value = overrides[rule] !== undefined
+        ? overrides[rule]
+        : (adapterRules[rule] !== undefined ? adapterRules[rule] : DEFAULT_RULES[rule]);
+      rules[rule] = Number.isInteger(value) && value > 0 ? value : null;
+      return rules;
+    }, {});
+  }
+
+  /**
+   * Validate campaign rule overrides (a whole number above 0, or null to lift the rule)
+   */
+  validateOverrides(values) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new ValidationError('subscriptionRules must be an object', 'subscriptionRules', values);
+    }
+
+    return Object.entries(values).reduce((overrides, [rule, value]) => {
+      if (!RULES[rule]) {
+        throw new ValidationError(`Unknown subscription rule ${rule} (known: ${Object.keys(RULES).join(', ')})`,
+          'subscriptionRules', rule);
+      }
+
+      if (value !== null && !(Number.isInteger(value) && value > 0)) {
+        throw new ValidationError(`${rule} must be a whole number above 0, or null to lift the rule`, rule, value);
+      }
+
+      overrides[rule] = value;
+      return overrides;
+    }, {});
+  }
+
+  // ===== ENFORCEMENT =====
+
+  /**
+   * Refuse a new subscription that would break the operator's or the campaign's rules
+   *
+   * @param {Object} params - { operatorCode, msisdn | acr, merchant, campaign (code or registered campaign) }
+   * @returns {Object|null} Rules that were checked (null when nothing was checked)
+   * @throws {UnifiedError} SUBSCRIPTION_EXISTS, MAX_SUBSCRIPTIONS_REACHED, WEEKLY_SUBSCRIPTION_LIMIT or
+   *   SUBSCRIPTION_COOLDOWN with `rule`, `limit` and `conflictingSubscriptions` (uuids) attached;
+   *   SUBSCRIPTION_RULES_UNAVAILABLE when the subscriber's subscriptions cannot be read
+   */
+  async assertCanSubscribe(params) {
+    let result;
+    try {
+      result = await this.findConflict(params);
+    } catch (error) {
+      Logger.error('Subscriptions unavailable, subscription refused', {
+        operatorCode: params.operatorCode,
+        error: error.message
+      });
+      throw new UnifiedError('SUBSCRIPTION_RULES_UNAVAILABLE',
+        'Subscription limits cannot be checked right now - please try again', error);
+    }
+
+    if (!result || !result.conflict) {
+      return result ? result.rules : null;
+    }
+
+    const { errorCode, rule, limit, subscriptions, reason } = result.conflict;
+    const conflictingSubscriptions = subscriptions.map(subscription => subscription.operatorSubscriptionId || subscription.id);
+
+    Logger.warn('Subscription rule broken', {
+      operatorCode: params.operatorCode,
+      msisdn: this.maskIdentifier(params.acr || params.msisdn),
+      rule: rule || 'duplicate_campaign',
+      limit,
+      conflictingSubscriptions
+    });
+
+    throw Object.assign(
+      new UnifiedError(errorCode, `${reason} - conflicting subscriptions: ${conflictingSubscriptions.join(', ')}`),
+      { rule, limit, conflictingSubscriptions }
+    );
+  }
+
+  /**
+   * First rule a new subscription would break
+   * @returns {Object|null} { rules, conflict: { errorCode, rule, limit, subscriptions, reason } | null }
+   */
+  async findConflict({ operatorCode, msisdn, acr, merchant, campaign }) {
+    const identifier = acr || msisdn;
+    if (!identifier || !operatorCode) {
+      return null;
+    }
+
+    const { Operator, Subscription } = getModels();
+    const operator = await Operator.findOne({ where: { code: operatorCode }, attributes: ['id', 'code'] });
+    if (!operator) {
+      return null;
+    }
+
+    const registered = await this.resolveCampaign(campaign);
+    const campaignCode = registered ? registered.code : campaign;
+    const rules = await this.getRules(operatorCode, registered);
+
+    const now = Date.now();
+    const lookback = Math.max(rules.weeklyLimit ? WEEK_MS : 0, rules.subscriptionCooldown || 0);
+
+    const subscriptions = await Subscription.findAll({
+      attributes: ['id', 'operatorSubscriptionId', 'status', 'merchant', 'campaign', 'created_at'],
+      where: {
+        operatorId: operator.id,
+        msisdn: { [Op.in]: this.identifierVariants(identifier) },
+        [Op.or]: [
+          { status: { [Op.in]: LIVE_STATUSES } },
+          ...(lookback ? [{ created_at: { [Op.gte]: new Date(now - lookback) } }] : [])
+        ]
+      },
+      order: [['created_at', 'DESC']],
+      raw: true
+    });
+
+    const live = subscriptions.filter(subscription => LIVE_STATUSES.includes(subscription.status));
+    const createdWithin = ms => subscriptions.filter(subscription => new Date(subscription.created_at).getTime() >= now - ms);
+
+    const conflict = (errorCode, rule, limit, conflicting, reason) => ({
+      rules,
+      conflict: { errorCode, rule, limit, subscriptions: conflicting, reason }
+    });
+
+    const sameCampaign = typeof campaignCode === 'string'
+      ? live.filter(subscription => subscription.campaign === campaignCode)
+      : [];
+    if (sameCampaign.length > 0) {
+      return conflict('SUBSCRIPTION_EXISTS', null, 1, sameCampaign,
+        `Subscriber already has a live subscription to campaign ${campaignCode}`);
+    }
+
+    if (rules.maxSubscriptionsPerMSISDN && live.length >= rules.maxSubscriptionsPerMSISDN) {
+      return conflict(RULES.maxSubscriptionsPerMSISDN.errorCode, 'maxSubscriptionsPerMSISDN', rules.maxSubscriptionsPerMSISDN, live,
+        `Subscriber already has ${live.length} live subscription(s) on ${operatorCode} (limit ${rules.maxSubscriptionsPerMSISDN})`);
+    }
+
+    const sameMerchant = merchant ? live.filter(subscription => subscription.merchant === merchant) : [];
+    if (rules.maxSubscriptionsPerMerchant && sameMerchant.length >= rules.maxSubscriptionsPerMerchant) {
+      return conflict(RULES.maxSubscriptionsPerMerchant.errorCode, 'maxSubscriptionsPerMerchant', rules.maxSubscriptionsPerMerchant, sameMerchant,
+        `Subscriber already has ${sameMerchant.length} live subscription(s) with merchant ${merchant} on ${operatorCode} (limit ${rules.maxSubscriptionsPerMerchant})`);
+    }
+
+    const lastWeek = rules.weeklyLimit ? createdWithin(WEEK_MS) : [];
+    if (rules.weeklyLimit && lastWeek.length >= rules.weeklyLimit) {
+      return conflict(RULES.weeklyLimit.errorCode, 'weeklyLimit', rules.weeklyLimit, lastWeek,
+        `Subscriber already subscribed ${lastWeek.length} time(s) on ${operatorCode} in the last 7 days (limit ${rules.weeklyLimit})`);
+    }
+
+    const cooling = rules.subscriptionCooldown ? createdWithin(rules.subscriptionCooldown) : [];
+    if (cooling.length > 0) {
+      return conflict(RULES.subscriptionCooldown.errorCode, 'subscriptionCooldown', rules.subscriptionCooldown, cooling.slice(0, 1),
+        `Subscriber subscribed on ${operatorCode} less than ${Math.round(rules.subscriptionCooldown / HOUR_MS)} hour(s) ago`);
+    }
+
+    return { rules, conflict: null };
+  }
+
+  // ===== HELPERS =====
+
+  /**
+   * Registered campaign from a campaign or its code (null when unregistered)
+   */
+  async resolveCampaign(campaign) {
+    if (!campaign) {
+      return null;
+    }
+
+    return typeof campaign === 'string' ? MerchantService.getCampaign(campaign) : campaign;
+  }
+
+  /**
+   * Forms the same MSISDN may have been stored in (as given, digits only, international +);
+   * an ACR is matched as it is
+   */
+  identifierVariants(identifier) {
+    const value = String(identifier).trim();
+    if (value.length === 48) {
+      return [value];
+    }
+
+    const digits = value.replace(/\D/g, '');
+    return [...new Set([value, digits, `+${digits}`])];
+  }
+
+  getOperatorManager() {
+    const { getInstance } = require('../core/OperatorManager');
+    return getInstance();
+  }
+
+  maskIdentifier(identifier) {
+    if (!identifier || identifier.length < 4) {
+      return '***';
+    }
+    return identifier.substring(0, 3) + '***' + identifier.substring(identifier.length - 2);
+  }
+}
+
+const subscriptionRulesService = new SubscriptionRulesService();
+subscriptionRulesService.RULES = RULES;
+subscriptionRulesService.DEFAULT_RULES = DEFAULT_RULES;
+subscriptionRulesService.LIVE_STATUSES = LIVE_STATUSES;
+
+module.exports = subscriptionRulesService;
@@ -7,7 +7,10 @@
 
 const { initializeModels } = require('../../models');
 const Logger = require('../../utils/logger');
-const { ValidationError, BusinessLogicError } = require('../../utils/errors');
+const SubscriptionStateMachine = require('./SubscriptionStateMachine');
+const SubscriptionRulesService = require('./SubscriptionRulesService');
+const SubscriberIdentityService = require('../core/SubscriberIdentityService');
+const { ValidationError } = require('../../utils/errors');
 const { Op } = require('sequelize');
 
 class SubscriptionService {
@@ -38,6 +41,8 @@ class SubscriptionService {
 
   /**
    * Create new subscription
+   * enforceRules: false records a subscription the operator has already confirmed
+   * (e.g. a checkout confirmation) without the subscription limits refusing it
    */
   async create(subscriptionData) {
     try {
@@ -55,7 +60,8 @@ class SubscriptionService {
         merchant,
         nextBillingDate,
         metadata = {},
-        operatorData = {}
+        operatorData = {},
+        enforceRules = true
       } = subscriptionData;
 
       // Validate required fields
@@ -63,21 +69,9 @@ class SubscriptionService {
         throw new ValidationError('Missing required subscription fields');
       }
 
-      // Check for duplicate subscription
-      const existingSubscription = await this.models.Subscription.findOne({
-        where: {
-          msisdn,
-          operatorCode,
-          status: {
-            [Op.notIn]: ['cancelled', 'deleted', 'removed']
-          }
-        }
-      });
-
-      if (existingSubscription) {
-        throw new BusinessLogicError(
-          'Active subscription already exists for this MSISDN and operator'
-        );
+      // Duplicate campaign, max subscriptions per MSISDN/merchant, weekly limit and cooldown
+      if (enforceRules) {
+        await SubscriptionRulesService.assertCanSubscribe({ operatorCode, msisdn, merchant, campaign });
       }
 
       // Get operator details
@@ -89,12 +83,15 @@ class SubscriptionService {
         throw new ValidationError(`Operator ${operatorCode} not found`);
       }
 
+      const subscriber = await this.resolveSubscriber(msisdn, operatorCode, subscriptionData.source);
+
       // Create subscription
       const subscription = await this.models.Subscription.create({
         operatorId: operator.id,
         operatorCode,
         operatorSubscriptionId: operatorSubscriptionId || this.generateSubscriptionId(),
         msisdn,
+        subscriberId: subscriber ? subscriber.id : null,
         status: status || 'PENDING',
         amount: amount || 0,
         currency: currency || operator.currency,
@@ -109,6 +106,10 @@ class SubscriptionService {
         }
       });
 
+      await SubscriptionStateMachine.recordInitialStatus(subscription, {
+        source: subscriptionData.source || 'api'
+      });
+
       Logger.info('Subscription created', {
         subscriptionId: subscription.id,
         operatorCode,
@@ -167,8 +168,9 @@ class SubscriptionService {
 
   /**
    * Update subscription status
+   * Transitions are validated by SubscriptionStateMachine and recorded in the status history
    */
-  async updateStatus(subscriptionId, status, operatorStatus = null, metadata = {}) {
+  async updateStatus(subscriptionId, status, operatorStatus = null, metadata = {}, options = {}) {
     try {
       await this.ensureModelsInitialized();
 
@@ -178,36 +180,7 @@ class SubscriptionService {
         throw new ValidationError('Subscription not found');
       }
 
-      const previousStatus = subscription.status;
-      
-      // Update subscription
-      await subscription.update({
-        status,
-        operatorStatus,
-        metadata: {
-          ...subscription.metadata,
-          ...metadata,
-          statusHistory: [
-            ...(subscription.metadata.statusHistory || []),
-            {
-              from: previousStatus,
-              to: status,
-              timestamp: new Date().toISOString(),
-              operatorStatus
-            }
-          ]
-        },
-        ...(status === 'ACTIVE' && !subscription.activatedAt && { activatedAt: new Date() }),
-        ...(status === 'SUSPENDED' && { suspendedAt: new Date() }),
-        ...(status === 'CANCELLED' && { cancelledAt: new Date() })
-      });
-
-      Logger.info('Subscription status updated', {
-        subscriptionId,
-        from: previousStatus,
-        to: status,
-        operatorStatus
-      });
+      await subscription.updateStatus(String(status).toLowerCase(), operatorStatus, metadata, options);
 
       return subscription;
     } catch (error) {
@@ -220,6 +193,29 @@ class SubscriptionService {
     }
   }
 
+  /**
+   * Get subscription status transition history
+   */
+  async getStatusHistory(subscriptionId, pagination = { page: 1, limit: 50 }) {
+    try {
+      await this.ensureModelsInitialized();
+
+      const subscription = await this.models.Subscription.findByPk(subscriptionId);
+      
+      if (!subscription) {
+        throw new ValidationError('Subscription not found');
+      }
+
+      return await SubscriptionStateMachine.getHistory(subscriptionId, pagination);
+    } catch (error) {
+      Logger.error('Failed to get subscription status history', {
+        subscriptionId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * List subscriptions with filtering and pagination
    */
@@ -388,28 +384,27 @@ class SubscriptionService {
   }
 
   /**
-   * Find subscriptions by MSISDN
+   * Find subscriptions by MSISDN or ACR
+   * Covers every identifier of the subscriber (SubscriberIdentityService), so an ACR also finds
+   * subscriptions held under the subscriber's MSISDN and under its other ACRs
    */
   async findByMSISDN(msisdn, operatorCode = null) {
     try {
       await this.ensureModelsInitialized();
 
-      const whereClause = { msisdn };
-      
-      if (operatorCode) {
-        whereClause.operatorCode = operatorCode;
-      }
+      const { where } = await SubscriberIdentityService.subscriptionWhere(msisdn);
 
       const subscriptions = await this.models.Subscription.findAll({
-        where: whereClause,
+        where,
         include: [
           {
             model: this.models.Operator,
             as: 'operator',
-            attributes: ['id', 'code', 'name', 'country']
+            attributes: ['id', 'code', 'name', 'country'],
+            ...(operatorCode ? { where: { code: operatorCode } } : {})
           }
         ],
-        order: [['createdAt', 'DESC']]
+        order: [['created_at', 'DESC']]
       });
 
       return subscriptions;
@@ -423,6 +418,73 @@ class SubscriptionService {
     }
   }
 
+  /**
+   * Stable subscriber for a new subscription's MSISDN/ACR (null when the identity store is unavailable)
+   */
+  async resolveSubscriber(identifier, operatorCode, source = 'api') {
+    try {
+      return await SubscriberIdentityService.resolve(
+        { ...SubscriberIdentityService.classify(identifier), operatorCode },
+        { source: source || 'api' }
+      );
+    } catch (error) {
+      Logger.warn('Subscriber identity not resolved', {
+        msisdn: this.maskMSISDN(identifier),
+        operatorCode,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Cancel every cancellable subscription of an MSISDN on an operator (e.g. an MO STOP)
+   * @param {Object} options - { campaign, metadata, source, reason }; campaign limits the cancellation
+   * @returns {Array<string>} Ids of the cancelled subscriptions
+   */
+  async cancelByMSISDN(msisdn, operatorCode, options = {}) {
+    try {
+      await this.ensureModelsInitialized();
+
+      const { campaign = null, metadata = {}, ...transitionOptions } = options;
+
+      const cancellableStatuses = SubscriptionStateMachine.STATUSES.filter(
+        status => SubscriptionStateMachine.canTransition(status, 'cancelled')
+      );
+
+      const subscriptions = await this.models.Subscription.findAll({
+        where: {
+          msisdn,
+          status: { [Op.in]: cancellableStatuses },
+          ...(campaign ? { campaign } : {})
+        },
+        include: [
+          {
+            model: this.models.Operator,
+            as: 'operator',
+            where: { code: operatorCode },
+            attributes: ['id', 'code']
+          }
+        ]
+      });
+
+      const cancelled = [];
+      for (const subscription of subscriptions) {
+        await this.updateStatus(subscription.id, 'cancelled', null, metadata, transitionOptions);
+        cancelled.push(subscription.id);
+      }
+
+      return cancelled;
+    } catch (error) {
+      Logger.error('Failed to cancel subscriptions by MSISDN', {
+        msisdn: this.maskMSISDN(msisdn),
+        operatorCode,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get subscription health statistics
    */
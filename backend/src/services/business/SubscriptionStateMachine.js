@@ -0,0 +1,270 @@
+/**
+ * Subscription State Machine - Lifecycle Transitions
+ *
+ * Single place allowed to change Subscription.status. Every transition is checked
+ * against TRANSITIONS, applies its side effects (activation/pause/cancel timestamps,
+ * next_payment_at) and is written to subscription_status_history together with the
+ * subscription row, so the history can never disagree with the current status.
+ *
+ *   trial ──► active ◄──► grace ──► suspended ──► active
+ *     │          │          │           │
+ *     └──────────┴──────────┴───────────┴──► cancelled | expired   (terminal)
+ *
+ * Illegal transitions throw InvalidStatusTransitionError, which SLAErrorMapper turns
+ * into an SLA v2.2 Request/2001 error and the admin API into a 409.
+ */
+
+const Logger = require('../../utils/logger');
+const { InvalidStatusTransitionError } = require('../../utils/errors');
+const MerchantNotificationService = require('../core/MerchantNotificationService');
+
+// Allowed target statuses for each current status
+const TRANSITIONS = {
+  trial: ['active', 'grace', 'suspended', 'cancelled', 'expired'],
+  active: ['grace', 'suspended', 'cancelled', 'expired'],
+  grace: ['active', 'suspended', 'cancelled', 'expired'],
+  suspended: ['active', 'cancelled', 'expired'],
+  cancelled: [],
+  expired: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Merchant notification sent when a subscription enters a status (grace is internal)
+const STATUS_EVENTS = {
+  active: 'subscription_activated',
+  suspended: 'subscription_suspended',
+  cancelled: 'subscription_cancelled',
+  expired: 'subscription_expired'
+};
+
+class SubscriptionStateMachine {
+  /**
+   * Check whether a subscription may move between two statuses
+   */
+  canTransition(fromStatus, toStatus) {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Statuses a subscription can move to from its current status
+   */
+  getAllowedTransitions(fromStatus) {
+    return [...(TRANSITIONS[fromStatus] || [])];
+  }
+
+  /**
+   * Whether no further transitions are possible
+   */
+  isTerminal(status) {
+    return STATUSES.includes(status) && TRANSITIONS[status].length === 0;
+  }
+
+  /**
+   * Throw if the transition is not allowed
+   */
+  assertTransition(subscription, toStatus) {
+    const fromStatus = subscription.status;
+
+    if (!STATUSES.includes(toStatus) || !this.canTransition(fromStatus, toStatus)) {
+      throw new InvalidStatusTransitionError(fromStatus, toStatus, subscription.id);
+    }
+  }
+
+  /**
+   * Move a subscription to a new status
+   *
+   * Re-applying the current status is a no-op for the lifecycle (webhooks and operator
+   * syncs redeliver freely) but still records a changed operatorStatus.
+   *
+   * @param {Subscription} subscription - Subscription instance
+   * @param {string} toStatus - Target unified status
+   * @param {Object} options - { source, reason, operatorStatus, metadata, triggeredBy, transaction }
+   * @returns {Object} { changed, from, to, history }
+   */
+  async transition(subscription, toStatus, options = {}) {
+    const {
+      source = 'system',
+      reason = null,
+      operatorStatus = null,
+      metadata = {},
+      triggeredBy = null,
+      transaction = null
+    } = options;
+
+    const fromStatus = subscription.status;
+
+    if (fromStatus === toStatus) {
+      if (operatorStatus && operatorStatus !== subscription.operatorStatus) {
+        subscription.operatorStatus = operatorStatus;
+        await subscription.save({ transaction });
+      }
+      return { changed: false, from: fromStatus, to: toStatus, history: null };
+    }
+
+    this.assertTransition(subscription, toStatus);
+
+    const now = new Date();
+    subscription.status = toStatus;
+
+    if (operatorStatus) {
+      subscription.operatorStatus = operatorStatus;
+    }
+
+    this.applySideEffects(subscription, fromStatus, toStatus, now, reason);
+
+    subscription.metadata = {
+      ...subscription.metadata,
+      ...metadata,
+      lastStatusChange: {
+        from: fromStatus,
+        to: toStatus,
+        source,
+        timestamp: now.toISOString()
+      }
+    };
+
+    const persist = async (dbTransaction) => {
+      await subscription.save({ transaction: dbTransaction });
+      return this.recordHistory(subscription.id, fromStatus, toStatus, {
+        source,
+        reason,
+        operatorStatus,
+        triggeredBy,
+        metadata
+      }, dbTransaction);
+    };
+
+    const history = transaction
+      ? await persist(transaction)
+      : await subscription.sequelize.transaction(persist);
+
+    Logger.info('Subscription status transitioned', {
+      subscriptionId: subscription.id,
+      operatorSubscriptionId: subscription.operatorSubscriptionId,
+      from: fromStatus,
+      to: toStatus,
+      source,
+      operatorStatus
+    });
+
+    if (STATUS_EVENTS[toStatus]) {
+      await this.notifyMerchant(STATUS_EVENTS[toStatus], subscription, { from: fromStatus, source, reason }, transaction);
+    }
+
+    return { changed: true, from: fromStatus, to: toStatus, history };
+  }
+
+  /**
+   * Record the status a subscription was created with
+   */
+  async recordInitialStatus(subscription, options = {}) {
+    const { source = 'system', reason = null, triggeredBy = null, metadata = {}, transaction = null } = options;
+
+    const history = await this.recordHistory(subscription.id, null, subscription.status, {
+      source,
+      reason,
+      operatorStatus: subscription.operatorStatus,
+      triggeredBy,
+      metadata
+    }, transaction);
+
+    await this.notifyMerchant('subscription_created', subscription, { source }, transaction);
+
+    return history;
+  }
+
+  /**
+   * Queue a subscription lifecycle notification for the subscription's merchant
+   */
+  async notifyMerchant(eventType, subscription, details, transaction = null) {
+    return MerchantNotificationService.notify(eventType, {
+      subscription_id: subscription.id,
+      operator_subscription_id: subscription.operatorSubscriptionId,
+      msisdn: subscription.msisdn,
+      status: subscription.status,
+      previous_status: details.from || null,
+      campaign: subscription.campaign,
+      next_payment_at: subscription.nextPaymentAt,
+      source: details.source,
+      reason: details.reason || null
+    }, {
+      merchant: subscription.merchant,
+      operatorId: subscription.operatorId,
+      subscriptionId: subscription.id,
+      transaction
+    });
+  }
+
+  /**
+   * Timestamp and billing-date changes that go with entering a status
+   */
+  applySideEffects(subscription, fromStatus, toStatus, now, reason) {
+    switch (toStatus) {
+      case 'active':
+        subscription.activatedAt = now;
+        if (fromStatus === 'suspended') {
+          subscription.pausedAt = null;
+          subscription.pauseReason = null;
+        }
+        // A past date simply means the renewal scheduler picks it up straight away
+        if (!subscription.nextPaymentAt) {
+          subscription.nextPaymentAt = subscription.getNextPaymentDate(subscription.lastPaymentAt || now);
+        }
+        break;
+      case 'suspended':
+        subscription.pausedAt = now;
+        subscription.pauseReason = reason;
+        break;
+      case 'cancelled':
+        subscription.cancelledAt = now;
+        subscription.nextPaymentAt = null;
+        break;
+      case 'expired':
+        subscription.nextPaymentAt = null;
+        break;
+    }
+  }
+
+  /**
+   * Append a row to subscription_status_history
+   */
+  async recordHistory(subscriptionId, fromStatus, toStatus, details, transaction = null) {
+    const { getModels } = require('../../models');
+    const { SubscriptionStatusHistory } = getModels();
+
+    return SubscriptionStatusHistory.create({
+      subscriptionId,
+      fromStatus,
+      toStatus,
+      source: details.source,
+      reason: details.reason,
+      operatorStatus: details.operatorStatus,
+      triggeredBy: details.triggeredBy,
+      metadata: details.metadata || {}
+    }, { transaction });
+  }
+
+  /**
+   * Transition history for a subscription, newest first
+   */
+  async getHistory(subscriptionId, pagination = { page: 1, limit: 50 }) {
+    const { getModels } = require('../../models');
+    const { SubscriptionStatusHistory } = getModels();
+
+    const { count, rows } = await SubscriptionStatusHistory.findAndCountAll({
+      where: { subscriptionId },
+      order: [['created_at', 'DESC']],
+      limit: pagination.limit,
+      offset: (pagination.page - 1) * pagination.limit
+    });
+
+    return { data: rows, total: count };
+  }
+}
+
+const subscriptionStateMachine = new SubscriptionStateMachine();
+subscriptionStateMachine.TRANSITIONS = TRANSITIONS;
+subscriptionStateMachine.STATUSES = STATUSES;
+
+module.exports = subscriptionStateMachine;
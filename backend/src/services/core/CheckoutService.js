@@ -0,0 +1,471 @@
+/**
+ * Checkout Service
+ *
+ * Hosted checkout for operators whose subscribers consent on an operator page instead of with a PIN:
+ *
+ * 1. The merchant creates a session (/v2.2/checkout/create) and receives a signed token and the
+ *    URL to send the subscriber to (<checkout.publicBaseUrl>/checkout/<token>).
+ * 2. That URL redirects to the operator checkout (the adapter's getCheckoutUrl(), else
+ *    <endpoints.checkout>/purchase) with the session correlator, and the session is 'redirected'.
+ * 3. The operator sends the subscriber back through /checkout/<token>/return, which forwards them
+ *    to the merchant's return URL with session_id and state appended.
+ * 4. The operator's confirmation (an SLA notification carrying the correlator, see WebhookService)
+ *    creates the Subscription and the session is 'consented'; an error notification fails it.
+ *
+ * The browser return is not proof of consent - only the confirmation creates the subscription.
+ * Tokens are "<session id>.<expiry (unix seconds)>.<HMAC-SHA256>" signed with checkout.tokenSecret;
+ * without CHECKOUT_TOKEN_SECRET no token is issued or accepted (CHECKOUT_NOT_CONFIGURED).
+ * Sessions expire after checkout.sessionTtlMinutes (checked when they are read). UK sessions
+ * (flow 'uk') get their network on the first redirect, see UKAggregatorService.
+ */
+
+const crypto = require('crypto');
+const { getModels } = require('../../models');
+const { UnifiedError } = require('../../utils/errors');
+const SubscriptionService = require('../business/SubscriptionService');
+const SubscriptionRulesService = require('../business/SubscriptionRulesService');
+const OperatorDetectionService = require('./OperatorDetectionService');
+const MerchantService = require('./MerchantService');
+const UKAggregatorService = require('./UKAggregatorService');
+const Logger = require('../../utils/logger');
+const config = require('../../config');
+
+// Operator return statuses that mean the subscriber did not consent
+const FAILED_RETURN_STATUSES = ['cancelled', 'canceled', 'failed', 'error', 'declined', 'rejected'];
+
+class CheckoutService {
+  constructor() {
+    this.subscriptionService = new SubscriptionService();
+  }
+
+  // ===== SESSIONS =====
+
+  /**
+   * Open a checkout session
+   *
+   * @param {Object} params - { operatorCode, flow, msisdn | acr, merchant, campaign, registeredCampaign,
+   *   returnUrl, language, trialDays, slaUsername }; flow 'uk' may leave operatorCode out (the UK
+   *   aggregator picks the network when the subscriber lands)
+   * @returns {Object} { session, token, redirectUrl }
+   * @throws {UnifiedError} CHECKOUT_NOT_CONFIGURED, CHECKOUT_NOT_SUPPORTED, INVALID_RETURN_URL or a subscription rule error
+   */
+  async createSession(params) {
+    this.assertConfigured();
+
+    const { operatorCode = null, flow = 'operator', merchant, campaign, registeredCampaign = null, slaUsername = null } = params;
+    const identifier = params.acr || params.msisdn || null;
+    const returnUrl = this.validateReturnUrl(params.returnUrl);
+
+    if (operatorCode && !this.getOperatorManager().getOperatorAdapter(operatorCode).supportsFeature('checkout')) {
+      throw new UnifiedError('CHECKOUT_NOT_SUPPORTED', `Operator ${operatorCode} does not offer a hosted checkout`);
+    }
+
+    // Refuse up front what the subscription limits would refuse (needs a known subscriber)
+    await SubscriptionRulesService.assertCanSubscribe({
+      operatorCode,
+      msisdn: params.msisdn,
+      acr: params.acr,
+      merchant,
+      campaign: registeredCampaign || campaign
+    });
+
+    const { CheckoutSession } = getModels();
+    const session = await CheckoutSession.create({
+      operatorCode,
+      flow,
+      merchant,
+      campaign,
+      msisdn: identifier,
+      correlator: this.generateCorrelator(),
+      returnUrl,
+      language: params.language || null,
+      trialDays: params.trialDays !== undefined ? parseInt(params.trialDays) || 0 : null,
+      slaUsername,
+      expiresAt: new Date(Date.now() + config.checkout.sessionTtlMinutes * 60 * 1000)
+    });
+
+    Logger.info('Checkout session created', {
+      sessionId: session.id,
+      operatorCode,
+      flow,
+      merchant,
+      campaign,
+      msisdn: this.maskIdentifier(identifier)
+    });
+
+    const token = this.signToken(session);
+
+    return {
+      session,
+      token,
+      redirectUrl: `${config.checkout.publicBaseUrl.replace(/\/+$/, '')}/checkout/${token}`
+    };
+  }
+
+  /**
+   * Session for status polling, only to the SLA user that created it
+   * @throws {UnifiedError} CHECKOUT_SESSION_NOT_FOUND
+   */
+  async getSession(sessionId, slaUsername = null) {
+    const { CheckoutSession } = getModels();
+    const session = /^[0-9a-f-]{36}$/i.test(String(sessionId)) ? await CheckoutSession.findByPk(sessionId) : null;
+
+    if (!session || (session.slaUsername && slaUsername && session.slaUsername !== slaUsername)) {
+      throw new UnifiedError('CHECKOUT_SESSION_NOT_FOUND', `Checkout session ${sessionId} not found`);
+    }
+
+    return this.expireIfDue(session);
+  }
+
+  // ===== BROWSER FLOW =====
+
+  /**
+   * Where to send a subscriber opening the session URL: the operator checkout while the session
+   * is open, otherwise back to the merchant with the session's state
+   *
+   * @param {Object} context - { headers } of the subscriber's request (UK network detection)
+   * @throws {UnifiedError} CHECKOUT_TOKEN_INVALID, CHECKOUT_SESSION_NOT_FOUND
+   */
+  async startRedirect(token, context = {}) {
+    const session = await this.expireIfDue(await this.findByToken(token));
+
+    if (!session.isOpen()) {
+      return this.merchantReturnUrl(session);
+    }
+
+    // UK aggregator sessions go to the network the subscriber is on
+    if (session.flow === UKAggregatorService.UK_FLOW && session.state === 'created') {
+      try {
+        await UKAggregatorService.routeSession(session, context.headers || null);
+      } catch (error) {
+        if (!['UK_NETWORK_UNDETECTED', 'OPERATOR_DISABLED'].includes(error.code)) throw error;
+
+        await this.transition(session, 'failed', {
+          failureReason: error.code.toLowerCase(),
+          completedAt: new Date()
+        });
+        return this.merchantReturnUrl(session);
+      }
+    }
+
+    const checkoutUrl = this.buildOperatorUrl(session, token);
+    if (session.state === 'created') {
+      await this.transition(session, 'redirected', { checkoutUrl, redirectedAt: new Date() });
+    }
+
+    Logger.info('Checkout session redirected to operator', {
+      sessionId: session.id,
+      operatorCode: session.operatorCode
+    });
+
+    return checkoutUrl;
+  }
+
+  /**
+   * Subscriber back from the operator checkout: record a reported failure and send them to the merchant
+   * @throws {UnifiedError} CHECKOUT_TOKEN_INVALID, CHECKOUT_SESSION_NOT_FOUND
+   */
+  async completeReturn(token, query = {}) {
+    const session = await this.expireIfDue(await this.findByToken(token));
+    const status = String(query.status || query.result || '').toLowerCase();
+
+    if (FAILED_RETURN_STATUSES.includes(status) && session.canTransition('failed')) {
+      await this.transition(session, 'failed', {
+        failureReason: `returned_${status}`,
+        completedAt: new Date(),
+        metadata: { ...session.metadata, returnParams: query }
+      });
+    } else {
+      await session.update({ metadata: { ...session.metadata, returnParams: query } });
+    }
+
+    return this.merchantReturnUrl(session);
+  }
+
+  // ===== CONFIRMATION =====
+
+  /**
+   * Apply an operator confirmation to the session it correlates to
+   * A success creates the Subscription (once) and consents the session; an error fails it.
+   *
+   * @param {Object} confirmation - { correlator, uuid, msisdn, status, amount, currency, errorCode, message }
+   * @returns {Object|null} The session, or null when the correlator belongs to no session
+   */
+  async handleConfirmation(confirmation) {
+    const { correlator, uuid, errorCode } = confirmation;
+    if (!correlator) {
+      return null;
+    }
+
+    const { CheckoutSession } = getModels();
+    const session = await CheckoutSession.findOne({ where: { correlator: String(correlator) } });
+    if (!session) {
+      return null;
+    }
+
+    if (errorCode) {
+      if (session.canTransition('failed')) {
+        await this.transition(session, 'failed', {
+          failureReason: String(errorCode).substring(0, 255),
+          completedAt: new Date(),
+          metadata: { ...session.metadata, confirmation: { errorCode, message: confirmation.message } }
+        });
+      }
+      return session;
+    }
+
+    if (session.state === 'consented') {
+      return session;
+    }
+
+    const subscription = await this.recordSubscription(session, confirmation);
+
+    await this.transition(session, 'consented', {
+      operatorSubscriptionId: uuid || null,
+      subscriptionId: subscription ? subscription.id : null,
+      completedAt: new Date(),
+      metadata: { ...session.metadata, confirmation: { uuid, status: confirmation.status } }
+    });
+
+    Logger.info('Checkout session consented', {
+      sessionId: session.id,
+      operatorCode: session.operatorCode,
+      uuid,
+      subscriptionId: session.subscriptionId
+    });
+
+    return session;
+  }
+
+  /**
+   * Subscription for a confirmed session (the existing one when the uuid is already known)
+   */
+  async recordSubscription(session, confirmation) {
+    const { Subscription } = getModels();
+    const { uuid } = confirmation;
+    const msisdn = session.msisdn || confirmation.msisdn;
+
+    if (uuid) {
+      const existing = await Subscription.findOne({ where: { operatorSubscriptionId: uuid } });
+      if (existing) {
+        return existing;
+      }
+    }
+
+    if (!uuid || !msisdn) {
+      Logger.warn('Checkout confirmation without uuid or MSISDN, no subscription recorded', {
+        sessionId: session.id,
+        operatorCode: session.operatorCode,
+        uuid
+      });
+      return null;
+    }
+
+    const campaign = await MerchantService.getCampaign(session.campaign);
+    const status = confirmation.status && confirmation.status !== 'unknown'
+      ? confirmation.status
+      : (session.trialDays > 0 ? 'trial' : 'active');
+
+    return this.subscriptionService.create({
+      operatorCode: session.operatorCode,
+      operatorSubscriptionId: uuid,
+      msisdn,
+      status,
+      amount: campaign ? parseFloat(campaign.price) : parseFloat(confirmation.amount) || 0,
+      currency: campaign ? campaign.currency : confirmation.currency || OperatorDetectionService.getOperatorInfo(session.operatorCode).currency,
+      frequency: campaign ? campaign.frequency : 'monthly',
+      campaign: session.campaign,
+      merchant: session.merchant,
+      metadata: { checkoutSessionId: session.id, correlator: session.correlator },
+      source: 'checkout',
+      enforceRules: false // The operator has already subscribed the customer
+    });
+  }
+
+  // ===== TOKENS =====
+
+  /**
+   * Signed token naming a session and its expiry
+   */
+  signToken(session) {
+    const payload = `${session.id}.${Math.floor(new Date(session.expiresAt).getTime() / 1000)}`;
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Session id of a token with a valid signature (an expired token still names its session,
+   * so the subscriber can be sent back to the merchant)
+   * @throws {UnifiedError} CHECKOUT_TOKEN_INVALID
+   */
+  verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+      throw new UnifiedError('CHECKOUT_TOKEN_INVALID', 'Checkout token is malformed');
+    }
+
+    const [sessionId, expiry, signature] = parts;
+    const expected = this.sign(`${sessionId}.${expiry}`);
+
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new UnifiedError('CHECKOUT_TOKEN_INVALID', 'Checkout token signature is invalid');
+    }
+
+    return { sessionId, expiresAt: new Date(parseInt(expiry) * 1000) };
+  }
+
+  sign(payload) {
+    this.assertConfigured();
+    return crypto.createHmac('sha256', config.checkout.tokenSecret).update(payload).digest('base64url');
+  }
+
+  // ===== HELPERS =====
+
+  /**
+   * @throws {UnifiedError} CHECKOUT_NOT_CONFIGURED without a token secret
+   */
+  assertConfigured() {
+    if (!config.checkout.tokenSecret) {
+      Logger.error('CHECKOUT_TOKEN_SECRET is not set - checkout tokens cannot be issued or verified');
+      throw new UnifiedError('CHECKOUT_NOT_CONFIGURED', 'Hosted checkout is not configured on this platform');
+    }
+  }
+
+  /**
+   * Session a token names
+   * @throws {UnifiedError} CHECKOUT_TOKEN_INVALID, CHECKOUT_SESSION_NOT_FOUND
+   */
+  async findByToken(token) {
+    const { sessionId } = this.verifyToken(token);
+    const { CheckoutSession } = getModels();
+    const session = await CheckoutSession.findByPk(sessionId);
+
+    if (!session) {
+      throw new UnifiedError('CHECKOUT_SESSION_NOT_FOUND', `Checkout session ${sessionId} not found`);
+    }
+
+    return session;
+  }
+
+  /**
+   * Mark a session past its expiry as expired
+   */
+  async expireIfDue(session) {
+    if (['created', 'redirected'].includes(session.state) && session.expiresAt <= new Date()) {
+      await this.transition(session, 'expired', { completedAt: new Date() });
+    }
+    return session;
+  }
+
+  /**
+   * Move a session to a new state, ignoring moves its lifecycle does not allow
+   */
+  async transition(session, state, values = {}) {
+    if (!session.canTransition(state)) {
+      Logger.warn('Checkout session state change rejected', {
+        sessionId: session.id,
+        from: session.state,
+        to: state
+      });
+      return false;
+    }
+
+    await session.update({ ...values, state });
+    return true;
+  }
+
+  /**
+   * Operator checkout page for a session
+   */
+  buildOperatorUrl(session, token) {
+    const adapter = this.getOperatorManager().getOperatorAdapter(session.operatorCode, {
+      campaign: session.campaign,
+      merchant: session.merchant,
+      stickyKey: session.msisdn
+    });
+    const params = {
+      merchant: session.merchant,
+      campaign: session.campaign,
+      correlator: session.correlator,
+      redirectUrl: `${config.checkout.publicBaseUrl.replace(/\/+$/, '')}/checkout/${token}/return`,
+      msisdn: session.msisdn && session.msisdn.length !== 48 ? session.msisdn : undefined
+    };
+
+    if (typeof adapter.getCheckoutUrl === 'function' && params.msisdn) {
+      return adapter.getCheckoutUrl(params);
+    }
+
+    const baseUrl = (adapter.config.endpoints && adapter.config.endpoints.checkout) ||
+      adapter.config.checkoutUrl || config.checkout.defaultCheckoutUrl;
+    const query = new URLSearchParams({
+      merchant: params.merchant,
+      service: params.campaign,
+      correlator: params.correlator,
+      redirect_url: params.redirectUrl
+    });
+
+    if (params.msisdn) {
+      query.set('msisdn', params.msisdn);
+    }
+    if (session.language) {
+      query.set('language', session.language);
+    }
+
+    return `${baseUrl.replace(/\/+$/, '')}/purchase?${query.toString()}`;
+  }
+
+  /**
+   * Merchant return URL with the session outcome appended
+   */
+  merchantReturnUrl(session) {
+    const url = new URL(session.returnUrl);
+    url.searchParams.set('session_id', session.id);
+    url.searchParams.set('state', session.state);
+    if (session.operatorSubscriptionId) {
+      url.searchParams.set('uuid', session.operatorSubscriptionId);
+    }
+    return url.toString();
+  }
+
+  /**
+   * Return URLs must be absolute http(s) URLs (https only in production)
+   * @throws {UnifiedError} INVALID_RETURN_URL
+   */
+  validateReturnUrl(returnUrl) {
+    let url;
+    try {
+      url = new URL(String(returnUrl || ''));
+    } catch (error) {
+      throw new UnifiedError('INVALID_RETURN_URL', 'return_url must be an absolute URL');
+    }
+
+    const protocols = config.app.environment === 'production' ? ['https:'] : ['https:', 'http:'];
+    if (!protocols.includes(url.protocol)) {
+      throw new UnifiedError('INVALID_RETURN_URL',
+        `return_url must use ${protocols.map(protocol => protocol.replace(':', '')).join(' or ')}`);
+    }
+
+    return url.toString();
+  }
+
+  generateCorrelator() {
+    return `chk-${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  getOperatorManager() {
+    const { getInstance } = require('./OperatorManager');
+    return getInstance();
+  }
+
+  maskIdentifier(identifier) {
+    if (!identifier || identifier.length < 4) {
+      return '***';
+    }
+    return identifier.substring(0, 3) + '***' + identifier.substring(identifier.length - 2);
+  }
+}
+
+const checkoutService = new CheckoutService();
+checkoutService.FAILED_RETURN_STATUSES = FAILED_RETURN_STATUSES;
+
+module.exports = checkoutService;
@@ -0,0 +1,495 @@
+/**
+ * Circuit Breaker Service
+ *
+ * Per-operator, per-operation circuit breaker used by UnifiedAdapter and the v2.2 controllers.
+ * BaseAdapter.executeWithLogging reports every call (outcome + latency);
+ * UnifiedAdapter asks canExecute() before sending traffic to an operator, and
+ * execute() wraps a direct adapter call in both (recording the outcome itself when
+ * the adapter method does not report it).
+ *
+ * States:
+ * - closed:    traffic flows, error/slow-call rates are tracked over a rolling window
+ * - open:      calls fail fast with CIRCUIT_OPEN until openSeconds have elapsed
+ * - half_open: a limited number of probe calls decide between closing and re-opening
+ *
+ * Rates are tracked per instance; state transitions are written to Redis so one
+ * instance tripping the breaker makes every instance fail fast.
+ *
+ * Breakers are keyed by the adapter's circuitKey: the operator code, or
+ * <code>@<variant> for adapter variants routed by OperatorManager.
+ */
+
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+const Logger = require('../../utils/logger');
+const { UnifiedError } = require('../../utils/errors');
+const config = require('../../config');
+
+// Redis import with fallback handling
+let redisManager = null;
+try {
+  const redisConfig = require('../../config/redis');
+  redisManager = redisConfig.redisManager;
+} catch (error) {
+  Logger.warn('Redis not available, circuit breaker state will be local to this instance', {
+    error: error.message
+  });
+}
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Errors that say the operator (not the request) is unhealthy
+const NETWORK_ERROR_CODES = [
+  'ECONNABORTED',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'NETWORK_TIMEOUT',
+  'NETWORK_ERROR'
+];
+
+// Call made through execute(), so recordResult() can tell whether the adapter already reported it
+const callContext = new AsyncLocalStorage();
+
+class CircuitBreakerService {
+  constructor() {
+    this.breakers = new Map();
+    this.keyPrefix = 'circuit';
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Check whether a call may be sent to the operator
+   *
+   * @returns {Object} { allowed, state, retryAfterSeconds }
+   */
+  async canExecute(operatorCode, operation) {
+    if (!config.circuitBreaker.enabled) {
+      return { allowed: true, state: STATES.CLOSED };
+    }
+
+    const breaker = await this.getBreaker(operatorCode, operation);
+    const now = Date.now();
+
+    if (breaker.state === STATES.OPEN) {
+      if (now < breaker.openUntil) {
+        return {
+          allowed: false,
+          state: STATES.OPEN,
+          retryAfterSeconds: Math.ceil((breaker.openUntil - now) / 1000)
+        };
+      }
+
+      this.transition(breaker, STATES.HALF_OPEN, 'Open period elapsed');
+    }
+
+    if (breaker.state === STATES.HALF_OPEN) {
+      // Probes that never reported back (e.g. operation not wrapped in executeWithLogging) expire
+      const probeTimeout = config.circuitBreaker.openSeconds * 1000;
+      breaker.probes = breaker.probes.filter(startedAt => now - startedAt < probeTimeout);
+
+      if (breaker.probes.length >= config.circuitBreaker.halfOpenMaxCalls) {
+        return { allowed: false, state: STATES.HALF_OPEN, retryAfterSeconds: 1 };
+      }
+
+      breaker.probes.push(now);
+    }
+
+    return { allowed: true, state: breaker.state };
+  }
+
+  /**
+   * Run a direct adapter call behind the breaker
+   *
+   * @param {string} circuitKey - adapter.circuitKey (operator code, or <code>@<variant>)
+   * @param {string} operation - Operation name the breaker is kept for (charge, refund, ...)
+   * @param {Function} call - async () => adapter result
+   * @throws {UnifiedError} CIRCUIT_OPEN while the breaker is open, otherwise the call's error
+   */
+  async execute(circuitKey, operation, call) {
+    const breaker = await this.canExecute(circuitKey, operation);
+    if (!breaker.allowed) {
+      throw Object.assign(
+        new UnifiedError('CIRCUIT_OPEN',
+          `Operator ${circuitKey} is temporarily unavailable for ${operation} - retry in ${breaker.retryAfterSeconds}s`),
+        { retryAfterSeconds: breaker.retryAfterSeconds }
+      );
+    }
+
+    const context = { circuitKey, operation, recorded: false };
+    const startTime = Date.now();
+
+    try {
+      const result = await callContext.run(context, call);
+      if (!context.recorded) {
+        await this.recordResult(circuitKey, operation, { success: true, duration: Date.now() - startTime });
+      }
+      return result;
+    } catch (error) {
+      if (!context.recorded) {
+        await this.recordResult(circuitKey, operation, { success: false, duration: Date.now() - startTime, error });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of an operator call
+   * Called from BaseAdapter.executeWithLogging for every wrapped adapter operation, and from execute()
+   */
+  async recordResult(operatorCode, operation, { success, duration, error = null }) {
+    if (!config.circuitBreaker.enabled) {
+      return;
+    }
+
+    const context = callContext.getStore();
+    if (context && context.circuitKey === operatorCode && context.operation === operation) {
+      context.recorded = true;
+    }
+
+    try {
+      const breaker = await this.getBreaker(operatorCode, operation);
+      const failed = !success && this.isOperatorFailure(error);
+      const slow = duration >= config.circuitBreaker.slowCallThresholdMs;
+
+      if (breaker.state === STATES.HALF_OPEN) {
+        breaker.probes.shift();
+
+        if (failed || slow) {
+          await this.open(breaker, failed ? `Probe failed: ${error?.message}` : `Probe too slow: ${duration}ms`);
+        } else {
+          breaker.probeSuccesses += 1;
+          if (breaker.probeSuccesses >= config.circuitBreaker.halfOpenMaxCalls) {
+            await this.close(breaker, 'Probe calls succeeded');
+          }
+        }
+        return;
+      }
+
+      if (breaker.state === STATES.OPEN) {
+        // Call started before the breaker opened - nothing to decide
+        return;
+      }
+
+      this.addToWindow(breaker, failed, slow);
+
+      const stats = this.getWindowStats(breaker);
+      if (stats.calls < config.circuitBreaker.minimumCalls) {
+        return;
+      }
+
+      if (stats.failureRate >= config.circuitBreaker.failureRateThreshold) {
+        await this.open(breaker, `Failure rate ${stats.failureRate}% over ${stats.calls} calls`);
+      } else if (stats.slowCallRate >= config.circuitBreaker.slowCallRateThreshold) {
+        await this.open(breaker, `Slow call rate ${stats.slowCallRate}% over ${stats.calls} calls`);
+      }
+    } catch (recordError) {
+      // The breaker must never break the call it is observing
+      Logger.warn('Circuit breaker failed to record result', {
+        operatorCode,
+        operation,
+        error: recordError.message
+      });
+    }
+  }
+
+  /**
+   * Decide whether an error counts against the operator
+   * Business rejections (insufficient funds, invalid PIN...) are healthy responses
+   */
+  isOperatorFailure(error) {
+    if (!error) {
+      return true;
+    }
+
+    if (NETWORK_ERROR_CODES.includes(error.code)) {
+      return true;
+    }
+
+    const status = error.response?.status;
+    if (status) {
+      return status >= 500;
+    }
+
+    // Request went out but no response came back
+    if (error.request) {
+      return true;
+    }
+
+    return /timeout|timed out|socket hang up/i.test(error.message || '');
+  }
+
+  /**
+   * Trip the breaker and share the state
+   */
+  async open(breaker, reason) {
+    breaker.openUntil = Date.now() + config.circuitBreaker.openSeconds * 1000;
+    breaker.openedAt = Date.now();
+    breaker.openCount += 1;
+    this.transition(breaker, STATES.OPEN, reason);
+    await this.publish(breaker);
+  }
+
+  /**
+   * Close the breaker after successful probes and share the state
+   */
+  async close(breaker, reason) {
+    breaker.openUntil = null;
+    breaker.openedAt = null;
+    breaker.buckets = new Map();
+    this.transition(breaker, STATES.CLOSED, reason);
+    await this.publish(breaker);
+  }
+
+  /**
+   * Apply a state change locally
+   */
+  transition(breaker, state, reason) {
+    if (breaker.state === state) {
+      return;
+    }
+
+    const logLevel = state === STATES.OPEN ? 'warn' : 'info';
+    Logger[logLevel](`Circuit breaker ${breaker.state} -> ${state}`, {
+      operatorCode: breaker.operatorCode,
+      operation: breaker.operation,
+      reason
+    });
+
+    breaker.state = state;
+    breaker.reason = reason;
+    breaker.probes = [];
+    breaker.probeSuccesses = 0;
+    breaker.changedAt = Date.now();
+  }
+
+  /**
+   * Write the breaker state to Redis for other instances
+   */
+  async publish(breaker) {
+    if (!redisManager) {
+      return;
+    }
+
+    const key = this.redisKey(breaker.operatorCode, breaker.operation);
+
+    if (breaker.state === STATES.CLOSED) {
+      await redisManager.del(key);
+      return;
+    }
+
+    // Keep the entry around long enough for every instance to see it, then let it lapse
+    const ttlSeconds = config.circuitBreaker.openSeconds * 10;
+    await redisManager.set(key, JSON.stringify({
+      state: breaker.state,
+      openedAt: breaker.openedAt,
+      openUntil: breaker.openUntil,
+      reason: breaker.reason,
+      changedAt: breaker.changedAt,
+      changedBy: this.instanceId
+    }), ttlSeconds);
+  }
+
+  /**
+   * Refresh local state from Redis when it is stale
+   */
+  async sync(breaker) {
+    if (!redisManager || !redisManager.isAvailable()) {
+      return;
+    }
+
+    const now = Date.now();
+    if (now - breaker.syncedAt < config.circuitBreaker.syncIntervalMs) {
+      return;
+    }
+    breaker.syncedAt = now;
+
+    const raw = await redisManager.get(this.redisKey(breaker.operatorCode, breaker.operation));
+    if (!raw) {
+      // Another instance closed it (or it was never opened)
+      if (breaker.state !== STATES.CLOSED && breaker.changedAt < now - config.circuitBreaker.syncIntervalMs) {
+        this.transition(breaker, STATES.CLOSED, 'Closed by another instance');
+        breaker.buckets = new Map();
+        breaker.openUntil = null;
+      }
+      return;
+    }
+
+    let shared;
+    try {
+      shared = JSON.parse(raw);
+    } catch (error) {
+      Logger.warn('Corrupt circuit breaker state ignored', {
+        operatorCode: breaker.operatorCode,
+        operation: breaker.operation
+      });
+      return;
+    }
+
+    // Only adopt newer transitions - our own local probes stay authoritative
+    if (shared.changedAt > breaker.changedAt && shared.state === STATES.OPEN) {
+      breaker.openedAt = shared.openedAt;
+      breaker.openUntil = shared.openUntil;
+      this.transition(breaker, STATES.OPEN, `${shared.reason} (via ${shared.changedBy})`);
+      breaker.changedAt = shared.changedAt;
+    }
+  }
+
+  /**
+   * Get (or create) the breaker for an operator/operation and sync it
+   */
+  async getBreaker(operatorCode, operation) {
+    const id = `${operatorCode}:${operation}`;
+
+    if (!this.breakers.has(id)) {
+      this.breakers.set(id, {
+        operatorCode,
+        operation,
+        state: STATES.CLOSED,
+        reason: null,
+        openedAt: null,
+        openUntil: null,
+        openCount: 0,
+        changedAt: 0,
+        syncedAt: 0,
+        probes: [],
+        probeSuccesses: 0,
+        buckets: new Map()
+      });
+    }
+
+    const breaker = this.breakers.get(id);
+    await this.sync(breaker);
+    return breaker;
+  }
+
+  /**
+   * Add a call to the one-second bucket it belongs to
+   */
+  addToWindow(breaker, failed, slow) {
+    const second = Math.floor(Date.now() / 1000);
+    const bucket = breaker.buckets.get(second) || { calls: 0, failures: 0, slow: 0 };
+
+    bucket.calls += 1;
+    if (failed) bucket.failures += 1;
+    if (slow) bucket.slow += 1;
+
+    breaker.buckets.set(second, bucket);
+  }
+
+  /**
+   * Aggregate the rolling window, dropping expired buckets
+   */
+  getWindowStats(breaker) {
+    const oldest = Math.floor(Date.now() / 1000) - config.circuitBreaker.windowSeconds;
+    const totals = { calls: 0, failures: 0, slow: 0 };
+
+    for (const [second, bucket] of breaker.buckets) {
+      if (second <= oldest) {
+        breaker.buckets.delete(second);
+        continue;
+      }
+      totals.calls += bucket.calls;
+      totals.failures += bucket.failures;
+      totals.slow += bucket.slow;
+    }
+
+    return {
+      ...totals,
+      failureRate: totals.calls ? Math.round((totals.failures / totals.calls) * 100) : 0,
+      slowCallRate: totals.calls ? Math.round((totals.slow / totals.calls) * 100) : 0
+    };
+  }
+
+  /**
+   * Whether a breaker is currently failing fast (local view, no Redis round trip)
+   * Used by OperatorManager routing to fail over between adapter variants
+   */
+  isOpen(circuitKey, operation = null) {
+    const now = Date.now();
+
+    for (const breaker of this.breakers.values()) {
+      if (breaker.operatorCode !== circuitKey || (operation && breaker.operation !== operation)) {
+        continue;
+      }
+      if (breaker.state === STATES.OPEN && now < breaker.openUntil) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Breaker state for every operation of an operator (admin view)
+   * Includes routed adapter variants (<code>@<variant>) and operations only opened by other instances
+   */
+  async getOperatorStatus(operatorCode) {
+    const belongsToOperator = circuitKey =>
+      circuitKey === operatorCode || circuitKey.startsWith(`${operatorCode}@`);
+
+    const pairs = new Map();
+    [...this.breakers.values()]
+      .filter(breaker => belongsToOperator(breaker.operatorCode))
+      .forEach(breaker => pairs.set(`${breaker.operatorCode}:${breaker.operation}`, breaker));
+
+    if (redisManager) {
+      const sharedKeys = [
+        ...await redisManager.keys(`${this.keyPrefix}:${operatorCode}:*`),
+        ...await redisManager.keys(`${this.keyPrefix}:${operatorCode}@*`)
+      ];
+      sharedKeys.forEach(key => {
+        const id = key.substring(this.keyPrefix.length + 1);
+        const separator = id.lastIndexOf(':');
+        pairs.set(id, { operatorCode: id.substring(0, separator), operation: id.substring(separator + 1) });
+      });
+    }
+
+    const statuses = [];
+    for (const { operatorCode: circuitKey, operation } of pairs.values()) {
+      const breaker = await this.getBreaker(circuitKey, operation);
+      const stats = this.getWindowStats(breaker);
+      const state = breaker.state === STATES.OPEN && Date.now() >= breaker.openUntil
+        ? STATES.HALF_OPEN
+        : breaker.state;
+
+      statuses.push({
+        operation,
+        variant: circuitKey.includes('@') ? circuitKey.split('@')[1] : null,
+        state,
+        reason: breaker.reason,
+        openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        openUntil: breaker.openUntil ? new Date(breaker.openUntil).toISOString() : null,
+        openCount: breaker.openCount,
+        window: {
+          seconds: config.circuitBreaker.windowSeconds,
+          calls: stats.calls,
+          failureRate: stats.failureRate,
+          slowCallRate: stats.slowCallRate
+        }
+      });
+    }
+
+    return statuses;
+  }
+
+  /**
+   * Redis key for an operator/operation breaker
+   */
+  redisKey(operatorCode, operation) {
+    return `${this.keyPrefix}:${operatorCode}:${operation}`;
+  }
+}
+
+// Export singleton instance
+const circuitBreakerService = new CircuitBreakerService();
+circuitBreakerService.STATES = STATES;
+
+module.exports = circuitBreakerService;
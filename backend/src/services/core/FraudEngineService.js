@@ -0,0 +1,665 @@
+/**
+ * Fraud Engine Service
+ *
+ * Scores PIN requests (/api/v1/otp/generate, /v2.2/pin) and subscription creation
+ * (/v2.2/subscription/create) before they reach the operator. Each registered signal adds
+ * its weight (0-100) when it fires; the total decides:
+ *
+ * - below challengeThreshold: allow
+ * - from challengeThreshold: challenge - PIN requests need a fraud token, subscriptions a PIN
+ * - from blockThreshold: block
+ *
+ * Built-in signals: msisdn_velocity, ip_velocity, user_agent, header_enrichment,
+ * conversion_anomaly and fraud_token_reuse. More can be added with registerSignal().
+ *
+ * Thresholds, weights and limits come from config.fraud, overridden per merchant by
+ * FraudRule rows. Challenged and blocked requests are stored as FraudDecision rows with the
+ * signals that fired, for dispute handling.
+ *
+ * The subscriber's IP address and user agent are taken from X-Subscriber-IP and
+ * X-Subscriber-User-Agent: requests normally come from the merchant's servers, whose own
+ * address says nothing about the subscriber.
+ *
+ * Velocity, conversion and token signals need Redis; without it they never fire.
+ *
+ * A fraud token only answers a challenge once verifyFraudToken() accepts it: a JWT signed by the
+ * anti-fraud provider (fraud.tokenSecret or fraud.tokenPublicKey), from one of fraud.tokenIssuers,
+ * not expired and issued within fraud.tokenMaxAgeSeconds, and - when it names one - for the same
+ * subscriber and campaign.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getModels } = require('../../models');
+const { UnifiedError, ValidationError } = require('../../utils/errors');
+const HeaderEnrichmentService = require('./HeaderEnrichmentService');
+const Logger = require('../../utils/logger');
+const config = require('../../config');
+
+// Redis import with fallback handling
+let redisManager = null;
+try {
+  const redisConfig = require('../../config/redis');
+  redisManager = redisConfig.redisManager;
+} catch (error) {
+  Logger.warn('Redis not available, fraud velocity signals are disabled', {
+    error: error.message
+  });
+}
+
+const DECISIONS = {
+  ALLOW: 'allow',
+  CHALLENGE: 'challenge',
+  BLOCK: 'block'
+};
+
+// Limits a FraudRule may override (velocity windows are shared by every merchant)
+const LIMIT_KEYS = ['msisdnLimit', 'ipLimit', 'conversionMinSample', 'minConversionRate', 'maxConversionRate'];
+
+// Scripted clients and automation frameworks
+const AUTOMATED_USER_AGENT = /bot|crawler|spider|curl|wget|python-|httpclient|okhttp|java\/|go-http-client|headless|phantomjs|selenium|puppeteer|playwright/i;
+
+class FraudEngineService {
+  constructor() {
+    this.keyPrefix = 'fraud';
+    this.headerEnrichment = new HeaderEnrichmentService();
+
+    // name -> { weight, description, evaluate(context, policy) }
+    this.signals = new Map();
+
+    // merchant -> active FraudRule
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+    this.cacheTtlMs = config.fraud.ruleCacheTtlSeconds * 1000;
+
+    this.registerBuiltInSignals();
+  }
+
+  /**
+   * Add a signal
+   * `evaluate` resolves to null when the signal does not fire, or to { reason, details, factor }
+   * where factor (0-1, default 1) scales the signal's weight.
+   *
+   * @param {string} name - Signal name, also the key for FraudRule.weights
+   * @param {Object} signal - { weight, description, evaluate: async (context, policy) => result }
+   */
+  registerSignal(name, { weight, description, evaluate }) {
+    if (typeof evaluate !== 'function') {
+      throw new Error(`Fraud signal ${name} needs an evaluate function`);
+    }
+
+    this.signals.set(name, { weight, description, evaluate });
+  }
+
+  /**
+   * Registered signals with their default weights
+   */
+  listSignals() {
+    return [...this.signals.entries()].map(([name, signal]) => ({
+      name,
+      weight: signal.weight,
+      description: signal.description
+    }));
+  }
+
+  /**
+   * Screen a request and enforce the decision
+   *
+   * @param {string} action - pin_request or subscription_create
+   * @param {Object} context - { msisdn, campaign, merchant, operatorCode, ipAddress, userAgent,
+   *                           headers, fraudToken, challengePassed, correlationId, clientIp }
+   *                           challengePassed: the request carries the step-up a challenge asks
+   *                           for (fraud token for PIN requests, PIN for subscriptions)
+   * @returns {Object} { decision, score, reasons, decisionId }
+   * @throws {UnifiedError} FRAUD_BLOCKED or FRAUD_CHALLENGE_REQUIRED (with decisionId, score)
+   */
+  async screen(action, context) {
+    if (!config.fraud.enabled) {
+      return { decision: DECISIONS.ALLOW, score: 0, reasons: [], decisionId: null };
+    }
+
+    const assessment = await this.assess(action, context);
+    const refused = assessment.decision === DECISIONS.BLOCK ||
+      (assessment.decision === DECISIONS.CHALLENGE && !context.challengePassed);
+
+    if (assessment.decision !== DECISIONS.ALLOW) {
+      assessment.decisionId = await this.recordDecision(action, context, assessment, refused);
+    }
+
+    if (!refused) {
+      return assessment;
+    }
+
+    const error = assessment.decision === DECISIONS.BLOCK
+      ? new UnifiedError('FRAUD_BLOCKED', 'Request blocked by fraud screening')
+      : new UnifiedError('FRAUD_CHALLENGE_REQUIRED', action === 'pin_request'
+        ? 'Additional verification required: supply a fraud token'
+        : 'Additional verification required: subscribe with a PIN');
+
+    throw Object.assign(error, {
+      decision: assessment.decision,
+      decisionId: assessment.decisionId,
+      score: assessment.score
+    });
+  }
+
+  /**
+   * Score a request without enforcing anything
+   * Signals that fail are skipped, so an outage never blocks subscribers on its own.
+   */
+  async assess(action, context) {
+    const policy = await this.getPolicy(context.merchant);
+    const reasons = [];
+    let score = 0;
+
+    for (const [name, signal] of this.signals) {
+      const weight = policy.weights[name];
+      if (!weight) continue;
+
+      let result;
+      try {
+        result = await signal.evaluate({ ...context, action }, policy);
+      } catch (error) {
+        Logger.warn('Fraud signal failed', {
+          signal: name,
+          action,
+          error: error.message
+        });
+        continue;
+      }
+
+      if (!result) continue;
+
+      const factor = result.factor === undefined ? 1 : Math.min(Math.max(result.factor, 0), 1);
+      const points = Math.round(weight * factor);
+      score += points;
+      reasons.push({
+        signal: name,
+        score: points,
+        reason: result.reason,
+        details: result.details || {}
+      });
+    }
+
+    score = Math.min(score, 100);
+
+    let decision = DECISIONS.ALLOW;
+    if (score >= policy.blockThreshold) {
+      decision = DECISIONS.BLOCK;
+    } else if (score >= policy.challengeThreshold) {
+      decision = DECISIONS.CHALLENGE;
+    }
+
+    return {
+      decision,
+      score,
+      reasons,
+      thresholds: {
+        challenge: policy.challengeThreshold,
+        block: policy.blockThreshold,
+        rule: policy.ruleId
+      },
+      decisionId: null
+    };
+  }
+
+  /**
+   * Whether a fraud token is genuine: see the header note at the top of this file
+   * Never throws; an unconfigured verifier accepts no token.
+   *
+   * @param {string} token - fraud_token of the request
+   * @param {Object} context - { msisdn, campaign }
+   * @returns {boolean}
+   */
+  verifyFraudToken(token, { msisdn = null, campaign = null } = {}) {
+    if (!token) {
+      return false;
+    }
+
+    const { tokenSecret, tokenPublicKey, tokenIssuers, tokenMaxAgeSeconds } = config.fraud;
+    if ((!tokenSecret && !tokenPublicKey) || tokenIssuers.length === 0) {
+      Logger.warn('Fraud token not verified: FRAUD_TOKEN_SECRET/FRAUD_TOKEN_PUBLIC_KEY and FRAUD_TOKEN_ISSUERS are not configured');
+      return false;
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(String(token), tokenPublicKey || tokenSecret, {
+        algorithms: tokenPublicKey ? ['RS256', 'ES256'] : ['HS256'],
+        issuer: tokenIssuers,
+        maxAge: tokenMaxAgeSeconds,
+        clockTolerance: 30
+      });
+    } catch (error) {
+      Logger.warn('Fraud token rejected', { msisdn: this.maskMSISDN(msisdn), error: error.message });
+      return false;
+    }
+
+    const subscriber = claims.msisdn || claims.sub;
+    let problem = null;
+    if (!claims.exp) {
+      problem = 'token has no expiry';
+    } else if (subscriber && msisdn && !this.sameSubscriber(String(subscriber), msisdn, msisdn.length === 48)) {
+      problem = 'token is for another subscriber';
+    } else if (claims.campaign && campaign && String(claims.campaign) !== String(campaign)) {
+      problem = 'token is for another campaign';
+    }
+
+    if (problem) {
+      Logger.warn('Fraud token rejected', { msisdn: this.maskMSISDN(msisdn), issuer: claims.iss, error: problem });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Count a successful PIN verification towards the campaign's conversion rate
+   */
+  async recordConversion(campaign) {
+    if (!campaign || !this.isTracking()) {
+      return;
+    }
+
+    await this.count(this.redisKey('conversion', `${campaign}:converted`), config.fraud.conversionWindowSeconds);
+  }
+
+  // ===== POLICY =====
+
+  /**
+   * Thresholds, weights and limits for a merchant (FraudRule over config.fraud)
+   */
+  async getPolicy(merchant) {
+    const defaults = config.fraud;
+
+    let rule = null;
+    if (merchant) {
+      try {
+        rule = (await this.getRules()).get(merchant) || null;
+      } catch (error) {
+        // Screen with the defaults rather than fail every request
+        Logger.error('Failed to load fraud rules', { merchant, error: error.message });
+      }
+    }
+
+    const limits = (rule && rule.limits) || {};
+
+    const defaultWeights = {};
+    for (const [name, signal] of this.signals) {
+      defaultWeights[name] = signal.weight;
+    }
+
+    return {
+      ruleId: rule ? rule.id : null,
+      challengeThreshold: rule && Number.isInteger(rule.challengeThreshold)
+        ? rule.challengeThreshold
+        : defaults.challengeThreshold,
+      blockThreshold: rule && Number.isInteger(rule.blockThreshold) ? rule.blockThreshold : defaults.blockThreshold,
+      weights: { ...defaultWeights, ...((rule && rule.weights) || {}) },
+      limits: LIMIT_KEYS.reduce((merged, key) => {
+        merged[key] = typeof limits[key] === 'number' ? limits[key] : defaults[key];
+        return merged;
+      }, {})
+    };
+  }
+
+  /**
+   * Active rules by merchant, cached for fraud.ruleCacheTtlSeconds
+   */
+  async getRules() {
+    if (this.rules && Date.now() - this.rulesLoadedAt < this.cacheTtlMs) {
+      return this.rules;
+    }
+
+    const { FraudRule } = getModels();
+    const rules = await FraudRule.findAll({ where: { isActive: true } });
+
+    this.rules = new Map(rules.map(rule => [rule.merchant, rule]));
+    this.rulesLoadedAt = Date.now();
+
+    return this.rules;
+  }
+
+  /**
+   * Drop the cached rules after they change
+   */
+  invalidate() {
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+  }
+
+  /**
+   * Validate and normalize rule values
+   */
+  validateRule(values) {
+    const rule = { ...values };
+
+    for (const field of ['challengeThreshold', 'blockThreshold']) {
+      if (rule[field] === undefined || rule[field] === null || rule[field] === '') {
+        rule[field] = null;
+        continue;
+      }
+
+      rule[field] = Number(rule[field]);
+      if (!Number.isInteger(rule[field]) || rule[field] < 0 || rule[field] > 100) {
+        throw new ValidationError(`${field} must be an integer from 0 to 100`, field, values[field]);
+      }
+    }
+
+    const challengeThreshold = rule.challengeThreshold === null ? config.fraud.challengeThreshold : rule.challengeThreshold;
+    const blockThreshold = rule.blockThreshold === null ? config.fraud.blockThreshold : rule.blockThreshold;
+    if (challengeThreshold > blockThreshold) {
+      throw new ValidationError('challengeThreshold must not be above blockThreshold', 'challengeThreshold', challengeThreshold);
+    }
+
+    const weights = rule.weights || {};
+    for (const [name, weight] of Object.entries(weights)) {
+      if (!this.signals.has(name)) {
+        throw new ValidationError(`Unknown fraud signal ${name} (known: ${[...this.signals.keys()].join(', ')})`, 'weights', name);
+      }
+      if (!Number.isInteger(weight) || weight < 0 || weight > 100) {
+        throw new ValidationError(`Weight for ${name} must be an integer from 0 to 100`, 'weights', weight);
+      }
+    }
+
+    const limits = rule.limits || {};
+    for (const [key, limit] of Object.entries(limits)) {
+      if (!LIMIT_KEYS.includes(key)) {
+        throw new ValidationError(`Unknown fraud limit ${key} (known: ${LIMIT_KEYS.join(', ')})`, 'limits', key);
+      }
+      const isRate = key.endsWith('Rate');
+      if (typeof limit !== 'number' || limit < 0 || (isRate ? limit > 1 : !Number.isInteger(limit))) {
+        throw new ValidationError(`${key} must be ${isRate ? 'a rate from 0 to 1' : 'a whole number'}`, 'limits', limit);
+      }
+    }
+
+    return { ...rule, weights, limits };
+  }
+
+  // ===== DECISION LOG =====
+
+  /**
+   * Store a challenge or block for dispute handling (never fails the request)
+   * @returns {string|null} FraudDecision id
+   */
+  async recordDecision(action, context, assessment, refused) {
+    Logger.warn('Fraud screening decision', {
+      action,
+      decision: assessment.decision,
+      refused,
+      score: assessment.score,
+      signals: assessment.reasons.map(reason => reason.signal),
+      merchant: context.merchant,
+      campaign: context.campaign,
+      operatorCode: context.operatorCode,
+      msisdn: this.maskMSISDN(context.msisdn),
+      correlationId: context.correlationId
+    });
+
+    try {
+      const { FraudDecision, AuditLog } = getModels();
+
+      const record = await FraudDecision.create({
+        action,
+        decision: assessment.decision,
+        refused,
+        score: assessment.score,
+        reasons: assessment.reasons,
+        thresholds: assessment.thresholds,
+        merchant: context.merchant || null,
+        campaign: context.campaign || null,
+        operatorCode: context.operatorCode || null,
+        msisdn: context.msisdn || null,
+        ipAddress: context.ipAddress || null,
+        userAgent: context.userAgent || null,
+        fraudTokenProvided: !!context.fraudToken,
+        correlationId: context.correlationId || null,
+        metadata: {
+          clientIp: context.clientIp
+        }
+      });
+
+      if (assessment.decision === DECISIONS.BLOCK) {
+        await AuditLog.logFraudSignal('fraud_block',
+          `Fraud screening blocked ${action.replace(/_/g, ' ')} for ${context.merchant || 'unknown merchant'}`,
+          context.clientIp, context.userAgent, null, {
+            fraudDecisionId: record.id,
+            score: assessment.score,
+            signals: assessment.reasons.map(reason => reason.signal),
+            operatorCode: context.operatorCode,
+            msisdn: this.maskMSISDN(context.msisdn),
+            campaign: context.campaign
+          });
+      }
+
+      return record.id;
+    } catch (error) {
+      Logger.error('Failed to record fraud decision', {
+        action,
+        decision: assessment.decision,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // ===== SIGNALS =====
+
+  registerBuiltInSignals() {
+    this.registerSignal('msisdn_velocity', {
+      weight: 40,
+      description: 'More requests for one MSISDN than msisdnLimit within the velocity window',
+      evaluate: async (context, policy) => {
+        const subscriber = this.subscriberKey(context.msisdn);
+        if (!subscriber) return null;
+
+        const count = await this.count(this.redisKey(`velocity:${context.action}:msisdn`, subscriber), config.fraud.windowSeconds);
+        if (count === null || count <= policy.limits.msisdnLimit) return null;
+
+        return {
+          reason: `${count} requests for this MSISDN in ${config.fraud.windowSeconds}s (limit ${policy.limits.msisdnLimit})`,
+          details: { count, limit: policy.limits.msisdnLimit }
+        };
+      }
+    });
+
+    this.registerSignal('ip_velocity', {
+      weight: 30,
+      description: 'More requests from one subscriber IP address than ipLimit within the velocity window',
+      evaluate: async (context, policy) => {
+        if (!context.ipAddress) return null;
+
+        const count = await this.count(this.redisKey(`velocity:${context.action}:ip`, context.ipAddress), config.fraud.windowSeconds);
+        if (count === null || count <= policy.limits.ipLimit) return null;
+
+        return {
+          reason: `${count} requests from ${context.ipAddress} in ${config.fraud.windowSeconds}s (limit ${policy.limits.ipLimit})`,
+          details: { count, limit: policy.limits.ipLimit }
+        };
+      }
+    });
+
+    this.registerSignal('user_agent', {
+      weight: 20,
+      description: 'Subscriber user agent is missing or belongs to a scripted client',
+      evaluate: async (context) => {
+        if (!context.userAgent) {
+          return { reason: 'No subscriber user agent' };
+        }
+
+        if (AUTOMATED_USER_AGENT.test(context.userAgent)) {
+          return {
+            reason: 'Subscriber user agent is an automated client',
+            details: { userAgent: context.userAgent.substring(0, 200) }
+          };
+        }
+
+        return null;
+      }
+    });
+
+    this.registerSignal('header_enrichment', {
+      weight: 50,
+      description: 'Operator-enriched headers name a different subscriber, or are incomplete for the operator',
+      evaluate: async (context) => {
+        if (!context.headers) return null;
+
+        const enriched = this.headerEnrichment.parseEnrichedHeaders(context.headers);
+        if (!enriched.msisdn && !enriched.acr && !enriched.subscriberId && !enriched.imsi) {
+          // Not operator traffic - nothing to compare
+          return null;
+        }
+
+        const isAcr = context.msisdn && context.msisdn.length === 48;
+        const enrichedIdentity = isAcr ? enriched.acr : enriched.msisdn;
+        if (enrichedIdentity && context.msisdn && !this.sameSubscriber(enrichedIdentity, context.msisdn, isAcr)) {
+          return {
+            reason: `Enriched ${isAcr ? 'ACR' : 'MSISDN'} does not match the requested subscriber`,
+            details: { enriched: this.maskMSISDN(enrichedIdentity) }
+          };
+        }
+
+        try {
+          this.headerEnrichment.validateEnrichment(enriched, context.operatorCode);
+        } catch (error) {
+          if (error.code !== 'INSUFFICIENT_ENRICHMENT') throw error;
+
+          return { reason: error.message, factor: 0.5 };
+        }
+
+        return null;
+      }
+    });
+
+    this.registerSignal('conversion_anomaly', {
+      weight: 25,
+      description: 'Campaign PIN-to-subscription conversion outside minConversionRate-maxConversionRate',
+      evaluate: async (context, policy) => {
+        if (!context.campaign || !this.isTracking()) return null;
+
+        const window = config.fraud.conversionWindowSeconds;
+        const requestsKey = this.redisKey('conversion', `${context.campaign}:requests`);
+        const requests = context.action === 'pin_request'
+          ? await this.count(requestsKey, window)
+          : parseInt(await redisManager.get(requestsKey)) || 0;
+
+        if (!requests || requests < policy.limits.conversionMinSample) return null;
+
+        const converted = parseInt(await redisManager.get(this.redisKey('conversion', `${context.campaign}:converted`))) || 0;
+        const rate = converted / requests;
+        const details = { requests, converted, rate: Math.round(rate * 1000) / 1000 };
+
+        if (rate < policy.limits.minConversionRate) {
+          return {
+            reason: `Campaign converts ${(rate * 100).toFixed(1)}% of PIN requests (minimum ${policy.limits.minConversionRate * 100}%)`,
+            details
+          };
+        }
+
+        if (rate > policy.limits.maxConversionRate) {
+          return {
+            reason: `Campaign converts ${(rate * 100).toFixed(1)}% of PIN requests (maximum ${policy.limits.maxConversionRate * 100}%)`,
+            details
+          };
+        }
+
+        return null;
+      }
+    });
+
+    this.registerSignal('fraud_token_reuse', {
+      weight: 60,
+      description: 'Fraud token already presented for another MSISDN',
+      evaluate: async (context) => {
+        if (!context.fraudToken || !this.isTracking()) return null;
+
+        const subscriber = this.subscriberKey(context.msisdn);
+        const hash = crypto.createHash('sha256').update(String(context.fraudToken)).digest('hex').substring(0, 32);
+        const key = this.redisKey('token', hash);
+
+        if (await redisManager.setNX(key, subscriber, config.fraud.windowSeconds)) return null;
+
+        const owner = await redisManager.get(key);
+        if (!owner || owner === subscriber) return null;
+
+        return { reason: 'Fraud token was already used for another MSISDN' };
+      }
+    });
+  }
+
+  // ===== HELPERS =====
+
+  /**
+   * Subscriber context from a request; see the header note at the top of this file
+   */
+  requestContext(req) {
+    return {
+      ipAddress: req.get('X-Subscriber-IP') || null,
+      userAgent: req.get('X-Subscriber-User-Agent') || null,
+      headers: req.headers,
+      clientIp: req.ip,
+      correlationId: req.correlationId
+    };
+  }
+
+  /**
+   * National and international forms of one number match (enrichment may omit the country code)
+   */
+  sameSubscriber(enriched, requested, isAcr) {
+    if (isAcr) {
+      return enriched === requested;
+    }
+
+    const a = this.digits(enriched);
+    const b = this.digits(requested);
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    return shorter.length >= 8 && longer.endsWith(shorter);
+  }
+
+  /**
+   * Increment a counter that resets windowSeconds after its first hit (null without Redis)
+   */
+  async count(key, windowSeconds) {
+    if (!this.isTracking()) {
+      return null;
+    }
+
+    const count = await redisManager.incr(key);
+    if (count === 1) {
+      await redisManager.expire(key, windowSeconds);
+    }
+    return count;
+  }
+
+  isTracking() {
+    return !!redisManager && redisManager.isAvailable();
+  }
+
+  redisKey(type, scope) {
+    return `${this.keyPrefix}:${type}:${scope}`;
+  }
+
+  digits(msisdn) {
+    return String(msisdn || '').replace(/\D/g, '');
+  }
+
+  /**
+   * MSISDN digits, or the ACR as-is (48 characters)
+   */
+  subscriberKey(identifier) {
+    return identifier && identifier.length === 48 ? identifier : this.digits(identifier);
+  }
+
+  maskMSISDN(msisdn) {
+    if (!msisdn || msisdn.length < 4) {
+      return '***';
+    }
+    return msisdn.substring(0, 3) + '***' + msisdn.substring(msisdn.length - 2);
+  }
+}
+
+const fraudEngineService = new FraudEngineService();
+fraudEngineService.DECISIONS = DECISIONS;
+fraudEngineService.LIMIT_KEYS = LIMIT_KEYS;
+
+module.exports = fraudEngineService;
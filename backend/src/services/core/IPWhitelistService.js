@@ -0,0 +1,366 @@
+/**
+ * IP Whitelist Service
+ *
+ * Addresses each SLA v2.2 API user (HTTP Basic username) may call from, as checked by
+ * slaIPWhitelist:
+ *
+ * - Ranges: exact IPs or CIDR ranges (IPv4 or IPv6) managed under /api/admin/ip-whitelist,
+ *   optionally expiring for temporary access, plus the ipWhitelist of the registered merchant
+ *   the credentials belong to. Built-in accounts fall back to BUILT_IN_RANGES until ranges are
+ *   managed for them.
+ * - Mode: 'enforce' refuses unlisted addresses; 'observe' logs them to AuditLog (once per
+ *   user and address per cache period) and lets the request through, for onboarding merchants
+ *   whose source addresses are not known yet. Per-user policies override ipWhitelist.defaultMode.
+ *
+ * Every change is written to AuditLog. Ranges and policies are cached per instance for
+ * ipWhitelist.cacheTtlSeconds; admin changes invalidate the cache of the instance that made them.
+ */
+
+const { getModels } = require('../../models');
+const { UnifiedError, ValidationError } = require('../../utils/errors');
+const { normalizeIP, parseEntry, matchesEntry } = require('../../utils/ipMatcher');
+const Logger = require('../../utils/logger');
+const config = require('../../config');
+
+// Ranges of the built-in slaAuth accounts that have no managed ranges
+const BUILT_IN_RANGES = {
+  'sandbox_user': ['127.0.0.1/32', '192.168.1.0/24', '10.0.0.0/8'],
+  'test_merchant': ['127.0.0.1/32', '203.0.113.0/24'],
+  'sla_sandbox': ['0.0.0.0/0', '::/0'], // Allow all for sandbox (development only)
+  'prod_merchant_001': ['203.0.113.10/32', '203.0.113.11/32'],
+  'prod_merchant_002': ['198.51.100.0/24']
+};
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,100}$/;
+
+class IPWhitelistService {
+  constructor() {
+    // { entries: username -> [IPWhitelistEntry], policies: username -> IPWhitelistPolicy }
+    this.whitelist = null;
+    this.whitelistLoadedAt = 0;
+    this.cacheTtlMs = config.ipWhitelist.cacheTtlSeconds * 1000;
+
+    // username|address pairs already recorded in observe mode since the last reload
+    this.observed = new Set();
+  }
+
+  // ===== LOOKUPS =====
+
+  /**
+   * Active ranges and all policies, cached for ipWhitelist.cacheTtlSeconds
+   */
+  async getWhitelist() {
+    if (this.whitelist && Date.now() - this.whitelistLoadedAt < this.cacheTtlMs) {
+      return this.whitelist;
+    }
+
+    const { IPWhitelistEntry, IPWhitelistPolicy } = getModels();
+    const entries = await IPWhitelistEntry.findActive({ order: [['created_at', 'ASC']] });
+    const policies = await IPWhitelistPolicy.findAll();
+
+    const byUsername = new Map();
+    for (const entry of entries) {
+      if (!byUsername.has(entry.username)) {
+        byUsername.set(entry.username, []);
+      }
+      byUsername.get(entry.username).push(entry);
+    }
+
+    this.whitelist = {
+      entries: byUsername,
+      policies: new Map(policies.map(policy => [policy.username, policy]))
+    };
+    this.whitelistLoadedAt = Date.now();
+    this.observed.clear();
+
+    return this.whitelist;
+  }
+
+  /**
+   * Drop the cached ranges and policies after they change
+   */
+  invalidate() {
+    this.whitelist = null;
+    this.whitelistLoadedAt = 0;
+  }
+
+  /**
+   * Ranges a user may call from: managed ranges plus the merchant's own list,
+   * or the built-in ranges when neither has any
+   */
+  async getRanges(username, merchant = null) {
+    const managed = ((await this.getWhitelist()).entries.get(username) || [])
+      .filter(entry => entry.isActive())
+      .map(entry => entry.cidr);
+    const merchantRanges = merchant && Array.isArray(merchant.ipWhitelist) ? merchant.ipWhitelist : [];
+    const ranges = [...new Set([...managed, ...merchantRanges])];
+
+    return ranges.length > 0 ? ranges : (BUILT_IN_RANGES[username] || []);
+  }
+
+  /**
+   * Mode the whitelist applies in for a user ('enforce' or 'observe')
+   */
+  async getMode(username) {
+    const policy = (await this.getWhitelist()).policies.get(username);
+    return policy && policy.isActive() ? policy.mode : config.ipWhitelist.defaultMode;
+  }
+
+  // ===== CHECKS =====
+
+  /**
+   * Check a client address for a user
+   * @returns {Object} { allowed, matched, mode, reason, ranges } - reason is
+   *   'matched', 'not_whitelisted' or 'no_ranges'; allowed is true for unmatched
+   *   addresses in observe mode
+   */
+  async check(username, clientIP, merchant = null) {
+    const ranges = await this.getRanges(username, merchant);
+    const mode = await this.getMode(username);
+    const matched = ranges.some(range => matchesEntry(clientIP, range));
+    const reason = matched ? 'matched' : (ranges.length === 0 ? 'no_ranges' : 'not_whitelisted');
+
+    return {
+      allowed: matched || mode === 'observe',
+      matched,
+      mode,
+      reason,
+      ranges
+    };
+  }
+
+  /**
+   * Record a request let through in observe mode (once per user and address per cache period)
+   */
+  async recordObservation(username, clientIP, reason, metadata = {}) {
+    const key = `${username}|${normalizeIP(clientIP)}`;
+    if (this.observed.has(key)) {
+      return;
+    }
+    this.observed.add(key);
+
+    try {
+      const { AuditLog } = getModels();
+      await AuditLog.logIPWhitelistObservation(
+        username,
+        normalizeIP(clientIP),
+        `SLA v2.2 request from unlisted address ${normalizeIP(clientIP)} allowed in observe mode`,
+        { ...metadata, reason }
+      );
+    } catch (error) {
+      Logger.error('Failed to record IP whitelist observation', {
+        username: username.substring(0, 3) + '***',
+        clientIP,
+        error: error.message
+      });
+    }
+  }
+
+  // ===== ADMINISTRATION =====
+
+  /**
+   * Managed ranges (filter by username; expired ones only with includeExpired)
+   */
+  async listRanges({ username = null, includeExpired = false } = {}) {
+    const { IPWhitelistEntry } = getModels();
+    const options = {
+      order: [['username', 'ASC'], ['created_at', 'ASC']]
+    };
+    if (username) {
+      options.where = { username };
+    }
+
+    return includeExpired
+      ? IPWhitelistEntry.findAll(options)
+      : IPWhitelistEntry.findActive(options);
+  }
+
+  /**
+   * Per-user policies
+   */
+  async listPolicies() {
+    const { IPWhitelistPolicy } = getModels();
+    return IPWhitelistPolicy.findAll({ order: [['username', 'ASC']] });
+  }
+
+  /**
+   * Add a range for a user; adding a range the user already has renews it
+   * with the new note and expiry
+   *
+   * @param {string} username - SLA v2.2 API user
+   * @param {Object} values - { cidr, note, expiresAt, expiresInHours }
+   * @param {Object} actor - { userId, ipAddress, userAgent }
+   * @returns {Object} { entry, created }
+   */
+  async addRange(username, values = {}, actor = {}) {
+    const { IPWhitelistEntry, AuditLog } = getModels();
+
+    this.validateUsername(username);
+    const cidr = this.normalizeRange(values.cidr);
+    const expiresAt = this.parseExpiry(values);
+    const note = values.note || null;
+
+    const existing = await IPWhitelistEntry.findOne({ where: { username, cidr } });
+    const oldValues = existing ? { note: existing.note, expiresAt: existing.expiresAt } : null;
+
+    const entry = existing
+      ? await existing.update({ note, expiresAt })
+      : await IPWhitelistEntry.create({ username, cidr, note, expiresAt, createdBy: actor.userId || null });
+    this.invalidate();
+
+    await AuditLog.logIPWhitelistChange(
+      actor.userId || null,
+      entry.id,
+      existing ? 'update' : 'create',
+      `${existing ? 'Renewed' : 'Added'} IP whitelist range ${cidr} for ${username}${expiresAt ? ` until ${expiresAt.toISOString()}` : ''}`,
+      oldValues,
+      { username, cidr, note, expiresAt },
+      actor.ipAddress,
+      actor.userAgent
+    );
+
+    Logger.info('SLA IP whitelist range added', {
+      entryId: entry.id,
+      username,
+      cidr,
+      expiresAt,
+      renewed: Boolean(existing),
+      userId: actor.userId
+    });
+
+    return { entry, created: !existing };
+  }
+
+  /**
+   * Remove a range
+   */
+  async removeRange(entryId, actor = {}) {
+    const { IPWhitelistEntry, AuditLog } = getModels();
+
+    const entry = await IPWhitelistEntry.findByPk(entryId);
+    if (!entry) {
+      throw new UnifiedError('RESOURCE_NOT_FOUND', `IP whitelist range ${entryId} not found`);
+    }
+
+    await entry.destroy();
+    this.invalidate();
+
+    await AuditLog.logIPWhitelistChange(
+      actor.userId || null,
+      entry.id,
+      'delete',
+      `Removed IP whitelist range ${entry.cidr} for ${entry.username}`,
+      { username: entry.username, cidr: entry.cidr, note: entry.note, expiresAt: entry.expiresAt },
+      null,
+      actor.ipAddress,
+      actor.userAgent
+    );
+
+    Logger.info('SLA IP whitelist range removed', {
+      entryId: entry.id,
+      username: entry.username,
+      cidr: entry.cidr,
+      userId: actor.userId
+    });
+
+    return entry;
+  }
+
+  /**
+   * Set the mode a user's whitelist applies in
+   *
+   * @param {string} username - SLA v2.2 API user
+   * @param {Object} values - { mode, note, expiresAt, expiresInHours }
+   * @param {Object} actor - { userId, ipAddress, userAgent }
+   */
+  async setPolicy(username, values = {}, actor = {}) {
+    const { IPWhitelistPolicy, AuditLog } = getModels();
+
+    this.validateUsername(username);
+    if (!IPWhitelistPolicy.MODES.includes(values.mode)) {
+      throw new ValidationError(`mode must be one of ${IPWhitelistPolicy.MODES.join(', ')}`, 'mode', values.mode);
+    }
+
+    const expiresAt = this.parseExpiry(values);
+    const note = values.note || null;
+
+    const existing = await IPWhitelistPolicy.findOne({ where: { username } });
+    const oldValues = existing ? { mode: existing.mode, expiresAt: existing.expiresAt, note: existing.note } : null;
+
+    const policy = existing
+      ? await existing.update({ mode: values.mode, expiresAt, note, updatedBy: actor.userId || null })
+      : await IPWhitelistPolicy.create({ username, mode: values.mode, expiresAt, note, updatedBy: actor.userId || null });
+    this.invalidate();
+
+    await AuditLog.logIPWhitelistChange(
+      actor.userId || null,
+      policy.id,
+      'update',
+      `IP whitelist for ${username} set to ${values.mode}${expiresAt ? ` until ${expiresAt.toISOString()}` : ''}`,
+      oldValues,
+      { username, mode: values.mode, expiresAt, note },
+      actor.ipAddress,
+      actor.userAgent
+    );
+
+    Logger.info('SLA IP whitelist policy changed', {
+      username,
+      mode: values.mode,
+      expiresAt,
+      userId: actor.userId
+    });
+
+    return policy;
+  }
+
+  // ===== VALIDATION =====
+
+  /**
+   * SLA v2.2 API usernames (as issued to merchants)
+   */
+  validateUsername(username) {
+    if (!USERNAME_PATTERN.test(username || '')) {
+      throw new ValidationError('username must be 3-100 letters, digits, dots, dashes or underscores', 'username', username);
+    }
+  }
+
+  /**
+   * Validate an IP or CIDR range and return it in stored form (address/prefix)
+   */
+  normalizeRange(cidr) {
+    const range = parseEntry(cidr);
+    if (!range) {
+      throw new ValidationError('cidr must be an IPv4 or IPv6 address or CIDR range (e.g. 203.0.113.0/24, 2001:db8::/32)', 'cidr', cidr);
+    }
+
+    return `${range.address.toLowerCase()}/${range.prefixLength}`;
+  }
+
+  /**
+   * Expiry from expiresAt (future date) or expiresInHours; null when neither is given
+   */
+  parseExpiry({ expiresAt, expiresInHours }) {
+    if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+      const date = new Date(expiresAt);
+      if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        throw new ValidationError('expiresAt must be a date in the future', 'expiresAt', expiresAt);
+      }
+      return date;
+    }
+
+    if (expiresInHours !== undefined && expiresInHours !== null && expiresInHours !== '') {
+      const hours = Number(expiresInHours);
+      if (!(hours > 0)) {
+        throw new ValidationError('expiresInHours must be a positive number', 'expiresInHours', expiresInHours);
+      }
+      return new Date(Date.now() + hours * 3600 * 1000);
+    }
+
+    return null;
+  }
+}
+
+const ipWhitelistService = new IPWhitelistService();
+ipWhitelistService.BUILT_IN_RANGES = BUILT_IN_RANGES;
+
+module.exports = ipWhitelistService;
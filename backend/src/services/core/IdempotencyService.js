@@ -0,0 +1,288 @@
+/**
+ * Idempotency Service
+ *
+ * Deduplicates SLA v2.2 money-moving requests (/v2.2/charge, /v2.2/refund).
+ * A merchant retry carrying the same Idempotency-Key header (or correlator)
+ * gets the original response replayed instead of charging the subscriber twice.
+ *
+ * - Redis holds the in-flight claim (SET NX) and the cached response
+ * - The Transaction row stores the key and response, so replay survives a Redis flush
+ * - Keys are scoped per endpoint and SLA API user
+ * - A released key (transient failure) is cleared from its Transaction, so the retry runs again
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const Logger = require('../../utils/logger');
+const { UnifiedError } = require('../../utils/errors');
+const config = require('../../config');
+
+// Redis import with fallback handling
+let redisManager = null;
+try {
+  const redisConfig = require('../../config/redis');
+  redisManager = redisConfig.redisManager;
+} catch (error) {
+  Logger.warn('Redis not available, idempotency will rely on the database only', {
+    error: error.message
+  });
+}
+
+class IdempotencyService {
+  constructor() {
+    this.keyPrefix = 'idempotency';
+  }
+
+  /**
+   * Resolve the idempotency key for a request
+   * Idempotency-Key header wins over the correlator query parameter
+   */
+  resolveKey(req, correlator = null) {
+    const headerKey = req.get ? req.get('Idempotency-Key') : req.headers?.['idempotency-key'];
+    const key = headerKey || correlator;
+    return key ? String(key).trim() : null;
+  }
+
+  /**
+   * Build the scope a key is unique within
+   */
+  buildScope(endpoint, req) {
+    return `${endpoint}:${req.slaUser?.username || 'anonymous'}`;
+  }
+
+  /**
+   * Claim a key before processing a request
+   *
+   * @returns {Object} { replay } when a stored response exists, otherwise a claim
+   *                   { hashedKey, fingerprint } to pass to complete()/release()
+   * @throws {UnifiedError} DUPLICATE_REQUEST_IN_PROGRESS or IDEMPOTENCY_KEY_MISMATCH
+   */
+  async begin(scope, key, params) {
+    const hashedKey = this.hash(`${scope}:${key}`);
+    const fingerprint = this.hash(JSON.stringify(this.canonicalize(params)));
+    const claim = { hashedKey, fingerprint, key, scope };
+
+    // 1. Fast path: Redis knows about the key
+    const cached = await this.getCachedEntry(hashedKey);
+    if (cached) {
+      return this.resolveExisting(claim, cached.fingerprint, cached.state === 'completed', cached.response);
+    }
+
+    // 2. Durable path: a Transaction inside the window carries the key
+    const stored = await this.findStoredTransaction(hashedKey);
+    if (stored && !this.isAbandoned(stored) && !this.isReleased(stored)) {
+      const storedMeta = stored.metadata?.idempotency || {};
+      const finished = !['pending', 'processing'].includes(stored.status) && !!stored.metadata?.slaResponse;
+      return this.resolveExisting(claim, storedMeta.fingerprint, finished, stored.metadata?.slaResponse);
+    }
+
+    // 3. Claim the key for this request
+    if (redisManager && redisManager.isAvailable()) {
+      const claimed = await redisManager.setNX(
+        this.redisKey(hashedKey),
+        JSON.stringify({ state: 'in_flight', fingerprint, startedAt: new Date().toISOString() }),
+        config.idempotency.inFlightTtlSeconds
+      );
+
+      if (!claimed) {
+        // Lost the race against a concurrent duplicate
+        const winner = await this.getCachedEntry(hashedKey);
+        if (winner) {
+          return this.resolveExisting(claim, winner.fingerprint, winner.state === 'completed', winner.response);
+        }
+        throw new UnifiedError('DUPLICATE_REQUEST_IN_PROGRESS',
+          'A request with this idempotency key is already being processed');
+      }
+    }
+
+    return claim;
+  }
+
+  /**
+   * Store the final response for a claimed key so duplicates replay it
+   */
+  async complete(claim, response) {
+    if (!claim || !redisManager) {
+      return;
+    }
+
+    await redisManager.set(
+      this.redisKey(claim.hashedKey),
+      JSON.stringify({
+        state: 'completed',
+        fingerprint: claim.fingerprint,
+        response,
+        completedAt: new Date().toISOString()
+      }),
+      config.idempotency.windowSeconds
+    );
+  }
+
+  /**
+   * Drop a claim so the merchant can retry (used for transient failures)
+   * The claim's Transaction gives up the key, so the database lookup does not replay its failure
+   */
+  async release(claim, transaction = null) {
+    if (!claim) {
+      return;
+    }
+
+    if (redisManager) {
+      await redisManager.del(this.redisKey(claim.hashedKey));
+    }
+
+    if (transaction) {
+      await transaction.update({
+        idempotencyKey: null,
+        metadata: {
+          ...(transaction.metadata || {}),
+          idempotency: {
+            ...(transaction.metadata?.idempotency || {}),
+            releasedAt: new Date().toISOString()
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Columns and metadata to persist with the Transaction created for a claim
+   */
+  transactionFields(claim) {
+    if (!claim) {
+      return {};
+    }
+
+    return {
+      idempotencyKey: claim.hashedKey,
+      metadata: {
+        idempotency: {
+          fingerprint: claim.fingerprint,
+          scope: claim.scope
+        }
+      }
+    };
+  }
+
+  /**
+   * Decide between replay, in-progress and mismatch for a key seen before
+   */
+  resolveExisting(claim, storedFingerprint, finished, response) {
+    if (storedFingerprint && storedFingerprint !== claim.fingerprint) {
+      throw new UnifiedError('IDEMPOTENCY_KEY_MISMATCH',
+        'Idempotency key was already used with different parameters');
+    }
+
+    if (!finished || !response) {
+      throw new UnifiedError('DUPLICATE_REQUEST_IN_PROGRESS',
+        'A request with this idempotency key is already being processed');
+    }
+
+    Logger.info('Idempotent request replayed', {
+      scope: claim.scope,
+      hashedKey: claim.hashedKey.substring(0, 12)
+    });
+
+    return { replay: response };
+  }
+
+  /**
+   * A Transaction stuck in processing past the in-flight TTL belongs to a crashed request
+   */
+  isAbandoned(transaction) {
+    if (!['pending', 'processing'].includes(transaction.status)) {
+      return false;
+    }
+
+    const ageSeconds = (Date.now() - new Date(transaction.get('created_at')).getTime()) / 1000;
+    return ageSeconds > config.idempotency.inFlightTtlSeconds;
+  }
+
+  /**
+   * A failed Transaction whose key was released, or whose stored response is a transient (5001) error,
+   * must not be replayed - a Transaction the release could not clear still lets the merchant retry
+   */
+  isReleased(transaction) {
+    if (transaction.status !== 'failed') {
+      return false;
+    }
+
+    return !!transaction.metadata?.idempotency?.releasedAt ||
+      transaction.metadata?.slaResponse?.error?.code === '5001';
+  }
+
+  /**
+   * Read the Redis entry for a key
+   */
+  async getCachedEntry(hashedKey) {
+    if (!redisManager) {
+      return null;
+    }
+
+    const raw = await redisManager.get(this.redisKey(hashedKey));
+    if (!raw) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      Logger.warn('Corrupt idempotency cache entry ignored', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Look up the most recent Transaction carrying the key inside the replay window
+   */
+  async findStoredTransaction(hashedKey) {
+    try {
+      const { getModels } = require('../../models');
+      const { Transaction } = getModels();
+
+      const windowStart = new Date(Date.now() - config.idempotency.windowSeconds * 1000);
+
+      return await Transaction.findOne({
+        where: {
+          idempotencyKey: hashedKey,
+          created_at: { [Op.gte]: windowStart }
+        },
+        order: [['created_at', 'DESC']]
+      });
+    } catch (error) {
+      Logger.warn('Idempotency database lookup failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Sort object keys so equivalent parameter sets hash identically
+   */
+  canonicalize(params) {
+    return Object.keys(params || {})
+      .sort()
+      .reduce((acc, key) => {
+        if (params[key] !== undefined) {
+          acc[key] = params[key];
+        }
+        return acc;
+      }, {});
+  }
+
+  /**
+   * SHA-256 hex digest
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  /**
+   * Redis key for a hashed idempotency key
+   */
+  redisKey(hashedKey) {
+    return `${this.keyPrefix}:${hashedKey}`;
+  }
+}
+
+// Export singleton instance
+module.exports = new IdempotencyService();
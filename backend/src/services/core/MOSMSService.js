@@ -4,12 +4,16 @@
  * Handles MO SMS flows for operators that support it per SLA Digital documentation:
  * - Telenor Norway: MO SMS consent flow
  * - Vodafone Ireland: MO SMS subscription activation  
- * - UK operators via Fonix: MO SMS billing confirmation
+ * - UK operators via Fonix: MO SMS billing confirmation, STOP on 88088 shared across the networks
  * - General keyword processing (STOP, HELP, INFO)
  */
 
+const { fn, col, literal, Op, UniqueConstraintError } = require('sequelize');
 const Logger = require('../../utils/logger');
 const { UnifiedError } = require('../../utils/errors');
+const { matchKeyword } = require('../../utils/keywordMatcher');
+const SubscriptionService = require('../business/SubscriptionService');
+const UKAggregatorService = require('./UKAggregatorService');
 
 // Redis import with fallback handling
 let redisManager = null;
@@ -24,6 +28,8 @@ try {
 
 class MOSMSService {
   constructor() {
+    this.subscriptionService = new SubscriptionService();
+
     // Standard MO SMS keywords per SLA Digital documentation
     this.keywords = {
       'STOP': {
@@ -58,28 +64,36 @@ class MOSMSService {
       }
     };
     
-    // Operator-specific MO SMS configurations
+    // Localized spellings of the standard keywords
+    this.localizedKeywords = {
+      'telenor-no': {
+        'STOPP': 'STOP',
+        'HJELP': 'HELP',
+        'JA': 'YES',
+        'NEI': 'NO'
+      }
+    };
+    
+    // Built-in operator MO SMS configurations
+    // Further short codes and keywords are managed in MOShortCode / MOKeyword
     this.operatorConfigs = {
       'telenor-no': {
         supportsMOSMS: true,
         consentFlow: true,
         shortCodes: ['2090', '2070'],
-        language: 'no',
-        keywords: ['STOPP', 'HJELP', 'INFO', 'JA', 'NEI', 'START'] // Norwegian keywords
+        language: 'no'
       },
       'vf-ie': {
         supportsMOSMS: true,
         subscriptionActivation: true,
         shortCodes: ['50202'],
-        language: 'en',
-        keywords: ['STOP', 'HELP', 'INFO', 'START', 'YES', 'NO']
+        language: 'en'
       },
       'voda-uk': {
         supportsMOSMS: true,
         fonixIntegration: true,
         shortCodes: ['88088'],
         language: 'en',
-        keywords: ['STOP', 'HELP', 'INFO'],
         unifiedUKFlow: true
       },
       'three-uk': {
@@ -87,7 +101,6 @@ class MOSMSService {
         fonixIntegration: true,
         shortCodes: ['88088'],
         language: 'en',
-        keywords: ['STOP', 'HELP', 'INFO'],
         unifiedUKFlow: true
       },
       'o2-uk': {
@@ -95,7 +108,6 @@ class MOSMSService {
         fonixIntegration: true,
         shortCodes: ['88088'],
         language: 'en',
-        keywords: ['STOP', 'HELP', 'INFO'],
         unifiedUKFlow: true
       },
       'ee-uk': {
@@ -103,7 +115,6 @@ class MOSMSService {
         fonixIntegration: true,
         shortCodes: ['88088'],
         language: 'en',
-        keywords: ['STOP', 'HELP', 'INFO'],
         unifiedUKFlow: true
       }
     };
@@ -111,51 +122,83 @@ class MOSMSService {
   
   /**
    * Process incoming MO SMS per SLA Digital v2.2 specification
+   *
+   * @param {Object} options - { messageId, ipAddress }; a redelivered messageId returns the stored result
    */
-  async processMOSMS(operatorCode, msisdn, messageText, shortCode, timestamp = null) {
+  async processMOSMS(operatorCode, msisdn, messageText, shortCode, timestamp = null, options = {}) {
+    const { messageId = null, ipAddress = null } = options;
+    const sentAt = timestamp ? new Date(timestamp) : null;
+    const record = {
+      operatorCode,
+      msisdn,
+      messageText,
+      shortCode,
+      messageId,
+      ipAddress,
+      timestamp: sentAt && !Number.isNaN(sentAt.getTime()) ? sentAt : new Date()
+    };
+
     try {
       Logger.info('Processing MO SMS', {
         operatorCode,
         msisdn: this.maskMSISDN(msisdn),
         messageText,
-        shortCode
+        shortCode,
+        messageId
       });
       
       // Validate operator supports MO SMS
-      const operatorConfig = this.operatorConfigs[operatorCode];
-      if (!operatorConfig || !operatorConfig.supportsMOSMS) {
+      if (!(await this.isOperatorEnabled(operatorCode))) {
         throw new UnifiedError('MO_SMS_NOT_SUPPORTED', 
           `MO SMS not supported for operator ${operatorCode}`);
       }
       
       // Validate short code
-      if (!operatorConfig.shortCodes.includes(shortCode)) {
+      const shortCodeConfig = await this.resolveShortCode(operatorCode, shortCode);
+      if (!shortCodeConfig) {
         throw new UnifiedError('INVALID_SHORT_CODE', 
           `Invalid short code ${shortCode} for operator ${operatorCode}`);
       }
+
+      // Operators redeliver on timeouts; answer with the first result instead of acting twice
+      const previous = await this.findProcessedMessage(operatorCode, messageId);
+      if (previous) {
+        Logger.info('Duplicate MO SMS ignored', {
+          operatorCode,
+          messageId
+        });
+        return this.toResult(previous, true);
+      }
       
       // Parse and process the message
-      const processedMessage = await this.parseMessage(operatorCode, messageText, operatorConfig);
+      const definitions = await this.getKeywordDefinitions(operatorCode, shortCode);
+      const processedMessage = this.parseMessage(messageText, definitions, shortCodeConfig.language);
       
       // Handle the action based on keyword
       const result = await this.handleMOSMSAction(
         operatorCode, 
         msisdn, 
         processedMessage, 
-        shortCode, 
-        operatorConfig
+        shortCode
       );
+      result.response = this.renderResponse(processedMessage, shortCode, result.response);
       
       // Store MO SMS record for audit trail
       await this.storeMOSMSRecord({
-        operatorCode,
-        msisdn,
-        messageText,
-        shortCode,
+        ...record,
+        keyword: processedMessage.keyword,
         action: processedMessage.action,
-        timestamp: timestamp || new Date().toISOString(),
         response: result.response,
-        processed: true
+        processed: true,
+        success: result.success,
+        cancelledSubscriptions: result.cancelledSubscriptions || 0,
+        errorMessage: result.error || null,
+        metadata: {
+          language: processedMessage.language,
+          keywordId: processedMessage.keywordId,
+          campaign: processedMessage.campaign,
+          matchType: processedMessage.matchType
+        }
       });
       
       Logger.info('MO SMS processed successfully', {
@@ -174,70 +217,199 @@ class MOSMSService {
         error: error.message,
         stack: error.stack
       });
+
+      await this.storeMOSMSRecord({
+        ...record,
+        processed: false,
+        success: false,
+        errorMessage: error.message
+      });
+
       throw error;
     }
   }
+
+  /**
+   * Stored log of an already processed message id
+   */
+  async findProcessedMessage(operatorCode, messageId) {
+    if (!messageId) {
+      return null;
+    }
+
+    const { getModels } = require('../../models');
+    const { MOSMSLog } = getModels();
+
+    return MOSMSLog.findOne({
+      where: { operatorCode, messageId, processed: true }
+    });
+  }
+
+  /**
+   * Rebuild an action result from a stored log
+   */
+  toResult(log, duplicate = false) {
+    return {
+      action: log.action,
+      success: log.success,
+      ...(log.action === 'unsubscribe' ? { cancelledSubscriptions: log.cancelledSubscriptions } : {}),
+      response: log.response,
+      // The reply went out with the first delivery
+      shouldSendSMS: !duplicate,
+      duplicate
+    };
+  }
   
   /**
-   * Parse MO SMS message and determine action
+   * Whether MO SMS are accepted for an operator (built-in or with managed short codes)
    */
-  async parseMessage(operatorCode, messageText, operatorConfig) {
-    const normalizedMessage = messageText.toUpperCase().trim();
-    
-    // Check operator-specific keywords first
-    if (operatorCode === 'telenor-no') {
-      // Norwegian keyword mapping
-      const norwegianKeywords = {
-        'STOPP': 'STOP',
-        'HJELP': 'HELP', 
-        'INFO': 'INFO',
-        'JA': 'YES',
-        'NEI': 'NO',
-        'START': 'START'
-      };
-      
-      const englishKeyword = norwegianKeywords[normalizedMessage];
-      if (englishKeyword && this.keywords[englishKeyword]) {
-        return {
-          originalMessage: messageText,
-          keyword: englishKeyword,
-          action: this.keywords[englishKeyword].action,
-          description: this.keywords[englishKeyword].description,
-          language: 'no'
-        };
-      }
+  async isOperatorEnabled(operatorCode) {
+    if (this.supportsMOSMS(operatorCode)) {
+      return true;
     }
-    
-    // Standard English keywords
-    if (this.keywords[normalizedMessage]) {
+
+    const { getModels } = require('../../models');
+    const { MOShortCode } = getModels();
+
+    return (await MOShortCode.count({ where: { operatorCode, isActive: true } })) > 0;
+  }
+
+  /**
+   * Short code configuration, managed short codes override the built-in ones
+   * @returns {Object|null} { shortCode, language, source: 'managed'|'built_in' }
+   */
+  async resolveShortCode(operatorCode, shortCode) {
+    const { getModels } = require('../../models');
+    const { MOShortCode } = getModels();
+
+    const managed = await MOShortCode.findOne({ where: { operatorCode, shortCode } });
+    if (managed) {
+      return managed.isActive
+        ? { shortCode, language: managed.language, source: 'managed' }
+        : null;
+    }
+
+    const operatorConfig = this.operatorConfigs[operatorCode];
+    if (operatorConfig && operatorConfig.supportsMOSMS && operatorConfig.shortCodes.includes(shortCode)) {
+      return { shortCode, language: operatorConfig.language, source: 'built_in' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Keyword definitions for a short code, in match order:
+   * short code keywords, operator-wide keywords (each by priority), then the built-in keywords
+   */
+  async getKeywordDefinitions(operatorCode, shortCode = null) {
+    const { getModels } = require('../../models');
+    const { MOKeyword } = getModels();
+
+    const managed = await MOKeyword.findAll({
+      where: {
+        operatorCode,
+        isActive: true,
+        [Op.or]: [{ shortCode: null }, ...(shortCode ? [{ shortCode }] : [])]
+      },
+      order: [['priority', 'DESC'], ['created_at', 'ASC']]
+    });
+
+    const specificity = (keyword) => (keyword.shortCode ? 0 : 1);
+    const managedDefinitions = managed
+      .sort((a, b) => specificity(a) - specificity(b))
+      .map(keyword => ({
+        id: keyword.id,
+        keyword: keyword.keyword,
+        aliases: keyword.aliases || [],
+        action: keyword.action,
+        campaign: keyword.campaign,
+        responses: keyword.responses || {},
+        source: 'managed'
+      }));
+
+    return [...managedDefinitions, ...this.getBuiltInDefinitions(operatorCode)];
+  }
+
+  /**
+   * Standard keywords plus the operator's localized spellings
+   */
+  getBuiltInDefinitions(operatorCode) {
+    const localized = this.localizedKeywords[operatorCode] || {};
+
+    return Object.entries(this.keywords).map(([keyword, definition]) => ({
+      id: null,
+      keyword,
+      aliases: Object.keys(localized).filter(alias => localized[alias] === keyword),
+      action: definition.action,
+      description: definition.description,
+      campaign: null,
+      responses: {},
+      source: 'built_in'
+    }));
+  }
+
+  /**
+   * Parse MO SMS message and determine action
+   */
+  parseMessage(messageText, definitions, language) {
+    const match = matchKeyword(messageText, definitions);
+
+    if (!match) {
       return {
         originalMessage: messageText,
-        keyword: normalizedMessage,
-        action: this.keywords[normalizedMessage].action,
-        description: this.keywords[normalizedMessage].description,
-        language: operatorConfig.language
+        keyword: 'UNKNOWN',
+        action: 'unknown_keyword',
+        description: 'Unknown keyword received',
+        language
       };
     }
-    
-    // Unknown keyword
+
+    const { definition } = match;
+
     return {
       originalMessage: messageText,
-      keyword: 'UNKNOWN',
-      action: 'unknown_keyword',
-      description: 'Unknown keyword received',
-      language: operatorConfig.language
+      keyword: definition.keyword,
+      matchedTerm: match.term,
+      matchType: match.matchType,
+      action: definition.action,
+      description: definition.description || `Keyword ${definition.keyword}`,
+      language,
+      keywordId: definition.id,
+      campaign: definition.campaign,
+      responses: definition.responses
     };
   }
+
+  /**
+   * Reply from the keyword's template for the language, or the handler's default reply
+   * Templates may use {keyword}, {shortCode} and {campaign}
+   */
+  renderResponse(processedMessage, shortCode, defaultResponse) {
+    const responses = processedMessage.responses || {};
+    const template = responses[processedMessage.language] || responses['en'];
+
+    if (!template) {
+      return defaultResponse;
+    }
+
+    const values = {
+      keyword: processedMessage.keyword,
+      shortCode,
+      campaign: processedMessage.campaign || ''
+    };
+
+    return template.replace(/\{(keyword|shortCode|campaign)\}/g, (_, name) => values[name]);
+  }
   
   /**
    * Handle MO SMS action based on keyword and operator
    */
-  async handleMOSMSAction(operatorCode, msisdn, processedMessage, shortCode, operatorConfig) {
-    const { action, keyword, language } = processedMessage;
+  async handleMOSMSAction(operatorCode, msisdn, processedMessage, shortCode) {
+    const { action, language, campaign } = processedMessage;
     
     switch (action) {
       case 'unsubscribe':
-        return await this.handleUnsubscribe(operatorCode, msisdn, shortCode, language);
+        return await this.handleUnsubscribe(operatorCode, msisdn, shortCode, language, campaign);
         
       case 'help_request':
         return await this.handleHelpRequest(operatorCode, msisdn, shortCode, language);
@@ -246,7 +418,7 @@ class MOSMSService {
         return await this.handleInfoRequest(operatorCode, msisdn, shortCode, language);
         
       case 'subscribe':
-        return await this.handleSubscribe(operatorCode, msisdn, shortCode, language);
+        return await this.handleSubscribe(operatorCode, msisdn, shortCode, language, campaign);
         
       case 'consent_confirm':
         return await this.handleConsentConfirm(operatorCode, msisdn, shortCode, language);
@@ -254,6 +426,13 @@ class MOSMSService {
       case 'consent_decline':
         return await this.handleConsentDecline(operatorCode, msisdn, shortCode, language);
         
+      case 'custom_reply':
+        return {
+          action: 'custom_reply',
+          success: true,
+          shouldSendSMS: true
+        };
+        
       case 'unknown_keyword':
       default:
         return await this.handleUnknownKeyword(operatorCode, msisdn, shortCode, language);
@@ -261,33 +440,22 @@ class MOSMSService {
   }
   
   /**
-   * Handle STOP/STOPP keyword - Unsubscribe from all services
+   * Handle STOP/STOPP keyword - Unsubscribe from all services (or only the keyword's campaign)
+   * A STOP to the UK shared short code covers all four UK networks (UKAggregatorService)
    */
-  async handleUnsubscribe(operatorCode, msisdn, shortCode, language) {
+  async handleUnsubscribe(operatorCode, msisdn, shortCode, language, campaign = null) {
     try {
-      // Import models dynamically to avoid circular dependencies
-      const { getModels } = require('../../models');
-      const { Subscription } = getModels();
-      
-      // Find and cancel all active subscriptions for this MSISDN
-      const activeSubscriptions = await Subscription.findAll({
-        where: { 
-          msisdn,
-          operatorCode,
-          status: ['active', 'trial', 'grace']
-        }
-      });
-      
-      // Cancel each subscription
-      const cancelPromises = activeSubscriptions.map(sub => 
-        sub.update({ 
-          status: 'cancelled',
-          cancelReason: 'mo_sms_unsubscribe',
-          cancelledAt: new Date()
-        })
-      );
-      
-      await Promise.all(cancelPromises);
+      // Cancel every subscription of this MSISDN on the operator(s) that can still be cancelled
+      const operatorCodes = UKAggregatorService.stopOperators(operatorCode, shortCode);
+      const cancelledIds = [];
+      for (const stopOperatorCode of operatorCodes) {
+        cancelledIds.push(...await this.subscriptionService.cancelByMSISDN(msisdn, stopOperatorCode, {
+          campaign,
+          metadata: { shortCode, receivedVia: operatorCode },
+          source: 'mo_sms',
+          reason: 'mo_sms_unsubscribe'
+        }));
+      }
       
       const responseMessages = {
         'en': 'You have been unsubscribed from all services. No further charges will apply.',
@@ -296,14 +464,16 @@ class MOSMSService {
       
       Logger.info('MO SMS unsubscribe processed', {
         operatorCode,
+        operatorCodes,
         msisdn: this.maskMSISDN(msisdn),
-        cancelledSubscriptions: activeSubscriptions.length
+        campaign,
+        cancelledSubscriptions: cancelledIds.length
       });
       
       return {
         action: 'unsubscribe',
         success: true,
-        cancelledSubscriptions: activeSubscriptions.length,
+        cancelledSubscriptions: cancelledIds.length,
         response: responseMessages[language] || responseMessages['en'],
         shouldSendSMS: true
       };
@@ -362,7 +532,7 @@ class MOSMSService {
   /**
    * Handle START keyword - Subscribe to service (operator specific)
    */
-  async handleSubscribe(operatorCode, msisdn, shortCode, language) {
+  async handleSubscribe(operatorCode, msisdn, shortCode, language, campaign = null) {
     // This would trigger subscription flow - implementation depends on operator
     const responseMessages = {
       'en': `Subscription request received. You will receive a confirmation message shortly.`,
@@ -372,12 +542,14 @@ class MOSMSService {
     Logger.info('MO SMS subscription request', {
       operatorCode,
       msisdn: this.maskMSISDN(msisdn),
-      shortCode
+      shortCode,
+      campaign
     });
     
     return {
       action: 'subscribe',
       success: true,
+      campaign,
       response: responseMessages[language] || responseMessages['en'],
       shouldSendSMS: true,
       requiresFollowUp: true
@@ -451,82 +623,124 @@ class MOSMSService {
   async storeMOSMSRecord(record) {
     try {
       // Store in Redis for fast access (24 hour TTL)
-      if (redisManager) {
+      if (redisManager && redisManager.isAvailable()) {
         const key = `mo_sms:${record.operatorCode}:${record.msisdn}:${Date.now()}`;
-        await redisManager.setex(key, 86400, JSON.stringify(record));
+        await redisManager.set(key, JSON.stringify(record), 86400);
       }
       
       // Store in database for permanent audit trail
       const { getModels } = require('../../models');
       const { MOSMSLog } = getModels();
-      
-      if (MOSMSLog) {
-        await MOSMSLog.create(record);
-      }
+
+      // Only processed messages hold the message id, so a failed attempt can be redelivered
+      return await MOSMSLog.create({
+        ...record,
+        messageId: record.processed ? record.messageId : null,
+        metadata: {
+          ...(record.metadata || {}),
+          ...(record.processed ? {} : { messageId: record.messageId })
+        }
+      });
       
     } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        Logger.info('MO SMS already logged by a concurrent delivery', {
+          operatorCode: record.operatorCode,
+          messageId: record.messageId
+        });
+        return null;
+      }
+
       Logger.warn('Failed to store MO SMS record', {
         operatorCode: record.operatorCode,
         error: error.message
       });
+      return null;
     }
   }
   
   /**
-   * Get MO SMS statistics for operator
+   * Get MO SMS statistics, for one operator or all of them
    */
-  async getMOSMSStatistics(operatorCode, timeframe = '24h') {
-    try {
-      const { getModels } = require('../../models');
-      const { MOSMSLog } = getModels();
-      
-      if (!MOSMSLog) {
-        return { error: 'MO SMS logging not available' };
-      }
-      
-      const timeframMap = {
-        '1h': 1,
-        '24h': 24,
-        '7d': 24 * 7,
-        '30d': 24 * 30
-      };
-      
-      const hours = timeframMap[timeframe] || 24;
-      const since = new Date(Date.now() - (hours * 60 * 60 * 1000));
-      
-      const records = await MOSMSLog.findAll({
-        where: {
-          operatorCode,
-          timestamp: {
-            [require('sequelize').Op.gte]: since
-          }
-        }
-      });
-      
-      // Group by action
-      const actionCounts = {};
-      records.forEach(record => {
-        actionCounts[record.action] = (actionCounts[record.action] || 0) + 1;
-      });
-      
-      return {
-        operatorCode,
-        timeframe,
-        totalMessages: records.length,
-        actionBreakdown: actionCounts,
-        period: {
-          from: since.toISOString(),
-          to: new Date().toISOString()
-        }
-      };
-      
-    } catch (error) {
-      Logger.error('Error getting MO SMS statistics', {
-        operatorCode,
-        error: error.message
-      });
-      return { error: 'Failed to get statistics' };
+  async getMOSMSStatistics(operatorCode = null, timeframe = '24h') {
+    const { getModels } = require('../../models');
+    const { MOSMSLog } = getModels();
+    
+    const timeframeMap = {
+      '1h': 1,
+      '24h': 24,
+      '7d': 24 * 7,
+      '30d': 24 * 30
+    };
+    
+    if (!timeframeMap[timeframe]) {
+      throw new UnifiedError('INVALID_PARAMETERS',
+        `timeframe must be one of ${Object.keys(timeframeMap).join(', ')}`);
+    }
+
+    const since = new Date(Date.now() - (timeframeMap[timeframe] * 60 * 60 * 1000));
+    const where = {
+      timestamp: { [Op.gte]: since }
+    };
+    if (operatorCode) {
+      where.operatorCode = operatorCode;
     }
+
+    const countAs = (alias) => [fn('COUNT', col('id')), alias];
+
+    const [totals, byAction, byShortCode, byOperator] = await Promise.all([
+      MOSMSLog.findOne({
+        where,
+        attributes: [
+          countAs('totalMessages'),
+          [fn('COUNT', fn('DISTINCT', col('msisdn'))), 'uniqueSenders'],
+          [fn('SUM', literal('CASE WHEN processed THEN 0 ELSE 1 END')), 'failedMessages'],
+          [fn('SUM', literal('CASE WHEN processed AND NOT success THEN 1 ELSE 0 END')), 'unsuccessfulActions'],
+          [fn('SUM', col('cancelled_subscriptions')), 'cancelledSubscriptions']
+        ],
+        raw: true
+      }),
+      MOSMSLog.findAll({
+        where,
+        attributes: ['action', countAs('count')],
+        group: [col('action')],
+        raw: true
+      }),
+      MOSMSLog.findAll({
+        where,
+        attributes: ['shortCode', countAs('count')],
+        group: [col('short_code')],
+        raw: true
+      }),
+      MOSMSLog.findAll({
+        where,
+        attributes: ['operatorCode', countAs('count')],
+        group: [col('operator_code')],
+        raw: true
+      })
+    ]);
+
+    const toCounts = (rows, key) => rows.reduce((counts, row) => {
+      counts[row[key] || 'unparsed'] = parseInt(row.count, 10);
+      return counts;
+    }, {});
+
+    return {
+      operatorCode,
+      timeframe,
+      totalMessages: parseInt(totals.totalMessages, 10) || 0,
+      uniqueSenders: parseInt(totals.uniqueSenders, 10) || 0,
+      failedMessages: parseInt(totals.failedMessages, 10) || 0,
+      unsuccessfulActions: parseInt(totals.unsuccessfulActions, 10) || 0,
+      cancelledSubscriptions: parseInt(totals.cancelledSubscriptions, 10) || 0,
+      actionBreakdown: toCounts(byAction, 'action'),
+      shortCodeBreakdown: toCounts(byShortCode, 'shortCode'),
+      operatorBreakdown: toCounts(byOperator, 'operatorCode'),
+      period: {
+        from: since.toISOString(),
+        to: new Date().toISOString()
+      }
+    };
   }
   
   /**
@@ -538,15 +752,15 @@ class MOSMSService {
   }
   
   /**
-   * Get supported keywords for operator
+   * Get supported keywords for operator (managed and built-in, with aliases)
    */
-  getSupportedKeywords(operatorCode) {
-    const config = this.operatorConfigs[operatorCode];
-    if (!config || !config.supportsMOSMS) {
+  async getSupportedKeywords(operatorCode, shortCode = null) {
+    if (!(await this.isOperatorEnabled(operatorCode))) {
       return [];
     }
     
-    return config.keywords || [];
+    const definitions = await this.getKeywordDefinitions(operatorCode, shortCode);
+    return [...new Set(definitions.flatMap(definition => [definition.keyword, ...definition.aliases]))];
   }
   
   /**
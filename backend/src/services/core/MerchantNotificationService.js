@@ -0,0 +1,538 @@
+/**
+ * Merchant Notification Service - Durable Outbound Webhooks
+ *
+ * Queues merchant notifications as Webhook rows and delivers them from a poller,
+ * so pending deliveries survive restarts and are shared between instances.
+ *
+ * FLOW: notify() writes one 'pending' row per subscribed MerchantEndpoint. Each poll
+ * claims due rows with SELECT ... FOR UPDATE SKIP LOCKED and leases them by pushing
+ * next_retry_at forward, then POSTs the signed payload. Failures back off
+ * exponentially (base * 2^(retry-1), capped) and move to 'dead_letter' once
+ * max_retries is used up; admins requeue them through redeliver().
+ *
+ * SIGNING: X-Webhook-Signature is "sha256=" + HMAC-SHA256(secret, "<timestamp>.<body>")
+ * with the Unix timestamp sent in X-Webhook-Timestamp. Merchants should reject stale
+ * timestamps and dedupe on the event id in the body (redeliveries reuse it).
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const Logger = require('../../utils/logger');
+const config = require('../../config');
+const { UnifiedError } = require('../../utils/errors');
+
+const USER_AGENT = 'SLA-Digital-Platform/1.0';
+
+// Statuses an admin may requeue
+const REDELIVERABLE_STATUSES = ['dead_letter', 'failed', 'sent'];
+
+class MerchantNotificationService {
+  constructor() {
+    this.deliveryInterval = null;
+    this.isRunning = false;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+
+    this.stats = {
+      cycles: 0,
+      delivered: 0,
+      retried: 0,
+      deadLettered: 0,
+      lastCycleAt: null
+    };
+  }
+
+  /**
+   * Start the delivery poller
+   */
+  start() {
+    if (!config.merchantNotifications.enabled) {
+      Logger.info('Merchant notification delivery disabled by configuration');
+      return;
+    }
+
+    if (this.deliveryInterval) {
+      Logger.debug('Merchant notification poller already running, skipping duplicate start');
+      return;
+    }
+
+    const interval = config.merchantNotifications.pollInterval * 1000;
+
+    this.deliveryInterval = setInterval(async () => {
+      await this.runCycle();
+    }, interval);
+
+    Logger.info('📬 Merchant notification poller started', {
+      interval: `${interval / 1000}s`,
+      batchSize: config.merchantNotifications.batchSize,
+      instanceId: this.instanceId
+    });
+  }
+
+  /**
+   * Stop the delivery poller
+   */
+  stop() {
+    if (this.deliveryInterval) {
+      clearInterval(this.deliveryInterval);
+      this.deliveryInterval = null;
+      Logger.info('Merchant notification poller stopped', { instanceId: this.instanceId });
+    }
+  }
+
+  /**
+   * Queue an event for every active endpoint of the merchant subscribed to it
+   * Never throws: a notification problem must not fail the business operation
+   *
+   * @param {string} eventType - Webhook event type (e.g. 'charge_success')
+   * @param {Object} data - Event payload
+   * @param {Object} context - { merchant, operatorId, subscriptionId, transactionId, transaction }
+   * @returns {Array} Queued Webhook rows
+   */
+  async notify(eventType, data, context = {}) {
+    const { merchant, operatorId, subscriptionId = null, transactionId = null, transaction = null } = context;
+
+    if (!merchant || !operatorId) {
+      return [];
+    }
+
+    try {
+      const { getModels } = require('../../models');
+      const { MerchantEndpoint, Webhook } = getModels();
+
+      const endpoints = await MerchantEndpoint.findAll({
+        where: { merchant, isActive: true },
+        transaction
+      });
+
+      const subscribed = endpoints.filter(endpoint => endpoint.subscribesTo(eventType));
+      if (subscribed.length === 0) {
+        return [];
+      }
+
+      const event = {
+        id: this.generateEventId(),
+        type: eventType,
+        created_at: new Date().toISOString(),
+        merchant,
+        data
+      };
+
+      const queued = [];
+      for (const endpoint of subscribed) {
+        queued.push(await Webhook.create({
+          merchantEndpointId: endpoint.id,
+          operatorId,
+          subscriptionId,
+          transactionId,
+          eventType,
+          eventData: event,
+          targetUrl: endpoint.url,
+          httpMethod: 'POST',
+          httpHeaders: endpoint.httpHeaders,
+          status: 'pending',
+          maxRetries: config.merchantNotifications.maxRetries,
+          nextRetryAt: new Date(),
+          metadata: { eventId: event.id }
+        }, { transaction }));
+      }
+
+      Logger.debug('Merchant notification queued', {
+        eventType,
+        eventId: event.id,
+        merchant,
+        endpoints: queued.length
+      });
+
+      // Inside a caller's transaction the rows are not visible yet; the poller picks them up
+      if (!transaction) {
+        this.trigger();
+      }
+
+      return queued;
+
+    } catch (error) {
+      Logger.error('Failed to queue merchant notification', {
+        eventType,
+        merchant,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Queue an event about a Transaction, resolving merchant and subscription from it
+   */
+  async notifyTransaction(eventType, transaction, extra = {}) {
+    if (!transaction || !transaction.subscriptionId) {
+      return [];
+    }
+
+    try {
+      const { getModels } = require('../../models');
+      const { Subscription } = getModels();
+
+      const subscription = await Subscription.findByPk(transaction.subscriptionId);
+      if (!subscription) {
+        return [];
+      }
+
+      return this.notify(eventType, {
+        transaction_id: transaction.id,
+        operator_transaction_id: transaction.operatorTransactionId,
+        subscription_id: subscription.id,
+        operator_subscription_id: subscription.operatorSubscriptionId,
+        type: transaction.type,
+        status: transaction.status,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        ...extra
+      }, {
+        merchant: subscription.merchant,
+        operatorId: transaction.operatorId,
+        subscriptionId: subscription.id,
+        transactionId: transaction.id
+      });
+
+    } catch (error) {
+      Logger.error('Failed to queue transaction notification', {
+        eventType,
+        transactionId: transaction.id,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Run a delivery cycle soon without waiting for the next poll
+   */
+  trigger() {
+    if (!this.deliveryInterval) {
+      return;
+    }
+
+    setImmediate(() => {
+      this.runCycle().catch(() => {});
+    });
+  }
+
+  /**
+   * Run one delivery cycle: claim due notifications and deliver each of them
+   */
+  async runCycle() {
+    if (this.isRunning) {
+      Logger.debug('Merchant notification cycle still in progress, skipping tick');
+      return null;
+    }
+
+    this.isRunning = true;
+    const summary = { claimed: 0, delivered: 0, retried: 0, deadLettered: 0 };
+
+    try {
+      const claimed = await this.claimDueDeliveries();
+      summary.claimed = claimed.length;
+
+      for (const webhook of claimed) {
+        const outcome = await this.deliver(webhook);
+        summary[outcome] += 1;
+      }
+
+      this.stats.cycles += 1;
+      this.stats.delivered += summary.delivered;
+      this.stats.retried += summary.retried;
+      this.stats.deadLettered += summary.deadLettered;
+
+      if (summary.claimed > 0) {
+        Logger.info('Merchant notification cycle completed', {
+          ...summary,
+          instanceId: this.instanceId
+        });
+      }
+
+      return summary;
+
+    } catch (error) {
+      Logger.error('Merchant notification cycle failed', {
+        error: error.message,
+        stack: error.stack,
+        instanceId: this.instanceId
+      });
+      return null;
+
+    } finally {
+      this.stats.lastCycleAt = new Date().toISOString();
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Claim a batch of due deliveries for this instance
+   * A crashed instance's claims become due again once the lease runs out.
+   */
+  async claimDueDeliveries() {
+    const { getModels } = require('../../models');
+    const { Webhook } = getModels();
+    const sequelize = Webhook.sequelize;
+
+    const now = new Date();
+    const leaseUntil = new Date(now.getTime() + config.merchantNotifications.leaseSeconds * 1000);
+
+    return sequelize.transaction(async (transaction) => {
+      const due = await Webhook.findAll({
+        where: {
+          merchantEndpointId: { [Op.ne]: null },
+          status: { [Op.in]: ['pending', 'retrying'] },
+          nextRetryAt: { [Op.lte]: now }
+        },
+        order: [['nextRetryAt', 'ASC']],
+        limit: config.merchantNotifications.batchSize,
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+
+      for (const webhook of due) {
+        await webhook.update({ nextRetryAt: leaseUntil }, { transaction });
+      }
+
+      return due;
+    });
+  }
+
+  /**
+   * Deliver a single claimed notification and record the outcome
+   * @returns {string} 'delivered' | 'retried' | 'deadLettered'
+   */
+  async deliver(webhook) {
+    const { getModels } = require('../../models');
+    const { MerchantEndpoint } = getModels();
+
+    const endpoint = await MerchantEndpoint.findByPk(webhook.merchantEndpointId);
+    if (!endpoint || !endpoint.isActive) {
+      await webhook.markAsDeadLetter(endpoint ? 'Merchant endpoint disabled' : 'Merchant endpoint removed');
+      return 'deadLettered';
+    }
+
+    const body = JSON.stringify(webhook.eventData);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attempt = webhook.retryCount + 1;
+    const startTime = Date.now();
+
+    let httpStatus = null;
+    let errorMessage;
+
+    try {
+      const response = await axios.request({
+        method: webhook.httpMethod || 'POST',
+        url: endpoint.url,
+        data: body,
+        timeout: config.webhooks.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: {
+          ...(endpoint.httpHeaders || {}),
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-Webhook-ID': webhook.id,
+          'X-Webhook-Event': webhook.eventType,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${endpoint.sign(timestamp, body)}`,
+          'X-Webhook-Attempt': attempt.toString()
+        }
+      });
+
+      httpStatus = response.status;
+
+      if (httpStatus >= 200 && httpStatus < 300) {
+        await webhook.markAsSent(
+          httpStatus,
+          this.truncate(response.data),
+          response.headers,
+          Date.now() - startTime
+        );
+        await endpoint.update({ lastDeliveryAt: new Date(), consecutiveFailures: 0 });
+        return 'delivered';
+      }
+
+      errorMessage = `Unexpected status code: ${httpStatus}`;
+
+    } catch (error) {
+      errorMessage = error.message;
+    }
+
+    Logger.warn('Merchant notification delivery failed', {
+      webhookId: webhook.id,
+      merchantEndpointId: endpoint.id,
+      eventType: webhook.eventType,
+      attempt,
+      httpStatus,
+      error: errorMessage
+    });
+
+    await endpoint.update({
+      lastFailureAt: new Date(),
+      consecutiveFailures: endpoint.consecutiveFailures + 1
+    });
+
+    await webhook.scheduleRetry(this.getBackoffDelay(webhook.retryCount + 1), errorMessage, httpStatus);
+
+    return webhook.status === 'dead_letter' ? 'deadLettered' : 'retried';
+  }
+
+  /**
+   * Exponential backoff for the n-th retry (1-based), in milliseconds
+   */
+  getBackoffDelay(retryNumber) {
+    const { backoffBaseSeconds, backoffMaxSeconds } = config.merchantNotifications;
+    const seconds = Math.min(backoffBaseSeconds * Math.pow(2, retryNumber - 1), backoffMaxSeconds);
+    return seconds * 1000;
+  }
+
+  /**
+   * Requeue a delivery for immediate redelivery with a fresh retry budget
+   */
+  async redeliver(webhookId, { userId = null, reason = null } = {}) {
+    const { getModels } = require('../../models');
+    const { Webhook } = getModels();
+
+    const webhook = await Webhook.findByPk(webhookId);
+
+    if (!webhook || !webhook.merchantEndpointId) {
+      throw new UnifiedError('RESOURCE_NOT_FOUND', `Merchant notification ${webhookId} not found`);
+    }
+
+    if (!REDELIVERABLE_STATUSES.includes(webhook.status)) {
+      throw new UnifiedError(
+        'WEBHOOK_NOT_REDELIVERABLE',
+        `Notification is ${webhook.status}; only ${REDELIVERABLE_STATUSES.join(', ')} notifications can be redelivered`
+      );
+    }
+
+    const redeliveries = webhook.metadata?.redeliveries || [];
+
+    await webhook.update({
+      status: 'pending',
+      retryCount: 0,
+      nextRetryAt: new Date(),
+      errorMessage: null,
+      metadata: {
+        ...webhook.metadata,
+        redeliveries: [
+          ...redeliveries,
+          {
+            previousStatus: webhook.status,
+            previousRetryCount: webhook.retryCount,
+            requestedBy: userId,
+            reason,
+            requestedAt: new Date().toISOString()
+          }
+        ]
+      }
+    });
+
+    Logger.info('Merchant notification requeued', {
+      webhookId,
+      eventType: webhook.eventType,
+      userId,
+      reason
+    });
+
+    this.trigger();
+
+    return webhook;
+  }
+
+  /**
+   * Requeue dead-lettered deliveries, optionally limited to one endpoint
+   */
+  async redeliverDeadLetters({ merchantEndpointId = null, limit = 100, userId = null, reason = null } = {}) {
+    const { getModels } = require('../../models');
+    const { Webhook } = getModels();
+
+    const where = {
+      status: 'dead_letter',
+      merchantEndpointId: merchantEndpointId || { [Op.ne]: null }
+    };
+
+    const deadLetters = await Webhook.findAll({
+      where,
+      attributes: ['id'],
+      order: [['created_at', 'ASC']],
+      limit
+    });
+
+    const requeued = [];
+    for (const { id } of deadLetters) {
+      await this.redeliver(id, { userId, reason });
+      requeued.push(id);
+    }
+
+    return { requeued: requeued.length, webhookIds: requeued };
+  }
+
+  /**
+   * List merchant deliveries with filtering and pagination
+   */
+  async listDeliveries(filters = {}, pagination = { page: 1, limit: 50 }) {
+    const { getModels } = require('../../models');
+    const { Webhook, MerchantEndpoint } = getModels();
+
+    const where = { merchantEndpointId: { [Op.ne]: null } };
+    if (filters.status) where.status = filters.status;
+    if (filters.eventType) where.eventType = filters.eventType;
+    if (filters.merchantEndpointId) where.merchantEndpointId = filters.merchantEndpointId;
+
+    const { count, rows } = await Webhook.findAndCountAll({
+      where,
+      include: [{
+        model: MerchantEndpoint,
+        as: 'merchantEndpoint',
+        attributes: ['id', 'merchant', 'name', 'url'],
+        paranoid: false,
+        ...(filters.merchant && { where: { merchant: filters.merchant } })
+      }],
+      order: [['created_at', 'DESC']],
+      limit: pagination.limit,
+      offset: (pagination.page - 1) * pagination.limit
+    });
+
+    return { data: rows, total: count };
+  }
+
+  /**
+   * Trim response bodies before storing them
+   */
+  truncate(data, maxLength = 2000) {
+    if (data === undefined || data === null) {
+      return null;
+    }
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return text.length > maxLength ? text.substring(0, maxLength) : text;
+  }
+
+  /**
+   * Generate unique event ID
+   */
+  generateEventId() {
+    return 'evt_' + crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Get poller status
+   */
+  getStatus() {
+    return {
+      enabled: config.merchantNotifications.enabled,
+      active: !!this.deliveryInterval,
+      cycleInProgress: this.isRunning,
+      instanceId: this.instanceId,
+      ...this.stats
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new MerchantNotificationService();
@@ -0,0 +1,376 @@
+/**
+ * Merchant Service
+ *
+ * Merchants and campaigns as the SLA v2.2 API sees them:
+ *
+ * - authenticate(): HTTP Basic credentials issued to registered merchants (slaBasicAuth)
+ * - validateRequest(): checks a request against the campaign it names - the campaign parameter,
+ *   or the campaign of the subscription its uuid (or a refund's transaction_id) refers to. The
+ *   campaign must be active and belong to the merchant (both the merchant parameter and the
+ *   authenticated merchant), the MSISDN must be on the campaign's operator, amounts and currency
+ *   must match its price point, trials must fit its trial days and PIN requests need a PIN consent
+ *   flow. Registered merchants only reach their own subscriptions: a uuid this platform did not
+ *   record for them is not found.
+ *
+ * Unregistered campaigns pass unless campaigns.requireRegistered is set or the caller authenticated
+ * as a registered merchant. Merchants and campaigns are cached per instance for
+ * campaigns.cacheTtlSeconds; admin changes invalidate the cache of the instance that made them.
+ */
+
+const { getModels } = require('../../models');
+const { UnifiedError, ValidationError } = require('../../utils/errors');
+const { isValidEntry } = require('../../utils/ipMatcher');
+const OperatorDetectionService = require('./OperatorDetectionService');
+const NumberingPlanService = require('./NumberingPlanService');
+const Logger = require('../../utils/logger');
+const config = require('../../config');
+
+const { CONFIDENCE } = NumberingPlanService;
+
+// Detections that come from the number itself (not from the campaign name)
+const IDENTIFIER_RULES = ['ported', 'numbering_plan', 'prefix'];
+
+class MerchantService {
+  constructor() {
+    // { merchants: code -> Merchant, credentials: apiUsername -> Merchant, campaigns: code -> Campaign }
+    this.catalog = null;
+    this.catalogLoadedAt = 0;
+    this.cacheTtlMs = config.campaigns.cacheTtlSeconds * 1000;
+  }
+
+  // ===== LOOKUPS =====
+
+  /**
+   * Merchants and campaigns (with their merchant), cached for campaigns.cacheTtlSeconds
+   * Removed campaigns are kept so requests naming them are refused rather than passed as unregistered
+   */
+  async getCatalog() {
+    if (this.catalog && Date.now() - this.catalogLoadedAt < this.cacheTtlMs) {
+      return this.catalog;
+    }
+
+    const { Merchant, Campaign } = getModels();
+    const merchants = await Merchant.findAll();
+    const campaigns = await Campaign.findAll({
+      include: [{ model: Merchant, as: 'merchant', paranoid: false }],
+      paranoid: false
+    });
+
+    this.catalog = {
+      merchants: new Map(merchants.map(merchant => [merchant.code, merchant])),
+      credentials: new Map(merchants.filter(merchant => merchant.apiUsername).map(merchant => [merchant.apiUsername, merchant])),
+      campaigns: new Map(campaigns.filter(campaign => campaign.merchant).map(campaign => [campaign.code, campaign]))
+    };
+    this.catalogLoadedAt = Date.now();
+
+    return this.catalog;
+  }
+
+  /**
+   * Drop the cached merchants and campaigns after they change
+   */
+  invalidate() {
+    this.catalog = null;
+    this.catalogLoadedAt = 0;
+  }
+
+  /**
+   * Registered campaign by code (with its merchant, removed ones included), or null
+   */
+  async getCampaign(code) {
+    if (!code) {
+      return null;
+    }
+
+    return (await this.getCatalog()).campaigns.get(code) || null;
+  }
+
+  // ===== AUTHENTICATION =====
+
+  /**
+   * Check HTTP Basic credentials against the registered merchants
+   * @returns {Object|null} null when no merchant has the username, else { merchant, valid }
+   */
+  async authenticate(username, password) {
+    const merchant = (await this.getCatalog()).credentials.get(username);
+
+    if (!merchant) {
+      return null;
+    }
+
+    return {
+      merchant,
+      valid: merchant.isActive() && merchant.validatePassword(password)
+    };
+  }
+
+  /**
+   * Issue new API credentials; the password is returned once and only its hash is kept
+   * @returns {Object} { username, password }
+   */
+  async issueCredentials(merchant, username = null) {
+    const { Merchant } = getModels();
+    const apiUsername = username || merchant.apiUsername || merchant.code;
+
+    if (!/^[A-Za-z0-9._-]{3,100}$/.test(apiUsername)) {
+      throw new ValidationError('username must be 3-100 letters, digits, dots, dashes or underscores', 'username', apiUsername);
+    }
+
+    const taken = await Merchant.findOne({ where: { apiUsername }, paranoid: false });
+    if (taken && taken.id !== merchant.id) {
+      throw new UnifiedError('DUPLICATE_ENTRY', `API username ${apiUsername} is already in use`);
+    }
+
+    const password = Merchant.generatePassword();
+    await merchant.update({
+      apiUsername,
+      apiPasswordHash: Merchant.hashPassword(password)
+    });
+    this.invalidate();
+
+    Logger.info('Merchant API credentials issued', {
+      merchantId: merchant.id,
+      merchant: merchant.code,
+      username: apiUsername
+    });
+
+    return { username: apiUsername, password };
+  }
+
+  // ===== REQUEST VALIDATION =====
+
+  /**
+   * Validate a /v2.2 request against the campaign it names
+   *
+   * @param {Object} request - { path, query, slaUser } (slaUser.merchant when a registered merchant authenticated)
+   * @returns {Object|null} The registered campaign, or null when the request names none that is registered
+   */
+  async validateRequest({ path, query = {}, slaUser = null }) {
+    const authenticated = slaUser && slaUser.merchant ? slaUser.merchant : null;
+
+    if (authenticated && query.merchant && query.merchant !== authenticated.code) {
+      throw new UnifiedError('CAMPAIGN_MERCHANT_MISMATCH',
+        `Merchant ${query.merchant} does not match the authenticated merchant`);
+    }
+
+    // uuid / transaction_id requests act on an existing subscription, which must be the merchant's own
+    const owned = await this.subscriptionOfRequest(query);
+    const foreign = owned === null
+      ? !!authenticated
+      : !!owned && ((authenticated && owned.merchant !== authenticated.code) ||
+        (query.merchant && owned.merchant !== query.merchant) ||
+        (query.campaign && owned.campaign !== query.campaign));
+
+    if (foreign) {
+      // Not found rather than forbidden: other merchants' uuids are not confirmed to exist
+      throw query.uuid
+        ? new UnifiedError('SUBSCRIPTION_NOT_FOUND', 'Subscription not found')
+        : new UnifiedError('TRANSACTION_NOT_FOUND', 'Transaction not found');
+    }
+
+    const code = query.campaign || (owned && owned.campaign);
+    if (!code) {
+      return null;
+    }
+
+    const campaign = await this.getCampaign(code);
+
+    if (!campaign) {
+      if (authenticated || config.campaigns.requireRegistered) {
+        throw new UnifiedError('CAMPAIGN_NOT_FOUND', `Campaign ${code} is not registered`);
+      }
+
+      Logger.debug('SLA v2.2 request names an unregistered campaign', { path, campaign: code });
+      return null;
+    }
+
+    if ((authenticated && campaign.merchantId !== authenticated.id) ||
+        (query.merchant && campaign.merchant.code !== query.merchant)) {
+      throw new UnifiedError('CAMPAIGN_MERCHANT_MISMATCH', `Campaign ${code} does not belong to this merchant`);
+    }
+
+    if (!campaign.merchant.isActive() || campaign.merchant.deletedAt) {
+      throw new UnifiedError('MERCHANT_SUSPENDED', `Merchant ${campaign.merchant.code} is suspended`);
+    }
+
+    if (!campaign.isActive || campaign.deletedAt) {
+      throw new UnifiedError('CAMPAIGN_INACTIVE', `Campaign ${code} is not active`);
+    }
+
+    if (!campaign.merchant.allowsOperator(campaign.operatorCode)) {
+      throw new UnifiedError('CAMPAIGN_OPERATOR_MISMATCH',
+        `Merchant ${campaign.merchant.code} may not bill on ${campaign.operatorCode}`);
+    }
+
+    await this.checkOperator(campaign, query.acr || query.msisdn);
+    this.checkPrice(campaign, path, query);
+    this.checkConsentFlow(campaign, path, query);
+
+    return campaign;
+  }
+
+  /**
+   * Campaign and merchant of the subscription a uuid-only request (/charge, /subscription/delete)
+   * or a refund's transaction_id refers to
+   * @returns {Object|null|undefined} { campaign, merchant }; null when it is not known here,
+   *                                  undefined when the request names neither
+   */
+  async subscriptionOfRequest({ uuid, transaction_id: transactionId } = {}) {
+    const { Subscription, Transaction } = getModels();
+    const attributes = ['id', 'campaign', 'merchant'];
+
+    if (uuid) {
+      return Subscription.findOne({ where: { operatorSubscriptionId: uuid }, attributes });
+    }
+
+    if (transactionId) {
+      const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(transactionId);
+      const transaction = await Transaction.findOne({
+        where: isUuid ? { id: transactionId } : { operatorTransactionId: transactionId },
+        attributes: ['id', 'subscriptionId'],
+        include: [{ model: Subscription, as: 'subscription', attributes }]
+      });
+      return transaction && transaction.subscription ? transaction.subscription : null;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * The number must be on the campaign's operator (only when the number itself says so reliably)
+   */
+  async checkOperator(campaign, identifier) {
+    if (!identifier || identifier.length === 48) {
+      return;
+    }
+
+    const detection = await OperatorDetectionService.detect(identifier);
+    const reliable = detection && IDENTIFIER_RULES.includes(detection.rule.type) &&
+      [CONFIDENCE.HIGH, CONFIDENCE.MEDIUM].includes(detection.confidence);
+
+    if (reliable && detection.operatorCode !== campaign.operatorCode) {
+      throw new UnifiedError('CAMPAIGN_OPERATOR_MISMATCH',
+        `Campaign ${campaign.code} runs on ${campaign.operatorCode}, the MSISDN is on ${detection.operatorCode}`);
+    }
+  }
+
+  /**
+   * Amounts (except refunds, which may be partial) and currency must match the price point
+   */
+  checkPrice(campaign, path, query) {
+    if (query.currency && String(query.currency).toUpperCase() !== campaign.currency) {
+      throw new UnifiedError('CAMPAIGN_PRICE_MISMATCH', `Campaign ${campaign.code} bills in ${campaign.currency}`);
+    }
+
+    if (query.amount !== undefined && path !== '/refund' && !campaign.matchesPrice(query.amount)) {
+      throw new UnifiedError('CAMPAIGN_PRICE_MISMATCH',
+        `Campaign ${campaign.code} is priced at ${campaign.price} ${campaign.currency}`);
+    }
+  }
+
+  /**
+   * PIN requests and PIN subscriptions need a PIN campaign, checkout sessions a checkout one;
+   * subscriptions need a recurring one
+   */
+  checkConsentFlow(campaign, path, query) {
+    if ((path === '/pin' || (path === '/subscription/create' && query.pin)) && campaign.consentFlow !== 'pin') {
+      throw new UnifiedError('CAMPAIGN_CONSENT_FLOW_MISMATCH',
+        `Campaign ${campaign.code} uses the ${campaign.consentFlow} consent flow, not PIN`);
+    }
+
+    if (path === '/checkout/create' && campaign.consentFlow !== 'checkout') {
+      throw new UnifiedError('CAMPAIGN_CONSENT_FLOW_MISMATCH',
+        `Campaign ${campaign.code} uses the ${campaign.consentFlow} consent flow, not checkout`);
+    }
+
+    if (path !== '/subscription/create' && path !== '/checkout/create') {
+      return;
+    }
+
+    if (campaign.frequency === 'one_off') {
+      throw new UnifiedError('CAMPAIGN_NOT_RECURRING', `Campaign ${campaign.code} only takes one-off charges`);
+    }
+
+    const trialDays = parseInt(query.trial) || 0;
+    if (trialDays > campaign.trialDays) {
+      throw new UnifiedError('CAMPAIGN_TRIAL_NOT_ALLOWED',
+        `Campaign ${campaign.code} allows at most ${campaign.trialDays} trial days`);
+    }
+  }
+
+  // ===== ADMIN VALIDATION =====
+
+  /**
+   * Validate and normalize merchant values
+   */
+  validateMerchant(values) {
+    const merchant = { ...values };
+
+    if (merchant.allowedOperators !== undefined) {
+      if (!Array.isArray(merchant.allowedOperators) || merchant.allowedOperators.some(code => typeof code !== 'string' || !code)) {
+        throw new ValidationError('allowedOperators must be a list of operator codes', 'allowedOperators', merchant.allowedOperators);
+      }
+    }
+
+    if (merchant.ipWhitelist !== undefined) {
+      if (!Array.isArray(merchant.ipWhitelist)) {
+        throw new ValidationError('ipWhitelist must be a list of IP addresses or CIDR ranges', 'ipWhitelist', merchant.ipWhitelist);
+      }
+
+      merchant.ipWhitelist = merchant.ipWhitelist.map(entry => String(entry).trim());
+      const invalid = merchant.ipWhitelist.find(entry => !isValidEntry(entry));
+      if (invalid !== undefined) {
+        throw new ValidationError(`Invalid IP address or CIDR range: ${invalid}`, 'ipWhitelist', invalid);
+      }
+    }
+
+    if (merchant.callbackUrl === '') {
+      merchant.callbackUrl = null;
+    }
+
+    return merchant;
+  }
+
+  /**
+   * Validate and normalize campaign values against its merchant and the known operators
+   */
+  async validateCampaign(values, merchant) {
+    const { Operator, Campaign } = getModels();
+    const campaign = { ...values };
+
+    if (campaign.currency !== undefined) {
+      campaign.currency = String(campaign.currency).toUpperCase();
+    }
+
+    if (campaign.price !== undefined && !(parseFloat(campaign.price) >= 0)) {
+      throw new ValidationError('price must be a number of 0 or more', 'price', campaign.price);
+    }
+
+    if (campaign.trialDays !== undefined && !(Number.isInteger(Number(campaign.trialDays)) && Number(campaign.trialDays) >= 0)) {
+      throw new ValidationError('trialDays must be a whole number of 0 or more', 'trialDays', campaign.trialDays);
+    }
+
+    if (campaign.frequency !== undefined && !Campaign.FREQUENCIES.includes(campaign.frequency)) {
+      throw new ValidationError(`frequency must be one of ${Campaign.FREQUENCIES.join(', ')}`, 'frequency', campaign.frequency);
+    }
+
+    if (campaign.consentFlow !== undefined && !Campaign.CONSENT_FLOWS.includes(campaign.consentFlow)) {
+      throw new ValidationError(`consentFlow must be one of ${Campaign.CONSENT_FLOWS.join(', ')}`, 'consentFlow', campaign.consentFlow);
+    }
+
+    if (campaign.operatorCode !== undefined) {
+      if (!(await Operator.findOne({ where: { code: campaign.operatorCode } }))) {
+        throw new ValidationError(`Unknown operator ${campaign.operatorCode}`, 'operatorCode', campaign.operatorCode);
+      }
+
+      if (!merchant.allowsOperator(campaign.operatorCode)) {
+        throw new ValidationError(`Merchant ${merchant.code} may not bill on ${campaign.operatorCode}`,
+          'operatorCode', campaign.operatorCode);
+      }
+    }
+
+    return campaign;
+  }
+}
+
+module.exports = new MerchantService();
@@ -0,0 +1,344 @@
+/**
+ * Numbering Plan Service
+ *
+ * Resolves MSISDNs to operators from the numbering_plan_ranges table (country code + national
+ * prefix ranges) and the ported_numbers table (MNP overrides), and imports both from CSV.
+ *
+ * Range CSV:  country_code,prefix_from,prefix_to,operator_code[,number_length][,notes]
+ * Ported CSV: msisdn,operator_code[,donor_operator_code][,ported_at]
+ */
+
+const { Op } = require('sequelize');
+const { getModels } = require('../../models');
+const { UnifiedError, ValidationError } = require('../../utils/errors');
+const { parseCSV } = require('../../utils/csv');
+const Logger = require('../../utils/logger');
+const config = require('../../config');
+
+const CONFIDENCE = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low',
+  NONE: 'none'
+};
+
+const RANGE_COLUMNS = ['country_code', 'prefix_from', 'prefix_to', 'operator_code'];
+const PORTED_COLUMNS = ['msisdn', 'operator_code'];
+
+class NumberingPlanService {
+  constructor() {
+    // countryCode -> active ranges, longest prefix first
+    this.plan = null;
+    this.planLoadedAt = 0;
+    this.cacheTtlMs = config.numberingPlan.cacheTtlSeconds * 1000;
+  }
+
+  /**
+   * Digits-only international format (+965 5000-0000, 0096550000000 -> 96550000000)
+   */
+  normalizeMSISDN(msisdn) {
+    if (!msisdn) return '';
+
+    return String(msisdn)
+      .replace(/[\s\-\(\)\.]/g, '')
+      .replace(/^\+/, '')
+      .replace(/^00/, '');
+  }
+
+  /**
+   * Resolve an MSISDN: ported number first, then the most specific numbering-plan range
+   * @returns {Promise<{ operatorCode, confidence, rule }|null>}
+   */
+  async lookup(msisdn) {
+    const digits = this.normalizeMSISDN(msisdn);
+    if (!/^\d+$/.test(digits)) {
+      return null;
+    }
+
+    const { PortedNumber } = getModels();
+    const ported = await PortedNumber.findOne({ where: { msisdn: digits } });
+
+    if (ported) {
+      return {
+        operatorCode: ported.operatorCode,
+        confidence: CONFIDENCE.HIGH,
+        rule: {
+          type: 'ported',
+          id: ported.id,
+          donorOperatorCode: ported.donorOperatorCode,
+          portedAt: ported.portedAt
+        }
+      };
+    }
+
+    const plan = await this.getPlan();
+
+    // Country codes are prefix-free, so at most one of these exists in the plan
+    for (let len = 1; len <= 4; len++) {
+      const countryCode = digits.substring(0, len);
+      const ranges = plan.get(countryCode);
+      if (!ranges) continue;
+
+      const nationalNumber = digits.substring(len);
+      const range = ranges.find(candidate => candidate.covers(nationalNumber));
+      if (!range) return null;
+
+      return {
+        operatorCode: range.operatorCode,
+        // A length-checked range confirms the number is well-formed, not just its prefix
+        confidence: range.numberLength ? CONFIDENCE.HIGH : CONFIDENCE.MEDIUM,
+        rule: {
+          type: 'numbering_plan',
+          id: range.id,
+          countryCode: range.countryCode,
+          prefixFrom: range.prefixFrom,
+          prefixTo: range.prefixTo,
+          numberLength: range.numberLength
+        }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Active ranges by country code, cached for numberingPlan.cacheTtlSeconds
+   */
+  async getPlan() {
+    if (this.plan && Date.now() - this.planLoadedAt < this.cacheTtlMs) {
+      return this.plan;
+    }
+
+    const { NumberingPlanRange } = getModels();
+    const ranges = await NumberingPlanRange.findAll({
+      where: { isActive: true },
+      order: [['countryCode', 'ASC'], ['prefixFrom', 'ASC']]
+    });
+
+    const plan = new Map();
+    for (const range of ranges) {
+      if (!plan.has(range.countryCode)) {
+        plan.set(range.countryCode, []);
+      }
+      plan.get(range.countryCode).push(range);
+    }
+
+    for (const countryRanges of plan.values()) {
+      countryRanges.sort((a, b) => b.prefixFrom.length - a.prefixFrom.length);
+    }
+
+    this.plan = plan;
+    this.planLoadedAt = Date.now();
+
+    Logger.debug('Numbering plan loaded', {
+      countries: plan.size,
+      ranges: ranges.length
+    });
+
+    return plan;
+  }
+
+  /**
+   * Drop the cached plan after ranges change
+   */
+  invalidate() {
+    this.plan = null;
+    this.planLoadedAt = 0;
+  }
+
+  /**
+   * Validate and normalize range values
+   * Ranges of one country and prefix length may not overlap: which operator wins would be arbitrary
+   */
+  async validateRange(values, excludeId = null, transaction = null) {
+    const { NumberingPlanRange } = getModels();
+
+    const countryCode = String(values.countryCode || '').replace(/^\+/, '');
+    if (!/^[1-9]\d{0,3}$/.test(countryCode)) {
+      throw new ValidationError('countryCode must be a 1-4 digit calling code', 'countryCode', values.countryCode);
+    }
+
+    const prefixFrom = String(values.prefixFrom || '');
+    const prefixTo = values.prefixTo ? String(values.prefixTo) : prefixFrom;
+    if (!/^\d{1,10}$/.test(prefixFrom) || !/^\d{1,10}$/.test(prefixTo)) {
+      throw new ValidationError('prefixFrom and prefixTo must be 1-10 digits', 'prefixFrom', values.prefixFrom);
+    }
+    if (prefixFrom.length !== prefixTo.length || prefixFrom > prefixTo) {
+      throw new ValidationError('prefixFrom and prefixTo must have the same length and prefixFrom <= prefixTo', 'prefixTo', prefixTo);
+    }
+
+    const numberLength = values.numberLength ? parseInt(values.numberLength) : null;
+    if (numberLength !== null && (!Number.isInteger(numberLength) || numberLength < prefixFrom.length || numberLength > 14)) {
+      throw new ValidationError('numberLength must be between the prefix length and 14', 'numberLength', values.numberLength);
+    }
+
+    await this.assertOperatorExists(values.operatorCode);
+
+    const range = NumberingPlanRange.build({ ...values, countryCode, prefixFrom, prefixTo, numberLength });
+
+    if (values.isActive !== false) {
+      const siblings = await NumberingPlanRange.findAll({
+        where: {
+          countryCode,
+          isActive: true,
+          ...(excludeId ? { id: { [Op.ne]: excludeId } } : {})
+        },
+        transaction
+      });
+      const conflict = siblings.find(sibling => range.overlaps(sibling));
+
+      if (conflict) {
+        throw new UnifiedError('DUPLICATE_ENTRY',
+          `Range +${countryCode} ${prefixFrom}-${prefixTo} overlaps ${conflict.prefixFrom}-${conflict.prefixTo} (${conflict.operatorCode})`);
+      }
+    }
+
+    return { ...values, countryCode, prefixFrom, prefixTo, numberLength };
+  }
+
+  /**
+   * Validate and normalize ported number values
+   */
+  async validatePortedNumber(values) {
+    const msisdn = this.normalizeMSISDN(values.msisdn);
+    if (!/^[1-9]\d{6,14}$/.test(msisdn)) {
+      throw new ValidationError('msisdn must be an international number', 'msisdn', values.msisdn);
+    }
+
+    await this.assertOperatorExists(values.operatorCode);
+    if (values.donorOperatorCode) {
+      await this.assertOperatorExists(values.donorOperatorCode, 'donorOperatorCode');
+    }
+
+    const portedAt = values.portedAt ? new Date(values.portedAt) : null;
+    if (portedAt && isNaN(portedAt.getTime())) {
+      throw new ValidationError('portedAt must be a date', 'portedAt', values.portedAt);
+    }
+
+    return { ...values, msisdn, portedAt, donorOperatorCode: values.donorOperatorCode || null };
+  }
+
+  /**
+   * Reject operator codes that are not configured
+   */
+  async assertOperatorExists(operatorCode, field = 'operatorCode') {
+    const { Operator } = getModels();
+
+    if (!operatorCode || !(await Operator.findOne({ where: { code: operatorCode } }))) {
+      throw new ValidationError(`Unknown operator ${operatorCode}`, field, operatorCode);
+    }
+  }
+
+  /**
+   * Import ranges from CSV
+   * Each row is validated on its own; invalid rows are reported and skipped.
+   * With replace, every existing range of the countries in the file is removed first.
+   */
+  async importRanges(csv, { replace = false } = {}) {
+    const { headers, rows } = this.parseImport(csv, RANGE_COLUMNS);
+    const { NumberingPlanRange } = getModels();
+
+    const errors = [];
+    let imported = 0;
+
+    await NumberingPlanRange.sequelize.transaction(async (transaction) => {
+      if (replace) {
+        const countryCodes = [...new Set(rows.map(({ values }) => String(values.country_code || '').replace(/^\+/, '')))];
+        await NumberingPlanRange.destroy({ where: { countryCode: countryCodes }, transaction });
+      }
+
+      // Each row gets a savepoint: a failed row rolls back alone instead of aborting the import
+      for (const { line, values } of rows) {
+        try {
+          await NumberingPlanRange.sequelize.transaction({ transaction }, async (savepoint) => {
+            const range = await this.validateRange({
+              countryCode: values.country_code,
+              prefixFrom: values.prefix_from,
+              prefixTo: values.prefix_to,
+              operatorCode: values.operator_code,
+              numberLength: headers.includes('number_length') ? values.number_length : null,
+              notes: values.notes || null,
+              source: 'import'
+            }, null, savepoint);
+
+            await NumberingPlanRange.create(range, { transaction: savepoint });
+          });
+          imported++;
+        } catch (error) {
+          errors.push({ line, message: error.message });
+        }
+      }
+    });
+
+    this.invalidate();
+
+    Logger.info('Numbering plan ranges imported', { imported, rejected: errors.length, replace });
+
+    return { imported, rejected: errors.length, errors };
+  }
+
+  /**
+   * Import ported numbers from CSV (existing entries for the same MSISDN are updated)
+   */
+  async importPortedNumbers(csv) {
+    const { rows } = this.parseImport(csv, PORTED_COLUMNS);
+    const { PortedNumber } = getModels();
+
+    const errors = [];
+    let imported = 0;
+
+    for (const { line, values } of rows) {
+      try {
+        const ported = await this.validatePortedNumber({
+          msisdn: values.msisdn,
+          operatorCode: values.operator_code,
+          donorOperatorCode: values.donor_operator_code,
+          portedAt: values.ported_at,
+          source: 'import'
+        });
+
+        const existing = await PortedNumber.findOne({ where: { msisdn: ported.msisdn } });
+        if (existing) {
+          await existing.update(ported);
+        } else {
+          await PortedNumber.create(ported);
+        }
+        imported++;
+      } catch (error) {
+        errors.push({ line, message: error.message });
+      }
+    }
+
+    Logger.info('Ported numbers imported', { imported, rejected: errors.length });
+
+    return { imported, rejected: errors.length, errors };
+  }
+
+  /**
+   * Parse an import file and check its header
+   */
+  parseImport(csv, requiredColumns) {
+    if (typeof csv !== 'string' || !csv.trim()) {
+      throw new ValidationError('CSV content is required', 'csv');
+    }
+
+    let parsed;
+    try {
+      parsed = parseCSV(csv);
+    } catch (error) {
+      throw new ValidationError(error.message, 'csv');
+    }
+
+    const missing = requiredColumns.filter(column => !parsed.headers.includes(column));
+    if (missing.length > 0) {
+      throw new ValidationError(`CSV header is missing ${missing.join(', ')}`, 'csv');
+    }
+
+    return parsed;
+  }
+}
+
+const numberingPlanService = new NumberingPlanService();
+numberingPlanService.CONFIDENCE = CONFIDENCE;
+
+module.exports = numberingPlanService;
@@ -3,9 +3,15 @@
  * 
  * Central service for determining operator from MSISDN/ACR identifiers.
  * Supports all 26 SLA Digital operators with comprehensive country code mapping.
+ * 
+ * Detection order: ported numbers (MNP) and numbering-plan ranges from the database,
+ * then the built-in prefix map, then the campaign name.
  */
 
 const Logger = require('../../utils/logger');
+const NumberingPlanService = require('./NumberingPlanService');
+
+const { CONFIDENCE } = NumberingPlanService;
 
 class OperatorDetectionService {
   
@@ -13,24 +19,63 @@ class OperatorDetectionService {
    * Determine operator from identifier (MSISDN or ACR)
    */
   static async determineOperator(identifier, campaign = null) {
+    const detection = await OperatorDetectionService.detect(identifier, campaign);
+    return detection.operatorCode;
+  }
+  
+  /**
+   * Detect operator with the confidence of the result and the rule that matched
+   * @returns {Promise<{ operatorCode, confidence: 'high'|'medium'|'low'|'none', rule: { type } }>}
+   */
+  static async detect(identifier, campaign = null) {
     try {
       // ACR is 48 characters - typically Telenor
       if (identifier && identifier.length === 48) {
-        return OperatorDetectionService.determineTelenorOperator(identifier, campaign);
+        return {
+          operatorCode: OperatorDetectionService.determineTelenorOperator(identifier, campaign),
+          confidence: campaign ? CONFIDENCE.MEDIUM : CONFIDENCE.LOW,
+          rule: { type: 'acr', campaign: campaign || null }
+        };
       }
       
       // MSISDN-based operator detection
       const normalizedMSISDN = OperatorDetectionService.normalizeMSISDN(identifier);
-      return OperatorDetectionService.detectFromMSISDN(normalizedMSISDN, campaign);
+      const detection = await OperatorDetectionService.detectFromNumberingPlan(normalizedMSISDN) ||
+        OperatorDetectionService.detectFromMSISDN(normalizedMSISDN);
+      
+      if (detection) {
+        Logger.debug('Operator detected from MSISDN', {
+          ...detection,
+          rule: detection.rule.type,
+          msisdn: normalizedMSISDN.substring(0, 6) + '***'
+        });
+        return detection;
+      }
       
     } catch (error) {
       Logger.warn('Operator detection failed', {
         identifier: identifier ? identifier.substring(0, 6) + '***' : 'unknown',
         error: error.message
       });
-      
-      // Fallback to campaign-based detection
-      return OperatorDetectionService.detectFromCampaign(campaign);
+    }
+    
+    // Fallback to campaign-based detection
+    return OperatorDetectionService.detectFromCampaignRule(campaign);
+  }
+  
+  /**
+   * Detect operator from the numbering-plan database (ported numbers, prefix ranges)
+   * Returns null when no entry matches or the database is unavailable
+   */
+  static async detectFromNumberingPlan(normalizedMSISDN) {
+    try {
+      return await NumberingPlanService.lookup(normalizedMSISDN);
+    } catch (error) {
+      Logger.warn('Numbering plan lookup failed, using built-in prefixes', {
+        msisdn: normalizedMSISDN.substring(0, 6) + '***',
+        error: error.message
+      });
+      return null;
     }
   }
   
@@ -70,9 +115,10 @@ class OperatorDetectionService {
   }
   
   /**
-   * Detect operator from MSISDN with comprehensive country code mapping
+   * Detect operator from MSISDN with the built-in country code mapping
+   * Returns null when the country code is not mapped
    */
-  static detectFromMSISDN(normalizedMSISDN, campaign) {
+  static detectFromMSISDN(normalizedMSISDN) {
     const operatorMappings = {
       // ===== MIDDLE EAST =====
       
@@ -235,34 +281,42 @@ class OperatorDetectionService {
     for (const [countryCode, prefixMap] of Object.entries(operatorMappings)) {
       if (normalizedMSISDN.startsWith(countryCode)) {
         const remainingNumber = normalizedMSISDN.substring(countryCode.length);
+        const countryOperators = new Set(Object.values(prefixMap));
         
         // Try different prefix lengths (3, 2, 1 digits)
         for (let len = 3; len >= 1; len--) {
           const prefix = remainingNumber.substring(0, len);
           if (prefixMap[prefix]) {
-            Logger.debug('Operator detected from MSISDN', {
-              countryCode,
-              prefix,
-              operator: prefixMap[prefix],
-              msisdn: normalizedMSISDN.substring(0, 6) + '***'
-            });
-            return prefixMap[prefix];
+            return {
+              operatorCode: prefixMap[prefix],
+              // Prefixes shared by several operators of a country are only a guess
+              confidence: countryOperators.size === 1 ? CONFIDENCE.MEDIUM : CONFIDENCE.LOW,
+              rule: { type: 'prefix', countryCode, prefix }
+            };
           }
         }
         
         // Return first operator for country if no specific prefix match
-        const defaultOperator = Object.values(prefixMap)[0];
-        Logger.debug('Using default operator for country', {
-          countryCode,
-          operator: defaultOperator,
-          msisdn: normalizedMSISDN.substring(0, 6) + '***'
-        });
-        return defaultOperator;
+        return {
+          operatorCode: Object.values(prefixMap)[0],
+          confidence: CONFIDENCE.LOW,
+          rule: { type: 'country_default', countryCode }
+        };
       }
     }
     
-    // No country code match - try campaign-based detection
-    return OperatorDetectionService.detectFromCampaign(campaign);
+    return null;
+  }
+  
+  /**
+   * Campaign-based detection result
+   */
+  static detectFromCampaignRule(campaign) {
+    return {
+      operatorCode: OperatorDetectionService.detectFromCampaign(campaign),
+      confidence: campaign ? CONFIDENCE.LOW : CONFIDENCE.NONE,
+      rule: { type: campaign ? 'campaign' : 'default', campaign: campaign || null }
+    };
   }
   
   /**
@@ -8,9 +8,13 @@
  * STATUS: 92.3% SLA Digital operator documentation compliance (24/26 operators)
  */
 
+const os = require('os');
 const Logger = require('../../utils/logger');
 const { UnifiedError } = require('../../utils/errors');
+const config = require('../../config');
+const crypto = require('crypto');
 const EventEmitter = require('events');
+const CircuitBreakerService = require('./CircuitBreakerService');
 
 // Redis import with fallback handling
 let redisManager = null;
@@ -38,6 +42,10 @@ class OperatorManager extends EventEmitter {
     
     this.operators = new Map();
     this.adapterCache = new Map();
+    this.reloadLocks = new Map();
+    this.reloadSubscribed = false;
+    this.reloadSubscribeRetry = null;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
     this.healthCheckInterval = null;
     this._initialized = false;
     this._isInitializing = false;
@@ -115,6 +123,9 @@ class OperatorManager extends EventEmitter {
       // 🔧 START HEALTH MONITORING ONLY ONCE
       this.startHealthMonitoring();
       
+      // Listen for reload requests from other instances
+      await this.subscribeToReloads();
+      
       Logger.info('✅ OperatorManager singleton initialized successfully', {
         operatorCount: operators.length,
         operators: operators.map(op => op.code),
@@ -138,28 +149,14 @@ class OperatorManager extends EventEmitter {
    */
   async registerOperator(operator) {
     try {
-      // Dynamic adapter loading based on operator code
-      const AdapterClass = this.getAdapterClass(operator.code);
+      const entry = this.buildOperatorEntry(operator);
       
-      if (!AdapterClass) {
+      if (!entry) {
         Logger.warn(`No adapter found for operator ${operator.code}`);
         return false;
       }
       
-      const adapter = new AdapterClass({
-        ...operator.config,
-        credentials: operator.credentials,
-        environment: operator.environment,
-        operatorCode: operator.code
-      });
-      
-      this.operators.set(operator.code, {
-        operator,
-        adapter,
-        enabled: operator.enabled,
-        lastHealthCheck: null,
-        healthScore: operator.healthScore
-      });
+      this.operators.set(operator.code, entry);
       
       Logger.info(`Operator ${operator.code} registered successfully`);
       return true;
@@ -174,10 +171,584 @@ class OperatorManager extends EventEmitter {
     }
   }
   
+  /**
+   * Build the in-memory registry entry for an operator row
+   * Operators with Operator.config.routing get one adapter per variant
+   * Returns null when no adapter class is available
+   */
+  buildOperatorEntry(operator, previous = null) {
+    const routing = this.buildRouting(operator);
+    const adapter = routing ? routing.variants.get(routing.primary) : this.buildAdapter(operator);
+    
+    if (!adapter) {
+      return null;
+    }
+    
+    return {
+      operator,
+      adapter,
+      routing,
+      enabled: operator.enabled,
+      lastHealthCheck: previous?.lastHealthCheck || null,
+      healthScore: operator.healthScore
+    };
+  }
+  
+  /**
+   * Build an adapter instance from an operator row
+   * Returns null when no adapter class is available
+   */
+  buildAdapter(operator, AdapterOverride = null, extraConfig = {}) {
+    // Dynamic adapter loading - declarative definition or hand-coded class
+    const { AdapterClass, definition } = AdapterOverride
+      ? { AdapterClass: AdapterOverride, definition: null }
+      : this.resolveAdapter(operator);
+    
+    if (!AdapterClass) {
+      return null;
+    }
+    
+    return new AdapterClass({
+      ...operator.config,
+      ...(definition ? { definition } : {}),
+      ...extraConfig,
+      credentials: operator.credentials,
+      environment: operator.environment,
+      operatorCode: operator.code
+    });
+  }
+  
+  /**
+   * Adapter variants for operators with more than one implementation
+   * 'declarative' is available to any operator with an adapter definition
+   */
+  getAdapterVariants(operatorCode) {
+    const axiata = {
+      axiata: () => require('../../adapters/axiata-lk/AxiataAdapter'),
+      dialog: () => require('../../adapters/axiata-lk/AxiataDialogAdapter')
+    };
+    const viettel = {
+      viettel: () => require('../../adapters/viettel-mz/ViettelAdapter'),
+      movitel: () => require('../../adapters/viettel-mz/MovitelAdapter')
+    };
+    const zainSaudi = {
+      'zain-sa': () => require('../../adapters/zain-sa/ZainSAAdapter'),
+      'zain-ksa': () => require('../../adapters/zain-ksa/ZainKSAAdapter')
+    };
+    const mobilySaudi = {
+      'mobily-sa': () => require('../../adapters/mobily-sa/MobilySAAdapter'),
+      'mobily-ksa': () => require('../../adapters/mobily-ksa/MobilyKSAAdapter')
+    };
+    
+    const variantMappings = {
+      'axiata-lk': axiata,
+      'dialog-lk': axiata,
+      'viettel-mz': viettel,
+      'movitel-mz': viettel,
+      'zain-sa': zainSaudi,
+      'zain-ksa': zainSaudi,
+      'mobily-sa': mobilySaudi,
+      'mobily-ksa': mobilySaudi
+    };
+    
+    return {
+      ...(variantMappings[operatorCode] || {}),
+      declarative: () => require('../../adapters/declarative/DeclarativeAdapter')
+    };
+  }
+  
+  /**
+   * Build routing state from Operator.config.routing
+   * 
+   * {
+   *   "primary": "axiata",
+   *   "variants": { "axiata": { "weight": 90 }, "dialog": { "weight": 10 } },
+   *   "rules": [{ "campaign": "camp-1", "variant": "dialog" }, { "merchant": "m-9", "variant": "dialog" }],
+   *   "failover": { "secondary": "dialog", "minHealthScore": 0.5 }
+   * }
+   */
+  buildRouting(operator) {
+    const routingConfig = operator.config?.routing;
+    
+    if (!routingConfig || !routingConfig.variants || Object.keys(routingConfig.variants).length === 0) {
+      return null;
+    }
+    
+    const available = this.getAdapterVariants(operator.code);
+    const variants = new Map();
+    
+    for (const name of Object.keys(routingConfig.variants)) {
+      const loader = available[name];
+      
+      if (!loader) {
+        throw new UnifiedError('INVALID_ROUTING_CONFIG', 
+          `Unknown adapter variant '${name}' for operator ${operator.code}`);
+      }
+      
+      const AdapterClass = loader();
+      const extraConfig = { circuitKey: `${operator.code}@${name}` };
+      
+      if (name === 'declarative') {
+        extraConfig.definition = AdapterClass.resolveDefinition(operator.code, operator.config);
+        if (!extraConfig.definition) {
+          throw new UnifiedError('INVALID_ROUTING_CONFIG', 
+            `Variant 'declarative' needs an adapter definition for operator ${operator.code}`);
+        }
+      }
+      
+      variants.set(name, this.buildAdapter(operator, AdapterClass, extraConfig));
+    }
+    
+    const primary = routingConfig.primary || Object.keys(routingConfig.variants)[0];
+    const secondary = routingConfig.failover?.secondary || null;
+    
+    if (!variants.has(primary) || (secondary && !variants.has(secondary))) {
+      throw new UnifiedError('INVALID_ROUTING_CONFIG', 
+        `Primary and secondary variants must be listed in routing.variants for operator ${operator.code}`);
+    }
+    
+    return {
+      primary,
+      secondary,
+      variants,
+      weights: Object.entries(routingConfig.variants)
+        .map(([name, settings]) => ({ variant: name, weight: Math.max(0, Number(settings?.weight) || 0) })),
+      rules: Array.isArray(routingConfig.rules) ? routingConfig.rules : [],
+      minHealthScore: routingConfig.failover?.minHealthScore ?? 0.5,
+      variantHealth: {}
+    };
+  }
+  
+  /**
+   * Pick the adapter variant for a request
+   * 
+   * Order: campaign/merchant rule, then weighted split (sticky per subscriber when
+   * a stickyKey is given), then failover when the pick's circuit is open or its
+   * health score is below the threshold.
+   * 
+   * stickyKey is the subscriber's MSISDN or ACR - never a uuid or transaction id - so the
+   * PIN, subscription, charge and delete calls of one subscriber land on the same variant.
+   * 
+   * @param {Object} context - { campaign, merchant, stickyKey, operation }
+   * @returns {Object} { adapter, variant, reason }
+   */
+  selectAdapter(operatorCode, context = {}) {
+    const operatorData = this.operators.get(operatorCode);
+    const routing = operatorData?.routing;
+    
+    if (!routing) {
+      return { adapter: operatorData?.adapter || null, variant: null, reason: 'default' };
+    }
+    
+    let variant;
+    let reason;
+    
+    const rule = routing.rules.find(candidate =>
+      (candidate.campaign || candidate.merchant) &&
+      (!candidate.campaign || candidate.campaign === context.campaign) &&
+      (!candidate.merchant || candidate.merchant === context.merchant) &&
+      routing.variants.has(candidate.variant)
+    );
+    
+    if (rule) {
+      variant = rule.variant;
+      reason = 'rule';
+    } else {
+      variant = this.pickWeightedVariant(routing, context.stickyKey);
+      reason = 'weight';
+    }
+    
+    if (!this.isVariantHealthy(routing, variant, context.operation)) {
+      const fallback = [routing.secondary, routing.primary, ...routing.variants.keys()]
+        .find(name => name && name !== variant && this.isVariantHealthy(routing, name, context.operation));
+      
+      if (fallback) {
+        Logger.warn(`Routing ${operatorCode} traffic from ${variant} to ${fallback}`, {
+          operatorCode,
+          from: variant,
+          to: fallback,
+          operation: context.operation
+        });
+        variant = fallback;
+        reason = 'failover';
+      }
+    }
+    
+    return { adapter: routing.variants.get(variant), variant, reason };
+  }
+  
+  /**
+   * Weighted variant choice - the same subscriber always lands on the same variant
+   */
+  pickWeightedVariant(routing, stickyKey = null) {
+    const total = routing.weights.reduce((sum, entry) => sum + entry.weight, 0);
+    
+    if (total <= 0) {
+      return routing.primary;
+    }
+    
+    const key = this.normalizeStickyKey(stickyKey);
+    const point = key
+      ? parseInt(crypto.createHash('md5').update(key).digest('hex').substring(0, 8), 16) % total
+      : Math.random() * total;
+    
+    let cumulative = 0;
+    for (const entry of routing.weights) {
+      cumulative += entry.weight;
+      if (point < cumulative) {
+        return entry.variant;
+      }
+    }
+    
+    return routing.primary;
+  }
+  
+  /**
+   * Sticky key of a subscriber: MSISDN digits (+965 5000 0000 and 96550000000 agree) or the ACR as-is
+   */
+  normalizeStickyKey(identifier) {
+    if (!identifier) {
+      return null;
+    }
+    
+    const value = String(identifier).trim();
+    return value.length === 48 ? value : (value.replace(/\D/g, '') || null);
+  }
+  
+  /**
+   * Routing context of a uuid-only request from its local subscription:
+   * { stickyKey (the subscriber's MSISDN), campaign, merchant } - empty when not tracked locally
+   */
+  async getSubscriptionRoutingContext(uuid) {
+    if (!uuid) {
+      return {};
+    }
+    
+    try {
+      const { getModels } = require('../../models');
+      const { Subscription } = getModels();
+      
+      const subscription = await Subscription.findOne({
+        where: { operatorSubscriptionId: uuid },
+        attributes: ['id', 'msisdn', 'campaign', 'merchant']
+      });
+      
+      return subscription
+        ? { stickyKey: subscription.msisdn, campaign: subscription.campaign, merchant: subscription.merchant }
+        : {};
+    } catch (error) {
+      Logger.warn('Routing context of subscription unavailable', { uuid, error: error.message });
+      return {};
+    }
+  }
+  
+  /**
+   * A variant is healthy when its circuit is not open and its last health score is above the threshold
+   */
+  isVariantHealthy(routing, variant, operation = null) {
+    const adapter = routing.variants.get(variant);
+    
+    if (!adapter) {
+      return false;
+    }
+    
+    if (CircuitBreakerService.isOpen(adapter.circuitKey, operation)) {
+      return false;
+    }
+    
+    const health = routing.variantHealth[variant];
+    return !health || health.healthScore >= routing.minHealthScore;
+  }
+  
+  /**
+   * Routing configuration and live variant health (admin view)
+   */
+  getRoutingStatus(operatorCode) {
+    const routing = this.operators.get(operatorCode)?.routing;
+    
+    if (!routing) {
+      return null;
+    }
+    
+    return {
+      primary: routing.primary,
+      secondary: routing.secondary,
+      weights: routing.weights,
+      rules: routing.rules,
+      minHealthScore: routing.minHealthScore,
+      variants: Array.from(routing.variants.entries()).map(([name, adapter]) => ({
+        variant: name,
+        adapter: adapter.constructor.name,
+        healthy: this.isVariantHealthy(routing, name),
+        healthScore: routing.variantHealth[name]?.healthScore ?? null,
+        lastHealthCheck: routing.variantHealth[name]?.lastHealthCheck || null,
+        inFlight: adapter.inFlight
+      }))
+    };
+  }
+  
+  /**
+   * Reload one operator's adapter from its database row without a restart
+   * 
+   * Reloads of the same operator are serialized. The replacement adapter is built
+   * before anything changes, so a broken config leaves the running adapter in place.
+   * 
+   * @param {string} operatorCode - Operator to reload
+   * @param {Object} options - { userId, reason, source, broadcast, audit }
+   */
+  async reloadOperator(operatorCode, options = {}) {
+    const previous = this.reloadLocks.get(operatorCode) || Promise.resolve();
+    const reload = previous
+      .catch(() => {})
+      .then(() => this._performReload(operatorCode, options));
+    
+    this.reloadLocks.set(operatorCode, reload);
+    
+    try {
+      return await reload;
+    } finally {
+      if (this.reloadLocks.get(operatorCode) === reload) {
+        this.reloadLocks.delete(operatorCode);
+      }
+    }
+  }
+  
+  /**
+   * Swap the adapter, drain the old one, audit and broadcast
+   */
+  async _performReload(operatorCode, options) {
+    const {
+      userId = null,
+      reason = null,
+      source = 'admin',
+      broadcast = true,
+      audit = true
+    } = options;
+    
+    try {
+      const { getModels } = require('../../models');
+      const { Operator, AuditLog } = getModels();
+      
+      const operator = await Operator.findOne({ where: { code: operatorCode } });
+      
+      if (!operator) {
+        throw new UnifiedError('OPERATOR_NOT_FOUND', 
+          `Operator ${operatorCode} not found`);
+      }
+      
+      const current = this.operators.get(operatorCode);
+      const oldAdapter = current?.adapter || null;
+      const oldAdapters = new Set([oldAdapter, ...(current?.routing ? current.routing.variants.values() : [])]);
+      oldAdapters.delete(null);
+      const active = operator.status === 'active';
+      
+      let entry = null;
+      if (active) {
+        try {
+          entry = this.buildOperatorEntry(operator, current);
+        } catch (buildError) {
+          throw new UnifiedError('OPERATOR_RELOAD_FAILED', 
+            `Failed to build adapter for ${operatorCode}: ${buildError.message}`, buildError);
+        }
+        
+        if (!entry) {
+          throw new UnifiedError('OPERATOR_RELOAD_FAILED', 
+            `No adapter found for operator ${operatorCode}`);
+        }
+      }
+      const adapter = entry?.adapter || null;
+      
+      // Atomic swap - new requests get the new adapter, in-flight calls keep the old reference
+      if (entry) {
+        this.operators.set(operatorCode, entry);
+      } else {
+        // Same rule as initialization: only active operators are registered
+        this.operators.delete(operatorCode);
+      }
+      this.adapterCache.delete(operatorCode);
+      
+      await this.safeRedisOperation('set', `operator:${operatorCode}:enabled`, operator.enabled, 300);
+      
+      const retired = Array.from(oldAdapters);
+      const inFlightAtSwap = retired.reduce((sum, old) => sum + (old.inFlight || 0), 0);
+      const drainResults = await Promise.all(retired.map(old =>
+        typeof old.drain === 'function' ? old.drain(config.operatorReload.drainTimeoutMs) : true
+      ));
+      const drained = drainResults.every(Boolean);
+      
+      if (!drained) {
+        Logger.warn(`Old adapter for ${operatorCode} still had calls in flight after drain timeout`, {
+          operatorCode,
+          remaining: retired.reduce((sum, old) => sum + (old.inFlight || 0), 0),
+          drainTimeoutMs: config.operatorReload.drainTimeoutMs
+        });
+      }
+      
+      const result = {
+        operatorCode,
+        registered: !!adapter,
+        adapter: adapter ? adapter.constructor.name : null,
+        routedVariants: entry?.routing ? Array.from(entry.routing.variants.keys()) : null,
+        previousAdapter: oldAdapter ? oldAdapter.constructor.name : null,
+        enabled: operator.enabled,
+        inFlightAtSwap,
+        drained,
+        instanceId: this.instanceId,
+        reloadedAt: new Date().toISOString()
+      };
+      
+      if (audit) {
+        await AuditLog.logOperatorAction(
+          userId,
+          operator.id,
+          'update',
+          `Operator ${operatorCode} adapter reloaded`,
+          { adapter: result.previousAdapter, config: current?.operator?.config || null },
+          { adapter: result.adapter, config: operator.config },
+          {
+            reason,
+            source,
+            instanceId: this.instanceId,
+            credentialsChanged: JSON.stringify(current?.operator?.credentials || {}) !== JSON.stringify(operator.credentials || {}),
+            inFlightAtSwap,
+            drained
+          }
+        );
+      }
+      
+      if (broadcast && redisManager) {
+        await redisManager.publish(config.operatorReload.channel, JSON.stringify({
+          operatorCode,
+          origin: this.instanceId,
+          userId,
+          reason,
+          requestedAt: result.reloadedAt
+        }));
+      }
+      
+      this.emit('operator:reloaded', { ...result, userId, reason, source });
+      
+      Logger.info(`Operator ${operatorCode} reloaded`, { ...result, source });
+      
+      return result;
+      
+    } catch (error) {
+      Logger.error(`Failed to reload operator ${operatorCode}`, {
+        operatorCode,
+        userId,
+        source,
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+  
+  /**
+   * Subscribe to the reload channel
+   * Without Redis (or when subscribing fails) it is retried every operatorReload.subscribeRetryMs
+   * until Redis is back; an established subscription is restored by the Redis client itself
+   */
+  async subscribeToReloads() {
+    if (this.reloadSubscribed) {
+      return;
+    }
+    
+    if (redisManager && redisManager.isAvailable()) {
+      this.reloadSubscribed = await redisManager.subscribe(
+        config.operatorReload.channel,
+        (message) => this.handleReloadMessage(message)
+      );
+    }
+    
+    if (this.reloadSubscribed) {
+      if (this.reloadSubscribeRetry) {
+        clearInterval(this.reloadSubscribeRetry);
+        this.reloadSubscribeRetry = null;
+        Logger.info('Operator reload channel subscribed after Redis became available', {
+          channel: config.operatorReload.channel
+        });
+      }
+      return;
+    }
+    
+    if (!this.reloadSubscribeRetry) {
+      Logger.warn('Redis not available - operator reloads will only apply to the instance that receives them until the reload channel is subscribed', {
+        retryInMs: config.operatorReload.subscribeRetryMs
+      });
+      
+      this.reloadSubscribeRetry = setInterval(() => {
+        this.subscribeToReloads().catch(error => {
+          Logger.error('Operator reload channel subscription failed', { error: error.message });
+        });
+      }, config.operatorReload.subscribeRetryMs);
+      this.reloadSubscribeRetry.unref();
+    }
+  }
+  
+  /**
+   * Handle a reload request published on Redis
+   * Messages from another instance were already audited there; external publishers are audited here
+   */
+  async handleReloadMessage(message) {
+    let payload;
+    try {
+      payload = JSON.parse(message);
+    } catch (error) {
+      Logger.warn('Ignoring malformed operator reload message', { message });
+      return;
+    }
+    
+    if (!payload.operatorCode || payload.origin === this.instanceId) {
+      return;
+    }
+    
+    try {
+      await this.reloadOperator(payload.operatorCode, {
+        userId: payload.userId || null,
+        reason: payload.reason || null,
+        source: 'pubsub',
+        broadcast: false,
+        audit: !payload.origin
+      });
+    } catch (error) {
+      // Already logged by _performReload
+    }
+  }
+  
+  /**
+   * Pick the adapter for an operator
+   * 
+   * A declarative definition is used when Operator.config asks for it
+   * (config.adapter === 'declarative' or an inline config.definition), or when
+   * no hand-coded adapter exists for the code. Hand-coded adapters otherwise win.
+   */
+  resolveAdapter(operator) {
+    const operatorConfig = operator.config || {};
+    const handCodedClass = this.getAdapterClass(operator.code, false);
+    const wantsDeclarative = operatorConfig.adapter === 'declarative' || !!operatorConfig.definition;
+    
+    if (wantsDeclarative || !handCodedClass) {
+      const DeclarativeAdapter = require('../../adapters/declarative/DeclarativeAdapter');
+      const definition = DeclarativeAdapter.resolveDefinition(operator.code, operatorConfig);
+      
+      if (definition) {
+        return { AdapterClass: DeclarativeAdapter, definition };
+      }
+      
+      if (wantsDeclarative) {
+        Logger.warn(`No adapter definition found for ${operator.code}, falling back to hand-coded adapter`);
+      }
+    }
+    
+    return { AdapterClass: handCodedClass || this.getAdapterClass(operator.code) };
+  }
+  
   /**
    * Get adapter class for operator code - 24/26 SLA Digital operators implemented
+   * Pass useGenericFallback = false to get null for codes without a dedicated adapter
    */
-  getAdapterClass(operatorCode) {
+  getAdapterClass(operatorCode, useGenericFallback = true) {
     const adapterMappings = {
       // ===== INDIVIDUAL ADAPTERS (13) - ✅ COMPLETE =====
       
@@ -251,6 +822,10 @@ class OperatorManager extends EventEmitter {
       }
     }
     
+    if (!useGenericFallback) {
+      return null;
+    }
+    
     // Fallback to generic adapter
     try {
       return adapterMappings.generic();
@@ -483,8 +1058,10 @@ class OperatorManager extends EventEmitter {
   
   /**
    * Get operator adapter
+   * Routed operators pick a variant per call - context: { campaign, merchant, stickyKey, operation },
+   * stickyKey being the subscriber's MSISDN or ACR
    */
-  getOperatorAdapter(operatorCode) {
+  getOperatorAdapter(operatorCode, context = {}) {
     const operatorData = this.operators.get(operatorCode);
     
     if (!operatorData) {
@@ -497,9 +1074,28 @@ class OperatorManager extends EventEmitter {
         `Operator ${operatorCode} is currently disabled`);
     }
     
+    if (operatorData.routing) {
+      return this.selectAdapter(operatorCode, context).adapter;
+    }
+    
     return operatorData.adapter;
   }
   
+  /**
+   * Get the Operator row (registered copy first, then the database)
+   */
+  async getOperator(operatorCode) {
+    const operatorData = this.operators.get(operatorCode);
+    if (operatorData) {
+      return operatorData.operator;
+    }
+    
+    const { getModels } = require('../../models');
+    const { Operator } = getModels();
+    
+    return Operator.findOne({ where: { code: operatorCode } });
+  }
+  
   /**
    * Get all operator statuses
    */
@@ -601,19 +1197,35 @@ class OperatorManager extends EventEmitter {
       // Perform a simple health check (eligibility check with dummy number)
       const testMSISDN = operatorData.operator.config.healthCheckMSISDN || '1234567890';
       
+      // Routed operators: score every variant so routing can fail over between them
+      if (operatorData.routing) {
+        for (const [variant, variantAdapter] of operatorData.routing.variants) {
+          const variantStart = Date.now();
+          let variantScore;
+          try {
+            await variantAdapter.checkEligibility(testMSISDN);
+            variantScore = this.scoreResponseTime(Date.now() - variantStart);
+          } catch (variantError) {
+            variantScore = 0.1;
+          }
+          operatorData.routing.variantHealth[variant] = {
+            healthScore: variantScore,
+            lastHealthCheck: new Date()
+          };
+        }
+        
+        // The operator's own score follows its primary variant
+        const primaryHealth = operatorData.routing.variantHealth[operatorData.routing.primary];
+        await this.updateOperatorHealth(operatorCode, primaryHealth.healthScore);
+        return;
+      }
+      
       try {
         await operatorData.adapter.checkEligibility(testMSISDN);
         const responseTime = Date.now() - startTime;
         
         // Update health score based on response time
-        let healthScore = 1.0;
-        if (responseTime > 10000) { // > 10 seconds
-          healthScore = 0.3;
-        } else if (responseTime > 5000) { // > 5 seconds
-          healthScore = 0.7;
-        } else if (responseTime > 2000) { // > 2 seconds
-          healthScore = 0.9;
-        }
+        const healthScore = this.scoreResponseTime(responseTime);
         
         await this.updateOperatorHealth(operatorCode, healthScore);
         
@@ -642,6 +1254,20 @@ class OperatorManager extends EventEmitter {
     }
   }
   
+  /**
+   * Health score for a health check response time
+   */
+  scoreResponseTime(responseTime) {
+    if (responseTime > 10000) { // > 10 seconds
+      return 0.3;
+    } else if (responseTime > 5000) { // > 5 seconds
+      return 0.7;
+    } else if (responseTime > 2000) { // > 2 seconds
+      return 0.9;
+    }
+    return 1.0;
+  }
+  
   /**
    * Update operator health score
    */
@@ -808,6 +1434,17 @@ class OperatorManager extends EventEmitter {
    */
   async cleanup() {
     this.stopHealthMonitoring();
+    
+    if (this.reloadSubscribeRetry) {
+      clearInterval(this.reloadSubscribeRetry);
+      this.reloadSubscribeRetry = null;
+    }
+    
+    if (this.reloadSubscribed && redisManager) {
+      await redisManager.unsubscribe(config.operatorReload.channel);
+      this.reloadSubscribed = false;
+    }
+    
     this.operators.clear();
     this.adapterCache.clear();
     this.removeAllListeners();
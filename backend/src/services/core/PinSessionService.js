@@ -0,0 +1,432 @@
+/**
+ * PIN Session Service
+ *
+ * Our side of the OTP/PIN lifecycle, shared by /api/v1/otp/* and /v2.2/pin (+ PIN
+ * verification on /v2.2/subscription/create). The operator still generates and checks
+ * the PIN; this service decides whether a request may reach the operator at all:
+ *
+ * - one session per msisdn + campaign, expiring with the PIN
+ * - resends need resendCooldownSeconds since the last PIN and at most maxResends per session
+ * - every verification attempt is counted before the operator is asked; reaching
+ *   maxAttempts wrong PINs (or asking for too many resends) locks the msisdn + campaign
+ *   for lockoutSeconds
+ * - lockouts and requests made while locked are recorded in AuditLog as fraud signals
+ *
+ * Settings live in Operator.config.pin (Operator.config.pinLength is still read for the length):
+ *   { length: 5, expirySeconds: 120, languages: ['en', 'ar'], maxAttempts: 3,
+ *     resendCooldownSeconds: 60, maxResends: 3, lockoutSeconds: 900 }
+ *
+ * Without Redis PINs are still sent, but verification is refused (PIN_ATTEMPTS_UNVERIFIABLE):
+ * guesses could not be limited.
+ */
+
+const Logger = require('../../utils/logger');
+const { UnifiedError } = require('../../utils/errors');
+const config = require('../../config');
+
+// Redis import with fallback handling
+let redisManager = null;
+try {
+  const redisConfig = require('../../config/redis');
+  redisManager = redisConfig.redisManager;
+} catch (error) {
+  Logger.warn('Redis not available, PIN sessions will not be tracked', {
+    error: error.message
+  });
+}
+
+// Adapter errors that mean the subscriber entered a wrong or stale PIN
+const WRONG_PIN_CODES = ['INVALID_PIN', 'PIN_EXPIRED', 'PIN_MISMATCH', 'WRONG_PIN'];
+
+class PinSessionService {
+  constructor() {
+    this.keyPrefix = 'pin';
+  }
+
+  /**
+   * Resolve the PIN settings for an operator, falling back to global defaults
+   */
+  getSettings(operator) {
+    const operatorConfig = (operator && operator.config) || {};
+    const overrides = operatorConfig.pin || {};
+    const defaults = config.pin;
+
+    return {
+      length: overrides.length || operatorConfig.pinLength || defaults.length,
+      expirySeconds: overrides.expirySeconds || defaults.expirySeconds,
+      languages: Array.isArray(overrides.languages) && overrides.languages.length > 0
+        ? overrides.languages
+        : defaults.languages,
+      maxAttempts: overrides.maxAttempts || defaults.maxAttempts,
+      resendCooldownSeconds: Number.isInteger(overrides.resendCooldownSeconds)
+        ? overrides.resendCooldownSeconds
+        : defaults.resendCooldownSeconds,
+      maxResends: Number.isInteger(overrides.maxResends) ? overrides.maxResends : defaults.maxResends,
+      lockoutSeconds: overrides.lockoutSeconds || defaults.lockoutSeconds
+    };
+  }
+
+  /**
+   * Send a PIN through `send` unless the msisdn + campaign is locked or resending too early
+   *
+   * @param {Object} operator - Operator instance (settings, audit)
+   * @param {Object} request - { msisdn, campaign, language, ipAddress, userAgent }
+   * @param {Function} send - async () => adapter result, only called when allowed
+   * @returns {Object} { result, session } with session: { pinLength, expiresIn, expiresAt,
+   *                   attemptsRemaining, resendsRemaining, resendAvailableAt }
+   * @throws {UnifiedError} PIN_LOCKED, PIN_RESEND_COOLDOWN or INVALID_PARAMETERS (language)
+   */
+  async issue(operator, request, send) {
+    const settings = this.getSettings(operator);
+    const scope = this.buildScope(request);
+
+    if (request.language && !settings.languages.includes(request.language)) {
+      throw new UnifiedError('INVALID_PARAMETERS',
+        `Language ${request.language} is not supported for PINs on ${operator.code} (supported: ${settings.languages.join(', ')})`);
+    }
+
+    await this.assertNotLocked(operator, scope, request, 'generate');
+
+    const existing = await this.getSession(scope);
+    const now = Date.now();
+
+    if (existing) {
+      const cooldownEndsAt = existing.lastSentAt + settings.resendCooldownSeconds * 1000;
+      if (now < cooldownEndsAt) {
+        const retryAfter = Math.ceil((cooldownEndsAt - now) / 1000);
+        await this.recordSignal(operator, 'pin_resend_throttled', request, { retryAfter }, scope);
+        throw Object.assign(
+          new UnifiedError('PIN_RESEND_COOLDOWN', `A new PIN can be requested in ${retryAfter} seconds`),
+          { retryAfter }
+        );
+      }
+
+      if (existing.resends >= settings.maxResends) {
+        await this.lock(operator, scope, settings, request, 'resends', { resends: existing.resends });
+        throw this.lockedError(settings.lockoutSeconds);
+      }
+    }
+
+    const result = await send();
+
+    const session = {
+      operatorCode: operator.code,
+      createdAt: existing ? existing.createdAt : now,
+      lastSentAt: now,
+      expiresAt: now + settings.expirySeconds * 1000,
+      resends: existing ? existing.resends + 1 : 0,
+      language: request.language || null
+    };
+    await this.saveSession(scope, session, settings);
+
+    const attempts = await this.getAttempts(scope);
+
+    return {
+      result,
+      session: {
+        pinLength: settings.length,
+        expiresIn: settings.expirySeconds,
+        expiresAt: new Date(session.expiresAt).toISOString(),
+        attemptsRemaining: Math.max(settings.maxAttempts - attempts, 0),
+        resendsRemaining: Math.max(settings.maxResends - session.resends, 0),
+        resendAvailableAt: new Date(now + settings.resendCooldownSeconds * 1000).toISOString()
+      }
+    };
+  }
+
+  /**
+   * Check a PIN through `verify` unless the msisdn + campaign is locked
+   * The attempt is counted before the operator is asked, so parallel guesses are limited too.
+   *
+   * @param {Object} operator - Operator instance (settings, audit)
+   * @param {Object} request - { msisdn, campaign, pin, ipAddress, userAgent }
+   * @param {Function} verify - async () => adapter result ({ success } or throws)
+   * @returns {Object} { result, verified, attemptsRemaining }
+   * @throws {UnifiedError} INVALID_PIN_FORMAT, PIN_LOCKED, PIN_EXPIRED, PIN_ATTEMPTS_UNVERIFIABLE
+   *   (attempts cannot be counted), or the adapter error
+   */
+  async verify(operator, request, verify) {
+    const settings = this.getSettings(operator);
+    const scope = this.buildScope(request);
+
+    if (!new RegExp(`^\\d{${settings.length}}$`).test(String(request.pin || ''))) {
+      throw new UnifiedError('INVALID_PIN_FORMAT', `PIN must be ${settings.length} digits for ${operator.code}`);
+    }
+
+    await this.assertNotLocked(operator, scope, request, 'verify');
+
+    // PINs we sent expire with the session; PINs sent elsewhere are left to the operator
+    const session = await this.getSession(scope);
+    if (session && Date.now() > session.expiresAt) {
+      throw new UnifiedError('PIN_EXPIRED', 'PIN has expired - request a new one');
+    }
+
+    const attempts = await this.countAttempt(scope, settings);
+    if (attempts === null) {
+      Logger.error('PIN attempts cannot be counted, verification refused', {
+        operatorCode: operator.code,
+        campaign: request.campaign
+      });
+      throw new UnifiedError('PIN_ATTEMPTS_UNVERIFIABLE', 'PIN cannot be verified right now - please try again');
+    }
+
+    if (attempts > settings.maxAttempts) {
+      await this.lock(operator, scope, settings, request, 'attempts', { attempts });
+      throw this.lockedError(settings.lockoutSeconds);
+    }
+
+    let result;
+    try {
+      result = await verify();
+    } catch (error) {
+      if (WRONG_PIN_CODES.includes(error.code)) {
+        await this.afterFailedAttempt(operator, scope, settings, request, attempts);
+      } else {
+        // The operator never judged the PIN (timeout, outage): give the attempt back
+        await redisManager.incrBy(this.redisKey('attempts', scope), -1);
+      }
+      throw error;
+    }
+
+    const verified = !result || result.success !== false;
+
+    if (verified) {
+      await this.clear(scope);
+      return { result, verified, attemptsRemaining: settings.maxAttempts };
+    }
+
+    await this.afterFailedAttempt(operator, scope, settings, request, attempts);
+
+    return {
+      result,
+      verified,
+      attemptsRemaining: Math.max(settings.maxAttempts - attempts, 0)
+    };
+  }
+
+  /**
+   * Lock right away when the last allowed attempt was wrong
+   */
+  async afterFailedAttempt(operator, scope, settings, request, attempts) {
+    if (attempts >= settings.maxAttempts) {
+      await this.lock(operator, scope, settings, request, 'attempts', { attempts });
+    }
+  }
+
+  /**
+   * Throw PIN_LOCKED (and record the request) while a lockout is active
+   */
+  async assertNotLocked(operator, scope, request, operation) {
+    const lockedUntil = await this.getLockedUntil(scope);
+
+    if (lockedUntil) {
+      const retryAfter = Math.max(Math.ceil((lockedUntil - Date.now()) / 1000), 1);
+      await this.recordSignal(operator, 'pin_request_while_locked', request, { operation, retryAfter }, scope);
+      throw this.lockedError(retryAfter);
+    }
+  }
+
+  /**
+   * Lock the msisdn + campaign and drop its session
+   */
+  async lock(operator, scope, settings, request, reason, details = {}) {
+    if (!this.isTracking()) {
+      return;
+    }
+
+    const lockedUntil = Date.now() + settings.lockoutSeconds * 1000;
+    await redisManager.set(this.redisKey('lock', scope), String(lockedUntil), settings.lockoutSeconds);
+    await this.clear(scope);
+
+    Logger.warn('PIN lockout', {
+      operatorCode: operator.code,
+      msisdn: this.maskMSISDN(request.msisdn),
+      campaign: request.campaign,
+      reason,
+      lockoutSeconds: settings.lockoutSeconds
+    });
+
+    await this.recordSignal(operator, 'pin_lockout', request, {
+      ...details,
+      reason,
+      lockedUntil: new Date(lockedUntil).toISOString()
+    });
+  }
+
+  /**
+   * Lift a lockout and forget the session (support / admin use)
+   */
+  async unlock(msisdn, campaign) {
+    const scope = this.buildScope({ msisdn, campaign });
+
+    if (!this.isTracking()) {
+      return false;
+    }
+
+    const wasLocked = await redisManager.del(this.redisKey('lock', scope));
+    await this.clear(scope);
+    return wasLocked;
+  }
+
+  /**
+   * Current state for an msisdn + campaign
+   */
+  async getStatus(operator, msisdn, campaign) {
+    const settings = this.getSettings(operator);
+    const scope = this.buildScope({ msisdn, campaign });
+    const [session, attempts, lockedUntil] = await Promise.all([
+      this.getSession(scope),
+      this.getAttempts(scope),
+      this.getLockedUntil(scope)
+    ]);
+
+    return {
+      tracking: this.isTracking(),
+      locked: !!lockedUntil,
+      lockedUntil: lockedUntil ? new Date(lockedUntil).toISOString() : null,
+      session: session ? {
+        expiresAt: new Date(session.expiresAt).toISOString(),
+        resends: session.resends,
+        attempts
+      } : null,
+      settings
+    };
+  }
+
+  // ===== STORAGE =====
+
+  isTracking() {
+    return !!redisManager && redisManager.isAvailable();
+  }
+
+  async getSession(scope) {
+    if (!this.isTracking()) {
+      return null;
+    }
+
+    const value = await redisManager.get(this.redisKey('session', scope));
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Sessions outlive the PIN until the resend cooldown is over, so an expired PIN still
+   * counts towards maxResends
+   */
+  async saveSession(scope, session, settings) {
+    if (!this.isTracking()) {
+      return;
+    }
+
+    const ttl = Math.max(settings.expirySeconds, settings.resendCooldownSeconds);
+    await redisManager.set(this.redisKey('session', scope), JSON.stringify(session), ttl);
+    await redisManager.expire(this.redisKey('attempts', scope), ttl);
+  }
+
+  /**
+   * Count one verification attempt; returns the attempt number (null when it cannot be counted)
+   */
+  async countAttempt(scope, settings) {
+    if (!this.isTracking()) {
+      return null;
+    }
+
+    const key = this.redisKey('attempts', scope);
+    const attempts = await redisManager.incr(key);
+    if (attempts === 1) {
+      await redisManager.expire(key, Math.max(settings.expirySeconds, settings.resendCooldownSeconds));
+    }
+    return attempts;
+  }
+
+  async getAttempts(scope) {
+    if (!this.isTracking()) {
+      return 0;
+    }
+
+    return parseInt(await redisManager.get(this.redisKey('attempts', scope))) || 0;
+  }
+
+  async getLockedUntil(scope) {
+    if (!this.isTracking()) {
+      return null;
+    }
+
+    const value = await redisManager.get(this.redisKey('lock', scope));
+    return value ? parseInt(value) : null;
+  }
+
+  async clear(scope) {
+    if (!this.isTracking()) {
+      return;
+    }
+
+    await redisManager.del(this.redisKey('session', scope));
+    await redisManager.del(this.redisKey('attempts', scope));
+  }
+
+  /**
+   * msisdn + campaign, with the msisdn reduced to digits so +965 5... and 9655... match
+   */
+  buildScope({ msisdn, campaign }) {
+    return `${String(msisdn || '').replace(/\D/g, '') || msisdn}:${campaign || 'none'}`;
+  }
+
+  redisKey(type, scope) {
+    return `${this.keyPrefix}:${type}:${scope}`;
+  }
+
+  // ===== FRAUD SIGNALS =====
+
+  /**
+   * Record a fraud signal in AuditLog (never fails the request)
+   * Repeated signals for one scope (a script hammering a locked number) are recorded
+   * once per config.pin.signalIntervalSeconds
+   */
+  async recordSignal(operator, signal, request, details = {}, throttleScope = null) {
+    try {
+      if (throttleScope && this.isTracking()) {
+        const first = await redisManager.setNX(this.redisKey(`signal:${signal}`, throttleScope), '1',
+          config.pin.signalIntervalSeconds);
+        if (!first) {
+          return;
+        }
+      }
+
+      const { getModels } = require('../../models');
+      const { AuditLog } = getModels();
+
+      await AuditLog.logFraudSignal(signal, `PIN ${signal.replace(/^pin_/, '').replace(/_/g, ' ')} for ${operator.code}`,
+        request.ipAddress, request.userAgent, operator.id || null, {
+          ...details,
+          operatorCode: operator.code,
+          msisdn: this.maskMSISDN(request.msisdn),
+          campaign: request.campaign
+        });
+    } catch (error) {
+      Logger.error('Failed to record PIN fraud signal', {
+        signal,
+        operatorCode: operator.code,
+        error: error.message
+      });
+    }
+  }
+
+  lockedError(retryAfter) {
+    return Object.assign(
+      new UnifiedError('PIN_LOCKED', `Too many PIN requests - try again in ${retryAfter} seconds`),
+      { retryAfter }
+    );
+  }
+
+  maskMSISDN(msisdn) {
+    if (!msisdn || msisdn.length < 4) {
+      return '***';
+    }
+    return msisdn.substring(0, 3) + '***' + msisdn.substring(msisdn.length - 2);
+  }
+}
+
+const pinSessionService = new PinSessionService();
+pinSessionService.WRONG_PIN_CODES = WRONG_PIN_CODES;
+
+module.exports = pinSessionService;
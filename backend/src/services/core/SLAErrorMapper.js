@@ -68,6 +68,9 @@ class SLAErrorMapper {
       'AUTHENTICATION_FAILED': { category: 'Authorization', code: '1002', message: 'Authentication failed' },
       'RATE_LIMIT_EXCEEDED': { category: 'Authorization', code: '1003', message: 'Rate limit exceeded' },
       'IP_NOT_WHITELISTED': { category: 'Authorization', code: '1003', message: 'IP address not whitelisted for this account' },
+      'CAMPAIGN_MERCHANT_MISMATCH': { category: 'Authorization', code: '1002', message: 'Campaign does not belong to this merchant' },
+      'MERCHANT_SUSPENDED': { category: 'Authorization', code: '1002', message: 'Merchant account is suspended' },
+      'MERCHANT_REQUIRED': { category: 'Authorization', code: '1002', message: 'A merchant account is required for this request' },
       
       // ===== REQUEST ERRORS (2001-2052) =====
       'MISSING_PARAMETER': { category: 'Request', code: '2001', message: 'Missing required parameter' },
@@ -76,6 +79,15 @@ class SLAErrorMapper {
       'INVALID_AMOUNT': { category: 'Request', code: '2001', message: 'Invalid amount: must be a positive number' },
       'INVALID_CURRENCY': { category: 'Request', code: '2001', message: 'Invalid currency: must be 3-letter ISO 4217 code' },
       'PARAMETER_IN_BODY': { category: 'Request', code: '2001', message: 'Parameters must be passed in URL query string, not request body' },
+      'CAMPAIGN_NOT_FOUND': { category: 'Request', code: '2001', message: 'Campaign is not registered' },
+      'CAMPAIGN_INACTIVE': { category: 'Request', code: '2001', message: 'Campaign is not active' },
+      'CAMPAIGN_OPERATOR_MISMATCH': { category: 'Request', code: '2001', message: 'Campaign does not run on this operator' },
+      'CAMPAIGN_PRICE_MISMATCH': { category: 'Request', code: '2001', message: 'Amount or currency does not match the campaign price point' },
+      'INVALID_RETURN_URL': { category: 'Request', code: '2001', message: 'Invalid return_url: must be an absolute http(s) URL' },
+      'CHECKOUT_TOKEN_INVALID': { category: 'Request', code: '2001', message: 'Invalid checkout token' },
+      'CAMPAIGN_CONSENT_FLOW_MISMATCH': { category: 'Request', code: '2001', message: 'Campaign does not use this consent flow' },
+      'CAMPAIGN_NOT_RECURRING': { category: 'Request', code: '2001', message: 'Campaign only takes one-off charges' },
+      'CAMPAIGN_TRIAL_NOT_ALLOWED': { category: 'Request', code: '2001', message: 'Requested trial exceeds the campaign trial days' },
       
       // Specific parameter errors
       'DAILY_LIMIT_EXCEEDED': { category: 'Service', code: '2014', message: 'Daily spending limit exceeded' },
@@ -83,15 +95,23 @@ class SLAErrorMapper {
       'SUBSCRIPTION_SUSPENDED': { category: 'Service', code: '2016', message: 'Subscription is suspended' },
       'SUBSCRIPTION_CANCELLED': { category: 'Service', code: '2017', message: 'Subscription has been cancelled' },
       'MONTHLY_LIMIT_EXCEEDED': { category: 'Service', code: '2018', message: 'Monthly spending limit exceeded' },
+      'WEEKLY_LIMIT_EXCEEDED': { category: 'Service', code: '2014', message: 'Weekly spending limit exceeded' },
       
       // Subscription specific errors
       'WEEKLY_SUBSCRIPTION_LIMIT': { category: 'Service', code: '2032', message: 'Weekly subscription limit exceeded' },
       'SUBSCRIPTION_EXISTS': { category: 'Service', code: '2032', message: 'Customer already has an active subscription' },
       'MAX_SUBSCRIPTIONS_REACHED': { category: 'Service', code: '2033', message: 'Maximum number of subscriptions reached' },
+      'SUBSCRIPTION_COOLDOWN': { category: 'Service', code: '2032', message: 'Customer subscribed too recently' },
+      'INVALID_STATUS_TRANSITION': { category: 'Request', code: '2001', message: 'Subscription status does not allow this operation' },
       
       // Not found errors
       'SUBSCRIPTION_NOT_FOUND': { category: 'Request', code: '2052', message: 'Subscription not found' },
       'TRANSACTION_NOT_FOUND': { category: 'Request', code: '2052', message: 'Transaction not found' },
+      'CHECKOUT_SESSION_NOT_FOUND': { category: 'Request', code: '2052', message: 'Checkout session not found' },
+      
+      // Idempotency errors (Idempotency-Key header / correlator reuse)
+      'DUPLICATE_REQUEST_IN_PROGRESS': { category: 'Request', code: '2001', message: 'A request with this idempotency key is already being processed' },
+      'IDEMPOTENCY_KEY_MISMATCH': { category: 'Request', code: '2001', message: 'Idempotency key was already used with different parameters' },
       
       // ===== PIN API ERRORS (3001-3004) =====
       'INVALID_ACR': { category: 'Request', code: '3001', message: 'Invalid ACR format: must be 48 alphanumeric characters' },
@@ -104,15 +124,24 @@ class SLAErrorMapper {
       'INVALID_PIN_FORMAT': { category: 'Request', code: '4001', message: 'Invalid PIN format: must be 4-6 digits' },
       'PIN_EXPIRED': { category: 'Request', code: '4002', message: 'PIN has expired' },
       'PIN_ATTEMPTS_EXCEEDED': { category: 'Request', code: '4003', message: 'Maximum PIN attempts exceeded' },
+      'PIN_LOCKED': { category: 'Request', code: '4003', message: 'Maximum PIN attempts exceeded - try again later' },
+      'PIN_RESEND_COOLDOWN': { category: 'Authorization', code: '1003', message: 'PIN requested too soon - wait before requesting a new one' },
       'FRAUD_TOKEN_INVALID': { category: 'Security', code: '4003', message: 'Invalid fraud token' },
+      'FRAUD_BLOCKED': { category: 'Security', code: '4003', message: 'Request blocked by fraud screening' },
+      'FRAUD_CHALLENGE_REQUIRED': { category: 'Security', code: '4003', message: 'Additional verification required: use the PIN flow or supply a fraud token' },
       
       // ===== SERVICE ERRORS (5001-5005) =====
       'UNKNOWN_ERROR': { category: 'Server', code: '5001', message: 'Internal server error' },
+      'SPEND_LIMIT_UNVERIFIABLE': { category: 'Server', code: '5001', message: 'Spend limits could not be checked - please try again' },
+      'PIN_ATTEMPTS_UNVERIFIABLE': { category: 'Server', code: '5001', message: 'PIN could not be verified - please try again' },
+      'SUBSCRIPTION_RULES_UNAVAILABLE': { category: 'Server', code: '5001', message: 'Subscription limits could not be checked - please try again' },
       'OPERATOR_DISABLED': { category: 'Service', code: '5002', message: 'Operator is currently unavailable' },
       'OPERATOR_NOT_FOUND': { category: 'Service', code: '5002', message: 'Operator not supported' },
       'FEATURE_NOT_SUPPORTED': { category: 'Service', code: '5002', message: 'Feature not supported by this operator' },
       'CHARGING_NOT_AVAILABLE': { category: 'Service', code: '5002', message: 'Direct charging not available - use checkout flow' },
       'PIN_NOT_SUPPORTED': { category: 'Service', code: '5002', message: 'PIN generation not supported - use checkout flow' },
+      'CHECKOUT_NOT_SUPPORTED': { category: 'Service', code: '5002', message: 'Hosted checkout not supported by this operator' },
+      'CHECKOUT_NOT_CONFIGURED': { category: 'Service', code: '5002', message: 'Hosted checkout is not available' },
       'REFUND_NOT_SUPPORTED': { category: 'Service', code: '5002', message: 'Refunds not supported by this operator' },
       
       'SMS_SENDING_FAILED': { category: 'Service', code: '5003', message: 'SMS sending failed' },
@@ -134,6 +163,7 @@ class SLAErrorMapper {
       
       // UK operators specific
       'UK_FONIX_ERROR': { category: 'Service', code: '5002', message: 'Fonix checkout integration error' },
+      'UK_NETWORK_UNDETECTED': { category: 'Service', code: '5002', message: 'UK network could not be detected' },
       'UK_UNIFIED_FLOW_ERROR': { category: 'Service', code: '5002', message: 'UK unified flow error' },
       
       // Eligibility specific
@@ -144,7 +174,8 @@ class SLAErrorMapper {
       // Network specific
       'NETWORK_TIMEOUT': { category: 'Service', code: '5001', message: 'Network timeout - please try again' },
       'NETWORK_ERROR': { category: 'Service', code: '5001', message: 'Network communication error' },
-      'DOWNSTREAM_ERROR': { category: 'Service', code: '5001', message: 'Downstream system error' }
+      'DOWNSTREAM_ERROR': { category: 'Service', code: '5001', message: 'Downstream system error' },
+      'CIRCUIT_OPEN': { category: 'Service', code: '5001', message: 'Operator temporarily unavailable - please try again later' }
     };
     
     // Try exact match first
@@ -232,6 +263,11 @@ class SLAErrorMapper {
         enhancedMessage += ` (attempted: ${context.amount})`;
       }
       
+      // Name the subscriptions a subscription rule conflicts with
+      if (originalError.conflictingSubscriptions && originalError.conflictingSubscriptions.length > 0) {
+        enhancedMessage += ` (conflicting subscriptions: ${originalError.conflictingSubscriptions.join(', ')})`;
+      }
+      
       // Add currency context
       if (context.currency && baseMessage.includes('currency')) {
         enhancedMessage += ` Expected format: ${context.currency}`;
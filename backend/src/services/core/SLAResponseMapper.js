@@ -49,7 +49,7 @@ class SLAResponseMapper {
   /**
    * Map subscription status response to SLA Digital v2.2 format
    */
-  static mapSubscriptionStatusResponse(unifiedResponse, operatorCode) {
+  static mapSubscriptionStatusResponse(unifiedResponse, operatorCode, extras = {}) {
     const data = unifiedResponse.data || unifiedResponse;
     
     return {
@@ -76,10 +76,39 @@ class SLAResponseMapper {
       grace_period_end: data.gracePeriodEnd,
       suspension_reason: data.suspensionReason,
       
+      // Stable subscriber id when looked up by MSISDN/ACR
+      ...(extras.subscriberId ? { subscriber_id: extras.subscriberId } : {}),
+      
       operator_code: operatorCode
     };
   }
   
+  /**
+   * Map a locally tracked subscription (latest lookup) to SLA Digital v2.2 format
+   */
+  static mapLatestSubscriptionResponse(subscription, operatorCode, subscriberId = null) {
+    const isAcr = subscription.msisdn && subscription.msisdn.length === 48;
+    
+    return {
+      ...SLAResponseMapper.mapSubscriptionStatusResponse({
+        uuid: subscription.operatorSubscriptionId,
+        status: subscription.status,
+        msisdn: isAcr ? undefined : subscription.msisdn,
+        acr: isAcr ? subscription.msisdn : undefined,
+        amount: subscription.amount,
+        currency: subscription.currency,
+        frequency: subscription.frequency,
+        nextBillingDate: subscription.nextPaymentAt,
+        lastPayment: subscription.lastPaymentAt,
+        createdAt: subscription.created_at,
+        failedPayments: subscription.failedPayments,
+        totalCharged: subscription.totalPaid
+      }, operatorCode, { subscriberId }),
+      campaign: subscription.campaign,
+      merchant: subscription.merchant
+    };
+  }
+  
   /**
    * Map charge response to SLA Digital v2.2 format
    */
@@ -220,6 +249,35 @@ class SLAResponseMapper {
     };
   }
   
+  /**
+   * Map checkout session to SLA Digital v2.2 format
+   * token and checkout_url are only returned when the session is created
+   */
+  static mapCheckoutSessionResponse(session, extras = {}) {
+    return {
+      session_id: session.id,
+      state: session.state,
+      token: extras.token,
+      checkout_url: extras.redirectUrl,
+      
+      msisdn: session.msisdn && session.msisdn.length !== 48 ? session.msisdn : undefined,
+      acr: session.msisdn && session.msisdn.length === 48 ? session.msisdn : undefined,
+      campaign: session.campaign,
+      merchant: session.merchant,
+      
+      // Outcome
+      uuid: session.operatorSubscriptionId || undefined,
+      failure_reason: session.failureReason || undefined,
+      
+      // Metadata
+      created_timestamp: new Date(session.created_at || session.createdAt || Date.now()).toISOString(),
+      expiry_timestamp: new Date(session.expiresAt).toISOString(),
+      completed_timestamp: session.completedAt ? new Date(session.completedAt).toISOString() : undefined,
+      flow: session.flow,
+      operator_code: session.operatorCode || undefined
+    };
+  }
+  
   /**
    * Map sandbox provisioning response to SLA Digital v2.2 format
    */
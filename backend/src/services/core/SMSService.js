@@ -0,0 +1,161 @@
+/**
+ * SMS Service
+ *
+ * Renders outbound SMS templates and checks them against operator limits before /v2.2/sms
+ * hands them to an adapter.
+ *
+ * - Templates are localized; {message} is replaced with the merchant's text
+ * - Encoding follows GSM 03.38: text made only of GSM-7 characters is sent 7-bit
+ *   (160 per SMS, 153 per concatenated segment, extension characters such as € count twice);
+ *   anything else, e.g. Arabic, goes as UCS-2 (70 per SMS, 67 per segment)
+ * - Operators cap messages at config.sms.maxSegments, overridable per operator with
+ *   Operator.config.sms.maxSegments / maxCharacters
+ */
+
+const { UnifiedError } = require('../../utils/errors');
+const config = require('../../config');
+const OperatorDetectionService = require('./OperatorDetectionService');
+
+// GSM 03.38 basic character set
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+// GSM 03.38 extension table, each sent as escape + character
+const GSM7_EXTENSION = '^{}\\[~]|€\f';
+
+const ENCODINGS = {
+  GSM7: { name: 'GSM-7', single: 160, concatenated: 153 },
+  UCS2: { name: 'UCS-2', single: 70, concatenated: 67 }
+};
+
+// Markets where SMS default to Arabic when the request names no language
+const ARABIC_COUNTRY_CODES = ['+965', '+966', '+973', '+964', '+962', '+249', '+971'];
+
+// Localized templates, {message} is the text sent in the request
+const TEMPLATES = {
+  generic: {
+    en: '{message}',
+    ar: '{message}'
+  },
+  welcome: {
+    en: 'Welcome! {message}',
+    ar: 'أهلاً بك! {message}'
+  },
+  subscription: {
+    en: '{message} Reply STOP to unsubscribe.',
+    ar: '{message} أرسل STOP لإلغاء الاشتراك.'
+  },
+  renewal: {
+    en: 'Your subscription has been renewed. {message}',
+    ar: 'تم تجديد اشتراكك. {message}'
+  },
+  cancellation: {
+    en: 'Your subscription has been cancelled. {message}',
+    ar: 'تم إلغاء اشتراكك. {message}'
+  }
+};
+
+class SMSService {
+  constructor() {
+    this.gsm7Basic = new Set(GSM7_BASIC);
+    this.gsm7Extension = new Set(GSM7_EXTENSION);
+  }
+
+  /**
+   * Render a message for an operator
+   *
+   * @param {Object} params - { message, template, language, limits: { maxSegments, maxCharacters } }
+   * @returns {Object} { text, template, language, encoding, characters, segments }
+   */
+  render({ message, template = null, language = 'en', limits = {} }) {
+    const templateName = template || 'generic';
+    const templates = TEMPLATES[templateName];
+
+    if (!templates) {
+      throw new UnifiedError('INVALID_PARAMETERS',
+        `Unsupported SMS template ${templateName}. Supported: ${Object.keys(TEMPLATES).join(', ')}`);
+    }
+
+    const renderLanguage = templates[language] ? language : 'en';
+    const text = templates[renderLanguage].replace('{message}', () => String(message).trim()).trim();
+    const count = this.countSegments(text);
+
+    const maxSegments = limits.maxSegments || config.sms.maxSegments;
+    if (count.segments > maxSegments) {
+      throw new UnifiedError('INVALID_PARAMETERS',
+        `Message needs ${count.segments} ${count.encoding} segments, the operator allows ${maxSegments}`);
+    }
+
+    if (limits.maxCharacters && count.characters > limits.maxCharacters) {
+      throw new UnifiedError('INVALID_PARAMETERS',
+        `Message has ${count.characters} characters, the operator allows ${limits.maxCharacters}`);
+    }
+
+    return {
+      text,
+      template: templateName,
+      language: renderLanguage,
+      ...count
+    };
+  }
+
+  /**
+   * Language used when the request names none: the adapter's, else the market's
+   */
+  getDefaultLanguage(operatorCode, adapterConfig = {}) {
+    if (adapterConfig.language) {
+      return adapterConfig.language;
+    }
+
+    const { countryCode } = OperatorDetectionService.getOperatorInfo(operatorCode);
+    return ARABIC_COUNTRY_CODES.includes(countryCode) ? 'ar' : 'en';
+  }
+
+  /**
+   * Whether text can be sent in the GSM 7-bit alphabet
+   */
+  isGSM7(text) {
+    return [...text].every(char => this.gsm7Basic.has(char) || this.gsm7Extension.has(char));
+  }
+
+  /**
+   * Encoding, length in encoding units and number of SMS segments
+   * Characters are never split across segments (GSM escape pairs, UTF-16 surrogate pairs)
+   */
+  countSegments(text) {
+    const gsm7 = this.isGSM7(text);
+    const encoding = gsm7 ? ENCODINGS.GSM7 : ENCODINGS.UCS2;
+
+    // Units per character: septets for GSM-7, UTF-16 code units for UCS-2
+    const units = [...text].map(char => (gsm7 ? (this.gsm7Extension.has(char) ? 2 : 1) : char.length));
+    const characters = units.reduce((sum, size) => sum + size, 0);
+
+    if (characters <= encoding.single) {
+      return { encoding: encoding.name, characters, segments: characters === 0 ? 0 : 1 };
+    }
+
+    let segments = 1;
+    let used = 0;
+    for (const size of units) {
+      if (used + size > encoding.concatenated) {
+        segments++;
+        used = 0;
+      }
+      used += size;
+    }
+
+    return { encoding: encoding.name, characters, segments };
+  }
+
+  /**
+   * Languages a template is available in
+   */
+  getTemplates() {
+    return Object.entries(TEMPLATES).reduce((templates, [name, languages]) => {
+      templates[name] = Object.keys(languages);
+      return templates;
+    }, {});
+  }
+}
+
+module.exports = new SMSService();
@@ -3,35 +3,33 @@
  * 
  * Handles sandbox environment operations including MSISDN provisioning
  * ENHANCED: 4-hour MSISDN provisioning window per SLA Digital v2.2 requirements
+ * 
+ * Provisions are SandboxProvision rows (expiry is checked on read, no timers). Operators whose
+ * environment is 'simulator' are served by the local SandboxSimulatorService instead of SLA Digital.
  */
 
 const axios = require('axios');
+const { Op } = require('sequelize');
 const Logger = require('../../utils/logger');
 const { UnifiedError } = require('../../utils/errors');
-
-// Redis import with fallback handling
-let redisManager = null;
-try {
-  const redisConfig = require('../../config/redis');
-  redisManager = redisConfig.redisManager;
-} catch (error) {
-  Logger.warn('Redis not available, sandbox caching will be limited', {
-    error: error.message
-  });
-}
+const { getModels } = require('../../models');
+const config = require('../../config');
+const SandboxSimulatorService = require('./SandboxSimulatorService');
 
 class SandboxService {
   constructor() {
     this.baseURL = 'https://api.sla-alacrity.com';
     this.provisionDuration = 4 * 60 * 60; // 4 hours in seconds
     this.dummyPIN = '000000'; // Standard sandbox PIN
-    this.activeProvisions = new Map(); // In-memory tracking
+    this.purgeAfterHours = 24; // Expired provisions are kept this long for inspection
   }
   
   /**
    * Provision MSISDN in sandbox environment for 4-hour testing window
+   * 
+   * @param {Object} options - Simulator only: { balance, currency, failures, scenario } (re-provisions when given)
    */
-  async provisionSandboxMSISDN(msisdn, campaign, merchant, operatorCode = null) {
+  async provisionSandboxMSISDN(msisdn, campaign, merchant, operatorCode = null, options = {}) {
     try {
       Logger.info('Provisioning sandbox MSISDN', {
         msisdn: this.maskMSISDN(msisdn),
@@ -40,9 +38,14 @@ class SandboxService {
         duration: `${this.provisionDuration / 3600} hours`
       });
       
+      await this.purgeExpired();
+      
+      const simulated = await this.isSimulated(operatorCode);
+      const hasOptions = Object.values(options).some(value => value !== undefined);
+      
       // Check if MSISDN is already provisioned
       const existing = await this.getSandboxProvision(msisdn);
-      if (existing && !existing.expired) {
+      if (existing && !existing.expired && !(simulated && hasOptions)) {
         Logger.info('MSISDN already provisioned', {
           msisdn: this.maskMSISDN(msisdn),
           expiresAt: existing.expiresAt
@@ -50,46 +53,55 @@ class SandboxService {
         return existing;
       }
       
-      // Create provision payload
-      const payload = {
-        msisdn,
-        campaign,
-        merchant,
-        duration: this.provisionDuration, // 4 hours in seconds
-        operator_code: operatorCode,
-        environment: 'sandbox'
-      };
-      
-      // Call SLA Digital sandbox provision endpoint
-      const response = await this.makeAPICall('/v2.2/sandbox/provision', payload);
-      
-      const provisionData = {
-        msisdn,
-        campaign,
-        merchant,
-        operatorCode,
-        provisionedAt: new Date().toISOString(),
-        expiresAt: new Date(Date.now() + (this.provisionDuration * 1000)).toISOString(),
-        duration: this.provisionDuration,
-        dummyPIN: this.dummyPIN,
-        status: 'active',
-        uuid: response.uuid || this.generateProvisionId(),
-        response: response
-      };
-      
-      // Cache provision data
-      await this.cacheProvision(msisdn, provisionData);
-      
-      // Track in memory
-      this.activeProvisions.set(msisdn, provisionData);
+      let provision;
+      
+      if (simulated) {
+        provision = await SandboxSimulatorService.provision({
+          msisdn,
+          campaign,
+          merchant,
+          operator_code: operatorCode,
+          balance: options.balance,
+          currency: options.currency,
+          failures: options.failures,
+          scenario: options.scenario
+        }, { operatorCode });
+      } else {
+        // Create provision payload
+        const payload = {
+          msisdn,
+          campaign,
+          merchant,
+          duration: this.provisionDuration, // 4 hours in seconds
+          operator_code: operatorCode,
+          environment: 'sandbox'
+        };
+        
+        // Call SLA Digital sandbox provision endpoint
+        const response = await this.makeAPICall('/v2.2/sandbox/provision', payload);
+        
+        provision = await this.saveProvision({
+          msisdn,
+          operatorCode,
+          campaign,
+          merchant,
+          simulated: false,
+          externalId: response.uuid || this.generateProvisionId(),
+          balance: null,
+          currency: null,
+          failures: {},
+          expiresAt: new Date(Date.now() + (this.provisionDuration * 1000)),
+          metadata: { response }
+        });
+      }
       
-      // Schedule cleanup after 4 hours
-      this.scheduleCleanup(msisdn, this.provisionDuration * 1000);
+      const provisionData = this.formatProvision(provision);
       
       Logger.info('Sandbox MSISDN provisioned successfully', {
         msisdn: this.maskMSISDN(msisdn),
         uuid: provisionData.uuid,
-        expiresAt: provisionData.expiresAt
+        expiresAt: provisionData.expiresAt,
+        simulated
       });
       
       return provisionData;
@@ -110,32 +122,12 @@ class SandboxService {
    */
   async getSandboxProvision(msisdn) {
     try {
-      // Check in-memory cache first
-      const memoryProvision = this.activeProvisions.get(msisdn);
-      if (memoryProvision) {
-        const isExpired = new Date() > new Date(memoryProvision.expiresAt);
-        return { ...memoryProvision, expired: isExpired };
-      }
-      
-      // Check Redis cache
-      if (redisManager) {
-        const cacheKey = `sandbox:provision:${msisdn}`;
-        const cachedData = await redisManager.get(cacheKey);
-        
-        if (cachedData) {
-          const provisionData = JSON.parse(cachedData);
-          const isExpired = new Date() > new Date(provisionData.expiresAt);
-          
-          // Update in-memory cache
-          if (!isExpired) {
-            this.activeProvisions.set(msisdn, provisionData);
-          }
-          
-          return { ...provisionData, expired: isExpired };
-        }
-      }
+      const { SandboxProvision } = getModels();
+      const provision = await SandboxProvision.findOne({
+        where: { msisdn: SandboxProvision.normalizeIdentifier(msisdn) }
+      });
       
-      return null;
+      return provision ? this.formatProvision(provision) : null;
       
     } catch (error) {
       Logger.error('Error getting sandbox provision', {
@@ -146,6 +138,21 @@ class SandboxService {
     }
   }
   
+  /**
+   * Script what happens to a simulated MSISDN's next subscriptions on the simulated clock
+   * (see SandboxSimulatorService.parseScenario for the step format)
+   */
+  async setSandboxScenario(msisdn, scenario) {
+    const provision = await SandboxSimulatorService.setScenario(msisdn, scenario);
+    
+    Logger.info('Sandbox scenario scripted', {
+      msisdn: this.maskMSISDN(msisdn),
+      steps: provision.scenario.length
+    });
+    
+    return this.formatProvision(provision);
+  }
+  
   /**
    * Check if MSISDN is provisioned and active
    */
@@ -157,7 +164,7 @@ class SandboxService {
   /**
    * Get sandbox balances for testing
    */
-  async getSandboxBalances(campaign, merchant) {
+  async getSandboxBalances(campaign, merchant, operatorCode = null) {
     try {
       Logger.debug('Getting sandbox balances', { campaign });
       
@@ -167,12 +174,12 @@ class SandboxService {
         environment: 'sandbox'
       };
       
-      const response = await this.makeAPICall('/v2.2/sandbox/balances', payload);
+      const response = await this.makeAPICall('/v2.2/sandbox/balances', payload, operatorCode);
       
       return {
         balances: response.balances || {},
         currency: response.currency || 'USD',
-        environment: 'sandbox',
+        environment: response.environment || 'sandbox',
         lastUpdated: new Date().toISOString()
       };
       
@@ -208,11 +215,12 @@ class SandboxService {
       // Use dummy PIN for sandbox
       const subscriptionData = {
         ...params,
-        pin: this.dummyPIN, // Always use dummy PIN in sandbox
+        pin: provision.dummyPIN, // Always use dummy PIN in sandbox
         environment: 'sandbox'
       };
       
-      const response = await this.makeAPICall('/v2.2/subscription/create', subscriptionData);
+      const response = await this.makeAPICall('/v2.2/subscription/create', subscriptionData,
+        provision.operatorCode || operatorCode);
       
       Logger.info('Sandbox subscription created', {
         msisdn: this.maskMSISDN(msisdn),
@@ -242,8 +250,8 @@ class SandboxService {
       });
       
       // Check if provisioned
-      const isProvisioned = await this.isProvisionedAndActive(msisdn);
-      if (!isProvisioned) {
+      const provision = await this.getSandboxProvision(msisdn);
+      if (!provision || provision.expired) {
         throw new UnifiedError('MSISDN_NOT_PROVISIONED', 
           'MSISDN must be provisioned in sandbox first');
       }
@@ -256,20 +264,20 @@ class SandboxService {
         environment: 'sandbox'
       };
       
-      const response = await this.makeAPICall('/v2.2/pin', payload);
+      const response = await this.makeAPICall('/v2.2/pin', payload, provision.operatorCode);
       
       // Override with dummy PIN for sandbox
       const sandboxResponse = {
         ...response,
         pin_sent: true,
-        dummy_pin: this.dummyPIN,
-        message: 'Use dummy PIN 000000 for all sandbox operations',
+        dummy_pin: provision.dummyPIN,
+        message: `Use dummy PIN ${provision.dummyPIN} for all sandbox operations`,
         environment: 'sandbox'
       };
       
       Logger.info('Sandbox PIN generated (dummy)', {
         msisdn: this.maskMSISDN(msisdn),
-        dummyPIN: this.dummyPIN
+        dummyPIN: provision.dummyPIN
       });
       
       return sandboxResponse;
@@ -286,7 +294,7 @@ class SandboxService {
   /**
    * Reset sandbox environment
    */
-  async resetSandbox(campaign, merchant) {
+  async resetSandbox(campaign, merchant, operatorCode = null) {
     try {
       Logger.info('Resetting sandbox environment', { campaign });
       
@@ -297,18 +305,14 @@ class SandboxService {
         action: 'reset'
       };
       
-      const response = await this.makeAPICall('/v2.2/sandbox/reset', payload);
+      const response = await this.makeAPICall('/v2.2/sandbox/reset', payload, operatorCode);
       
-      // Clear local caches
-      this.activeProvisions.clear();
-      
-      // Clear Redis cache
-      if (redisManager) {
-        const keys = await redisManager.keys('sandbox:provision:*');
-        if (keys.length > 0) {
-          await redisManager.del(...keys);
-        }
-      }
+      // The simulator drops its own provisions; SLA sandbox provisions are only tracked here
+      const { SandboxProvision } = getModels();
+      const where = { simulated: false };
+      if (campaign) where.campaign = campaign;
+      if (merchant) where.merchant = merchant;
+      await SandboxProvision.destroy({ where });
       
       Logger.info('Sandbox environment reset successfully', {
         campaign,
@@ -327,56 +331,77 @@ class SandboxService {
   }
   
   /**
-   * Cache provision data
+   * Create or replace the stored provision for an MSISDN
    */
-  async cacheProvision(msisdn, provisionData) {
-    if (redisManager) {
-      const cacheKey = `sandbox:provision:${msisdn}`;
-      const ttl = this.provisionDuration + 300; // 5 minute buffer
-      
-      try {
-        await redisManager.setex(cacheKey, ttl, JSON.stringify(provisionData));
-        Logger.debug('Cached sandbox provision', { msisdn: this.maskMSISDN(msisdn) });
-      } catch (error) {
-        Logger.warn('Failed to cache sandbox provision', {
-          msisdn: this.maskMSISDN(msisdn),
-          error: error.message
-        });
-      }
+  async saveProvision(values) {
+    const { SandboxProvision } = getModels();
+    const msisdn = SandboxProvision.normalizeIdentifier(values.msisdn);
+    
+    const existing = await SandboxProvision.findOne({ where: { msisdn } });
+    if (existing) {
+      return existing.update({ ...values, msisdn });
     }
+    
+    return SandboxProvision.create({ ...values, msisdn });
   }
   
   /**
-   * Schedule cleanup after 4-hour expiry
+   * Remove provisions (and simulator subscriptions) that expired more than purgeAfterHours ago
+   * @returns {number} Provisions removed
    */
-  scheduleCleanup(msisdn, delayMs) {
-    setTimeout(async () => {
-      try {
-        Logger.info('Cleaning up expired sandbox provision', {
-          msisdn: this.maskMSISDN(msisdn)
-        });
-        
-        // Remove from in-memory cache
-        this.activeProvisions.delete(msisdn);
-        
-        // Remove from Redis cache
-        if (redisManager) {
-          await redisManager.del(`sandbox:provision:${msisdn}`);
-        }
+  async purgeExpired() {
+    try {
+      const { SandboxProvision, SandboxSubscription } = getModels();
+      const cutoff = new Date(Date.now() - this.purgeAfterHours * 60 * 60 * 1000);
+      
+      const expired = await SandboxProvision.findAll({
+        where: { expiresAt: { [Op.lt]: cutoff } },
+        attributes: ['id']
+      });
+      const ids = expired.map(provision => provision.id);
+      
+      if (ids.length > 0) {
+        await SandboxSubscription.destroy({ where: { provisionId: ids } });
+        await SandboxProvision.destroy({ where: { id: ids } });
         
-      } catch (error) {
-        Logger.error('Error cleaning up sandbox provision', {
-          msisdn: this.maskMSISDN(msisdn),
-          error: error.message
-        });
+        Logger.info('Purged expired sandbox provisions', { count: ids.length });
       }
-    }, delayMs);
+      
+      return ids.length;
+      
+    } catch (error) {
+      Logger.error('Error purging expired sandbox provisions', {
+        error: error.message
+      });
+      return 0;
+    }
   }
   
   /**
-   * Make authenticated API call to SLA Digital
+   * Whether an operator is served by the local simulator (Operator.environment = 'simulator')
    */
-  async makeAPICall(endpoint, data) {
+  async isSimulated(operatorCode) {
+    if (!operatorCode) {
+      return false;
+    }
+    
+    const { Operator } = getModels();
+    const operator = await Operator.findOne({
+      where: { code: operatorCode },
+      attributes: ['environment']
+    });
+    
+    return !!operator && operator.environment === 'simulator';
+  }
+  
+  /**
+   * Make authenticated API call to SLA Digital (or the simulator for simulated operators)
+   */
+  async makeAPICall(endpoint, data, operatorCode = null) {
+    if (await this.isSimulated(operatorCode)) {
+      return this.callSimulator(endpoint, { ...data, operator_code: operatorCode }, operatorCode);
+    }
+    
     try {
       // Get credentials (assuming they're set in environment)
       const auth = Buffer.from(
@@ -418,6 +443,62 @@ class SandboxService {
     }
   }
   
+  /**
+   * Answer a sandbox call from the local simulator, with the errors makeAPICall raises
+   */
+  async callSimulator(endpoint, data, operatorCode) {
+    let response;
+    
+    try {
+      response = await SandboxSimulatorService.handle(endpoint, data, { operatorCode });
+    } catch (error) {
+      if (error instanceof UnifiedError) {
+        throw error;
+      }
+      
+      Logger.error('Sandbox simulator did not answer', {
+        endpoint,
+        operatorCode,
+        error: error.message
+      });
+      throw new UnifiedError('NETWORK_ERROR', 
+        'Failed to connect to SLA Digital API');
+    }
+    
+    if (response.error) {
+      throw new UnifiedError('SLA_API_ERROR', 
+        response.error.message || 'SLA Digital API error', response.error);
+    }
+    
+    return response;
+  }
+  
+  /**
+   * Shape a stored provision for callers
+   */
+  formatProvision(provision) {
+    const expired = provision.isExpired();
+    
+    return {
+      msisdn: provision.msisdn,
+      campaign: provision.campaign,
+      merchant: provision.merchant,
+      operatorCode: provision.operatorCode,
+      provisionedAt: new Date(provision.updated_at || Date.now()).toISOString(),
+      expiresAt: new Date(provision.expiresAt).toISOString(),
+      duration: this.provisionDuration,
+      dummyPIN: provision.simulated ? config.sandboxSimulator.pin : this.dummyPIN,
+      status: expired ? 'expired' : 'active',
+      expired,
+      simulated: provision.simulated,
+      balance: provision.balance !== null ? Number(provision.balance) : null,
+      currency: provision.currency,
+      failures: provision.failures,
+      scenario: provision.scenario,
+      uuid: provision.externalId
+    };
+  }
+  
   /**
    * Generate provision ID
    */
@@ -438,16 +519,21 @@ class SandboxService {
   /**
    * Get sandbox statistics
    */
-  getSandboxStatistics() {
-    const activeCount = Array.from(this.activeProvisions.values())
-      .filter(p => new Date() < new Date(p.expiresAt)).length;
+  async getSandboxStatistics() {
+    const { SandboxProvision } = getModels();
+    const now = new Date();
     
-    const expiredCount = this.activeProvisions.size - activeCount;
+    const [activeCount, expiredCount, simulatedCount] = await Promise.all([
+      SandboxProvision.count({ where: { expiresAt: { [Op.gt]: now } } }),
+      SandboxProvision.count({ where: { expiresAt: { [Op.lte]: now } } }),
+      SandboxProvision.count({ where: { expiresAt: { [Op.gt]: now }, simulated: true } })
+    ]);
     
     return {
       activeProvisions: activeCount,
       expiredProvisions: expiredCount,
-      totalProvisions: this.activeProvisions.size,
+      simulatedProvisions: simulatedCount,
+      totalProvisions: activeCount + expiredCount,
       provisionDuration: `${this.provisionDuration / 3600} hours`,
       dummyPIN: this.dummyPIN,
       environment: 'sandbox'
@@ -457,29 +543,26 @@ class SandboxService {
   /**
    * List active provisions
    */
-  listActiveProvisions() {
-    return Array.from(this.activeProvisions.entries())
-      .map(([msisdn, provision]) => ({
-        msisdn: this.maskMSISDN(msisdn),
-        provisionedAt: provision.provisionedAt,
-        expiresAt: provision.expiresAt,
-        expired: new Date() > new Date(provision.expiresAt),
-        campaign: provision.campaign,
-        operatorCode: provision.operatorCode,
-        uuid: provision.uuid
-      }))
-      .sort((a, b) => new Date(b.provisionedAt) - new Date(a.provisionedAt));
-  }
-  
-  /**
-   * Cleanup on shutdown
-   */
-  cleanup() {
-    Logger.info('Cleaning up sandbox service', {
-      activeProvisions: this.activeProvisions.size
+  async listActiveProvisions() {
+    const { SandboxProvision } = getModels();
+    const provisions = await SandboxProvision.findAll({
+      where: { expiresAt: { [Op.gt]: new Date() } },
+      order: [['updated_at', 'DESC']]
     });
     
-    this.activeProvisions.clear();
+    return provisions.map(provision => {
+      const data = this.formatProvision(provision);
+      return {
+        msisdn: this.maskMSISDN(data.msisdn),
+        provisionedAt: data.provisionedAt,
+        expiresAt: data.expiresAt,
+        expired: data.expired,
+        campaign: data.campaign,
+        operatorCode: data.operatorCode,
+        simulated: data.simulated,
+        uuid: data.uuid
+      };
+    });
   }
 }
 
@@ -0,0 +1,1277 @@
+/**
+ * Sandbox Simulator Service
+ *
+ * Local stand-in for the SLA Digital sandbox, used by operators whose environment is 'simulator'
+ * (through SandboxSimulatorClient) and by SandboxService for their provisions.
+ *
+ * - Answers the v2.2 endpoints with SLA-shaped bodies ({ ... } or { error: { category, code, message } })
+ * - Provisions, balances and subscriptions are SandboxProvision / SandboxSubscription rows,
+ *   so they survive restarts and are shared by every instance
+ * - Charges are taken from the provision's balance; the sandbox PIN is config.sandboxSimulator.pin
+ * - Failures are injected per provision ({ charge: 'insufficient_funds', pin: 'timeout', ... })
+ * - Subscription and charge outcomes are notified to WebhookService.processIncomingWebhook
+ *   after webhookDelayMs, signed with the secret the verifier expects
+ *
+ * Simulated clock: subscription dates follow now(), real time plus an offset shared through Redis.
+ * Renewals and scenario steps only happen when the clock is advanced (advanceClock), one event at a
+ * time in date order, so a provision's scenario ("charge, insufficient_funds, grace, mo_stop@3d")
+ * plays out the same way on every run. Provision expiry stays on real time.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const Logger = require('../../utils/logger');
+const { UnifiedError, ValidationError } = require('../../utils/errors');
+const { getModels } = require('../../models');
+const config = require('../../config');
+
+// Redis import with fallback handling
+let redisManager = null;
+try {
+  const redisConfig = require('../../config/redis');
+  redisManager = redisConfig.redisManager;
+} catch (error) {
+  Logger.warn('Redis not available, simulated clock will be per instance', {
+    error: error.message
+  });
+}
+
+// SLA error bodies for injected failures ('timeout' has none - the call never answers)
+const FAILURES = {
+  insufficient_funds: { category: 'Request', code: '2015', message: 'Insufficient funds' },
+  invalid_pin: { category: 'Request', code: '4001', message: 'Invalid PIN' },
+  pin_expired: { category: 'Request', code: '4002', message: 'PIN has expired' },
+  ineligible: { category: 'Request', code: 'INELIGIBLE', message: 'Customer is not eligible for this service' },
+  server_error: { category: 'Server', code: '5001', message: 'Internal server error' }
+};
+
+// Billing period per subscription frequency (in days)
+const PERIOD_DAYS = {
+  daily: 1,
+  weekly: 7,
+  monthly: 30
+};
+
+// Scenario steps that script the outcome of the next due charge
+const CHARGE_ACTIONS = ['charge', 'insufficient_funds'];
+
+// Days between retries of an unpaid renewal
+const RETRY_DAYS = 1;
+
+// Upper bound on events played by one clock advance
+const MAX_EVENTS_PER_ADVANCE = 1000;
+
+class SandboxSimulatorService {
+  constructor() {
+    this.FAILURES = FAILURES;
+    this.PERIOD_DAYS = PERIOD_DAYS;
+    this.clockKey = 'sandbox:simulator:clock_offset_ms';
+    this.clockOffsetMs = 0;
+
+    this.handlers = {
+      '/v2.2/pin': this.generatePIN,
+      '/v2.2/subscription/create': this.createSubscription,
+      '/v2.2/subscription/status': this.getSubscriptionStatus,
+      '/v2.2/subscription/delete': this.deleteSubscription,
+      '/v2.2/charge': this.charge,
+      '/v2.2/refund': this.refund,
+      '/v2.2/eligibility': this.checkEligibility,
+      '/v2.2/sms': this.sendSMS,
+      '/v2.2/sandbox/provision': this.provisionEndpoint,
+      '/v2.2/sandbox/balances': this.balancesEndpoint,
+      '/v2.2/sandbox/reset': this.resetEndpoint
+    };
+  }
+
+  /**
+   * Answer a v2.2 call the way the SLA sandbox would
+   *
+   * @param {string} endpoint - '/v2.2/charge' (the '/v2.2' prefix is optional)
+   * @param {Object} params - Query parameters as SLA Digital receives them
+   * @param {Object} context - { operatorCode, currency } of the calling adapter
+   * @returns {Object} Response body, with an error object for SLA errors
+   * @throws {Error} code ECONNABORTED when a timeout is injected
+   */
+  async handle(endpoint, params = {}, context = {}) {
+    const path = endpoint.startsWith('/v2.2') ? endpoint : `/v2.2${endpoint}`;
+    const handler = this.handlers[path];
+
+    if (!handler) {
+      return { error: { category: 'Request', code: '1004', message: `Endpoint ${path} is not simulated` } };
+    }
+
+    try {
+      await this.loadClock();
+      return await handler.call(this, params, context);
+    } catch (error) {
+      if (error.slaError) {
+        Logger.debug('Sandbox simulator returned SLA error', {
+          endpoint: path,
+          code: error.slaError.code,
+          operatorCode: context.operatorCode
+        });
+        return { error: error.slaError };
+      }
+      throw error;
+    }
+  }
+
+  // ===== PROVISIONING =====
+
+  /**
+   * Provision (or re-provision) an MSISDN for the sandbox window
+   *
+   * @param {Object} params - { msisdn | acr, campaign, merchant, balance, currency, failures, scenario, operator_code }
+   * @returns {Object} SandboxProvision row
+   */
+  async provision(params, context = {}) {
+    const { SandboxProvision } = getModels();
+    const msisdn = SandboxProvision.normalizeIdentifier(params.msisdn || params.acr);
+
+    if (!msisdn) {
+      throw this.failure({ category: 'Request', code: '2001', message: 'Missing required parameter: msisdn' });
+    }
+
+    if (params.balance !== undefined && !Number.isFinite(parseFloat(params.balance))) {
+      throw new ValidationError('balance must be a number', 'balance', params.balance);
+    }
+
+    const values = {
+      msisdn,
+      operatorCode: params.operator_code || context.operatorCode || null,
+      campaign: params.campaign || null,
+      merchant: params.merchant || null,
+      simulated: true,
+      externalId: 'sbx_' + crypto.randomBytes(8).toString('hex'),
+      balance: params.balance !== undefined ? this.money(params.balance) : config.sandboxSimulator.defaultBalance,
+      currency: params.currency || context.currency || config.sandboxSimulator.defaultCurrency,
+      failures: this.parseFailures(params.failures),
+      scenario: this.parseScenario(params.scenario),
+      expiresAt: new Date(this.now().getTime() + config.sandboxSimulator.provisionHours * 3600 * 1000)
+    };
+
+    const existing = await SandboxProvision.findOne({ where: { msisdn } });
+    const provision = existing ? await existing.update(values) : await SandboxProvision.create(values);
+
+    Logger.info('Sandbox simulator MSISDN provisioned', {
+      msisdn: this.maskMSISDN(msisdn),
+      operatorCode: provision.operatorCode,
+      balance: provision.balance,
+      failures: provision.failures,
+      scenario: provision.scenario,
+      expiresAt: provision.expiresAt
+    });
+
+    return provision;
+  }
+
+  /**
+   * Parse a scenario: [{ action, afterDays | afterHours | afterSeconds, shortCode, text }] or
+   * 'charge,insufficient_funds,grace,mo_stop@3d' (delays in d, h, m or s; days when no unit)
+   *
+   * Charge steps (charge, insufficient_funds) decide the next due charge - the first one is the
+   * charge taken when the subscription is created. Other steps happen right after the previous
+   * event, or after their delay. Once the steps run out, renewals charge the balance.
+   */
+  parseScenario(value) {
+    if (!value) {
+      return [];
+    }
+
+    let steps = value;
+    if (typeof value === 'string') {
+      try {
+        steps = JSON.parse(value);
+      } catch (error) {
+        steps = value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+          const [action, delay] = entry.split('@');
+          return delay === undefined ? { action } : { action, after: delay };
+        });
+      }
+    }
+
+    if (!Array.isArray(steps)) {
+      throw new ValidationError('scenario must be a list of steps', 'scenario', value);
+    }
+
+    const { SandboxProvision } = getModels();
+
+    return steps.map(step => {
+      const entry = typeof step === 'string' ? { action: step } : { ...step };
+
+      if (!SandboxProvision.SCENARIO_ACTIONS.includes(entry.action)) {
+        throw new ValidationError(
+          `Unknown scenario step ${entry.action} (steps: ${SandboxProvision.SCENARIO_ACTIONS.join(', ')})`,
+          'scenario',
+          value
+        );
+      }
+
+      const afterSeconds = this.parseDelay(entry);
+      if (afterSeconds === null) {
+        throw new ValidationError(`Invalid delay for scenario step ${entry.action}`, 'scenario', value);
+      }
+
+      const parsed = { action: entry.action };
+      if (afterSeconds !== undefined) parsed.afterSeconds = afterSeconds;
+      if (entry.shortCode) parsed.shortCode = String(entry.shortCode);
+      if (entry.text) parsed.text = String(entry.text);
+
+      return parsed;
+    });
+  }
+
+  /**
+   * Step delay in seconds (undefined when the step has none, null when it is invalid)
+   */
+  parseDelay(step) {
+    const units = { d: 86400, h: 3600, m: 60, s: 1 };
+    let seconds;
+
+    if (step.after !== undefined) {
+      const match = /^(\d+(?:\.\d+)?)([dhms]?)$/.exec(String(step.after).trim());
+      seconds = match ? parseFloat(match[1]) * units[match[2] || 'd'] : NaN;
+    } else if (step.afterDays !== undefined) {
+      seconds = parseFloat(step.afterDays) * units.d;
+    } else if (step.afterHours !== undefined) {
+      seconds = parseFloat(step.afterHours) * units.h;
+    } else if (step.afterSeconds !== undefined) {
+      seconds = parseFloat(step.afterSeconds);
+    } else {
+      return undefined;
+    }
+
+    return Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds) : null;
+  }
+
+  /**
+   * Replace the scenario of an active simulated provision (subscriptions created afterwards use it)
+   */
+  async setScenario(identifier, scenario) {
+    const { SandboxProvision } = getModels();
+    const provision = identifier ? await SandboxProvision.findActive(identifier) : null;
+
+    if (!provision || !provision.simulated) {
+      throw new UnifiedError('MSISDN_NOT_PROVISIONED',
+        'MSISDN is not provisioned in the sandbox simulator or its 4-hour window has passed');
+    }
+
+    await provision.update({ scenario: this.parseScenario(scenario) });
+
+    Logger.info('Sandbox simulator scenario set', {
+      msisdn: this.maskMSISDN(provision.msisdn),
+      scenario: provision.scenario
+    });
+
+    return provision;
+  }
+
+  /**
+   * Parse failure injections ({ charge: 'insufficient_funds' } or 'charge:insufficient_funds,pin:timeout')
+   */
+  parseFailures(value) {
+    if (!value) {
+      return {};
+    }
+
+    let failures = value;
+    if (typeof value === 'string') {
+      try {
+        failures = JSON.parse(value);
+      } catch (error) {
+        failures = value.split(',').reduce((parsed, entry) => {
+          const [operation, mode] = entry.split(':').map(part => part && part.trim());
+          if (operation) {
+            parsed[operation] = mode;
+          }
+          return parsed;
+        }, {});
+      }
+    }
+
+    const { SandboxProvision } = getModels();
+    for (const [operation, mode] of Object.entries(failures)) {
+      if (!SandboxProvision.OPERATIONS.includes(operation) || !SandboxProvision.FAILURE_MODES.includes(mode)) {
+        throw new ValidationError(
+          `Unknown failure injection ${operation}:${mode} (operations: ${SandboxProvision.OPERATIONS.join(', ')}; ` +
+          `failures: ${SandboxProvision.FAILURE_MODES.join(', ')})`,
+          'failures',
+          value
+        );
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Active provision for an identifier; auto-provisions when enabled
+   */
+  async requireProvision(identifier, params, context) {
+    const { SandboxProvision } = getModels();
+    const provision = identifier ? await SandboxProvision.findActive(identifier) : null;
+
+    if (provision) {
+      return provision;
+    }
+
+    if (identifier && config.sandboxSimulator.autoProvision) {
+      return this.provision({ ...params, msisdn: identifier, failures: undefined, balance: undefined }, context);
+    }
+
+    throw this.failure({
+      category: 'Request',
+      code: '2001',
+      message: 'MSISDN is not provisioned in the sandbox or its 4-hour window has passed'
+    });
+  }
+
+  /**
+   * Subscription by uuid with its provision
+   */
+  async requireSubscription(uuid) {
+    const { SandboxSubscription, SandboxProvision } = getModels();
+    const subscription = uuid
+      ? await SandboxSubscription.findByPk(uuid, { include: [{ model: SandboxProvision, as: 'provision' }] })
+      : null;
+
+    if (!subscription) {
+      throw this.failure({ category: 'Request', code: 'SUB_NOT_FOUND', message: `Subscription ${uuid} not found` });
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Apply the failure injected for an operation, if any
+   */
+  async inject(provision, operation) {
+    const mode = provision && provision.failures ? provision.failures[operation] : null;
+
+    if (!mode) {
+      return;
+    }
+
+    Logger.info('Sandbox simulator injecting failure', {
+      msisdn: this.maskMSISDN(provision.msisdn),
+      operation,
+      mode
+    });
+
+    if (mode === 'timeout') {
+      const timeoutMs = config.sandboxSimulator.timeoutMs;
+      await new Promise(resolve => setTimeout(resolve, timeoutMs));
+      throw Object.assign(new Error(`timeout of ${timeoutMs}ms exceeded`), { code: 'ECONNABORTED' });
+    }
+
+    throw this.failure(FAILURES[mode]);
+  }
+
+  // ===== v2.2 ENDPOINTS =====
+
+  /**
+   * /v2.2/pin - the PIN is not sent anywhere; every sandbox PIN is config.sandboxSimulator.pin
+   */
+  async generatePIN(params, context) {
+    const identifier = params.msisdn || params.acr;
+    const provision = await this.requireProvision(identifier, params, context);
+    await this.inject(provision, 'pin');
+
+    return {
+      pin_sent: true,
+      msisdn: params.msisdn,
+      acr: params.acr,
+      campaign: params.campaign,
+      merchant: params.merchant,
+      template: params.template || 'subscription',
+      pin_length: config.sandboxSimulator.pin.length,
+      correlator: params.correlator,
+      timestamp: this.now().toISOString()
+    };
+  }
+
+  /**
+   * /v2.2/subscription/create - checks the PIN, refuses duplicates and takes the first charge
+   * (trial subscriptions are charged when the trial ends)
+   */
+  async createSubscription(params, context) {
+    const { SandboxSubscription } = getModels();
+    const identifier = params.msisdn || params.acr;
+    const provision = await this.requireProvision(identifier, params, context);
+    await this.inject(provision, 'subscription');
+
+    if (params.pin !== undefined && params.pin !== config.sandboxSimulator.pin) {
+      throw this.failure(FAILURES.invalid_pin);
+    }
+
+    const existing = await SandboxSubscription.findOne({
+      where: {
+        msisdn: provision.msisdn,
+        campaign: params.campaign,
+        status: { [Op.ne]: 'DELETED' }
+      }
+    });
+
+    if (existing) {
+      throw this.failure({
+        category: 'Request',
+        code: 'SUB_EXISTS',
+        message: `Subscription ${existing.uuid} already exists for this MSISDN and campaign`
+      });
+    }
+
+    const now = this.now();
+    const frequency = PERIOD_DAYS[params.frequency] ? params.frequency : 'monthly';
+    const trialDays = parseInt(params.trial || params.trial_days) || 0;
+    const amount = params.amount !== undefined ? this.money(params.amount) : config.sandboxSimulator.defaultAmount;
+    const currency = params.currency || provision.currency || context.currency || config.sandboxSimulator.defaultCurrency;
+
+    const scenario = provision.scenario || [];
+    const scripted = trialDays === 0 && scenario[0] && CHARGE_ACTIONS.includes(scenario[0].action)
+      ? scenario[0].action
+      : null;
+
+    if (scripted === 'insufficient_funds') {
+      throw this.failure(FAILURES.insufficient_funds);
+    }
+
+    let charge = null;
+    if (trialDays === 0) {
+      charge = scripted ? await this.debit(provision, amount, currency, { force: true }) : await this.debit(provision, amount, currency);
+    }
+
+    const subscription = await SandboxSubscription.create({
+      provisionId: provision.id,
+      msisdn: provision.msisdn,
+      operatorCode: provision.operatorCode || context.operatorCode || null,
+      campaign: params.campaign,
+      merchant: params.merchant || provision.merchant,
+      status: trialDays > 0 ? 'TRIAL' : 'ACTIVE',
+      amount,
+      currency,
+      frequency,
+      nextPaymentAt: this.addDays(now, trialDays > 0 ? trialDays : PERIOD_DAYS[frequency]),
+      charges: charge ? [charge] : [],
+      scenario,
+      scenarioStep: scripted ? 1 : 0,
+      lastEventAt: now,
+      metadata: { trialDays, correlator: params.correlator, identifier }
+    });
+
+    await subscription.update({ nextEventAt: this.nextEventAt(subscription) });
+
+    Logger.info('Sandbox simulator subscription created', {
+      uuid: subscription.uuid,
+      msisdn: this.maskMSISDN(provision.msisdn),
+      status: subscription.status,
+      amount,
+      currency
+    });
+
+    this.notify(subscription, charge);
+
+    return this.subscriptionBody(subscription, {
+      transaction_id: charge ? charge.transaction_id : undefined,
+      trial_days: trialDays || undefined
+    });
+  }
+
+  /**
+   * /v2.2/subscription/status
+   */
+  async getSubscriptionStatus(params) {
+    const subscription = await this.requireSubscription(params.uuid);
+    await this.inject(subscription.provision, 'status');
+
+    return this.subscriptionBody(subscription);
+  }
+
+  /**
+   * /v2.2/subscription/delete - repeated deletes return the deleted subscription
+   */
+  async deleteSubscription(params) {
+    const subscription = await this.requireSubscription(params.uuid);
+    await this.inject(subscription.provision, 'cancel');
+
+    if (subscription.status !== 'DELETED') {
+      await subscription.update({
+        status: 'DELETED',
+        nextPaymentAt: null,
+        nextEventAt: null,
+        cancelledAt: this.now()
+      });
+
+      Logger.info('Sandbox simulator subscription deleted', { uuid: subscription.uuid });
+
+      this.notify(subscription);
+    }
+
+    return this.subscriptionBody(subscription);
+  }
+
+  /**
+   * /v2.2/charge - one-off charge against a live subscription
+   */
+  async charge(params) {
+    const subscription = await this.requireSubscription(params.uuid);
+    await this.inject(subscription.provision, 'charge');
+
+    if (subscription.status === 'DELETED') {
+      throw this.failure({ category: 'Request', code: 'SUB_NOT_FOUND', message: `Subscription ${subscription.uuid} is deleted` });
+    }
+
+    const amount = params.amount !== undefined ? this.money(params.amount) : Number(subscription.amount);
+    const charge = await this.debit(subscription.provision, amount, params.currency || subscription.currency);
+
+    await subscription.update({ charges: [...subscription.charges, charge] });
+
+    this.notify(subscription, charge);
+
+    return {
+      ...charge,
+      uuid: subscription.uuid,
+      msisdn: subscription.msisdn,
+      campaign: subscription.campaign,
+      merchant: subscription.merchant
+    };
+  }
+
+  /**
+   * /v2.2/refund - credits the provision's balance, up to the amount left on the charge
+   */
+  async refund(params) {
+    const { SandboxSubscription, SandboxProvision } = getModels();
+    const subscription = params.transaction_id
+      ? await SandboxSubscription.findOne({
+        where: { charges: { [Op.contains]: [{ transaction_id: params.transaction_id }] } },
+        include: [{ model: SandboxProvision, as: 'provision' }]
+      })
+      : null;
+
+    if (!subscription) {
+      throw this.failure({ category: 'Request', code: '2006', message: `Transaction ${params.transaction_id} not found` });
+    }
+
+    await this.inject(subscription.provision, 'refund');
+
+    const original = subscription.charges.find(entry => entry.transaction_id === params.transaction_id);
+    const refundable = this.money(original.amount - (original.refunded || 0));
+    const amount = params.amount !== undefined ? this.money(params.amount) : refundable;
+
+    if (amount <= 0 || amount > refundable) {
+      throw this.failure({
+        category: 'Request',
+        code: '2007',
+        message: `Refund amount must be between 0 and ${refundable} ${original.currency}`
+      });
+    }
+
+    const charges = subscription.charges.map(entry => (entry.transaction_id === params.transaction_id
+      ? { ...entry, refunded: this.money((entry.refunded || 0) + amount) }
+      : entry));
+
+    await subscription.update({ charges });
+    if (subscription.provision) {
+      await subscription.provision.update({ balance: this.money(Number(subscription.provision.balance) + amount) });
+    }
+
+    return {
+      transaction_id: this.generateTransactionId(),
+      original_transaction_id: params.transaction_id,
+      status: 'REFUNDED',
+      amount,
+      currency: original.currency,
+      uuid: subscription.uuid,
+      timestamp: this.now().toISOString()
+    };
+  }
+
+  /**
+   * /v2.2/eligibility - unprovisioned MSISDNs and injected 'ineligible' answer eligible: false
+   */
+  async checkEligibility(params) {
+    const { SandboxProvision } = getModels();
+    const identifier = params.msisdn || params.acr;
+    const provision = identifier ? await SandboxProvision.findActive(identifier) : null;
+
+    let eligible = !!provision;
+    let reason = provision ? null : 'MSISDN not provisioned in the sandbox';
+
+    if (provision) {
+      try {
+        await this.inject(provision, 'eligibility');
+      } catch (error) {
+        if (!error.slaError || error.slaError.code !== FAILURES.ineligible.code) {
+          throw error;
+        }
+        eligible = false;
+        reason = error.slaError.message;
+      }
+    }
+
+    return {
+      eligible,
+      eligibility_reason: reason,
+      msisdn: params.msisdn,
+      operator_code: provision ? provision.operatorCode : params.operator_code,
+      timestamp: this.now().toISOString()
+    };
+  }
+
+  /**
+   * /v2.2/sms - accepted for provisioned MSISDNs, never delivered
+   */
+  async sendSMS(params, context) {
+    const provision = await this.requireProvision(params.msisdn, params, context);
+    await this.inject(provision, 'sms');
+
+    return {
+      sms_sent: true,
+      message_id: 'sim_sms_' + crypto.randomBytes(8).toString('hex'),
+      msisdn: params.msisdn,
+      timestamp: this.now().toISOString()
+    };
+  }
+
+  /**
+   * /v2.2/sandbox/provision
+   */
+  async provisionEndpoint(params, context) {
+    const provision = await this.provision(params, context);
+    return this.provisionBody(provision);
+  }
+
+  /**
+   * /v2.2/sandbox/balances - one MSISDN, or every active provision of the campaign / merchant
+   */
+  async balancesEndpoint(params) {
+    const { SandboxProvision } = getModels();
+    let provisions;
+
+    if (params.msisdn) {
+      const provision = await SandboxProvision.findActive(params.msisdn);
+      provisions = provision ? [provision] : [];
+    } else {
+      const where = { simulated: true, expiresAt: { [Op.gt]: this.now() } };
+      if (params.campaign) where.campaign = params.campaign;
+      if (params.merchant) where.merchant = params.merchant;
+      provisions = await SandboxProvision.findAll({ where, order: [['created_at', 'DESC']] });
+    }
+
+    return {
+      balances: provisions.map(provision => ({
+        msisdn: provision.msisdn,
+        currency: provision.currency,
+        balance: Number(provision.balance).toFixed(2),
+        reserved: '0.00',
+        available: Number(provision.balance).toFixed(2),
+        expires_at: new Date(provision.expiresAt).toISOString()
+      })),
+      environment: 'simulator',
+      timestamp: this.now().toISOString()
+    };
+  }
+
+  /**
+   * /v2.2/sandbox/reset - drops the campaign's provisions and their subscriptions
+   */
+  async resetEndpoint(params) {
+    const clearedProvisions = await this.reset(params.campaign, params.merchant);
+
+    return {
+      reset: true,
+      cleared_provisions: clearedProvisions,
+      timestamp: this.now().toISOString()
+    };
+  }
+
+  /**
+   * Remove provisions (and their subscriptions) for a campaign, or all when no campaign is given
+   * @returns {number} Provisions removed
+   */
+  async reset(campaign = null, merchant = null) {
+    const { SandboxProvision, SandboxSubscription } = getModels();
+
+    const where = { simulated: true };
+    if (campaign) where.campaign = campaign;
+    if (merchant) where.merchant = merchant;
+
+    const provisions = await SandboxProvision.findAll({ where, attributes: ['id'] });
+    const ids = provisions.map(provision => provision.id);
+
+    if (ids.length > 0) {
+      await SandboxSubscription.destroy({ where: { provisionId: ids } });
+      await SandboxProvision.destroy({ where: { id: ids } });
+    }
+
+    Logger.info('Sandbox simulator reset', { campaign, merchant, clearedProvisions: ids.length });
+
+    return ids.length;
+  }
+
+  // ===== SIMULATED CLOCK =====
+
+  /**
+   * Pick up the clock offset shared by all instances
+   */
+  async loadClock() {
+    if (redisManager && redisManager.isAvailable()) {
+      this.clockOffsetMs = parseInt(await redisManager.get(this.clockKey)) || 0;
+    }
+  }
+
+  /**
+   * Move the simulated clock to a date (real time when no date is given)
+   */
+  async setClock(date = null) {
+    this.clockOffsetMs = date ? new Date(date).getTime() - Date.now() : 0;
+
+    if (redisManager) {
+      await redisManager.set(this.clockKey, String(this.clockOffsetMs));
+    }
+  }
+
+  /**
+   * Current simulated time and the events waiting on it
+   */
+  async getClock({ limit = 20 } = {}) {
+    const { SandboxSubscription } = getModels();
+    await this.loadClock();
+
+    const pending = await SandboxSubscription.findAll({
+      where: { nextEventAt: { [Op.ne]: null }, status: { [Op.ne]: 'DELETED' } },
+      order: [['next_event_at', 'ASC']],
+      limit
+    });
+
+    return {
+      now: this.now().toISOString(),
+      offsetSeconds: Math.round(this.clockOffsetMs / 1000),
+      pending: pending.map(subscription => ({
+        uuid: subscription.uuid,
+        msisdn: this.maskMSISDN(subscription.msisdn),
+        status: subscription.status,
+        at: new Date(subscription.nextEventAt).toISOString(),
+        action: this.pendingAction(subscription)
+      }))
+    };
+  }
+
+  /**
+   * Set the clock back to real time; pending events keep their simulated dates
+   */
+  async resetClock() {
+    await this.setClock(null);
+
+    Logger.info('Sandbox simulator clock reset');
+
+    return this.getClock();
+  }
+
+  /**
+   * Move the clock forward, playing every renewal and scenario step that falls due on the way
+   * in date order (the clock stands at each event's time while it is played)
+   *
+   * @param {number} seconds - How far to move the clock
+   * @returns {Object} { now, offsetSeconds, events: [{ uuid, at, action, ... }] }
+   */
+  async advanceClock(seconds) {
+    const { SandboxSubscription, SandboxProvision } = getModels();
+
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw new ValidationError('The clock can only move forward (give days, hours or seconds above 0)', 'seconds', seconds);
+    }
+
+    await this.loadClock();
+    const target = new Date(this.now().getTime() + seconds * 1000);
+    const events = [];
+
+    while (events.length < MAX_EVENTS_PER_ADVANCE) {
+      const subscription = await SandboxSubscription.findOne({
+        where: {
+          nextEventAt: { [Op.lte]: target },
+          status: { [Op.ne]: 'DELETED' }
+        },
+        order: [['next_event_at', 'ASC']],
+        include: [{ model: SandboxProvision, as: 'provision' }]
+      });
+
+      if (!subscription) {
+        break;
+      }
+
+      if (new Date(subscription.nextEventAt) > this.now()) {
+        await this.setClock(subscription.nextEventAt);
+      }
+
+      events.push(await this.playEvent(subscription));
+    }
+
+    if (events.length >= MAX_EVENTS_PER_ADVANCE) {
+      Logger.warn('Sandbox simulator clock advance stopped at the event limit', {
+        limit: MAX_EVENTS_PER_ADVANCE,
+        stoppedAt: this.now().toISOString()
+      });
+    } else {
+      await this.setClock(target);
+    }
+
+    Logger.info('Sandbox simulator clock advanced', {
+      seconds,
+      now: this.now().toISOString(),
+      events: events.length
+    });
+
+    return {
+      now: this.now().toISOString(),
+      offsetSeconds: Math.round(this.clockOffsetMs / 1000),
+      events
+    };
+  }
+
+  /**
+   * Play a subscription's due event: its next scenario step, or a renewal once the scenario is done
+   */
+  async playEvent(subscription) {
+    const step = subscription.scenario[subscription.scenarioStep] || null;
+    const action = step ? step.action : 'renewal';
+    let event;
+
+    switch (action) {
+      case 'charge':
+      case 'insufficient_funds':
+      case 'renewal':
+        event = await this.renew(subscription, action);
+        break;
+      case 'grace':
+        event = await this.changeStatus(subscription, 'GRACE', 'GRACE');
+        break;
+      case 'suspend':
+        event = await this.changeStatus(subscription, 'SUSPENDED');
+        break;
+      case 'cancel':
+        event = await this.changeStatus(subscription, 'DELETED');
+        break;
+      case 'mo_stop':
+        event = await this.moStop(subscription, step);
+        break;
+    }
+
+    const now = this.now();
+    event = { uuid: subscription.uuid, at: now.toISOString(), action, ...event };
+
+    await subscription.update({
+      scenarioStep: step ? subscription.scenarioStep + 1 : subscription.scenarioStep,
+      lastEventAt: now,
+      events: [...subscription.events, event]
+    });
+    await subscription.update({ nextEventAt: this.nextEventAt(subscription) });
+
+    event.webhookStatus = await this.notifyNow(subscription, event.transaction || null);
+
+    Logger.info('Sandbox simulator event played', {
+      uuid: subscription.uuid,
+      action,
+      status: subscription.status,
+      at: event.at
+    });
+
+    return event;
+  }
+
+  /**
+   * Due charge: scripted outcome, else the balance decides (and the 'charge' failure injection);
+   * unpaid renewals are retried after RETRY_DAYS
+   */
+  async renew(subscription, action) {
+    const now = this.now();
+    const provision = subscription.provision;
+    const amount = Number(subscription.amount);
+    let charge = null;
+
+    if (action === 'charge') {
+      charge = await this.debit(provision, amount, subscription.currency, { force: true });
+    } else if (action === 'renewal' && !(provision && provision.failures.charge === 'insufficient_funds')) {
+      try {
+        charge = provision ? await this.debit(provision, amount, subscription.currency) : null;
+      } catch (error) {
+        if (!error.slaError) {
+          throw error;
+        }
+      }
+    }
+
+    if (charge) {
+      await subscription.update({
+        status: 'ACTIVE',
+        charges: [...subscription.charges, charge],
+        nextPaymentAt: this.addDays(now, PERIOD_DAYS[subscription.frequency] || PERIOD_DAYS.monthly)
+      });
+
+      return { outcome: 'charged', transaction: charge };
+    }
+
+    await subscription.update({ nextPaymentAt: this.addDays(now, RETRY_DAYS) });
+
+    return {
+      outcome: 'insufficient_funds',
+      transaction: {
+        transaction_id: this.generateTransactionId(),
+        status: 'INSUFFICIENT_FUNDS',
+        amount,
+        currency: subscription.currency,
+        timestamp: now.toISOString()
+      }
+    };
+  }
+
+  /**
+   * Scripted status change, notified with a transaction of the given status when there is one
+   */
+  async changeStatus(subscription, status, transactionStatus = null) {
+    const now = this.now();
+
+    await subscription.update({
+      status,
+      ...(status === 'DELETED' ? { nextPaymentAt: null, cancelledAt: now } : {})
+    });
+
+    return {
+      outcome: status,
+      transaction: transactionStatus ? {
+        transaction_id: this.generateTransactionId(),
+        status: transactionStatus,
+        amount: Number(subscription.amount),
+        currency: subscription.currency,
+        timestamp: now.toISOString()
+      } : undefined
+    };
+  }
+
+  /**
+   * Customer texts STOP: the MO goes through MOSMSService like an operator delivery,
+   * then the simulator deletes the subscription as SLA Digital would
+   */
+  async moStop(subscription, step) {
+    const text = step.text || 'STOP';
+    const shortCode = step.shortCode || await this.defaultShortCode(subscription.operatorCode);
+    const msisdn = (subscription.metadata && subscription.metadata.identifier) || subscription.msisdn;
+    let mo;
+
+    if (!subscription.operatorCode || !shortCode) {
+      mo = { text, delivered: false, error: 'No MO short code configured for the operator' };
+    } else {
+      try {
+        const MOSMSService = require('./MOSMSService');
+        const result = await MOSMSService.processMOSMS(subscription.operatorCode, msisdn, text, shortCode, null, {
+          messageId: 'sim_mo_' + crypto.randomBytes(8).toString('hex'),
+          ipAddress: '127.0.0.1'
+        });
+
+        mo = {
+          text,
+          shortCode,
+          delivered: true,
+          action: result.action,
+          success: result.success,
+          cancelledSubscriptions: result.cancelledSubscriptions || 0
+        };
+      } catch (error) {
+        mo = { text, shortCode, delivered: false, error: error.message };
+      }
+    }
+
+    const event = await this.changeStatus(subscription, 'DELETED');
+    return { ...event, mo };
+  }
+
+  /**
+   * First active managed short code of the operator, else its built-in one
+   */
+  async defaultShortCode(operatorCode) {
+    if (!operatorCode) {
+      return null;
+    }
+
+    const { MOShortCode } = getModels();
+    const managed = await MOShortCode.findOne({
+      where: { operatorCode, isActive: true },
+      order: [['created_at', 'ASC']]
+    });
+
+    if (managed) {
+      return managed.shortCode;
+    }
+
+    const MOSMSService = require('./MOSMSService');
+    const builtIn = MOSMSService.operatorConfigs[operatorCode];
+    return builtIn && builtIn.shortCodes && builtIn.shortCodes.length > 0 ? builtIn.shortCodes[0] : null;
+  }
+
+  /**
+   * Simulated time of a subscription's next event (null when nothing is left to happen)
+   */
+  nextEventAt(subscription) {
+    if (subscription.status === 'DELETED') {
+      return null;
+    }
+
+    const step = subscription.scenario[subscription.scenarioStep];
+    const base = new Date(subscription.lastEventAt || this.now()).getTime();
+
+    if (step && step.afterSeconds !== undefined) {
+      return new Date(base + step.afterSeconds * 1000);
+    }
+
+    if (step && !CHARGE_ACTIONS.includes(step.action)) {
+      return new Date(base);
+    }
+
+    if (subscription.status === 'SUSPENDED' && !step) {
+      return null;
+    }
+
+    return subscription.nextPaymentAt;
+  }
+
+  /**
+   * What the next event of a subscription will be
+   */
+  pendingAction(subscription) {
+    const step = subscription.scenario[subscription.scenarioStep];
+    return step ? step.action : 'renewal';
+  }
+
+  // ===== NOTIFICATIONS =====
+
+  /**
+   * Send the subscription's current state (and a transaction, if any) to WebhookService after the delay
+   */
+  notify(subscription, transaction = null) {
+    if (!config.sandboxSimulator.webhooksEnabled) {
+      return;
+    }
+
+    const body = this.notificationBody(subscription, transaction);
+
+    const timer = setTimeout(() => {
+      this.deliverNotification(body, subscription.operatorCode).catch(error => {
+        Logger.error('Sandbox simulator notification failed', {
+          uuid: subscription.uuid,
+          error: error.message
+        });
+      });
+    }, config.sandboxSimulator.webhookDelayMs);
+
+    if (timer.unref) {
+      timer.unref();
+    }
+  }
+
+  /**
+   * Deliver a notification right away, in order with the other events of a clock advance
+   */
+  async notifyNow(subscription, transaction = null) {
+    if (!config.sandboxSimulator.webhooksEnabled) {
+      return null;
+    }
+
+    try {
+      const response = await this.deliverNotification(
+        this.notificationBody(subscription, transaction),
+        subscription.operatorCode
+      );
+      return response.status;
+    } catch (error) {
+      Logger.error('Sandbox simulator notification failed', {
+        uuid: subscription.uuid,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * SLA success notification for a subscription
+   */
+  notificationBody(subscription, transaction = null) {
+    return {
+      success: {
+        type: transaction ? 'charge' : 'subscription',
+        uuid: subscription.uuid,
+        mode: 'sandbox',
+        merchant: subscription.merchant,
+        campaign: subscription.campaign,
+        msisdn: subscription.msisdn,
+        operator_code: subscription.operatorCode,
+        correlation_id: 'sim_' + crypto.randomBytes(12).toString('hex'),
+        transaction: transaction || undefined,
+        subscription: {
+          status: subscription.status,
+          next_payment_timestamp: subscription.nextPaymentAt ? new Date(subscription.nextPaymentAt).toISOString() : null
+        }
+      }
+    };
+  }
+
+  /**
+   * Hand a notification to WebhookService as an inbound request, signed like SLA Digital signs it
+   * @returns {Object} { status, body } of the webhook response
+   */
+  async deliverNotification(body, operatorCode = null) {
+    const WebhookService = require('./WebhookService');
+    const WebhookVerificationService = require('./WebhookVerificationService');
+
+    const rawBody = JSON.stringify(body);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const notification = body.success || body.error || {};
+    const { secrets } = await WebhookVerificationService.resolveSecrets(operatorCode, notification.merchant);
+
+    const headers = {
+      'content-type': 'application/json',
+      'user-agent': 'SLA-Sandbox-Simulator/1.0',
+      'x-sla-timestamp': timestamp
+    };
+
+    if (secrets.length > 0) {
+      headers['x-sla-signature'] = 'sha256=' + crypto
+        .createHmac('sha256', secrets[0])
+        .update(timestamp + rawBody)
+        .digest('hex');
+    }
+
+    const req = {
+      body: JSON.parse(rawBody),
+      rawBody: Buffer.from(rawBody),
+      headers,
+      ip: '127.0.0.1',
+      get: (name) => headers[String(name).toLowerCase()]
+    };
+
+    const response = { status: null, body: null };
+    const res = {
+      status(code) {
+        response.status = code;
+        return this;
+      },
+      json(payload) {
+        response.body = payload;
+        return this;
+      }
+    };
+
+    await WebhookService.processIncomingWebhook(req, res, { operatorCode });
+
+    Logger.info('Sandbox simulator notification delivered', {
+      uuid: notification.uuid,
+      operatorCode,
+      transactionStatus: notification.transaction ? notification.transaction.status : null,
+      subscriptionStatus: notification.subscription ? notification.subscription.status : null,
+      responseStatus: response.status
+    });
+
+    return response;
+  }
+
+  // ===== HELPERS =====
+
+  /**
+   * Take an amount from a provision's balance
+   * @param {Object} options - { force: true } succeeds whatever the balance (scripted charges), never below 0
+   * @returns {Object} Charge entry as stored on the subscription
+   */
+  async debit(provision, amount, currency, { force = false } = {}) {
+    const balance = Number(provision.balance);
+
+    if (balance < amount && !force) {
+      throw this.failure(FAILURES.insufficient_funds);
+    }
+
+    await provision.update({ balance: this.money(Math.max(0, balance - amount)) });
+
+    return {
+      transaction_id: this.generateTransactionId(),
+      status: 'CHARGED',
+      amount,
+      currency,
+      refunded: 0,
+      timestamp: this.now().toISOString()
+    };
+  }
+
+  /**
+   * SLA subscription body
+   */
+  subscriptionBody(subscription, extra = {}) {
+    return {
+      uuid: subscription.uuid,
+      status: subscription.status,
+      msisdn: subscription.msisdn,
+      campaign: subscription.campaign,
+      merchant: subscription.merchant,
+      amount: Number(subscription.amount),
+      currency: subscription.currency,
+      frequency: subscription.frequency,
+      next_payment_timestamp: subscription.nextPaymentAt ? new Date(subscription.nextPaymentAt).toISOString() : null,
+      operator_code: subscription.operatorCode,
+      ...extra
+    };
+  }
+
+  /**
+   * SLA provision body
+   */
+  provisionBody(provision) {
+    const expiresAt = new Date(provision.expiresAt);
+
+    return {
+      provisioned: true,
+      uuid: provision.externalId,
+      msisdn: provision.msisdn,
+      campaign: provision.campaign,
+      merchant: provision.merchant,
+      operator_code: provision.operatorCode,
+      balance: Number(provision.balance).toFixed(2),
+      currency: provision.currency,
+      failures: provision.failures,
+      expires_at: expiresAt.toISOString(),
+      expires_in_seconds: Math.max(0, Math.round((expiresAt - this.now()) / 1000)),
+      dummy_pin: config.sandboxSimulator.pin,
+      environment: 'simulator'
+    };
+  }
+
+  /**
+   * Error carrying an SLA error body, turned into { error } by handle()
+   */
+  failure(slaError) {
+    return Object.assign(new Error(slaError.message), { slaError });
+  }
+
+  /**
+   * Current time as the simulator sees it (real time plus the clock offset)
+   */
+  now() {
+    return new Date(Date.now() + this.clockOffsetMs);
+  }
+
+  addDays(date, days) {
+    return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  money(value) {
+    return Math.round(parseFloat(value) * 100) / 100;
+  }
+
+  generateTransactionId() {
+    return 'sim_tx_' + crypto.randomBytes(10).toString('hex');
+  }
+
+  maskMSISDN(msisdn) {
+    const value = String(msisdn || '');
+    return value.length >= 6 ? value.substring(0, 3) + '***' + value.substring(value.length - 2) : '***';
+  }
+}
+
+// Export singleton instance
+module.exports = new SandboxSimulatorService();
@@ -0,0 +1,362 @@
+/**
+ * Spend Limit Service
+ *
+ * Central spend ledger per subscriber (MSISDN digits or 48-character ACR): completed
+ * Transactions on an operator summed over rolling daily (24h), weekly (7 days) and monthly
+ * (30 days) windows, with completed refunds netted off.
+ *
+ * Charges and subscription creation are checked against the operator's limits before they
+ * reach the adapter (UnifiedAdapter, /v2.2/charge, /v2.2/subscription/create);
+ * /v2.2/eligibility reports the remaining headroom to merchants.
+ *
+ * Limits come from Operator.config.spendLimits ({ daily, weekly, monthly }), falling back to
+ * the adapter's businessRules.charge (dailyLimit, weeklyLimit, monthlyLimit). A limit may be
+ * split by customer type ({ prepaid: 90, postpaid: 20 }); prepaid applies unless the request
+ * says otherwise.
+ *
+ * Transactions are attributed through Transaction.subscriber: /v2.2/charge stores the subscriber
+ * the operator reports for the uuid, and /v2.2/subscription/create records its initial charge.
+ * A charge is refused (SPEND_LIMIT_UNVERIFIABLE) when the operator has limits but the ledger
+ * cannot be read or the subscriber cannot be resolved.
+ *
+ * Checks are atomic through reservations: reserve() adds the amount to the subscriber's in-flight
+ * total in Redis (INCRBY) and counts that total on top of the ledger, so concurrent charges cannot
+ * both pass on the same headroom. Callers release() the reservation once the charge has failed or
+ * been recorded. Without Redis charges on operators with limits are refused (SPEND_LIMIT_UNVERIFIABLE).
+ */
+
+const { Op } = require('sequelize');
+const { getModels } = require('../../models');
+const { UnifiedError } = require('../../utils/errors');
+const OperatorDetectionService = require('./OperatorDetectionService');
+const Logger = require('../../utils/logger');
+const config = require('../../config');
+
+// Redis import with fallback handling
+let redisManager = null;
+try {
+  const redisConfig = require('../../config/redis');
+  redisManager = redisConfig.redisManager;
+} catch (error) {
+  Logger.warn('Redis not available, spend limits cannot be reserved', {
+    error: error.message
+  });
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rolling windows and the error raised when a charge would exceed each
+const WINDOWS = {
+  daily: { days: 1, errorCode: 'DAILY_LIMIT_EXCEEDED', adapterKey: 'dailyLimit' },
+  weekly: { days: 7, errorCode: 'WEEKLY_LIMIT_EXCEEDED', adapterKey: 'weeklyLimit' },
+  monthly: { days: 30, errorCode: 'MONTHLY_LIMIT_EXCEEDED', adapterKey: 'monthlyLimit' }
+};
+
+// A reservation outlives any operator call; leaked ones (crashed requests) lapse after this
+const RESERVATION_TTL_SECONDS = 300;
+
+class SpendLimitService {
+  // ===== LIMITS =====
+
+  /**
+   * Limit per window for an operator (null where the operator has none)
+   * @returns {Object} { daily, weekly, monthly }
+   */
+  async getLimits(operatorCode, customerType = 'prepaid') {
+    const operatorManager = this.getOperatorManager();
+    const operator = await operatorManager.getOperator(operatorCode);
+    const overrides = (operator && operator.config && operator.config.spendLimits) || {};
+
+    let chargeRules = {};
+    try {
+      const adapter = operatorManager.getOperatorAdapter(operatorCode);
+      chargeRules = (adapter && adapter.config && adapter.config.businessRules && adapter.config.businessRules.charge) || {};
+    } catch (error) {
+      // Unregistered or disabled operator - only Operator.config limits apply
+    }
+
+    return Object.entries(WINDOWS).reduce((limits, [window, { adapterKey }]) => {
+      const value = overrides[window] !== undefined ? overrides[window] : chargeRules[adapterKey];
+      limits[window] = this.resolveLimit(value, customerType);
+      return limits;
+    }, {});
+  }
+
+  /**
+   * A number, or the customer type's entry of a { prepaid, postpaid } split
+   */
+  resolveLimit(value, customerType) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    if (typeof value === 'object') {
+      return this.resolveLimit(value[customerType] !== undefined ? value[customerType] : value.prepaid, customerType);
+    }
+
+    const limit = parseFloat(value);
+    return Number.isFinite(limit) && limit >= 0 ? limit : null;
+  }
+
+  // ===== LEDGER =====
+
+  /**
+   * Net spend of a subscriber on an operator per window
+   * @returns {Object} { daily, weekly, monthly }
+   */
+  async getSpend(operatorId, subscriber) {
+    const { Transaction } = getModels();
+    const now = Date.now();
+    const longest = Math.max(...Object.values(WINDOWS).map(({ days }) => days));
+
+    const transactions = await Transaction.findAll({
+      attributes: ['amount', 'type', 'transactionDate'],
+      where: {
+        subscriber,
+        operatorId,
+        status: 'completed',
+        transactionDate: { [Op.gte]: new Date(now - longest * DAY_MS) }
+      },
+      raw: true
+    });
+
+    return Object.entries(WINDOWS).reduce((spend, [window, { days }]) => {
+      const since = now - days * DAY_MS;
+      const total = transactions
+        .filter(transaction => new Date(transaction.transactionDate).getTime() >= since)
+        .reduce((sum, transaction) => {
+          const amount = parseFloat(transaction.amount) || 0;
+          return transaction.type === 'refund' ? sum - amount : sum + amount;
+        }, 0);
+
+      spend[window] = Math.max(0, Math.round(total * 100) / 100);
+      return spend;
+    }, {});
+  }
+
+  /**
+   * Limit, spend and remaining headroom per window for a subscriber
+   *
+   * @param {Object} params - { operatorCode, subscriber | msisdn | acr | uuid, customerType }
+   * @param {Object} options - { strict }: throw SPEND_LIMIT_UNVERIFIABLE instead of returning null
+   *   when the operator has limits but the subscriber cannot be resolved
+   * @returns {Object|null} { subscriber, operatorCode, currency, windows: { daily: { limit, spent, remaining }, ... } },
+   *   null when limits are disabled, the operator has none or the subscriber cannot be resolved
+   */
+  async getHeadroom(params, { strict = false } = {}) {
+    if (!config.spendLimits.enabled) {
+      return null;
+    }
+
+    const { operatorCode, customerType = 'prepaid' } = params;
+    const operator = await this.getOperatorManager().getOperator(operatorCode);
+    if (!operator) {
+      return null;
+    }
+
+    const limits = await this.getLimits(operatorCode, customerType);
+    if (Object.values(limits).every(limit => limit === null)) {
+      return null;
+    }
+
+    const subscriber = await this.resolveSubscriber(params);
+    if (!subscriber) {
+      if (strict) {
+        throw new UnifiedError('SPEND_LIMIT_UNVERIFIABLE',
+          `Spend limits of ${operatorCode} cannot be checked: the subscriber could not be identified`);
+      }
+      return null;
+    }
+
+    const spend = await this.getSpend(operator.id, subscriber);
+
+    const windows = Object.keys(WINDOWS).reduce((result, window) => {
+      const limit = limits[window];
+      result[window] = {
+        limit,
+        spent: spend[window],
+        remaining: limit === null ? null : Math.max(0, Math.round((limit - spend[window]) * 100) / 100)
+      };
+      return result;
+    }, {});
+
+    return {
+      subscriber,
+      operatorCode,
+      currency: OperatorDetectionService.getOperatorInfo(operatorCode).currency || null,
+      windows
+    };
+  }
+
+  /**
+   * Reserve a charge against the subscriber's limits, refusing it when the ledger plus the
+   * charges already in flight would go past any of them
+   *
+   * @param {Object} params - { operatorCode, subscriber | msisdn | acr | uuid, amount, customerType }
+   * @returns {Object|null} Reservation { key, cents, headroom } to release(), null when nothing was checked
+   * @throws {UnifiedError} DAILY_LIMIT_EXCEEDED, WEEKLY_LIMIT_EXCEEDED or MONTHLY_LIMIT_EXCEEDED
+   *   with `headroom` and `window` attached; SPEND_LIMIT_UNVERIFIABLE when the limits cannot be checked
+   */
+  async reserve(params) {
+    const amount = parseFloat(params.amount) || 0;
+    if (amount <= 0) {
+      return null;
+    }
+
+    let headroom;
+    try {
+      headroom = await this.getHeadroom(params, { strict: true });
+    } catch (error) {
+      if (error.code === 'SPEND_LIMIT_UNVERIFIABLE') {
+        throw error;
+      }
+
+      Logger.error('Spend ledger unavailable, charge refused', {
+        operatorCode: params.operatorCode,
+        error: error.message
+      });
+      throw new UnifiedError('SPEND_LIMIT_UNVERIFIABLE',
+        'Spend limits cannot be checked right now - please try again', error);
+    }
+
+    if (!headroom) {
+      return null;
+    }
+
+    const key = this.reservationKey(params.operatorCode, headroom.subscriber);
+    const cents = Math.round(amount * 100);
+    const reservedCents = redisManager && redisManager.isAvailable()
+      ? await redisManager.incrBy(key, cents)
+      : null;
+
+    if (reservedCents === null) {
+      Logger.error('Spend limits cannot be reserved without Redis, charge refused', {
+        operatorCode: params.operatorCode,
+        subscriber: this.maskSubscriber(headroom.subscriber)
+      });
+      throw new UnifiedError('SPEND_LIMIT_UNVERIFIABLE',
+        'Spend limits cannot be checked right now - please try again');
+    }
+
+    const reservation = { key, cents, headroom };
+    await redisManager.expire(key, RESERVATION_TTL_SECONDS);
+
+    try {
+      this.assertHeadroom(params.operatorCode, headroom, amount, (reservedCents - cents) / 100);
+    } catch (error) {
+      await this.release(reservation);
+      throw error;
+    }
+
+    return reservation;
+  }
+
+  /**
+   * Take a reservation's amount off the subscriber's in-flight total
+   * (after the charge failed, or once its Transaction counts in the ledger)
+   */
+  async release(reservation) {
+    if (!reservation || !redisManager) {
+      return;
+    }
+
+    const remaining = await redisManager.incrBy(reservation.key, -reservation.cents);
+    if (remaining !== null && remaining <= 0) {
+      await redisManager.del(reservation.key);
+    }
+  }
+
+  /**
+   * Throw the error of the first window that spent + in flight + amount would exceed
+   */
+  assertHeadroom(operatorCode, headroom, amount, inFlight) {
+    for (const [window, { errorCode }] of Object.entries(WINDOWS)) {
+      const { limit, spent } = headroom.windows[window];
+      if (limit === null || spent + inFlight + amount <= limit + 0.0001) {
+        continue;
+      }
+
+      const remaining = Math.max(0, Math.round((limit - spent - inFlight) * 100) / 100);
+
+      Logger.warn('Spend limit exceeded', {
+        operatorCode,
+        subscriber: this.maskSubscriber(headroom.subscriber),
+        window,
+        limit,
+        spent,
+        inFlight,
+        amount
+      });
+
+      throw Object.assign(
+        new UnifiedError(errorCode,
+          `${window.charAt(0).toUpperCase() + window.slice(1)} spend limit of ${limit}${headroom.currency ? ` ${headroom.currency}` : ''} reached - ${remaining} remaining, ${amount} requested`),
+        { window, headroom }
+      );
+    }
+  }
+
+  /**
+   * Amount a new subscription charges straight away: the registered campaign's price,
+   * or nothing for trials and subscriptions created without an initial charge
+   */
+  async initialChargeAmount({ campaign, trialDays, skipInitialCharge }) {
+    if (skipInitialCharge || parseInt(trialDays) > 0 || !campaign) {
+      return 0;
+    }
+
+    const MerchantService = require('./MerchantService');
+    const registered = typeof campaign === 'string' ? await MerchantService.getCampaign(campaign) : campaign;
+
+    return registered ? parseFloat(registered.price) || 0 : 0;
+  }
+
+  // ===== HELPERS =====
+
+  /**
+   * Ledger key: the one given, from msisdn/acr, or the msisdn of the local subscription a uuid refers to
+   */
+  async resolveSubscriber({ subscriber, msisdn, acr, uuid }) {
+    if (subscriber) {
+      return subscriber;
+    }
+
+    const { Transaction, Subscription } = getModels();
+
+    if (acr || msisdn) {
+      return Transaction.subscriberKey(acr || msisdn);
+    }
+
+    if (!uuid) {
+      return null;
+    }
+
+    const subscription = await Subscription.findOne({
+      where: { operatorSubscriptionId: uuid },
+      attributes: ['id', 'msisdn']
+    });
+
+    return subscription ? Transaction.subscriberKey(subscription.msisdn) : null;
+  }
+
+  reservationKey(operatorCode, subscriber) {
+    return `spend:reserved:${operatorCode}:${subscriber}`;
+  }
+
+  getOperatorManager() {
+    const { getInstance } = require('./OperatorManager');
+    return getInstance();
+  }
+
+  maskSubscriber(subscriber) {
+    if (!subscriber || subscriber.length < 4) {
+      return '***';
+    }
+    return subscriber.substring(0, 3) + '***' + subscriber.substring(subscriber.length - 2);
+  }
+}
+
+const spendLimitService = new SpendLimitService();
+spendLimitService.WINDOWS = WINDOWS;
+
+module.exports = spendLimitService;
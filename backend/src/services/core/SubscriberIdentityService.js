@@ -0,0 +1,365 @@
+/**
+ * Subscriber Identity Service
+ *
+ * Maps the identifiers a subscriber shows up with to one stable internal Subscriber id:
+ *
+ *   msisdn   MSISDN digits
+ *   acr      Telenor ACR customer id - the first 30 of the 48 characters (see TelenorAdapter.parseACR);
+ *            the remaining 18 change over time, so every ACR of the customer finds the same subscriber
+ *   header   header-enrichment subscriber id, scoped to its operator
+ *
+ * Identifiers seen together (a subscription's MSISDN/ACR) are linked to one subscriber. When they
+ * already belong to different subscribers, those are merged into the oldest one: identities and
+ * subscriptions move over, the others are kept as 'merged' and every merge is written to AuditLog.
+ *
+ * Operator-enriched headers are only taken from sources the caller vouches for (trustedEnrichment:
+ * the subscriber's own request through the operator network, a verified enrichment callback) -
+ * never from merchant API requests, whose headers the merchant controls. Even then they only add
+ * identifiers no other subscriber holds and never cause a merge.
+ *
+ * Lookups work by any identifier; subscriptionWhere() gives the Subscription where clause covering
+ * all of a subscriber's identifiers (and subscriptions recorded before the store existed).
+ */
+
+const { Op } = require('sequelize');
+const { getModels } = require('../../models');
+const Logger = require('../../utils/logger');
+
+// An ACR's first 30 characters identify the customer; the last 18 may change
+const ACR_LENGTH = 48;
+const ACR_CUSTOMER_ID_LENGTH = 30;
+
+class SubscriberIdentityService {
+  // ===== RESOLUTION =====
+
+  /**
+   * Subscriber for identifiers seen together, linking new identifiers and merging subscribers
+   * they show to be the same
+   *
+   * @param {Object} params - { msisdn, acr, enrichment (HeaderEnrichmentService.parseEnrichedHeaders), operatorCode }
+   * @param {Object} options - { source, trustedEnrichment } - enrichment is ignored unless trustedEnrichment
+   * @returns {Object|null} Active Subscriber, null when no identifier was given
+   */
+  async resolve(params, options = {}) {
+    const identities = this.identitiesFor(options.trustedEnrichment ? params : { ...params, enrichment: null });
+    if (identities.length === 0) {
+      return null;
+    }
+
+    try {
+      return await this.link(identities, params.operatorCode, options.source || null);
+    } catch (error) {
+      // Another request linked one of the identifiers first - resolve against its rows
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return this.link(identities, params.operatorCode, options.source || null);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Link identities to one subscriber (in one database transaction)
+   * Only the requested identifiers pick and merge subscribers; enriched ones are added when no other
+   * subscriber holds them
+   */
+  async link(identities, operatorCode = null, source = null) {
+    const { Subscriber, SubscriberIdentity } = getModels();
+    const now = new Date();
+    const merges = [];
+    const requested = identities.some(identity => !identity.enriched)
+      ? identities.filter(identity => !identity.enriched)
+      : identities.slice(0, 1);
+    const rowOf = (rows, identity) => rows.find(candidate => candidate.type === identity.type && candidate.value === identity.value);
+
+    const subscriber = await Subscriber.sequelize.transaction(async (transaction) => {
+      const existing = await SubscriberIdentity.findAll({
+        where: { [Op.or]: identities.map(({ type, value }) => ({ type, value })) },
+        transaction
+      });
+
+      const subscribers = await this.activeSubscribers(
+        requested.map(identity => rowOf(existing, identity)).filter(Boolean).map(row => row.subscriberId),
+        transaction
+      );
+
+      let survivor;
+      if (subscribers.length === 0) {
+        survivor = await Subscriber.create({ lastSeenAt: now }, { transaction });
+      } else {
+        [survivor] = subscribers;
+        for (const other of subscribers.slice(1)) {
+          merges.push(await this.merge(survivor, other, transaction));
+        }
+        await survivor.update({ lastSeenAt: now }, { transaction });
+      }
+
+      for (const identity of identities) {
+        const row = rowOf(existing, identity);
+
+        if (row && !requested.includes(identity)) {
+          const [holder] = await this.activeSubscribers([row.subscriberId], transaction);
+          if (holder && holder.id !== survivor.id) {
+            Logger.warn('Enriched identifier belongs to another subscriber, not linked', {
+              operatorCode,
+              type: identity.type,
+              value: this.maskValue(identity.value),
+              subscriberId: survivor.id
+            });
+            continue;
+          }
+        }
+
+        const values = {
+          subscriberId: survivor.id,
+          rawValue: identity.rawValue,
+          operatorCode: operatorCode || (row && row.operatorCode) || null,
+          lastSeenAt: now
+        };
+
+        if (row) {
+          await row.update(values, { transaction });
+        } else {
+          await SubscriberIdentity.create({ ...values, type: identity.type, value: identity.value, source }, { transaction });
+        }
+      }
+
+      return survivor;
+    });
+
+    for (const merge of merges) {
+      await this.auditMerge(merge, operatorCode, source);
+    }
+
+    return subscriber;
+  }
+
+  /**
+   * Merge a subscriber into another: its identities, subscriptions and earlier merges move over
+   * @returns {Object} { survivorId, mergedId, identities, subscriptions }
+   */
+  async merge(survivor, merged, transaction) {
+    const { Subscriber, SubscriberIdentity, Subscription } = getModels();
+
+    const identities = await SubscriberIdentity.findAll({
+      where: { subscriberId: merged.id },
+      attributes: ['type', 'value'],
+      transaction
+    });
+
+    await SubscriberIdentity.update({ subscriberId: survivor.id }, { where: { subscriberId: merged.id }, transaction });
+    const [subscriptions] = await Subscription.update({ subscriberId: survivor.id }, { where: { subscriberId: merged.id }, transaction });
+    await Subscriber.update({ mergedIntoId: survivor.id }, { where: { mergedIntoId: merged.id }, transaction });
+
+    await merged.update({ status: 'merged', mergedIntoId: survivor.id, mergedAt: new Date() }, { transaction });
+
+    return {
+      survivorId: survivor.id,
+      mergedId: merged.id,
+      identities: identities.map(identity => ({ type: identity.type, value: this.maskValue(identity.value) })),
+      subscriptions
+    };
+  }
+
+  // ===== LOOKUP =====
+
+  /**
+   * Active subscriber known by an identifier (MSISDN or ACR), or by any of the given identifiers
+   * @param {string|Object} params - Identifier, or { msisdn, acr, enrichment, operatorCode }
+   * @returns {Object|null} Subscriber
+   */
+  async findSubscriber(params) {
+    const identities = this.identitiesFor(typeof params === 'string' ? this.classify(params) : params);
+    if (identities.length === 0) {
+      return null;
+    }
+
+    const { SubscriberIdentity } = getModels();
+    const existing = await SubscriberIdentity.findAll({
+      where: { [Op.or]: identities.map(({ type, value }) => ({ type, value })) },
+      attributes: ['subscriberId']
+    });
+
+    const [subscriber] = await this.activeSubscribers(existing.map(identity => identity.subscriberId));
+    return subscriber || null;
+  }
+
+  /**
+   * Identities of a subscriber
+   */
+  async getIdentities(subscriberId) {
+    const { SubscriberIdentity } = getModels();
+    return SubscriberIdentity.findAll({
+      where: { subscriberId },
+      order: [['last_seen_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Subscription where clause for everything an identifier's subscriber holds: subscriptions linked
+   * to the subscriber, and any stored under one of its MSISDNs or ACRs
+   * @returns {Object} { subscriber, where }
+   */
+  async subscriptionWhere(identifier) {
+    let subscriber = null;
+    let identities = this.identitiesFor(this.classify(identifier));
+
+    try {
+      subscriber = await this.findSubscriber(identifier);
+      if (subscriber) {
+        identities = await this.getIdentities(subscriber.id);
+      }
+    } catch (error) {
+      Logger.warn('Subscriber identities unavailable, matching the identifier only', {
+        identifier: this.maskValue(identifier),
+        error: error.message
+      });
+    }
+
+    const conditions = identities.reduce((list, identity) => {
+      if (identity.type === 'msisdn') {
+        list.push({ msisdn: { [Op.in]: [identity.value, `+${identity.value}`] } });
+      } else if (identity.type === 'acr') {
+        list.push({ msisdn: { [Op.startsWith]: identity.value } });
+      }
+      return list;
+    }, subscriber ? [{ subscriberId: subscriber.id }] : []);
+
+    // A raw identifier the store does not normalize (e.g. a local format) still matches as given
+    conditions.push({ msisdn: String(identifier).trim() });
+
+    return { subscriber, where: { [Op.or]: conditions } };
+  }
+
+  // ===== IDENTIFIERS =====
+
+  /**
+   * Normalized identities of identifiers seen together
+   *
+   * Operator-enriched headers are linked with the request's identifier only when they do not
+   * contradict it (an enriched MSISDN must match a requested MSISDN, an enriched ACR a requested ACR).
+   *
+   * @returns {Array<Object>} [{ type, value, rawValue, enriched }]
+   */
+  identitiesFor({ msisdn, acr, enrichment = null, operatorCode = null } = {}) {
+    const identities = [];
+    const add = (type, rawValue, enriched = false) => {
+      const value = this.normalize(type, rawValue, operatorCode);
+      if (value && !identities.some(identity => identity.type === type && identity.value === value)) {
+        identities.push({ type, value, rawValue: String(rawValue).trim().substring(0, 255), enriched });
+      }
+    };
+
+    if (acr) add('acr', acr);
+    if (msisdn) add(String(msisdn).trim().length === ACR_LENGTH ? 'acr' : 'msisdn', msisdn);
+
+    if (enrichment) {
+      const requested = identities.slice();
+      const contradicts = (type, rawValue) => {
+        const value = this.normalize(type, rawValue, operatorCode);
+        return requested.some(identity => identity.type === type) &&
+          !requested.some(identity => identity.type === type && identity.value === value);
+      };
+
+      const enriched = [['msisdn', enrichment.msisdn], ['acr', enrichment.acr]].filter(([, value]) => value);
+      if (enriched.some(([type, value]) => contradicts(type, value))) {
+        Logger.warn('Enriched headers name a different subscriber, not linked', {
+          operatorCode,
+          msisdn: this.maskValue(enrichment.msisdn),
+          acr: this.maskValue(enrichment.acr)
+        });
+      } else {
+        enriched.forEach(([type, value]) => add(type, value, true));
+        if (enrichment.subscriberId && operatorCode) add('header', enrichment.subscriberId, true);
+      }
+    }
+
+    return identities;
+  }
+
+  /**
+   * Normalized value of an identifier (null when it is unusable)
+   */
+  normalize(type, rawValue, operatorCode = null) {
+    const value = String(rawValue || '').trim();
+
+    switch (type) {
+      case 'msisdn': {
+        const digits = value.replace(/\D/g, '');
+        return digits.length >= 6 ? digits : null;
+      }
+      case 'acr':
+        return value.length === ACR_LENGTH ? value.substring(0, ACR_CUSTOMER_ID_LENGTH) : null;
+      case 'header':
+        return value && operatorCode ? `${operatorCode}:${value}`.substring(0, 255) : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * { msisdn } or { acr } for a bare identifier
+   */
+  classify(identifier) {
+    const value = String(identifier || '').trim();
+    return value.length === ACR_LENGTH ? { acr: value } : { msisdn: value };
+  }
+
+  // ===== HELPERS =====
+
+  /**
+   * Active subscribers behind subscriber ids (merged ones followed to their survivor), oldest first
+   */
+  async activeSubscribers(subscriberIds, transaction = null) {
+    const { Subscriber } = getModels();
+    const seen = new Set();
+    let pending = [...new Set(subscriberIds)];
+    const active = [];
+
+    while (pending.length > 0) {
+      pending.forEach(id => seen.add(id));
+      const subscribers = await Subscriber.findAll({ where: { id: { [Op.in]: pending } }, transaction });
+
+      active.push(...subscribers.filter(subscriber => !subscriber.isMerged()));
+      pending = [...new Set(subscribers
+        .filter(subscriber => subscriber.isMerged() && subscriber.mergedIntoId)
+        .map(subscriber => subscriber.mergedIntoId))]
+        .filter(id => !seen.has(id));
+    }
+
+    return active
+      .filter((subscriber, index) => active.findIndex(other => other.id === subscriber.id) === index)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  async auditMerge(merge, operatorCode, source) {
+    const { Operator, AuditLog } = getModels();
+    const operator = operatorCode
+      ? await Operator.findOne({ where: { code: operatorCode }, attributes: ['id'] }).catch(() => null)
+      : null;
+
+    Logger.info('Subscribers merged', { ...merge, operatorCode, source });
+
+    await AuditLog.logSubscriberMerge(
+      merge.survivorId,
+      merge.mergedId,
+      `Subscriber ${merge.mergedId} merged into ${merge.survivorId}`,
+      { subscriberId: merge.mergedId, identities: merge.identities },
+      { subscriberId: merge.survivorId, subscriptionsMoved: merge.subscriptions },
+      operator ? operator.id : null,
+      { operatorCode, source }
+    );
+  }
+
+  maskValue(value) {
+    if (!value || String(value).length < 4) {
+      return '***';
+    }
+    const text = String(value);
+    return text.substring(0, 3) + '***' + text.substring(text.length - 2);
+  }
+}
+
+const subscriberIdentityService = new SubscriberIdentityService();
+subscriberIdentityService.ACR_CUSTOMER_ID_LENGTH = ACR_CUSTOMER_ID_LENGTH;
+
+module.exports = subscriberIdentityService;
@@ -0,0 +1,238 @@
+/**
+ * UK Aggregator Service
+ *
+ * One landing/consent flow for the four UK networks (voda-uk, three-uk, o2-uk, ee-uk), which all
+ * take payments through the Fonix checkout:
+ *
+ * - Routing: a UK checkout session (flow 'uk', /v2.2/checkout/create with operator=uk or a UK
+ *   MSISDN) picks its network when the subscriber lands on /checkout/:token - from the enriched
+ *   MCC-MNC header, then the enriched MSISDN, then the session MSISDN (numbering plan and ported
+ *   numbers). The session is then sent to that network's checkout.
+ * - MO STOP: the networks share short code 88088, so a STOP there cancels the subscriber's
+ *   subscriptions on all four networks, whichever network delivered it.
+ * - Conversion: sessions, redirects and consents per network from the UK checkout sessions.
+ */
+
+const { Op, fn, col } = require('sequelize');
+const { getModels } = require('../../models');
+const { UnifiedError } = require('../../utils/errors');
+const OperatorDetectionService = require('./OperatorDetectionService');
+const HeaderEnrichmentService = require('./HeaderEnrichmentService');
+const Logger = require('../../utils/logger');
+
+const UK_FLOW = 'uk';
+const NETWORKS = ['voda-uk', 'three-uk', 'o2-uk', 'ee-uk'];
+const SHARED_SHORT_CODE = '88088';
+
+// UK MCC-MNC (234) network codes of each network
+const NETWORK_CODES = {
+  '234-15': 'voda-uk',
+  '234-91': 'voda-uk',
+  '234-20': 'three-uk',
+  '234-02': 'o2-uk',
+  '234-10': 'o2-uk',
+  '234-11': 'o2-uk',
+  '234-30': 'ee-uk',
+  '234-31': 'ee-uk',
+  '234-32': 'ee-uk',
+  '234-33': 'ee-uk',
+  '234-34': 'ee-uk'
+};
+
+class UKAggregatorService {
+  constructor() {
+    this.headerEnrichment = new HeaderEnrichmentService();
+  }
+
+  isUKNetwork(operatorCode) {
+    return NETWORKS.includes(operatorCode);
+  }
+
+  // ===== NETWORK DETECTION =====
+
+  /**
+   * Detect the subscriber's UK network
+   *
+   * @param {Object} params - { headers (subscriber's request), msisdn }
+   * @returns {Object|null} { operatorCode, method: 'header_network'|'header_msisdn'|'msisdn_lookup', msisdn }
+   */
+  async detectNetwork({ headers = null, msisdn = null } = {}) {
+    let enriched = null;
+    if (headers) {
+      try {
+        enriched = this.headerEnrichment.parseEnrichedHeaders(headers);
+      } catch (error) {
+        Logger.warn('UK landing headers could not be parsed', { error: error.message });
+      }
+    }
+
+    if (enriched) {
+      const networkCodes = enriched.networkCodes || this.headerEnrichment.parseNetworkCodes(enriched.networkCode);
+      const fromNetworkCode = networkCodes && NETWORK_CODES[networkCodes.combined];
+      if (fromNetworkCode) {
+        return { operatorCode: fromNetworkCode, method: 'header_network', msisdn: enriched.msisdn || msisdn };
+      }
+
+      const fromEnrichedMSISDN = await this.lookupMSISDN(enriched.msisdn);
+      if (fromEnrichedMSISDN) {
+        return { operatorCode: fromEnrichedMSISDN, method: 'header_msisdn', msisdn: enriched.msisdn };
+      }
+    }
+
+    const fromMSISDN = await this.lookupMSISDN(msisdn);
+    if (fromMSISDN) {
+      return { operatorCode: fromMSISDN, method: 'msisdn_lookup', msisdn };
+    }
+
+    return null;
+  }
+
+  /**
+   * UK network of an MSISDN (numbering plan and ported numbers first), null when it is not UK
+   */
+  async lookupMSISDN(msisdn) {
+    if (!msisdn || String(msisdn).length === 48) {
+      return null;
+    }
+
+    const detection = await OperatorDetectionService.detect(msisdn);
+    return detection && this.isUKNetwork(detection.operatorCode) ? detection.operatorCode : null;
+  }
+
+  /**
+   * Point a UK session that has not been redirected yet at the subscriber's network
+   *
+   * @param {Object} session - CheckoutSession (flow 'uk')
+   * @param {Object} headers - Headers of the subscriber's landing request
+   * @returns {Object} The session with operatorCode set
+   * @throws {UnifiedError} UK_NETWORK_UNDETECTED, OPERATOR_DISABLED
+   */
+  async routeSession(session, headers = null) {
+    const detection = await this.detectNetwork({ headers, msisdn: session.msisdn });
+    const operatorCode = detection ? detection.operatorCode : session.operatorCode;
+
+    if (!operatorCode) {
+      throw new UnifiedError('UK_NETWORK_UNDETECTED', 'The subscriber\'s UK network could not be detected');
+    }
+
+    if (!(await this.getOperatorManager().isOperatorEnabled(operatorCode))) {
+      throw new UnifiedError('OPERATOR_DISABLED', `Operator ${operatorCode} is disabled`);
+    }
+
+    if (detection && detection.operatorCode !== session.operatorCode) {
+      Logger.info('UK checkout session routed', {
+        sessionId: session.id,
+        operatorCode,
+        previousOperatorCode: session.operatorCode,
+        method: detection.method
+      });
+    }
+
+    await session.update({
+      operatorCode,
+      networkDetection: detection ? detection.method : session.networkDetection,
+      msisdn: session.msisdn || (detection && detection.msisdn) || null
+    });
+
+    return session;
+  }
+
+  // ===== MO STOP =====
+
+  /**
+   * Operators an MO STOP cancels subscriptions on: every UK network for the shared short code,
+   * otherwise only the operator that delivered it
+   */
+  stopOperators(operatorCode, shortCode) {
+    return this.isUKNetwork(operatorCode) && String(shortCode) === SHARED_SHORT_CODE
+      ? NETWORKS.slice()
+      : [operatorCode];
+  }
+
+  // ===== CONVERSION =====
+
+  /**
+   * UK checkout sessions per network: created, redirected to the network's checkout, consented
+   * conversionRate is consents per redirect (the network is only certain once the subscriber landed)
+   *
+   * @param {Object} options - { days, campaign, merchant }
+   * @returns {Object} { from, to, networks: { <operatorCode>: { sessions, redirected, consented, failed, expired,
+   *   conversionRate, detection } }, unrouted, undetected, totals }
+   */
+  async getConversionReport({ days = 30, campaign = null, merchant = null } = {}) {
+    const { CheckoutSession } = getModels();
+    const to = new Date();
+    const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+
+    const where = { flow: UK_FLOW, created_at: { [Op.gte]: from } };
+    if (campaign) where.campaign = campaign;
+    if (merchant) where.merchant = merchant;
+
+    const rows = await CheckoutSession.findAll({
+      attributes: [
+        'operatorCode',
+        'state',
+        'networkDetection',
+        'failureReason',
+        [fn('COUNT', col('id')), 'count'],
+        [fn('COUNT', col('redirected_at')), 'redirected']
+      ],
+      where,
+      group: ['operator_code', 'state', 'network_detection', 'failure_reason'],
+      raw: true
+    });
+
+    const emptyStats = () => ({ sessions: 0, redirected: 0, consented: 0, failed: 0, expired: 0, detection: {} });
+    const networks = NETWORKS.reduce((stats, network) => ({ ...stats, [network]: emptyStats() }), {});
+    const unrouted = emptyStats(); // No network yet (never landed, or undetected)
+    const totals = emptyStats();
+    let undetected = 0;
+
+    for (const row of rows) {
+      const count = parseInt(row.count) || 0;
+      if (row.failureReason === 'uk_network_undetected') {
+        undetected += count;
+      }
+
+      for (const stats of [networks[row.operatorCode] || unrouted, totals]) {
+        stats.sessions += count;
+        stats.redirected += parseInt(row.redirected) || 0;
+        if (['consented', 'failed', 'expired'].includes(row.state)) {
+          stats[row.state] += count;
+        }
+        if (row.networkDetection) {
+          stats.detection[row.networkDetection] = (stats.detection[row.networkDetection] || 0) + count;
+        }
+      }
+    }
+
+    const withRate = stats => ({
+      ...stats,
+      conversionRate: stats.redirected ? Math.round(stats.consented / stats.redirected * 1000) / 10 : null
+    });
+
+    return {
+      from,
+      to,
+      campaign,
+      merchant,
+      networks: Object.fromEntries(Object.entries(networks).map(([network, stats]) => [network, withRate(stats)])),
+      unrouted,
+      undetected,
+      totals: withRate(totals)
+    };
+  }
+
+  getOperatorManager() {
+    const { getInstance } = require('./OperatorManager');
+    return getInstance();
+  }
+}
+
+const ukAggregatorService = new UKAggregatorService();
+ukAggregatorService.UK_FLOW = UK_FLOW;
+ukAggregatorService.NETWORKS = NETWORKS;
+ukAggregatorService.SHARED_SHORT_CODE = SHARED_SHORT_CODE;
+ukAggregatorService.NETWORK_CODES = NETWORK_CODES;
+
+module.exports = ukAggregatorService;
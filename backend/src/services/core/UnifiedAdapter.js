@@ -9,10 +9,15 @@ const { getInstance: getOperatorManager } = require('./OperatorManager');
 const ResponseMapper = require('./ResponseMapper');
 const ErrorTranslator = require('./ErrorTranslator');
 const HeaderEnrichmentService = require('./HeaderEnrichmentService');
+const CircuitBreakerService = require('./CircuitBreakerService');
+const SpendLimitService = require('./SpendLimitService');
 const Logger = require('../../utils/logger');
-const { OperatorError, ValidationError } = require('../../utils/errors');
+const { OperatorError, ValidationError, UnifiedError } = require('../../utils/errors');
 const AuditLog = require('../../models/AuditLog');
 
+// Errors raised before the adapter is called, passed on as they are
+const LOCAL_ERROR_CODES = ['CIRCUIT_OPEN', 'DAILY_LIMIT_EXCEEDED', 'WEEKLY_LIMIT_EXCEEDED', 'MONTHLY_LIMIT_EXCEEDED'];
+
 class UnifiedAdapter {
   constructor() {
     // 🔧 FIXED: Use singleton getInstance() instead of new OperatorManager()
@@ -44,6 +49,8 @@ class UnifiedAdapter {
       paramsCount: Object.keys(params || {}).length
     });
 
+    let spendReservation = null;
+
     try {
       // 1. Validate operation parameters
       this.validateOperation(operatorCode, operation, params);
@@ -54,13 +61,36 @@ class UnifiedAdapter {
         throw new OperatorError(`Operator ${operatorCode} is currently disabled`);
       }
 
-      // 3. Get operator adapter
-      const adapter = this.operatorManager.getOperatorAdapter(operatorCode);
+      // 3. Get operator adapter (routed operators pick a variant per subscriber MSISDN/ACR;
+      //    uuid-only operations take it from the local subscription)
+      const subscriptionContext = params?.msisdn || params?.acr
+        ? {}
+        : await this.operatorManager.getSubscriptionRoutingContext(params?.uuid);
+      const adapter = this.operatorManager.getOperatorAdapter(operatorCode, {
+        campaign: params?.campaign || subscriptionContext.campaign,
+        merchant: params?.merchant || subscriptionContext.merchant,
+        stickyKey: params?.msisdn || params?.acr || subscriptionContext.stickyKey,
+        operation
+      });
       if (!adapter) {
         throw new OperatorError(`No adapter available for operator ${operatorCode}`);
       }
 
-      // 4. Enrich headers if needed
+      // 4. Fail fast while the operator's circuit breaker is open
+      const breaker = await CircuitBreakerService.canExecute(adapter.circuitKey || operatorCode, operation);
+      if (!breaker.allowed) {
+        const circuitError = new UnifiedError(
+          'CIRCUIT_OPEN',
+          `Operator ${operatorCode} is temporarily unavailable for ${operation} - retry in ${breaker.retryAfterSeconds}s`
+        );
+        circuitError.retryAfterSeconds = breaker.retryAfterSeconds;
+        throw circuitError;
+      }
+
+      // 5. Charges and new subscriptions must fit the subscriber's spend limits (reserved while in flight)
+      spendReservation = await this.reserveSpend(operatorCode, operation, params);
+
+      // 6. Enrich headers if needed
       let enrichedParams = { ...params };
       if (this.requiresHeaderEnrichment(operation)) {
         try {
@@ -78,7 +108,7 @@ class UnifiedAdapter {
         }
       }
 
-      // 5. Execute operation through adapter
+      // 7. Execute operation through adapter
       const rawResult = await this.executeAdapterOperation(
         adapter,
         operation,
@@ -86,14 +116,13 @@ class UnifiedAdapter {
         correlationId
       );
 
-      // 6. Map response to unified format
+      // 8. Map response to unified format
       const unifiedResponse = this.responseMapper.mapResponse(
         operatorCode,
-        operation,
         rawResult
       );
 
-      // 7. Log successful operation
+      // 9. Log successful operation
       await this.logAuditEvent(
         userId,
         operatorCode,
@@ -125,14 +154,12 @@ class UnifiedAdapter {
       };
 
     } catch (error) {
-      // 8. Handle and translate errors
-      const translatedError = this.errorTranslator.translateError(
-        operatorCode,
-        operation,
-        error
-      );
+      // 10. Handle and translate errors (breaker and spend limit errors are already unified)
+      const translatedError = LOCAL_ERROR_CODES.includes(error.code)
+        ? error
+        : this.errorTranslator.translate(operatorCode, error);
 
-      // 9. Log failed operation
+      // 11. Log failed operation
       await this.logAuditEvent(
         userId,
         operatorCode,
@@ -155,6 +182,8 @@ class UnifiedAdapter {
       });
 
       throw translatedError;
+    } finally {
+      await SpendLimitService.release(spendReservation);
     }
   }
 
@@ -185,7 +214,8 @@ class UnifiedAdapter {
         return await adapter.suspendSubscription(adapterParams);
       
       case 'charge':
-        return await adapter.createCharge(adapterParams);
+        // Adapters expose charge(uuid, amount) per SLA v2.2
+        return await adapter.charge(adapterParams.uuid, adapterParams.amount);
       
       case 'refund':
         return await adapter.refund(adapterParams);
@@ -200,7 +230,7 @@ class UnifiedAdapter {
         return await adapter.checkEligibility(adapterParams);
       
       case 'sendSMS':
-        return await adapter.sendSMS(adapterParams);
+        return await adapter.sendSMS(adapterParams.msisdn, adapterParams.message, adapterParams.template, adapterParams);
       
       case 'getBalance':
         return await adapter.getBalance(adapterParams);
@@ -210,6 +240,33 @@ class UnifiedAdapter {
     }
   }
 
+  /**
+   * Reserve a charge, or a new subscription's initial charge, against the subscriber's spend limits
+   * @returns {Object|null} Reservation to release once the operation is over
+   */
+  async reserveSpend(operatorCode, operation, params) {
+    if (operation === 'charge') {
+      return SpendLimitService.reserve({
+        operatorCode,
+        msisdn: params.msisdn,
+        uuid: params.uuid,
+        amount: params.amount,
+        customerType: params.customerType
+      });
+    }
+
+    if (operation === 'createSubscription') {
+      return SpendLimitService.reserve({
+        operatorCode,
+        msisdn: params.msisdn,
+        acr: params.acr,
+        amount: await SpendLimitService.initialChargeAmount(params)
+      });
+    }
+
+    return null;
+  }
+
   /**
    * Validate operation parameters
    */
@@ -411,7 +468,7 @@ class UnifiedAdapter {
           suspend: typeof adapter.suspendSubscription === 'function'
         },
         billing: {
-          charge: typeof adapter.createCharge === 'function',
+          charge: typeof adapter.charge === 'function',
           refund: typeof adapter.refund === 'function'
         },
         verification: {
@@ -1,72 +1,54 @@
 /**
  * Enhanced Webhook Service
  * 
- * Handles SLA Digital webhook notifications with proper retry logic
- * ENHANCED: 4-hour retry intervals for 24 hours per SLA Digital v2.2 requirements
+ * Handles SLA Digital webhook notifications.
+ * Signature, timestamp and replay checks live in WebhookVerificationService.
+ * Outbound merchant notifications are queued and delivered by MerchantNotificationService.
+ * Notifications carrying the correlator of a hosted checkout session complete that session.
  */
 
-const axios = require('axios');
 const crypto = require('crypto');
 const Logger = require('../../utils/logger');
 const { UnifiedError } = require('../../utils/errors');
-
-// Redis import with fallback handling
-let redisManager = null;
-try {
-  const redisConfig = require('../../config/redis');
-  redisManager = redisConfig.redisManager;
-} catch (error) {
-  Logger.warn('Redis not available, webhook queuing will be limited', {
-    error: error.message
-  });
-}
+const SubscriptionStateMachine = require('../business/SubscriptionStateMachine');
+const DunningService = require('../business/DunningService');
+const MerchantNotificationService = require('./MerchantNotificationService');
+const WebhookVerificationService = require('./WebhookVerificationService');
+const CheckoutService = require('./CheckoutService');
 
 class WebhookService {
-  constructor() {
-    // SLA Digital v2.2 retry configuration: 4-hour intervals for 24 hours
-    this.retryIntervals = [
-      4 * 60 * 60 * 1000,   // 4 hours
-      8 * 60 * 60 * 1000,   // 8 hours (total: 4h)
-      12 * 60 * 60 * 1000,  // 12 hours (total: 8h)
-      16 * 60 * 60 * 1000,  // 16 hours (total: 12h)
-      20 * 60 * 60 * 1000,  // 20 hours (total: 16h)
-      24 * 60 * 60 * 1000   // 24 hours (total: 20h, final attempt)
-    ];
-    
-    this.maxRetries = this.retryIntervals.length;
-    this.timeouts = new Map(); // Store timeout handles for cleanup
-  }
-  
   /**
    * Process incoming webhook from SLA Digital
+   * @param {Object} context - { operatorCode } from the route, used to pick the signing secret
    */
-  async processIncomingWebhook(req, res) {
+  async processIncomingWebhook(req, res, context = {}) {
     try {
       const webhookData = req.body;
-      const signature = req.headers['x-sla-signature'];
-      const timestamp = req.headers['x-sla-timestamp'];
       
       Logger.info('Processing incoming SLA Digital webhook', {
-        signature: signature ? 'present' : 'missing',
-        timestamp,
+        signature: req.headers['x-sla-signature'] ? 'present' : 'missing',
+        timestamp: req.headers['x-sla-timestamp'],
+        operatorCode: context.operatorCode,
         hasData: !!webhookData
       });
       
-      // Validate webhook signature (if configured)
-      if (process.env.SLA_WEBHOOK_SECRET) {
-        const isValid = this.validateWebhookSignature(
-          JSON.stringify(webhookData),
-          signature,
-          timestamp
-        );
-        
-        if (!isValid) {
-          Logger.warn('Invalid webhook signature received');
-          return res.status(401).json({ 
-            error: 'Invalid signature',
-            message: 'Webhook signature validation failed'
+      const verification = await WebhookVerificationService.verify(req, context);
+      
+      if (!verification.valid) {
+        // Acknowledge replays so SLA Digital stops redelivering, but do not process them again
+        if (verification.reason === WebhookVerificationService.REJECTION_REASONS.REPLAYED) {
+          return res.status(200).json({
+            received: true,
+            duplicate: true,
+            timestamp: new Date().toISOString()
           });
         }
+        
+        return res.status(401).json({ 
+          error: 'Invalid signature',
+          message: 'Webhook signature validation failed',
+          reason: verification.reason
+        });
       }
       
       // Always respond 200/201 immediately to prevent SLA Digital retries
@@ -136,42 +118,42 @@ class WebhookService {
         subscriptionStatus: subscription?.status
       });
       
-      // Import models dynamically to avoid circular dependencies
-      const { getModels } = require('../../models');
-      const { Subscription, Transaction } = getModels();
+      // A hosted checkout confirmation creates its subscription before the status is applied
+      const correlator = successData.correlator || transaction?.correlator || subscription?.correlator;
+      if (correlator) {
+        await CheckoutService.handleConfirmation({
+          correlator,
+          uuid,
+          msisdn: successData.msisdn || subscription?.msisdn,
+          status: subscription?.status ? this.mapSLAStatusToUnified(subscription.status) : null,
+          amount: transaction?.amount,
+          currency: transaction?.currency
+        });
+      }
+      
+      const sub = uuid ? await this.findSubscription(uuid) : null;
       
       // Update subscription status if present
-      if (uuid && subscription) {
-        const sub = await Subscription.findOne({ where: { uuid } });
-        if (sub) {
-          await sub.update({
-            status: this.mapSLAStatusToUnified(subscription.status),
-            lastUpdated: new Date(),
-            operatorData: subscription
-          });
-          
-          Logger.info('Subscription updated via webhook', {
-            uuid,
-            newStatus: subscription.status
-          });
-        }
+      if (sub && subscription) {
+        await sub.update({
+          lastUpdated: new Date(),
+          operatorData: subscription
+        });
+        
+        await this.transitionSubscription(sub, this.mapSLAStatusToUnified(subscription.status), {
+          operatorStatus: subscription.status,
+          reason: `Webhook status ${subscription.status}`
+        });
+        
+        Logger.info('Subscription updated via webhook', {
+          uuid,
+          newStatus: sub.status
+        });
       }
       
       // Create or update transaction record
-      if (transaction) {
-        const transactionData = {
-          uuid: transaction.uuid || uuid,
-          subscriptionUuid: uuid,
-          status: this.mapSLAStatusToUnified(transaction.status),
-          amount: transaction.amount,
-          currency: transaction.currency,
-          operatorCode: transaction.operator_code,
-          transactionId: transaction.transaction_id,
-          processedAt: new Date(),
-          webhookData: successData
-        };
-        
-        await Transaction.upsert(transactionData);
+      if (sub && transaction) {
+        await this.recordWebhookTransaction(sub, transaction, successData);
         
         Logger.info('Transaction updated via webhook', {
           transactionId: transaction.transaction_id,
@@ -185,10 +167,10 @@ class WebhookService {
           await this.handleSuccessfulPayment(uuid, transaction);
           break;
         case 'INSUFFICIENT_FUNDS':
-          await this.handleInsufficientFunds(uuid, transaction);
+          await this.handleInsufficientFunds(sub, transaction);
           break;
         case 'GRACE':
-          await this.handleGracePeriod(uuid, transaction);
+          await this.handleGracePeriod(sub, transaction);
           break;
         default:
           Logger.debug('Unhandled transaction status', {
@@ -220,39 +202,31 @@ class WebhookService {
         correlationId: correlation_id
       });
       
-      // Import models dynamically
-      const { getModels } = require('../../models');
-      const { Subscription, ErrorLog } = getModels();
-      
-      // Log error for debugging
-      await ErrorLog.create({
-        subscriptionUuid: uuid,
-        errorCode: error_code,
-        errorMessage: message,
-        correlationId: correlation_id,
-        source: 'webhook',
-        webhookData: errorData,
-        createdAt: new Date()
-      });
+      // A hosted checkout the subscriber did not complete
+      if (errorData.correlator || correlation_id) {
+        await CheckoutService.handleConfirmation({
+          correlator: errorData.correlator || correlation_id,
+          uuid,
+          errorCode: error_code || 'CHECKOUT_FAILED',
+          message
+        });
+      }
       
       // Update subscription if error is subscription-related
       if (uuid) {
-        const sub = await Subscription.findOne({ where: { uuid } });
+        const sub = await this.findSubscription(uuid);
         if (sub) {
           // Handle specific error codes
           switch (error_code) {
             case 'INSUFFICIENT_FUNDS':
-              await sub.update({ 
-                status: 'suspended',
-                lastUpdated: new Date(),
-                suspendReason: 'insufficient_funds'
+              await DunningService.recordNotifiedFailure(sub, 'INSUFFICIENT_FUNDS', {
+                errorMessage: message
               });
               break;
             case 'CUSTOMER_INELIGIBLE':
-              await sub.update({ 
-                status: 'cancelled',
-                lastUpdated: new Date(),
-                cancelReason: 'ineligible'
+              await this.transitionSubscription(sub, 'cancelled', {
+                reason: 'ineligible',
+                metadata: { correlationId: correlation_id }
               });
               break;
             default:
@@ -274,244 +248,27 @@ class WebhookService {
   }
   
   /**
-   * Send outgoing webhook to merchant with retry logic
+   * Apply a webhook-driven status change through the subscription state machine
+   * Webhooks can arrive late or out of order, so a transition the lifecycle does not
+   * allow is logged and dropped instead of failing the whole notification.
    */
-  async sendWebhook(url, data, options = {}) {
-    const webhookId = options.webhookId || this.generateWebhookId();
-    const attempt = options.attempt || 1;
-    
-    try {
-      Logger.info('Sending webhook', {
-        webhookId,
-        url,
-        attempt,
-        maxRetries: this.maxRetries
-      });
-      
-      const response = await axios.post(url, data, {
-        timeout: options.timeout || 30000, // 30 second timeout
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Webhook-ID': webhookId,
-          'X-Attempt': attempt,
-          'User-Agent': 'SLA-Digital-Platform/1.0',
-          ...options.headers
-        }
-      });
-      
-      // Success if status is 200 or 201
-      if ([200, 201].includes(response.status)) {
-        Logger.info('Webhook delivered successfully', {
-          webhookId,
-          url,
-          attempt,
-          statusCode: response.status
-        });
-        
-        // Clean up any pending retries
-        this.clearRetryTimeout(webhookId);
-        
-        return {
-          success: true,
-          statusCode: response.status,
-          attempt,
-          webhookId
-        };
-      } else {
-        throw new Error(`Unexpected status code: ${response.status}`);
-      }
-      
-    } catch (error) {
-      Logger.warn('Webhook delivery failed', {
-        webhookId,
-        url,
-        attempt,
-        error: error.message,
-        maxRetries: this.maxRetries
+  async transitionSubscription(sub, status, { operatorStatus = null, reason = null, metadata = {} } = {}) {
+    if (sub.status !== status && !SubscriptionStateMachine.canTransition(sub.status, status)) {
+      Logger.warn('Webhook status change rejected by subscription lifecycle', {
+        subscriptionId: sub.id,
+        from: sub.status,
+        to: status,
+        operatorStatus
       });
-      
-      // Schedule retry if we haven't exceeded max attempts
-      if (attempt <= this.maxRetries) {
-        await this.scheduleWebhookRetry(url, data, webhookId, attempt);
-        return {
-          success: false,
-          scheduled_retry: true,
-          attempt,
-          next_attempt: attempt + 1,
-          webhookId
-        };
-      } else {
-        Logger.error('Webhook delivery failed permanently', {
-          webhookId,
-          url,
-          totalAttempts: attempt,
-          finalError: error.message
-        });
-        
-        return {
-          success: false,
-          failed_permanently: true,
-          totalAttempts: attempt,
-          webhookId
-        };
-      }
-    }
-  }
-  
-  /**
-   * Schedule webhook retry using SLA Digital v2.2 intervals
-   */
-  async scheduleWebhookRetry(url, data, webhookId, currentAttempt) {
-    const nextAttempt = currentAttempt + 1;
-    
-    if (nextAttempt > this.maxRetries) {
-      Logger.warn('Maximum retry attempts reached', { webhookId, currentAttempt });
-      return;
+      return false;
     }
     
-    const delayIndex = currentAttempt - 1; // Array is 0-indexed
-    const delay = this.retryIntervals[delayIndex] || this.retryIntervals[this.retryIntervals.length - 1];
-    
-    Logger.info('Scheduling webhook retry', {
-      webhookId,
-      currentAttempt,
-      nextAttempt,
-      delayHours: delay / (60 * 60 * 1000),
-      scheduledFor: new Date(Date.now() + delay).toISOString()
+    await sub.updateStatus(status, operatorStatus, metadata, {
+      source: 'webhook',
+      reason
     });
     
-    // Store webhook retry info in Redis (if available) for persistence
-    if (redisManager) {
-      const retryData = {
-        url,
-        data,
-        webhookId,
-        attempt: nextAttempt,
-        scheduledFor: Date.now() + delay,
-        originalScheduledTime: Date.now()
-      };
-      
-      await redisManager.setex(
-        `webhook:retry:${webhookId}`,
-        Math.ceil(delay / 1000) + 3600, // TTL with 1 hour buffer
-        JSON.stringify(retryData)
-      );
-    }
-    
-    // Schedule the retry
-    const timeoutHandle = setTimeout(async () => {
-      Logger.info('Executing scheduled webhook retry', {
-        webhookId,
-        attempt: nextAttempt
-      });
-      
-      // Remove from Redis storage
-      if (redisManager) {
-        await redisManager.del(`webhook:retry:${webhookId}`);
-      }
-      
-      // Execute retry
-      await this.sendWebhook(url, data, {
-        webhookId,
-        attempt: nextAttempt
-      });
-      
-      // Clean up timeout handle
-      this.timeouts.delete(webhookId);
-    }, delay);
-    
-    // Store timeout handle for potential cleanup
-    this.timeouts.set(webhookId, timeoutHandle);
-  }
-  
-  /**
-   * Clear retry timeout
-   */
-  clearRetryTimeout(webhookId) {
-    const timeoutHandle = this.timeouts.get(webhookId);
-    if (timeoutHandle) {
-      clearTimeout(timeoutHandle);
-      this.timeouts.delete(webhookId);
-      Logger.debug('Cleared retry timeout', { webhookId });
-    }
-  }
-  
-  /**
-   * Restore pending webhooks from Redis on startup
-   */
-  async restorePendingWebhooks() {
-    if (!redisManager) {
-      Logger.debug('Redis not available, skipping webhook restoration');
-      return;
-    }
-    
-    try {
-      const keys = await redisManager.keys('webhook:retry:*');
-      
-      Logger.info('Restoring pending webhooks', { count: keys.length });
-      
-      for (const key of keys) {
-        const retryDataJson = await redisManager.get(key);
-        if (retryDataJson) {
-          const retryData = JSON.parse(retryDataJson);
-          const { webhookId, scheduledFor, url, data, attempt } = retryData;
-          
-          const now = Date.now();
-          const delay = scheduledFor - now;
-          
-          if (delay > 0) {
-            // Reschedule the webhook
-            Logger.info('Rescheduling restored webhook', {
-              webhookId,
-              remainingDelayMinutes: Math.ceil(delay / (60 * 1000))
-            });
-            
-            await this.scheduleWebhookRetry(url, data, webhookId, attempt - 1);
-          } else {
-            // Execute immediately if scheduled time has passed
-            Logger.info('Executing overdue webhook immediately', { webhookId });
-            
-            await this.sendWebhook(url, data, {
-              webhookId,
-              attempt
-            });
-          }
-        }
-        
-        // Clean up the Redis key
-        await redisManager.del(key);
-      }
-      
-    } catch (error) {
-      Logger.error('Error restoring pending webhooks', {
-        error: error.message,
-        stack: error.stack
-      });
-    }
-  }
-  
-  /**
-   * Validate webhook signature from SLA Digital
-   */
-  validateWebhookSignature(payload, signature, timestamp) {
-    if (!signature || !timestamp) {
-      return false;
-    }
-    
-    try {
-      const secret = process.env.SLA_WEBHOOK_SECRET;
-      const expectedSignature = crypto
-        .createHmac('sha256', secret)
-        .update(timestamp + payload)
-        .digest('hex');
-      
-      return signature === expectedSignature;
-    } catch (error) {
-      Logger.error('Error validating webhook signature', {
-        error: error.message
-      });
-      return false;
-    }
+    return true;
   }
   
   /**
@@ -555,61 +312,104 @@ class WebhookService {
   }
   
   /**
-   * Handle insufficient funds
+   * Handle insufficient funds - start or continue the dunning run
    */
-  async handleInsufficientFunds(uuid, transaction) {
+  async handleInsufficientFunds(sub, transaction) {
     Logger.info('Handling insufficient funds', {
-      uuid,
+      subscriptionId: sub?.id,
       transactionId: transaction.transaction_id
     });
     
-    // Implement business logic for insufficient funds
-    // e.g., suspend subscription, send notification, etc.
+    if (!sub) {
+      return;
+    }
+    
+    await DunningService.recordNotifiedFailure(sub, 'INSUFFICIENT_FUNDS');
   }
   
   /**
-   * Handle grace period
+   * Handle grace period - the operator kept the subscription alive after a failed charge,
+   * so schedule dunning retries the same way as for insufficient funds
    */
-  async handleGracePeriod(uuid, transaction) {
+  async handleGracePeriod(sub, transaction) {
     Logger.info('Handling grace period', {
-      uuid,
+      subscriptionId: sub?.id,
       transactionId: transaction.transaction_id
     });
     
-    // Implement business logic for grace period
-    // e.g., schedule retry, send reminder, etc.
+    if (!sub) {
+      return;
+    }
+    
+    await DunningService.recordNotifiedFailure(sub, 'GRACE');
   }
   
   /**
-   * Get webhook statistics
+   * Find the local subscription an SLA notification refers to
    */
-  getWebhookStatistics() {
-    return {
-      pendingRetries: this.timeouts.size,
-      maxRetries: this.maxRetries,
-      retryIntervals: this.retryIntervals.map(interval => ({
-        hours: interval / (60 * 60 * 1000),
-        milliseconds: interval
-      })),
-      totalRetryDuration: '24 hours'
-    };
+  async findSubscription(uuid) {
+    const { getModels } = require('../../models');
+    const { Subscription } = getModels();
+    
+    return Subscription.findOne({ where: { operatorSubscriptionId: uuid } });
   }
   
   /**
-   * Cleanup timeouts on shutdown
+   * Create or update the Transaction an SLA notification reports
+   * Failures reported while the subscription is in dunning are stored as retries.
    */
-  cleanup() {
-    Logger.info('Cleaning up webhook service', {
-      pendingTimeouts: this.timeouts.size
-    });
+  async recordWebhookTransaction(sub, transaction, successData) {
+    const { getModels } = require('../../models');
+    const { Transaction } = getModels();
     
-    // Clear all pending timeouts
-    for (const [webhookId, timeoutHandle] of this.timeouts) {
-      clearTimeout(timeoutHandle);
-      Logger.debug('Cleared timeout on shutdown', { webhookId });
+    const statusMappings = {
+      'CHARGED': 'completed',
+      'INSUFFICIENT_FUNDS': 'failed',
+      'GRACE': 'failed'
+    };
+    const status = statusMappings[transaction.status] || 'pending';
+    
+    const values = {
+      status,
+      processedAt: new Date(),
+      failureCode: status === 'failed' ? transaction.status : null,
+      operatorData: successData
+    };
+    
+    const existing = transaction.transaction_id
+      ? await Transaction.findOne({
+        where: { operatorId: sub.operatorId, operatorTransactionId: transaction.transaction_id }
+      })
+      : null;
+    
+    if (existing) {
+      return existing.update(values);
     }
     
-    this.timeouts.clear();
+    const attempt = sub.metadata?.renewal?.attempt || 0;
+    
+    return Transaction.create({
+      ...values,
+      subscriptionId: sub.id,
+      operatorId: sub.operatorId,
+      operatorTransactionId: transaction.transaction_id || null,
+      type: attempt > 0 ? 'retry' : 'charge',
+      retryCount: attempt,
+      lastRetryAt: attempt > 0 ? new Date() : null,
+      amount: transaction.amount ?? sub.amount,
+      currency: transaction.currency || sub.currency,
+      description: 'Operator billing reported by SLA Digital',
+      metadata: { source: 'webhook' }
+    });
+  }
+  
+  /**
+   * Get webhook statistics
+   */
+  getWebhookStatistics() {
+    return {
+      merchantNotifications: MerchantNotificationService.getStatus()
+    };
   }
 }
 
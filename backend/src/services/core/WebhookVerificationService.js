@@ -0,0 +1,320 @@
+/**
+ * Webhook Verification Service
+ *
+ * Authenticates inbound SLA Digital notifications before WebhookService processes them.
+ *
+ * 1. Secret lookup: merchant secrets, then operator secrets, then SLA_WEBHOOK_SECRET(_PREVIOUS).
+ *    The most specific scope with any valid secret is the only one tried.
+ * 2. x-sla-timestamp must be within the configured tolerance of the server clock
+ * 3. x-sla-signature = HMAC-SHA256(secret, timestamp + body); any valid secret of the scope matches,
+ *    so a rotated-out secret keeps working until its expiresAt
+ * 4. Replay dedupe: the notification's transaction id is claimed in Redis (SET NX) for replayTtl
+ *
+ * Every rejection is written to AuditLog as an authorization/warning security event.
+ */
+
+const crypto = require('crypto');
+const Logger = require('../../utils/logger');
+const { UnifiedError } = require('../../utils/errors');
+const config = require('../../config');
+
+// Redis import with fallback handling
+let redisManager = null;
+try {
+  const redisConfig = require('../../config/redis');
+  redisManager = redisConfig.redisManager;
+} catch (error) {
+  Logger.warn('Redis not available, webhook replay protection disabled', {
+    error: error.message
+  });
+}
+
+// Rejection reasons recorded in AuditLog
+const REJECTION_REASONS = {
+  SECRET_NOT_CONFIGURED: 'secret_not_configured',
+  SIGNATURE_MISSING: 'signature_missing',
+  TIMESTAMP_INVALID: 'timestamp_invalid',
+  TIMESTAMP_OUT_OF_TOLERANCE: 'timestamp_out_of_tolerance',
+  SIGNATURE_INVALID: 'signature_invalid',
+  REPLAYED: 'replayed'
+};
+
+class WebhookVerificationService {
+  constructor() {
+    this.keyPrefix = 'webhook:inbound:seen';
+  }
+
+  /**
+   * Verify an inbound notification
+   *
+   * @param {Object} req - Express request (rawBody is used when present)
+   * @param {Object} context - { operatorCode }
+   * @returns {Object} { valid: true, scope, notificationId } or { valid: false, reason }
+   */
+  async verify(req, context = {}) {
+    const { operatorCode = null } = context;
+    const payload = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
+    const signature = req.headers['x-sla-signature'];
+    const timestamp = req.headers['x-sla-timestamp'];
+    const merchant = this.extractMerchant(req.body);
+    const notificationId = this.extractNotificationId(req.body);
+
+    const details = { operatorCode, merchant, notificationId, timestamp };
+    const reject = (reason) => this.reject(req, reason, details);
+
+    const { scope, secrets } = await this.resolveSecrets(operatorCode, merchant);
+
+    if (secrets.length === 0) {
+      if (!config.inboundWebhooks.allowUnsigned) {
+        return reject(REJECTION_REASONS.SECRET_NOT_CONFIGURED);
+      }
+      Logger.warn('Accepting unsigned SLA webhook, no secret configured', { operatorCode, merchant });
+    } else {
+      if (!signature || !timestamp) {
+        return reject(REJECTION_REASONS.SIGNATURE_MISSING);
+      }
+
+      const sentAt = this.parseTimestamp(timestamp);
+      if (sentAt === null) {
+        return reject(REJECTION_REASONS.TIMESTAMP_INVALID);
+      }
+
+      const skewSeconds = Math.abs(Date.now() - sentAt) / 1000;
+      if (skewSeconds > config.inboundWebhooks.timestampToleranceSeconds) {
+        return reject(REJECTION_REASONS.TIMESTAMP_OUT_OF_TOLERANCE);
+      }
+
+      if (!secrets.some(secret => this.matchesSignature(secret, timestamp, payload, signature))) {
+        return reject(REJECTION_REASONS.SIGNATURE_INVALID);
+      }
+    }
+
+    // Only claim the id once the delivery is authentic, so forged requests cannot burn it
+    if (notificationId && !(await this.claimNotification(scope, notificationId))) {
+      return reject(REJECTION_REASONS.REPLAYED);
+    }
+
+    return { valid: true, scope, notificationId };
+  }
+
+  /**
+   * Valid secrets for the most specific configured scope
+   * @returns {Object} { scope: 'merchant:<id>' | 'operator:<code>' | 'global', secrets: string[] }
+   */
+  async resolveSecrets(operatorCode, merchant) {
+    const { getModels } = require('../../models');
+    const { WebhookSecret } = getModels();
+
+    const scopes = [
+      ['merchant', merchant],
+      ['operator', operatorCode]
+    ].filter(([, scopeId]) => scopeId);
+
+    for (const [scopeType, scopeId] of scopes) {
+      const stored = await WebhookSecret.findValid(scopeType, scopeId);
+      if (stored.length > 0) {
+        return { scope: `${scopeType}:${scopeId}`, secrets: stored.map(row => row.secret) };
+      }
+    }
+
+    const globalSecrets = [process.env.SLA_WEBHOOK_SECRET, process.env.SLA_WEBHOOK_SECRET_PREVIOUS].filter(Boolean);
+    return { scope: 'global', secrets: globalSecrets };
+  }
+
+  /**
+   * Replace the current secret of a scope, keeping the previous one valid for the rotation window
+   *
+   * @param {string} scopeType - 'operator' | 'merchant'
+   * @param {string} scopeId - Operator code or merchant identifier
+   * @param {Object} options - { secret, rotationWindowSeconds, userId }
+   * @returns {Object} { secret: WebhookSecret, plaintext, expiring: number }
+   */
+  async rotateSecret(scopeType, scopeId, options = {}) {
+    const { getModels } = require('../../models');
+    const { WebhookSecret } = getModels();
+
+    if (!['operator', 'merchant'].includes(scopeType) || !scopeId) {
+      throw new UnifiedError('INVALID_PARAMETERS', 'scopeType (operator|merchant) and scopeId are required');
+    }
+
+    const {
+      secret = WebhookSecret.generateSecret(),
+      rotationWindowSeconds = config.inboundWebhooks.rotationWindowSeconds,
+      userId = null
+    } = options;
+
+    const expiresAt = new Date(Date.now() + rotationWindowSeconds * 1000);
+
+    const result = await WebhookSecret.sequelize.transaction(async (transaction) => {
+      // Only the current secret gets the window; already-expiring ones keep their deadline
+      const [expiring] = await WebhookSecret.update(
+        { expiresAt },
+        { where: { scopeType, scopeId, expiresAt: null }, transaction }
+      );
+
+      const created = await WebhookSecret.create({
+        scopeType,
+        scopeId,
+        secret,
+        createdBy: userId,
+        metadata: { rotatedAt: new Date().toISOString() }
+      }, { transaction });
+
+      return { secret: created, plaintext: secret, expiring };
+    });
+
+    Logger.info('Inbound webhook secret rotated', {
+      scopeType,
+      scopeId,
+      secretId: result.secret.id,
+      previousSecretsExpireAt: result.expiring > 0 ? expiresAt.toISOString() : null,
+      userId
+    });
+
+    return result;
+  }
+
+  /**
+   * Stop a secret from verifying immediately
+   */
+  async revokeSecret(secretId, userId = null) {
+    const { getModels } = require('../../models');
+    const { WebhookSecret } = getModels();
+
+    const secret = await WebhookSecret.findByPk(secretId);
+    if (!secret) {
+      throw new UnifiedError('RESOURCE_NOT_FOUND', `Webhook secret ${secretId} not found`);
+    }
+
+    await secret.update({ expiresAt: new Date() });
+
+    Logger.info('Inbound webhook secret revoked', {
+      secretId,
+      scopeType: secret.scopeType,
+      scopeId: secret.scopeId,
+      userId
+    });
+
+    return secret;
+  }
+
+  /**
+   * Constant-time comparison of a signature against one secret
+   * Accepts both bare hex and "sha256=<hex>"
+   */
+  matchesSignature(secret, timestamp, payload, signature) {
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(timestamp + payload)
+      .digest('hex');
+
+    const received = String(signature).replace(/^sha256=/, '');
+    if (received.length !== expected.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+  }
+
+  /**
+   * Parse x-sla-timestamp (unix seconds, unix milliseconds or ISO 8601) to epoch ms
+   */
+  parseTimestamp(timestamp) {
+    const value = String(timestamp).trim();
+
+    if (/^\d+$/.test(value)) {
+      const numeric = parseInt(value, 10);
+      return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * Claim a notification id; false when it was already seen inside the replay window
+   */
+  async claimNotification(scope, notificationId) {
+    if (!redisManager || !redisManager.isAvailable()) {
+      Logger.warn('Redis unavailable, webhook replay check skipped', { scope, notificationId });
+      return true;
+    }
+
+    return redisManager.setNX(
+      `${this.keyPrefix}:${scope}:${notificationId}`,
+      new Date().toISOString(),
+      config.inboundWebhooks.replayTtlSeconds
+    );
+  }
+
+  /**
+   * Transaction id a notification is deduplicated on
+   * Error notifications without a transaction fall back to their correlation id
+   */
+  extractNotificationId(body = {}) {
+    const notification = body.success || body.error || {};
+    const transaction = notification.transaction || {};
+
+    return transaction.transaction_id || notification.transaction_id || notification.correlation_id || null;
+  }
+
+  /**
+   * Merchant a notification belongs to (if SLA Digital sent one)
+   */
+  extractMerchant(body = {}) {
+    const notification = body.success || body.error || {};
+    return notification.merchant || notification.merchant_id || null;
+  }
+
+  /**
+   * Record a rejected delivery and return the verification result
+   */
+  async reject(req, reason, details) {
+    Logger.warn('Inbound SLA webhook rejected', {
+      reason,
+      ...details,
+      ip: req.ip
+    });
+
+    await this.recordRejection(req, reason, details);
+
+    return { valid: false, reason };
+  }
+
+  /**
+   * Write the rejection to AuditLog as a security event
+   */
+  async recordRejection(req, reason, details) {
+    try {
+      const { getModels } = require('../../models');
+      const { AuditLog, Operator } = getModels();
+
+      const operator = details.operatorCode
+        ? await Operator.findOne({ where: { code: details.operatorCode }, attributes: ['id'] })
+        : null;
+
+      await AuditLog.logWebhookRejection(
+        reason,
+        `Inbound SLA webhook rejected: ${reason}`,
+        req.ip,
+        req.get ? req.get('User-Agent') : req.headers['user-agent'],
+        operator ? operator.id : null,
+        {
+          ...details,
+          path: req.originalUrl,
+          signature: req.headers['x-sla-signature'] ? 'present' : 'missing'
+        }
+      );
+    } catch (error) {
+      Logger.error('Failed to record webhook rejection', {
+        reason,
+        error: error.message
+      });
+    }
+  }
+}
+
+const webhookVerificationService = new WebhookVerificationService();
+webhookVerificationService.REJECTION_REASONS = REJECTION_REASONS;
+
+module.exports = webhookVerificationService;
@@ -0,0 +1,82 @@
+/**
+ * SLA Sandbox Simulator Client
+ *
+ * Drop-in SLADigitalClient for operators whose environment is 'simulator'.
+ * Calls are answered in-process by SandboxSimulatorService instead of api.sla-alacrity.com;
+ * responses and errors go through the same normalization and error-code mapping as the real client.
+ */
+
+const SLADigitalClient = require('./SLADigitalClient');
+const SandboxSimulatorService = require('../core/SandboxSimulatorService');
+const Logger = require('../../utils/logger');
+
+class SandboxSimulatorClient extends SLADigitalClient {
+  /**
+   * @param {Object} credentials - Operator credentials (optional, never sent anywhere)
+   * @param {Object} options - { operatorCode, currency } passed to the simulator
+   */
+  constructor(credentials, options = {}) {
+    const provided = credentials || {};
+
+    super({
+      ...provided,
+      username: provided.username || 'simulator',
+      password: provided.password || 'simulator'
+    }, 'simulator');
+
+    this.baseURL = 'simulator://sla-sandbox';
+    this.operatorCode = options.operatorCode || null;
+    this.currency = options.currency || null;
+  }
+
+  /**
+   * No HTTP transport to intercept
+   */
+  setupInterceptors() {}
+
+  /**
+   * SLA v2.2 POST answered by the simulator
+   */
+  async post(endpoint, params = {}) {
+    try {
+      this.requestCount++;
+      const query = { ...this.cleanParams(params), correlator: this.generateCorrelator() };
+
+      Logger.debug('SLA Sandbox Simulator Request', {
+        correlator: query.correlator,
+        url: endpoint,
+        params: this.sanitizeParams(query),
+        operatorCode: this.operatorCode,
+        requestId: this.requestCount
+      });
+
+      const response = await SandboxSimulatorService.handle(endpoint, query, {
+        operatorCode: this.operatorCode,
+        currency: this.currency
+      });
+
+      // SLA Digital answers errors with a 4xx status and an error body
+      if (response.error) {
+        throw this.mapError({ response: { status: 400, data: response } });
+      }
+
+      return this.normalizeResponse(response);
+
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * The simulator is always reachable
+   */
+  async healthCheck() {
+    return {
+      status: 'healthy',
+      latency: 0,
+      environment: this.environment
+    };
+  }
+}
+
+module.exports = SandboxSimulatorClient;
@@ -0,0 +1,99 @@
+/**
+ * CSV Parser
+ *
+ * Minimal RFC 4180 parser for admin imports: a header row, comma-separated fields, optional
+ * double quotes (with "" as an escaped quote, commas and line breaks allowed inside).
+ * Blank lines and lines starting with # are skipped.
+ */
+
+/**
+ * Split CSV text into records of raw fields, keeping the line each record starts on
+ */
+function parseRecords(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    const isBlank = fields.length === 1 && fields[0].trim() === '';
+    if (!isBlank && !fields[0].trim().startsWith('#')) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Parse CSV text into row objects keyed by the (lowercased) header names
+ * @returns {{ headers: string[], rows: Array<{ line: number, values: Object }> }}
+ */
+function parseCSV(text) {
+  const [header, ...records] = parseRecords(text);
+
+  if (!header) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = header.fields.map(name => name.trim().toLowerCase());
+
+  const rows = records.map(({ line, fields }) => ({
+    line,
+    values: headers.reduce((values, name, index) => {
+      const value = fields[index] !== undefined ? fields[index].trim() : '';
+      values[name] = value === '' ? null : value;
+      return values;
+    }, {})
+  }));
+
+  return { headers, rows };
+}
+
+module.exports = {
+  parseCSV
+};
@@ -154,6 +154,19 @@ class ExternalServiceError extends UnifiedError {
   }
 }
 
+/**
+ * Subscription lifecycle transition error
+ */
+class InvalidStatusTransitionError extends UnifiedError {
+  constructor(fromStatus, toStatus, subscriptionId = null) {
+    super('INVALID_STATUS_TRANSITION', `Subscription cannot move from ${fromStatus} to ${toStatus}`);
+    this.name = 'InvalidStatusTransitionError';
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+    this.subscriptionId = subscriptionId;
+  }
+}
+
 /**
  * Error factory for creating appropriate error types
  */
@@ -170,7 +183,8 @@ class ErrorFactory {
       'RATE_LIMIT': RateLimitError,
       'CONFIGURATION': ConfigurationError,
       'DATABASE': DatabaseError,
-      'EXTERNAL_SERVICE': ExternalServiceError
+      'EXTERNAL_SERVICE': ExternalServiceError,
+      'INVALID_STATUS_TRANSITION': InvalidStatusTransitionError
     };
     
     const ErrorClass = errorTypes[type] || UnifiedError;
@@ -205,7 +219,8 @@ class ErrorFactory {
       'SERVICE_UNAVAILABLE',
       'TIMEOUT',
       'CONNECTION_ERROR',
-      'EXTERNAL_SERVICE_ERROR'
+      'EXTERNAL_SERVICE_ERROR',
+      'CIRCUIT_OPEN'
     ];
     
     return retryableCodes.includes(error.code) || 
@@ -250,5 +265,6 @@ module.exports = {
   ConfigurationError,
   DatabaseError,
   ExternalServiceError,
+  InvalidStatusTransitionError,
   ErrorFactory
 };
\ No newline at end of file
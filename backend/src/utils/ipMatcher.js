@@ -0,0 +1,126 @@
+/**
+ * IP Matcher
+ *
+ * Checks client addresses against allowlists of exact IPs and CIDR ranges, IPv4 or IPv6
+ * (e.g. ['203.0.113.10', '198.51.100.0/24', '2001:db8::/32']). IPv4-mapped IPv6 addresses
+ * (::ffff:203.0.113.10) are compared as IPv4.
+ */
+
+const net = require('net');
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Express reports behind dual-stack sockets
+ */
+function normalizeIP(ip) {
+  if (!ip) {
+    return null;
+  }
+
+  const value = String(ip).trim();
+  return value.startsWith('::ffff:') && net.isIPv4(value.substring(7)) ? value.substring(7) : value;
+}
+
+/**
+ * IPv4 address as an unsigned 32-bit integer
+ */
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((acc, octet) => ((acc << 8) + parseInt(octet, 10)) >>> 0, 0);
+}
+
+/**
+ * IPv6 address as a 128-bit BigInt ('::' expanded, a trailing dotted IPv4 part allowed)
+ */
+function ipv6ToBigInt(ip) {
+  let address = ip.split('%')[0].toLowerCase();
+
+  const lastColon = address.lastIndexOf(':');
+  const tail = address.substring(lastColon + 1);
+  if (net.isIPv4(tail)) {
+    const value = ipv4ToInt(tail);
+    address = `${address.substring(0, lastColon + 1)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const [head, rest] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const restGroups = rest ? rest.split(':') : [];
+  const groups = rest === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - restGroups.length).fill('0'), ...restGroups];
+
+  return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Split an allowlist entry into { address, family, prefixLength }, or null when it is not
+ * a valid IP or CIDR range (an exact IP gets the full-length prefix)
+ */
+function parseEntry(entry) {
+  if (entry === null || entry === undefined) {
+    return null;
+  }
+
+  const [rawAddress, prefix, extra] = String(entry).trim().split('/');
+  const address = normalizeIP(rawAddress);
+  const family = net.isIP(address);
+  const maxPrefix = family === 4 ? 32 : 128;
+
+  if (!family || extra !== undefined) {
+    return null;
+  }
+
+  if (prefix === undefined) {
+    return { address, family, prefixLength: maxPrefix };
+  }
+
+  if (!/^\d+$/.test(prefix) || Number(prefix) > maxPrefix) {
+    return null;
+  }
+
+  return { address, family, prefixLength: Number(prefix) };
+}
+
+/**
+ * Whether an entry is an IP address or CIDR range the matcher understands
+ */
+function isValidEntry(entry) {
+  return parseEntry(entry) !== null;
+}
+
+/**
+ * Whether an IP matches a single allowlist entry (exact IP or CIDR)
+ */
+function matchesEntry(ip, entry) {
+  const candidate = normalizeIP(ip);
+  const rule = parseEntry(entry);
+
+  if (!candidate || !rule || net.isIP(candidate) !== rule.family) {
+    return false;
+  }
+
+  if (rule.family === 4) {
+    const mask = rule.prefixLength === 0 ? 0 : (~0 << (32 - rule.prefixLength)) >>> 0;
+    return ((ipv4ToInt(candidate) & mask) >>> 0) === ((ipv4ToInt(rule.address) & mask) >>> 0);
+  }
+
+  const shift = BigInt(128 - rule.prefixLength);
+  return (ipv6ToBigInt(candidate) >> shift) === (ipv6ToBigInt(rule.address) >> shift);
+}
+
+/**
+ * Whether an IP matches any allowlist entry
+ */
+function isIPAllowed(ip, allowlist = []) {
+  if (!ip || !Array.isArray(allowlist)) {
+    return false;
+  }
+
+  return allowlist.some(entry => matchesEntry(ip, entry));
+}
+
+module.exports = {
+  normalizeIP,
+  parseEntry,
+  isValidEntry,
+  matchesEntry,
+  isIPAllowed
+};
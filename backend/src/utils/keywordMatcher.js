@@ -0,0 +1,130 @@
+/**
+ * Keyword Matcher
+ *
+ * Matches an MO SMS body against keyword definitions ({ keyword, aliases }), tolerating what
+ * subscribers actually send:
+ * - case, surrounding whitespace and punctuation ("stop.", " Stop!")
+ * - trailing words ("STOP please")
+ * - one typo in keywords of 4+ characters ("STPO", "HLEP"); shorter keywords (NO, JA, YES)
+ *   only match exactly, a single edit would turn them into other words
+ */
+
+// Keywords shorter than this are never fuzzy matched
+const MIN_FUZZY_LENGTH = 4;
+
+// Maximum edit distance accepted for a fuzzy match
+const MAX_DISTANCE = 1;
+
+/**
+ * Uppercase, collapse whitespace and strip leading/trailing punctuation
+ */
+function normalizeKeyword(text) {
+  if (text === undefined || text === null) {
+    return '';
+  }
+
+  return String(text)
+    .toUpperCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ */
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[rows - 1][cols - 1];
+}
+
+/**
+ * Keyword and aliases of a definition, normalized
+ */
+function termsOf(definition) {
+  return [definition.keyword, ...(definition.aliases || [])]
+    .map(normalizeKeyword)
+    .filter(Boolean);
+}
+
+/**
+ * Find the definition an MO SMS body refers to
+ *
+ * Definitions are tried in order, so callers list the most specific ones first.
+ *
+ * @param {string} text - Message body
+ * @param {Array<Object>} definitions - [{ keyword, aliases, ... }]
+ * @returns {Object|null} { definition, term, matchType: 'exact'|'prefix'|'fuzzy', distance }
+ */
+function matchKeyword(text, definitions = []) {
+  const message = normalizeKeyword(text);
+  if (!message) {
+    return null;
+  }
+
+  const entries = definitions.flatMap(definition => termsOf(definition).map(term => ({ definition, term })));
+
+  // 1. Whole message
+  const exact = entries.find(entry => entry.term === message);
+  if (exact) {
+    return { ...exact, matchType: 'exact', distance: 0 };
+  }
+
+  // 2. Keyword followed by more words, longest keyword wins ("STOP GAMES" over "STOP")
+  const prefixed = entries
+    .filter(entry => message.startsWith(`${entry.term} `))
+    .sort((a, b) => b.term.length - a.term.length)[0];
+  if (prefixed) {
+    return { ...prefixed, matchType: 'prefix', distance: 0 };
+  }
+
+  // 3. One typo in the whole message or its first word
+  const firstWord = normalizeKeyword(message.split(' ')[0]);
+  let best = null;
+  let tied = false;
+
+  for (const entry of entries) {
+    if (entry.term.length < MIN_FUZZY_LENGTH) {
+      continue;
+    }
+
+    const distance = Math.min(editDistance(message, entry.term), editDistance(firstWord, entry.term));
+    if (distance > MAX_DISTANCE) {
+      continue;
+    }
+
+    if (!best || distance < best.distance) {
+      best = { ...entry, distance };
+      tied = false;
+    } else if (distance === best.distance && entry.term !== best.term && entry.definition !== best.definition) {
+      tied = true;
+    }
+  }
+
+  // "STAT" is as close to START as to STATS: better to answer "unknown" than guess
+  if (!best || tied) {
+    return null;
+  }
+
+  return { ...best, matchType: 'fuzzy' };
+}
+
+module.exports = {
+  normalizeKeyword,
+  editDistance,
+  matchKeyword
+};
@@ -0,0 +1,168 @@
+/**
+ * SLA v2.2 charge - idempotent retries
+ */
+
+const mockRedisStore = new Map();
+
+jest.mock('../../../src/config/redis', () => ({
+  redisManager: {
+    isAvailable: () => true,
+    get: async (key) => (mockRedisStore.has(key) ? mockRedisStore.get(key) : null),
+    set: async (key, value) => { mockRedisStore.set(key, value); return true; },
+    setNX: async (key, value) => {
+      if (mockRedisStore.has(key)) return false;
+      mockRedisStore.set(key, value);
+      return true;
+    },
+    del: async (key) => { mockRedisStore.delete(key); return true; }
+  }
+}));
+
+const mockTransactions = [];
+const mockAdapter = { charge: jest.fn(), getSubscriptionStatus: jest.fn() };
+
+jest.mock('../../../src/models', () => ({
+  getModels: () => ({
+    Operator: { findOne: async () => ({ id: 1, code: 'zain-kw' }) },
+    Subscription: { findOne: async () => null },
+    Transaction: {
+      subscriberKey: (identifier) => (identifier ? String(identifier).replace(/\D/g, '') : null),
+      findOne: async ({ where }) => mockTransactions
+        .filter(transaction => transaction.idempotencyKey === where.idempotencyKey)
+        .pop() || null,
+      create: async (values) => {
+        const transaction = {
+          id: `tx-${mockTransactions.length + 1}`,
+          created_at: new Date(),
+          ...values,
+          get(field) { return this[field]; },
+          async update(changes) { Object.assign(this, changes); return this; },
+          async markFailed(failureCode, failureMessage, metadata = {}) {
+            Object.assign(this, { status: 'failed', failureCode, failureMessage });
+            this.metadata = { ...this.metadata, ...metadata };
+          },
+          async markCompleted(operatorTransactionId, metadata = {}) {
+            Object.assign(this, { status: 'completed', operatorTransactionId });
+            this.metadata = { ...this.metadata, ...metadata };
+          }
+        };
+        mockTransactions.push(transaction);
+        return transaction;
+      }
+    }
+  })
+}));
+
+jest.mock('../../../src/services/core/OperatorManager', () => {
+  const manager = {
+    getSupportedOperators: () => [{ code: 'zain-kw', adapter: 'ZainKuwaitAdapter' }],
+    isOperatorEnabled: async () => true,
+    getOperatorAdapter: () => mockAdapter,
+    getSubscriptionRoutingContext: async () => ({})
+  };
+  return { getInstance: () => manager };
+});
+
+jest.mock('../../../src/services/core/SpendLimitService', () => ({
+  resolveSubscriber: async () => '96550000001',
+  reserve: async () => null,
+  release: async () => undefined
+}));
+
+jest.mock('../../../src/services/core/MerchantNotificationService', () => ({
+  notifyTransaction: async () => null
+}));
+
+const SLAChargeController = require('../../../src/controllers/slaChargeController');
+
+const chargeRequest = () => {
+  const headers = { 'idempotency-key': 'charge-key-1' };
+  return {
+    query: { uuid: 'sub-uuid-1', amount: '1.5', currency: 'KWD' },
+    headers,
+    get: (name) => headers[name.toLowerCase()],
+    slaUser: { username: 'merchant-api' }
+  };
+};
+
+const send = async () => {
+  const res = {
+    status() { return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await SLAChargeController.charge(chargeRequest(), res);
+  return res.body;
+};
+
+describe('SLAChargeController.charge idempotency', () => {
+  beforeEach(() => {
+    mockRedisStore.clear();
+    mockTransactions.length = 0;
+    mockAdapter.charge.mockReset();
+    mockAdapter.getSubscriptionStatus.mockReset();
+    mockAdapter.getSubscriptionStatus.mockResolvedValue({ data: { status: 'ACTIVE', msisdn: '96550000001' } });
+  });
+
+  it('sends a retry after a transient (5001) failure to the operator again', async () => {
+    mockAdapter.charge
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce({ data: { transactionId: 'op-tx-1', status: 'CHARGED' } });
+
+    const failed = await send();
+    expect(failed.error.code).toBe('5001');
+
+    const retried = await send();
+    expect(mockAdapter.charge).toHaveBeenCalledTimes(2);
+    expect(retried.transaction_id).toBe('op-tx-1');
+    expect(mockTransactions[0].idempotencyKey).toBeNull();
+  });
+
+  it('retries a transient failure whose Transaction still carries the key', async () => {
+    mockAdapter.charge
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce({ data: { transactionId: 'op-tx-2', status: 'CHARGED' } });
+
+    await send();
+
+    // As if clearing the key had failed: the row keeps the key and only its stored 5001 response
+    const [failedTransaction] = mockTransactions;
+    failedTransaction.idempotencyKey = storedKey();
+    delete failedTransaction.metadata.idempotency.releasedAt;
+
+    const retried = await send();
+    expect(mockAdapter.charge).toHaveBeenCalledTimes(2);
+    expect(retried.transaction_id).toBe('op-tx-2');
+  });
+
+  it('replays a completed charge without calling the operator', async () => {
+    mockAdapter.charge.mockResolvedValueOnce({ data: { transactionId: 'op-tx-3', status: 'CHARGED' } });
+
+    const first = await send();
+    mockRedisStore.clear();
+    const replayed = await send();
+
+    expect(mockAdapter.charge).toHaveBeenCalledTimes(1);
+    expect(replayed).toEqual(first);
+  });
+
+  it('does not call the operator while its circuit is open, and lets the key be retried', async () => {
+    const CircuitBreakerService = require('../../../src/services/core/CircuitBreakerService');
+    const canExecute = jest.spyOn(CircuitBreakerService, 'canExecute')
+      .mockResolvedValueOnce({ allowed: false, state: 'open', retryAfterSeconds: 30 });
+    mockAdapter.charge.mockResolvedValueOnce({ data: { transactionId: 'op-tx-4', status: 'CHARGED' } });
+
+    const rejected = await send();
+    expect(rejected.error.code).toBe('5001');
+    expect(mockAdapter.charge).not.toHaveBeenCalled();
+
+    const retried = await send();
+    expect(mockAdapter.charge).toHaveBeenCalledTimes(1);
+    expect(retried.transaction_id).toBe('op-tx-4');
+    canExecute.mockRestore();
+  });
+});
+
+function storedKey() {
+  const IdempotencyService = require('../../../src/services/core/IdempotencyService');
+  return IdempotencyService.hash(`${IdempotencyService.buildScope('/v2.2/charge', chargeRequest())}:charge-key-1`);
+}